@@ -0,0 +1,389 @@
+// js/agreements.js
+
+// Digital Agreement: a signed promise to pay over time, e.g. monthly rent or a
+// loan repaid in installments. One side proposes and signs the terms, the
+// other side signs an acceptance, exactly like a shakehand. An accepted
+// agreement expands into a schedule of installments, and each installment is
+// marked fulfilled as confirmed payments between the two arrive.
+//
+// The agreement itself moves no money and never enters the ledger; the
+// payments that fulfil it do, as ordinary confirmed transactions.
+
+// --- IMPORTS ---
+import { log } from './logger.js';
+import { getAgreementById, putAgreement, getAgreementsByPhone, getTransactionsBetween } from './db.js';
+import { ensureSigningKeys, signObject, verifyObject } from './identity.js';
+import { STATES, transition, assertTransition, expireIfStale, hasBeenConfirmed } from './lifecycle.js';
+import { normalizePhone, normalizePhoneOrNull, samePhone } from './phone.js';
+import { MAX_PAISE, isRecordableRupees, toPaise, formatMoney, allocate } from './money.js';
+import { randomId, packJSON, unpackJSON, canonicalJSON, utf8Encode, sha256, toBase64Url } from './encoding.js';
+
+const AGREEMENT_VERSION = 1;
+const AGREEMENT_KIND = 'agreement';
+const ANSWER_DECISIONS = ['confirmed', 'denied'];
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_INSTALLMENTS = 360;
+const MAX_INTEREST_RATE = 100;
+const MAX_TERMS_LENGTH = 2000;
+
+// How far apart installments fall. Month-based steps keep the day of the
+// month where it exists (31 Jan -> 28/29 Feb -> 31 Mar).
+const FREQUENCIES = Object.freeze({
+  weekly: { label: 'Weekly', days: 7 },
+  fortnightly: { label: 'Every two weeks', days: 14 },
+  monthly: { label: 'Monthly', months: 1 },
+  quarterly: { label: 'Quarterly', months: 3 },
+  yearly: { label: 'Yearly', months: 12 }
+});
+
+async function hashRequest(request) {
+  return toBase64Url(await sha256(utf8Encode(canonicalJSON(request))));
+}
+
+// --- SCHEDULE ---
+
+function addPeriod(isoDate, frequency, count) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  const step = FREQUENCIES[frequency];
+  if (step.days) { return new Date(Date.UTC(year, month - 1, day + step.days * count)).toISOString().slice(0, 10); }
+  const target = new Date(Date.UTC(year, month - 1 + step.months * count, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+  return target.toISOString().slice(0, 10);
+}
+
+// Flat (simple) annual interest over the whole term, spread evenly. The
+// installments are in paise and always add up to the total exactly; where it
+// does not divide, the earliest installments are a paisa larger.
+function buildSchedule({ principal, startDate, frequency, installments, interestRate = 0 }) {
+  const step = FREQUENCIES[frequency];
+  const termYears = step.days ? (step.days * installments) / 365 : (step.months * installments) / 12;
+  const principalPaise = toPaise(principal);
+  const interestPaise = Math.round(principalPaise * (interestRate / 100) * termYears);
+
+  return allocate(principalPaise + interestPaise, installments).map((amountPaise, i) => ({
+    n: i + 1,
+    dueDate: addPeriod(startDate, frequency, i),
+    amountPaise
+  }));
+}
+
+// Who pays whom, read off a transaction: the payer gave, or the payee got.
+function isPayment(record, payer, payee) {
+  return (samePhone(record.fromPhone, payer) && samePhone(record.toPhone, payee) && record.type === 'gave') ||
+    (samePhone(record.fromPhone, payee) && samePhone(record.toPhone, payer) && record.type === 'got');
+}
+
+function paymentDay(record) {
+  return record.occurredOn || String(record.date).slice(0, 10);
+}
+
+function obligationStatus(obligation, today) {
+  if (obligation.paidPaise >= obligation.amountPaise) { return 'fulfilled'; }
+  if (obligation.dueDate < today) { return 'overdue'; }
+  return obligation.paidPaise > 0 ? 'partial' : 'upcoming';
+}
+
+// Spreads confirmed payments over the installments of every accepted agreement
+// between the same two people, oldest payment and earliest installment first.
+// Payments made before an agreement starts never count towards it.
+function allocatePayments(agreements, records, today) {
+  const schedules = agreements
+    .slice()
+    .sort((a, b) => a.terms.startDate.localeCompare(b.terms.startDate) || a.id.localeCompare(b.id))
+    .map(agreement => ({
+      agreement,
+      obligations: buildSchedule(agreement.terms).map(item => ({ ...item, paidPaise: 0, txnIds: [] }))
+    }));
+
+  const payments = records
+    .filter(hasBeenConfirmed)
+    .sort((a, b) => paymentDay(a).localeCompare(paymentDay(b)) || a.id.localeCompare(b.id));
+
+  for (const record of payments) {
+    let left = record.amountPaise;
+    for (const { agreement, obligations } of schedules) {
+      if (left === 0) { break; }
+      const { payer, payee, startDate } = agreement.terms;
+      if (paymentDay(record) < startDate || !isPayment(record, payer.phone, payee.phone)) { continue; }
+      for (const obligation of obligations) {
+        const owed = obligation.amountPaise - obligation.paidPaise;
+        if (owed <= 0) { continue; }
+        const used = Math.min(owed, left);
+        obligation.paidPaise += used;
+        obligation.txnIds.push(record.id);
+        left -= used;
+        if (left === 0) { break; }
+      }
+    }
+  }
+
+  return schedules.map(({ agreement, obligations }) => ({
+    agreement,
+    obligations: obligations.map(obligation => ({ ...obligation, status: obligationStatus(obligation, today) }))
+  }));
+}
+
+// --- SIGNING ---
+
+// Built the same way on both devices: the history is fixed by the signed payload.
+function buildAgreement(request) {
+  const { payload } = request;
+  const agreement = {
+    id: payload.id,
+    parties: [payload.terms.payer.phone, payload.terms.payee.phone].map(normalizePhone),
+    proposerPhone: normalizePhone(payload.proposer.phone),
+    terms: payload.terms,
+    date: payload.ts,
+    status: STATES.DRAFT,
+    history: [],
+    request,
+    acceptance: null,
+    obligations: []
+  };
+  return transition(agreement, STATES.PENDING, { by: agreement.proposerPhone, at: payload.ts });
+}
+
+function counterpartyOf(agreement) {
+  return agreement.parties.find(phone => phone !== agreement.proposerPhone);
+}
+
+function validateTerms(terms) {
+  const { payer, payee, principal, startDate, frequency, installments, interestRate, text } = terms;
+  if (!payer || !payee || !normalizePhoneOrNull(payer.phone) || !normalizePhoneOrNull(payee.phone)) { throw new Error('Both people need a valid phone number.'); }
+  if (samePhone(payer.phone, payee.phone)) { throw new Error('An agreement needs two different people.'); }
+  if (!isRecordableRupees(principal)) { throw new Error(`Enter the amount in rupees, with at most two decimals and no more than ${formatMoney(MAX_PAISE, { decimals: false })}.`); }
+  if (!ISO_DATE.test(startDate) || Number.isNaN(Date.parse(startDate))) { throw new Error('Please pick a valid start date.'); }
+  if (!FREQUENCIES[frequency]) { throw new Error('Please choose how often installments are due.'); }
+  if (!Number.isInteger(installments) || installments < 1 || installments > MAX_INSTALLMENTS) {
+    throw new Error(`The number of installments must be between 1 and ${MAX_INSTALLMENTS}.`);
+  }
+  if (!(interestRate >= 0 && interestRate <= MAX_INTEREST_RATE)) { throw new Error(`Interest must be between 0 and ${MAX_INTEREST_RATE}% a year.`); }
+  if (String(text || '').length > MAX_TERMS_LENGTH) { throw new Error(`Keep the terms under ${MAX_TERMS_LENGTH} characters.`); }
+}
+
+async function verifyAgreementRequest(request) {
+  const { payload, signature } = request;
+  if (!payload || payload.v !== AGREEMENT_VERSION || payload.kind !== AGREEMENT_KIND) { throw new Error('Unsupported agreement link'); }
+  if (!payload.id || !payload.proposer || !payload.proposer.key || !payload.terms) { throw new Error('Agreement link is missing details'); }
+  try {
+    validateTerms(payload.terms);
+  } catch (error) {
+    throw new Error(`Agreement link has invalid terms: ${error.message}`);
+  }
+  const { payer, payee } = payload.terms;
+  if (!samePhone(payload.proposer.phone, payer.phone) && !samePhone(payload.proposer.phone, payee.phone)) {
+    throw new Error('The proposer must be one of the two people in the agreement');
+  }
+  if (!await verifyObject(payload.proposer.key, payload, signature)) { throw new Error('Agreement signature is invalid'); }
+}
+
+async function verifyAcceptance(agreement, acceptance) {
+  const { payload, signature } = acceptance;
+  if (!payload || payload.v !== AGREEMENT_VERSION || payload.id !== agreement.id || !payload.by || !payload.by.key) { throw new Error('Agreement answer is malformed'); }
+  if (!ANSWER_DECISIONS.includes(payload.decision)) { throw new Error('Agreement answer has an invalid decision'); }
+  if (!samePhone(payload.by.phone, counterpartyOf(agreement))) { throw new Error('Agreement answer was not signed by the other party'); }
+  if (payload.req !== await hashRequest(agreement.request)) { throw new Error('Agreement answer does not match the proposal'); }
+  if (!await verifyObject(payload.by.key, payload, signature)) { throw new Error('Agreement answer signature is invalid'); }
+}
+
+function applyAcceptance(agreement, acceptance) {
+  transition(agreement, acceptance.payload.decision, { by: normalizePhone(acceptance.payload.by.phone), at: acceptance.payload.ts });
+  agreement.decidedAt = acceptance.payload.ts;
+  agreement.acceptance = { payload: acceptance.payload, signature: acceptance.signature };
+  return agreement;
+}
+
+// --- FLOW ---
+
+// `role` is the proposer's side: 'payer' (I will pay) or 'payee' (I will be paid).
+async function createAgreement(user, { counterpartyPhone, counterpartyName, role, principal, startDate, frequency, installments, interestRate = 0, text = '' }) {
+  if (role !== 'payer' && role !== 'payee') { throw new Error('Choose whether you will pay or be paid.'); }
+  const me = { name: user.name, phone: normalizePhone(user.phone) };
+  const them = { name: counterpartyName || null, phone: normalizePhone(counterpartyPhone) };
+  const terms = {
+    payer: role === 'payer' ? me : them,
+    payee: role === 'payer' ? them : me,
+    principal,
+    startDate,
+    frequency,
+    installments,
+    interestRate,
+    text: String(text || '').trim()
+  };
+  validateTerms(terms);
+
+  const keys = await ensureSigningKeys(user);
+  const payload = {
+    v: AGREEMENT_VERSION,
+    kind: AGREEMENT_KIND,
+    id: randomId('AG'),
+    proposer: { name: user.name, phone: me.phone, key: keys.publicKey },
+    terms,
+    ts: new Date().toISOString(),
+    nonce: randomId('', 9)
+  };
+  const agreement = buildAgreement({ payload, signature: await signObject(user, payload) });
+  await putAgreement(agreement);
+  log('INFO', 'agreements.js', 'AGREEMENT_CREATED', { id: agreement.id, installments, frequency });
+  return agreement;
+}
+
+function encodeAgreement(agreement) {
+  const { payload, signature } = agreement.request;
+  const answer = agreement.acceptance ? [agreement.acceptance.payload, agreement.acceptance.signature] : null;
+  return packJSON([payload, signature, answer]);
+}
+
+async function decodeAgreement(token) {
+  const decoded = await unpackJSON(token);
+  if (!Array.isArray(decoded) || decoded.length !== 3) { throw new Error('Malformed agreement link'); }
+  return {
+    request: { payload: decoded[0], signature: decoded[1] },
+    acceptance: Array.isArray(decoded[2]) ? { payload: decoded[2][0], signature: decoded[2][1] } : null
+  };
+}
+
+async function generateAgreementLink(agreement) {
+  const baseUrl = `${window.location.origin}/confirm.html`;
+  return `${baseUrl}?${new URLSearchParams({ ag: await encodeAgreement(agreement) }).toString()}`;
+}
+
+// Opens an agreement link on either device. The same link carries the
+// proposal out and, once answered, the answer back.
+async function acceptAgreementLink(token) {
+  const { request, acceptance } = await decodeAgreement(token);
+  await verifyAgreementRequest(request);
+
+  let agreement = await getAgreementById(request.payload.id);
+  if (agreement && agreement.request.signature !== request.signature) {
+    log('WARN', 'agreements.js', 'AGREEMENT_ID_CONFLICT', { id: request.payload.id });
+    throw new Error('A different agreement with this ID already exists');
+  }
+  agreement = agreement || buildAgreement(request);
+
+  if (acceptance) {
+    await verifyAcceptance(agreement, acceptance);
+    if (agreement.acceptance && agreement.acceptance.signature !== acceptance.signature) {
+      throw new Error('This agreement has already been answered');
+    }
+    if (!agreement.acceptance) {
+      // e.g. the proposer withdrew it before the answer arrived.
+      assertTransition(agreement, acceptance.payload.decision);
+      applyAcceptance(agreement, acceptance);
+    }
+  } else if (expireIfStale(agreement)) {
+    log('INFO', 'agreements.js', 'AGREEMENT_EXPIRED', { id: agreement.id });
+  }
+
+  await putAgreement(agreement);
+  log('INFO', 'agreements.js', 'AGREEMENT_LINK_OPENED', { id: agreement.id, status: agreement.status });
+  return agreement.status === STATES.CONFIRMED ? refreshAgreement(agreement) : agreement;
+}
+
+// The other party accepts (confirmed) or declines (denied). Answering the same way twice is a no-op.
+async function answerAgreement(user, agreementId, decision) {
+  if (!ANSWER_DECISIONS.includes(decision)) { throw new Error(`Unknown decision "${decision}"`); }
+  const agreement = await getAgreementById(agreementId);
+  if (!agreement) { throw new Error('Agreement not found on this device'); }
+  if (!samePhone(user.phone, counterpartyOf(agreement))) { throw new Error('Only the other party can answer this agreement'); }
+  if (expireIfStale(agreement)) { await putAgreement(agreement); }
+  if (agreement.acceptance && agreement.status === decision) { return agreement; }
+  assertTransition(agreement, decision);
+
+  const keys = await ensureSigningKeys(user);
+  const payload = {
+    v: AGREEMENT_VERSION,
+    id: agreement.id,
+    req: await hashRequest(agreement.request),
+    decision,
+    ts: new Date().toISOString(),
+    by: { name: user.name, phone: normalizePhone(user.phone), key: keys.publicKey }
+  };
+  applyAcceptance(agreement, { payload, signature: await signObject(user, payload) });
+  await putAgreement(agreement);
+  log('INFO', 'agreements.js', 'AGREEMENT_ANSWERED', { id: agreement.id, decision });
+  return decision === STATES.CONFIRMED ? refreshAgreement(agreement) : agreement;
+}
+
+async function cancelAgreement(user, agreementId) {
+  const agreement = await getAgreementById(agreementId);
+  if (!agreement) { throw new Error('Agreement not found on this device'); }
+  if (!samePhone(agreement.proposerPhone, user.phone)) { throw new Error('Only the person who proposed this agreement can cancel it'); }
+  if (!assertTransition(agreement, STATES.CANCELLED)) { return agreement; }
+
+  transition(agreement, STATES.CANCELLED, { by: normalizePhone(user.phone) });
+  await putAgreement(agreement);
+  log('INFO', 'agreements.js', 'AGREEMENT_CANCELLED', { id: agreement.id });
+  return agreement;
+}
+
+// --- FULFILMENT ---
+
+function todayISO() {
+  const now = new Date();
+  return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+}
+
+// Recomputes the installments of every accepted agreement between the same two
+// people as `agreement` and stores any that changed. Returns `agreement` updated.
+async function refreshAgreement(agreement) {
+  const [first, second] = agreement.parties;
+  const pairAgreements = (await getAgreementsByPhone(first))
+    .filter(other => other.status === STATES.CONFIRMED && other.parties.includes(second));
+  const records = await getTransactionsBetween(first, second);
+
+  let result = agreement;
+  for (const { agreement: current, obligations } of allocatePayments(pairAgreements, records, todayISO())) {
+    const completedAt = obligations.every(obligation => obligation.status === 'fulfilled')
+      ? (current.completedAt || new Date().toISOString()) : null;
+    const changed = canonicalJSON(obligations) !== canonicalJSON(current.obligations) || completedAt !== (current.completedAt || null);
+    const updated = { ...current, obligations, completedAt };
+    if (changed) {
+      await putAgreement(updated);
+      log('INFO', 'agreements.js', 'AGREEMENT_OBLIGATIONS_UPDATED', {
+        id: current.id, fulfilled: obligations.filter(obligation => obligation.status === 'fulfilled').length, of: obligations.length
+      });
+    }
+    if (current.id === agreement.id) { result = updated; }
+  }
+  return result;
+}
+
+// Called when a transaction is confirmed: installments it pays off are marked
+// fulfilled on this device.
+async function applyPaymentToAgreements(record) {
+  const agreements = (await getAgreementsByPhone(record.fromPhone))
+    .filter(agreement => agreement.status === STATES.CONFIRMED && agreement.parties.includes(normalizePhone(record.toPhone)));
+  if (agreements.length > 0) { await refreshAgreement(agreements[0]); }
+}
+
+// For display: how many installments are done and which one is next.
+function agreementProgress(agreement) {
+  const obligations = agreement.obligations.length > 0
+    ? agreement.obligations
+    : buildSchedule(agreement.terms).map(item => ({ ...item, paidPaise: 0, status: 'upcoming' }));
+  return {
+    fulfilled: obligations.filter(obligation => obligation.status === 'fulfilled').length,
+    total: obligations.length,
+    overdue: obligations.filter(obligation => obligation.status === 'overdue').length,
+    next: obligations.find(obligation => obligation.status !== 'fulfilled') || null
+  };
+}
+
+// Every agreement this profile is part of, with up-to-date installments, newest first.
+async function listAgreements(user) {
+  const agreements = await getAgreementsByPhone(user.phone);
+  const refreshed = [];
+  for (const agreement of agreements) {
+    refreshed.push(agreement.status === STATES.CONFIRMED ? await refreshAgreement(agreement) : agreement);
+  }
+  return refreshed.sort((a, b) => String(b.date).localeCompare(String(a.date)));
+}
+
+// --- EXPORTS ---
+export {
+  FREQUENCIES, buildSchedule, allocatePayments,
+  createAgreement, encodeAgreement, decodeAgreement, generateAgreementLink, acceptAgreementLink,
+  answerAgreement, cancelAgreement, refreshAgreement, applyPaymentToAgreements, agreementProgress, listAgreements
+};
@@ -0,0 +1,331 @@
+// js/amendments.js
+
+// Corrections and disputes. While a request is pending the counterparty can
+// propose a different amount, date or note instead of confirming; the
+// initiator accepts (signing a revised request) or rejects. Once confirmed,
+// either side can raise a dispute. Every step is a signed entry that carries
+// the hash of the one before it, so both devices hold the same thread and a
+// missing or edited step shows up when the next one is applied.
+
+// --- IMPORTS ---
+import { log } from './logger.js';
+import { getTransactionById, putTransaction } from './db.js';
+import { ensureSigningKeys, signObject, verifyObject } from './identity.js';
+import { verifyShakehand, hashRequest } from './digital-shakehand.js';
+import { STATES, transition, assertTransition, expireIfStale, hasBeenConfirmed } from './lifecycle.js';
+import { normalizePhoneOrNull, samePhone } from './phone.js';
+import { isRecordableRupees, toPaise } from './money.js';
+import { randomId, packJSON, unpackJSON, canonicalJSON, utf8Encode, sha256, toBase64Url } from './encoding.js';
+
+const THREAD_VERSION = 1;
+const ENTRY_KINDS = ['correction', 'reply', 'dispute', 'withdrawal'];
+const CORRECTABLE_FIELDS = ['amount', 'occurredOn', 'note'];
+const REPLY_DECISIONS = ['accepted', 'rejected'];
+const MAX_REASON_LENGTH = 200;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+async function hashOf(value) {
+  return toBase64Url(await sha256(utf8Encode(canonicalJSON(value))));
+}
+
+function threadOf(record) {
+  return record.thread || [];
+}
+
+function lastEntry(record, kind = null) {
+  const entries = threadOf(record).filter(entry => !kind || entry.payload.kind === kind);
+  return entries.length > 0 ? entries[entries.length - 1] : null;
+}
+
+// The first entry hangs off the request it corrects or disputes.
+function previousHash(record) {
+  const last = lastEntry(record);
+  return last ? hashOf({ payload: last.payload, signature: last.signature }) : hashRequest(record.request);
+}
+
+// The key each side has already signed with. The counterparty's is only known
+// once they have answered or written to the thread; until then the first one seen is trusted.
+function knownKey(record, phone) {
+  if (samePhone(phone, record.fromPhone)) { return record.request.payload.from.key; }
+  if (record.receipt) { return record.receipt.payload.by.key; }
+  const earlier = threadOf(record).find(entry => samePhone(entry.payload.by.phone, phone));
+  return earlier ? earlier.payload.by.key : null;
+}
+
+function checkReason(reason, required) {
+  const text = String(reason || '').trim();
+  if (required && !text) { throw new Error('Please give a reason.'); }
+  if (text.length > MAX_REASON_LENGTH) { throw new Error(`Keep the reason under ${MAX_REASON_LENGTH} characters.`); }
+  return text;
+}
+
+// Only fields that actually change, each checked the way the form checks it.
+function checkChanges(record, changes) {
+  const keys = Object.keys(changes || {});
+  if (keys.some(key => !CORRECTABLE_FIELDS.includes(key))) { throw new Error('Only the amount, date or note can be corrected'); }
+  if (keys.length === 0) { throw new Error('The correction does not change anything.'); }
+  const current = record.request.payload;
+  if ('amount' in changes && !isRecordableRupees(changes.amount)) {
+    throw new Error('Correction has an invalid amount');
+  }
+  if ('occurredOn' in changes && (!ISO_DATE.test(changes.occurredOn) || Number.isNaN(Date.parse(changes.occurredOn)))) {
+    throw new Error('Correction has an invalid date');
+  }
+  if ('occurredOn' in changes && current.dueDate && changes.occurredOn > current.dueDate) {
+    throw new Error('The corrected date cannot be after the due date.');
+  }
+  if ('note' in changes && (typeof changes.note !== 'string' || changes.note.length > MAX_REASON_LENGTH)) {
+    throw new Error('Correction has an invalid note');
+  }
+  if (keys.every(key => (current[key] ?? (key === 'note' ? '' : null)) === changes[key])) {
+    throw new Error('The correction does not change anything.');
+  }
+}
+
+// A revised request must be the current one with exactly the proposed changes,
+// re-signed by the same initiator and pointing back at what it replaces.
+async function checkRevision(record, proposal, revised) {
+  await verifyShakehand(revised);
+  const { payload } = revised;
+  if (payload.from.key !== record.request.payload.from.key) { throw new Error('Revised request was not signed by the initiator'); }
+  const expected = {
+    ...record.request.payload,
+    ...proposal.payload.changes,
+    rev: proposal.payload.n,
+    prev: await hashRequest(record.request),
+    ts: payload.ts,
+    nonce: payload.nonce
+  };
+  if (canonicalJSON(expected) !== canonicalJSON(payload)) { throw new Error('Revised request does not match the proposed correction'); }
+}
+
+// Throws unless `entry` may come next on `record`. Shared by entries made here
+// and entries arriving in a link, so both devices apply the same rules.
+async function checkEntry(record, entry) {
+  const { payload, signature } = entry;
+  if (!payload || payload.v !== THREAD_VERSION || !ENTRY_KINDS.includes(payload.kind) || !payload.by || !payload.by.key) {
+    throw new Error('Unsupported correction link');
+  }
+  if (payload.id !== record.id) { throw new Error('This entry belongs to a different transaction'); }
+  if (payload.n !== threadOf(record).length + 1 || payload.prev !== await previousHash(record)) {
+    throw new Error('This update is out of order. Open the earlier link first.');
+  }
+
+  const by = normalizePhoneOrNull(payload.by.phone);
+  const isInitiator = samePhone(by, record.fromPhone);
+  if (!isInitiator && !samePhone(by, record.toPhone)) { throw new Error('Only the two people in this transaction can change it'); }
+  const expectedKey = knownKey(record, by);
+  if (expectedKey && expectedKey !== payload.by.key) { throw new Error('This entry was signed with a different key'); }
+  if (!await verifyObject(payload.by.key, payload, signature)) { throw new Error('Correction signature is invalid'); }
+
+  switch (payload.kind) {
+    case 'correction':
+      if (isInitiator) { throw new Error('Only the counterparty can propose a correction'); }
+      if (!assertTransition(record, STATES.AMENDING)) { throw new Error('A correction is already waiting for an answer'); }
+      checkChanges(record, payload.changes);
+      checkReason(payload.reason, true);
+      break;
+    case 'reply': {
+      if (!isInitiator) { throw new Error('Only the person who recorded this transaction can answer a correction'); }
+      const proposal = lastEntry(record);
+      if (record.status !== STATES.AMENDING || !proposal || proposal.payload.kind !== 'correction') { throw new Error('There is no correction waiting for an answer'); }
+      if (!REPLY_DECISIONS.includes(payload.decision)) { throw new Error('Reply has an invalid decision'); }
+      checkReason(payload.reason, false);
+      if (payload.decision === 'accepted') {
+        if (!entry.request) { throw new Error('Accepted correction is missing the revised request'); }
+        if (payload.revised !== await hashRequest(entry.request)) { throw new Error('Revised request does not match the signed answer'); }
+        await checkRevision(record, proposal, entry.request);
+      }
+      break;
+    }
+    case 'dispute':
+      if (!hasBeenConfirmed(record)) { throw new Error('Only a confirmed transaction can be disputed'); }
+      if (!assertTransition(record, STATES.DISPUTED)) { throw new Error('This transaction is already disputed'); }
+      checkReason(payload.reason, true);
+      break;
+    case 'withdrawal': {
+      const dispute = lastEntry(record, 'dispute');
+      if (record.status !== STATES.DISPUTED || !dispute) { throw new Error('This transaction is not disputed'); }
+      if (!samePhone(dispute.payload.by.phone, by)) { throw new Error('Only the person who raised the dispute can withdraw it'); }
+      checkReason(payload.reason, false);
+      break;
+    }
+  }
+}
+
+// Assumes checkEntry() passed. The transition uses the signed time and signer,
+// so the history comes out identical on both devices.
+function applyEntry(record, entry) {
+  const { payload } = entry;
+  const by = normalizePhoneOrNull(payload.by.phone);
+  const step = { by, at: payload.ts, reason: payload.reason || null };
+  record.thread = [...threadOf(record), entry];
+
+  if (payload.kind === 'correction') {
+    transition(record, STATES.AMENDING, step);
+  } else if (payload.kind === 'reply') {
+    if (payload.decision === 'accepted') {
+      const revised = entry.request.payload;
+      record.request = { payload: revised, signature: entry.request.signature };
+      record.amountPaise = toPaise(revised.amount);
+      record.note = revised.note;
+      record.occurredOn = revised.occurredOn || null;
+      record.date = revised.ts;
+    }
+    transition(record, STATES.PENDING, step);
+  } else if (payload.kind === 'dispute') {
+    transition(record, STATES.DISPUTED, step);
+  } else {
+    transition(record, STATES.CONFIRMED, step);
+  }
+  return record;
+}
+
+// Loads the transaction, signs a new entry from `user` and stores it.
+async function addEntry(user, txnId, fields, request = null) {
+  const record = await getTransactionById(txnId);
+  if (!record) { throw new Error('Transaction not found on this device'); }
+  if (expireIfStale(record)) {
+    await putTransaction(record);
+    throw new Error('This transaction has expired and can no longer be changed.');
+  }
+
+  const keys = await ensureSigningKeys(user);
+  const payload = {
+    v: THREAD_VERSION,
+    ...fields,
+    id: record.id,
+    n: threadOf(record).length + 1,
+    prev: await previousHash(record),
+    ts: new Date().toISOString(),
+    by: { name: user.name, phone: user.phone, key: keys.publicKey }
+  };
+  const entry = { payload, signature: await signObject(user, payload) };
+  if (request) { entry.request = request; }
+
+  await checkEntry(record, entry);
+  applyEntry(record, entry);
+  await putTransaction(record);
+  log('INFO', 'amendments.js', 'THREAD_ENTRY_ADDED', { id: record.id, kind: payload.kind, n: payload.n });
+  return record;
+}
+
+// --- CORRECTIONS ---
+
+// `changes` holds the new amount, occurredOn and/or note; unchanged fields are dropped.
+async function proposeCorrection(user, txnId, changes, reason) {
+  const record = await getTransactionById(txnId);
+  if (!record) { throw new Error('Transaction not found on this device'); }
+  const current = record.request.payload;
+  const changed = {};
+  for (const key of CORRECTABLE_FIELDS) {
+    if (changes[key] !== undefined && changes[key] !== null && changes[key] !== (current[key] ?? (key === 'note' ? '' : null))) {
+      changed[key] = changes[key];
+    }
+  }
+  return addEntry(user, txnId, { kind: 'correction', changes: changed, reason: checkReason(reason, true) });
+}
+
+// Accepting re-signs the request with the proposed changes; the counterparty
+// then confirms the revised request as usual.
+async function answerCorrection(user, txnId, accept, reason = '') {
+  const record = await getTransactionById(txnId);
+  if (!record) { throw new Error('Transaction not found on this device'); }
+  if (!samePhone(record.fromPhone, user.phone)) { throw new Error('Only the person who recorded this transaction can answer a correction'); }
+  const proposal = lastEntry(record);
+  if (record.status !== STATES.AMENDING || !proposal || proposal.payload.kind !== 'correction') { throw new Error('There is no correction waiting for an answer'); }
+
+  const fields = { kind: 'reply', decision: accept ? 'accepted' : 'rejected', reason: checkReason(reason, false) };
+  if (!accept) { return addEntry(user, txnId, fields); }
+
+  const payload = {
+    ...record.request.payload,
+    ...proposal.payload.changes,
+    rev: proposal.payload.n,
+    prev: await hashRequest(record.request),
+    ts: new Date().toISOString(),
+    nonce: randomId('', 9)
+  };
+  const revised = { payload, signature: await signObject(user, payload) };
+  return addEntry(user, txnId, { ...fields, revised: await hashRequest(revised) }, revised);
+}
+
+// The correction being discussed, or null if none is waiting for an answer.
+function pendingCorrection(record) {
+  const last = lastEntry(record);
+  return record.status === STATES.AMENDING && last && last.payload.kind === 'correction' ? last : null;
+}
+
+// --- DISPUTES ---
+
+async function raiseDispute(user, txnId, reason) {
+  return addEntry(user, txnId, { kind: 'dispute', reason: checkReason(reason, true) });
+}
+
+async function withdrawDispute(user, txnId, reason = '') {
+  return addEntry(user, txnId, { kind: 'withdrawal', reason: checkReason(reason, false) });
+}
+
+// The open dispute on a transaction, or null.
+function activeDispute(record) {
+  return record.status === STATES.DISPUTED ? lastEntry(record, 'dispute') : null;
+}
+
+// --- LINKS ---
+// The whole thread travels each time, so a device that missed a step catches up.
+
+function encodeThread(record) {
+  const entries = threadOf(record).map(entry => [entry.payload, entry.signature, entry.request ? [entry.request.payload, entry.request.signature] : null]);
+  return packJSON([record.id, entries]);
+}
+
+async function decodeThread(token) {
+  const decoded = await unpackJSON(token);
+  if (!Array.isArray(decoded) || decoded.length !== 2 || !Array.isArray(decoded[1])) { throw new Error('Malformed correction link'); }
+  const entries = decoded[1].map(item => {
+    if (!Array.isArray(item) || item.length !== 3) { throw new Error('Malformed correction link'); }
+    const entry = { payload: item[0], signature: item[1] };
+    if (item[2]) { entry.request = { payload: item[2][0], signature: item[2][1] }; }
+    return entry;
+  });
+  return { id: decoded[0], entries };
+}
+
+async function generateThreadLink(record) {
+  const baseUrl = `${window.location.origin}/confirm.html`;
+  const token = await encodeThread(record);
+  return `${baseUrl}?${new URLSearchParams({ am: token }).toString()}`;
+}
+
+// Applies whatever this device has not seen yet. Entries it already holds must
+// be the very same signed entries, otherwise the two threads have forked.
+async function acceptThread(token) {
+  const { id, entries } = await decodeThread(token);
+  const record = await getTransactionById(id);
+  if (!record) { throw new Error('Open the original transaction link on this device first'); }
+
+  const known = threadOf(record);
+  const overlap = Math.min(known.length, entries.length);
+  for (let i = 0; i < overlap; i++) {
+    if (known[i].signature !== entries[i].signature) {
+      log('WARN', 'amendments.js', 'THREAD_CONFLICT', { id, n: i + 1 });
+      throw new Error('This transaction was changed differently on the other device');
+    }
+  }
+  if (entries.length <= known.length) { return record; }
+
+  expireIfStale(record);
+  for (const entry of entries.slice(known.length)) {
+    await checkEntry(record, entry);
+    applyEntry(record, entry);
+  }
+  await putTransaction(record);
+  log('INFO', 'amendments.js', 'THREAD_ACCEPTED', { id, entries: entries.length - known.length });
+  return record;
+}
+
+// --- EXPORTS ---
+export {
+  proposeCorrection, answerCorrection, pendingCorrection, raiseDispute, withdrawDispute, activeDispute,
+  encodeThread, decodeThread, generateThreadLink, acceptThread, lastEntry
+};
@@ -15,6 +15,10 @@ function generateReferralCode() {
 
 function getUrlParams() { return new URLSearchParams(window.location.search); }
 
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
 function setCurrentUser(userId) {
   localStorage.setItem(CURRENT_USER_ID_KEY, userId);
   log('INFO', 'app.js', 'SESSION_SET', { userId });
@@ -31,4 +35,4 @@ function clearCurrentUser() {
 }
 
 // --- EXPORTS ---
-export { generateReferralCode, getUrlParams, setCurrentUser, getCurrentUserId, clearCurrentUser };
\ No newline at end of file
+export { generateReferralCode, getUrlParams, escapeHtml, setCurrentUser, getCurrentUserId, clearCurrentUser };
\ No newline at end of file
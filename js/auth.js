@@ -2,8 +2,10 @@
 
 // --- IMPORTS ---
 import { log } from './logger.js';
-import { findUserByPhone, getUserById } from './db.js';
+import { findUserByPhone, getUserById, getAllUsers } from './db.js';
 import { setCurrentUser, getCurrentUserId, clearCurrentUser } from './app.js';
+import { ensureUnlocked, markUnlocked } from './lock.js';
+import { isPasskeySupported, assertAnyPasskey } from './passkey.js';
 
 async function loginWithPhone(phone) {
   log('INFO', 'auth.js', 'LOGIN_ATTEMPT', { phone });
@@ -23,6 +25,27 @@ async function loginWithPhone(phone) {
   }
 }
 
+// Passkey login: the platform authenticator picks the credential and verifies
+// the person holding the phone, so no phone number or PIN needs to be typed.
+// Returns null (and the caller falls back to the PIN flow) when unsupported.
+async function loginWithPasskey() {
+  log('INFO', 'auth.js', 'PASSKEY_LOGIN_ATTEMPT');
+  if (!await isPasskeySupported()) {
+    log('INFO', 'auth.js', 'PASSKEY_LOGIN_UNSUPPORTED');
+    return null;
+  }
+  try {
+    const user = await assertAnyPasskey(await getAllUsers());
+    setCurrentUser(user.id);
+    markUnlocked(user);
+    log('INFO', 'auth.js', 'PASSKEY_LOGIN_SUCCESS', { userId: user.id, name: user.name });
+    return user;
+  } catch (error) {
+    log('WARN', 'auth.js', 'PASSKEY_LOGIN_FAILED', { error: error.message });
+    return null;
+  }
+}
+
 async function getCurrentUser() {
   const userId = getCurrentUserId();
   if (!userId) {
@@ -37,8 +60,10 @@ async function getCurrentUser() {
     } else {
       log('WARN', 'auth.js', 'GET_CURRENT_USER_USER_NOT_FOUND', { userId });
       clearCurrentUser();
+      return null;
     }
-    return user;
+    // A PIN-protected account stays behind the lock screen until it is unlocked.
+    return await ensureUnlocked(user);
   } catch (error) {
     log('ERROR', 'auth.js', 'GET_CURRENT_USER_ERROR', { userId, error: error.message });
     clearCurrentUser();
@@ -47,4 +72,4 @@ async function getCurrentUser() {
 }
 
 // --- EXPORTS ---
-export { loginWithPhone, getCurrentUser };
\ No newline at end of file
+export { loginWithPhone, loginWithPasskey, getCurrentUser };
\ No newline at end of file
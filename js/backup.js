@@ -0,0 +1,367 @@
+// js/backup.js
+
+// Profile backup: the open profile's user record and every record it owns or
+// is a party to (contacts, transactions, ledger, referrals, commissions,
+// payouts...) plus the referral code, sealed in one passphrase-encrypted file.
+// The key comes from PBKDF2 and the data is sealed with AES-GCM; the file
+// header is bound in as additional data, so a wrong passphrase, a flipped
+// byte or an edited header all fail the same check.
+//
+// Other profiles on the device are never exported and never overwritten: a
+// restore only ever touches the open profile, or adds one new to this device,
+// so nobody can carry off another profile's PIN hash or wipe its data.
+//
+// Signing keys are device-bound (non-extractable), so only their public halves
+// travel. A profile restored onto a new device gets a fresh signing key and
+// keeps the old public keys in `keys.previous`; its history still verifies
+// because every signed payload carries the key that signed it.
+
+// --- IMPORTS ---
+import { log } from './logger.js';
+import { DB_VERSION, readAllStores, getStoreKeyPaths, writeStores, referralRecordsFromLegacy, amountsInPaise, transactionAmountsInPaise, unsignedLedgerHeads } from './db.js';
+import { setCurrentUser } from './app.js';
+import { createIdentity } from './identity.js';
+import { lockNow } from './lock.js';
+import { formatPhone } from './phone.js';
+import { utf8Encode, utf8Decode, toBase64Url, fromBase64Url, randomBytes, canonicalJSON } from './encoding.js';
+
+const BACKUP_FORMAT = 'tt-backup';
+const BACKUP_VERSION = 1;
+const SUPPORTED_VERSIONS = [1];
+const PBKDF2_ITERATIONS = 310000;
+const MAX_PBKDF2_ITERATIONS = 5000000;
+const MIN_PASSPHRASE_LENGTH = 8;
+const RESTORE_MODES = ['merge', 'replace'];
+const REFERRAL_KEYS = ['personalReferralCode'];
+// Backups made before referral data moved into IndexedDB carry it as these blobs.
+const LEGACY_REFERRAL_KEYS = ['referralChain', 'pendingCommissions', 'paidCommissions'];
+
+async function deriveKey(passphrase, salt, iterations) {
+  const baseKey = await crypto.subtle.importKey('raw', utf8Encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    baseKey, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']
+  );
+}
+
+function headerOf(file) {
+  const { format, version, createdAt, kdf, cipher } = file;
+  return utf8Encode(canonicalJSON({ format, version, createdAt, kdf, cipher }));
+}
+
+function readReferralData() {
+  const referral = {};
+  REFERRAL_KEYS.forEach(key => {
+    const value = localStorage.getItem(key);
+    if (value !== null) { referral[key] = value; }
+  });
+  return referral;
+}
+
+// CryptoKey objects cannot be serialized; only the public half of a key leaves the device.
+function exportableUser(user) {
+  if (!user.keys) { return user; }
+  const { privateKey, ...keys } = user.keys;
+  return { ...user, keys };
+}
+
+// The records of `user` in each store. Stores not listed here are left out.
+function profileStores(stores, user) {
+  const { id, phone } = user;
+  const codes = [user.referralCode, phone];
+  const isParty = record => record.fromPhone === phone || record.toPhone === phone || (record.parties || []).includes(phone);
+  const owns = {
+    users: record => record.id === id,
+    contacts: record => record.ownerId === id,
+    transactions: isParty,
+    creditTransfers: isParty,
+    agreements: isParty,
+    ledger: record => record.ownerPhone === phone,
+    ledgerHeads: record => record.ownerPhone === phone,
+    scoreSnapshots: record => record.phone === phone,
+    referrals: record => record.referredUser === phone || codes.includes(record.referrerCode),
+    commissions: record => codes.includes(record.recipient),
+    payouts: record => codes.includes(record.recipient),
+    // Burned invite ids, kept device-wide so an invite never works twice.
+    invites: () => true
+  };
+  return Object.fromEntries(Object.entries(owns).map(([name, owned]) => [name, (stores[name] || []).filter(owned)]));
+}
+
+// Encrypts backup content under the passphrase and returns the file's text.
+async function sealBackup(content, passphrase) {
+  if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`The backup passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+  }
+  const salt = randomBytes(16);
+  const iv = randomBytes(12);
+  const file = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: content.exportedAt,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: toBase64Url(salt) },
+    cipher: { name: 'AES-GCM', iv: toBase64Url(iv) }
+  };
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const sealed = await crypto.subtle.encrypt({ name: 'AES-GCM', iv, additionalData: headerOf(file) }, key, utf8Encode(JSON.stringify(content)));
+  file.data = toBase64Url(sealed);
+  return JSON.stringify(file);
+}
+
+// Only the unlocked profile can be backed up.
+async function createBackup(user, passphrase) {
+  const stores = profileStores(await readAllStores(), user);
+  stores.users = stores.users.map(exportableUser);
+  const content = { dbVersion: DB_VERSION, exportedAt: new Date().toISOString(), stores, referral: readReferralData() };
+  const text = await sealBackup(content, passphrase);
+
+  log('INFO', 'backup.js', 'BACKUP_CREATED', { userId: user.id, ...Object.fromEntries(Object.entries(stores).map(([name, records]) => [name, records.length])) });
+  return text;
+}
+
+async function downloadBackup(user, passphrase) {
+  const text = await createBackup(user, passphrase);
+  const blob = new Blob([text], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a'); a.href = url; a.download = `TT-Backup-${new Date().toISOString().slice(0, 10)}.json`;
+  document.body.appendChild(a); a.click(); document.body.removeChild(a); URL.revokeObjectURL(url);
+}
+
+async function openBackup(text, passphrase) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (error) {
+    throw new Error('This is not a Transparent Transactions backup file.');
+  }
+  if (!file || file.format !== BACKUP_FORMAT) { throw new Error('This is not a Transparent Transactions backup file.'); }
+  if (!SUPPORTED_VERSIONS.includes(file.version)) { throw new Error('This backup was made by a newer version of the app. Please update first.'); }
+  const { kdf, cipher } = file;
+  if (!kdf || kdf.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' || !(kdf.iterations > 0 && kdf.iterations <= MAX_PBKDF2_ITERATIONS) ||
+      !cipher || cipher.name !== 'AES-GCM' || typeof file.data !== 'string') {
+    throw new Error('The backup file is damaged.');
+  }
+
+  let content;
+  try {
+    const key = await deriveKey(passphrase, fromBase64Url(kdf.salt), kdf.iterations);
+    const plain = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64Url(cipher.iv), additionalData: headerOf(file) }, key, fromBase64Url(file.data)
+    );
+    content = JSON.parse(utf8Decode(new Uint8Array(plain)));
+  } catch (error) {
+    log('WARN', 'backup.js', 'BACKUP_DECRYPT_FAILED', { error: error.message });
+    throw new Error('Wrong passphrase, or the backup file has been changed.');
+  }
+
+  if (!(content.dbVersion > 0) || content.dbVersion > DB_VERSION) {
+    throw new Error('This backup was made by a newer version of the app. Please update first.');
+  }
+  if (!content.stores || !Array.isArray(content.stores.users) || content.stores.users.length === 0 || typeof content.referral !== 'object') {
+    throw new Error('The backup file is damaged.');
+  }
+  return upgradeContent(content);
+}
+
+// Brings an older backup up to the current store layout before it is planned.
+function upgradeContent(content) {
+  if (content.dbVersion < 11) {
+    const stores = Object.fromEntries(Object.entries(content.stores).map(([name, records]) => [name, amountsInPaise(name, records)]));
+    content = { ...content, stores };
+  }
+  if (content.dbVersion < 14) {
+    content = { ...content, stores: { ...content.stores, ledgerHeads: unsignedLedgerHeads(content.stores.ledger || []) } };
+  }
+  if (content.dbVersion < 15) {
+    const stores = Object.fromEntries(Object.entries(content.stores).map(([name, records]) => [name, transactionAmountsInPaise(name, records)]));
+    content = { ...content, stores };
+  }
+  const legacy = LEGACY_REFERRAL_KEYS.filter(key => key in content.referral);
+  if (legacy.length === 0) { return content; }
+
+  const parse = (text, fallback) => { try { return JSON.parse(text) ?? fallback; } catch (e) { return fallback; } };
+  const records = referralRecordsFromLegacy({
+    referralChain: parse(content.referral.referralChain, {}),
+    pendingCommissions: parse(content.referral.pendingCommissions, []),
+    paidCommissions: parse(content.referral.paidCommissions, [])
+  });
+  const referral = { ...content.referral };
+  legacy.forEach(key => delete referral[key]);
+  return {
+    ...content,
+    referral,
+    stores: { ...content.stores, referrals: records.referrals, commissions: records.commissions }
+  };
+}
+
+// Keeps this device's private key when it already has one for the profile,
+// otherwise creates one. Whatever public key the backup carried is retired.
+async function restoreKeys(backupUser, localUser) {
+  const keys = localUser && localUser.keys && localUser.keys.privateKey ? { ...localUser.keys } : await createIdentity();
+  const previous = [...(keys.previous || [])];
+  const backupKeys = backupUser.keys || {};
+  [...(backupKeys.previous || []), backupKeys].forEach(old => {
+    if (old.publicKey && old.publicKey !== keys.publicKey && !previous.some(p => p.publicKey === old.publicKey)) {
+      previous.push({ publicKey: old.publicKey, createdAt: old.createdAt || null });
+    }
+  });
+  return previous.length > 0 ? { ...keys, previous } : keys;
+}
+
+// Passkey credentials and lockout counters belong to the device they were made on.
+async function restoredUser(backupUser, localUser) {
+  const user = { ...backupUser, ...(localUser || {}), keys: await restoreKeys(backupUser, localUser) };
+  if (!localUser) { delete user.passkey; }
+  user.lockout = localUser ? localUser.lockout : { failures: 0, lockedUntil: null };
+  return user;
+}
+
+// An invite burned on either side stays burned, whichever way the restore goes.
+function usedInvites(content, local) {
+  const localIds = new Set((local.invites || []).map(invite => invite.id));
+  return [...(local.invites || []), ...(content.stores.invites || []).filter(invite => !localIds.has(invite.id))];
+}
+
+function keyOf(keyPath, record) {
+  return Array.isArray(keyPath) ? keyPath.map(path => record[path]) : record[keyPath];
+}
+
+function nextId(records) {
+  return records.reduce((max, record) => Math.max(max, Number(record.id) || 0), 0) + 1;
+}
+
+// Replace swaps the profile's own records for the backup's. A transaction,
+// transfer or agreement it shares with another profile on this device is that
+// profile's too, so the copy here is kept whichever way it differs.
+async function planReplace(content, local, keyPaths) {
+  const backupUser = content.stores.users[0];
+  const localUser = local.users.find(user => user.phone === backupUser.phone) || null;
+  const others = new Set(local.users.filter(user => user !== localUser).map(user => user.phone));
+  const shared = record => [record.fromPhone, record.toPhone, ...(record.parties || [])].some(phone => others.has(phone));
+  const mine = localUser ? profileStores(local, localUser) : {};
+
+  // Replace means the backup's profile wins; only device-bound pieces are kept.
+  const user = { ...backupUser, id: localUser ? localUser.id : nextId(local.users), keys: await restoreKeys(backupUser, localUser), lockout: { failures: 0, lockedUntil: null } };
+  if (localUser && localUser.passkey) { user.passkey = localUser.passkey; } else { delete user.passkey; }
+
+  const plan = { ...content.stores, users: [user], invites: usedInvites(content, local) };
+  const remove = {};
+  let nextContactId = nextId(local.contacts || []);
+  plan.contacts = (content.stores.contacts || []).map(contact => ({ ...contact, ownerId: user.id, id: nextContactId++ }));
+  ['transactions', 'creditTransfers', 'agreements'].forEach(name => {
+    const sharedHere = new Set((local[name] || []).filter(shared).map(record => record.id));
+    plan[name] = (content.stores[name] || []).filter(record => !sharedHere.has(record.id));
+    remove[name] = (mine[name] || []).filter(record => !shared(record)).map(record => record.id);
+  });
+  // Referral rows link this profile to others, so they are only ever added.
+  ['contacts', 'ledger', 'ledgerHeads', 'scoreSnapshots', 'commissions', 'payouts'].forEach(name => {
+    remove[name] = (mine[name] || []).map(record => keyOf(keyPaths[name], record));
+  });
+  return { plan, remove, userIds: new Map([[backupUser.id, user.id]]) };
+}
+
+// Merge keeps everything already on this device and adds what is missing.
+// Users are matched by phone; new ones get fresh ids and everything that
+// pointed at their old id is re-pointed.
+async function planMerge(content, local, keyPaths) {
+  const localByPhone = new Map(local.users.map(user => [user.phone, user]));
+  let nextUserId = nextId(local.users);
+  const userIds = new Map();
+  const plan = {};
+
+  plan.users = [];
+  for (const backupUser of content.stores.users) {
+    const localUser = localByPhone.get(backupUser.phone);
+    const user = await restoredUser(backupUser, localUser);
+    user.id = localUser ? localUser.id : nextUserId++;
+    userIds.set(backupUser.id, user.id);
+    plan.users.push(user);
+  }
+
+  const contactKeys = new Set((local.contacts || []).map(contact => `${contact.ownerId}|${contact.phone}`));
+  let nextContactId = nextId(local.contacts || []);
+  plan.contacts = (content.stores.contacts || [])
+    .map(contact => ({ ...contact, ownerId: userIds.get(contact.ownerId) ?? contact.ownerId }))
+    .filter(contact => !contactKeys.has(`${contact.ownerId}|${contact.phone}`))
+    .map(contact => ({ ...contact, id: nextContactId++ }));
+
+  // A local transaction (or credit transfer, or agreement) only gives way when
+  // it is still pending and the backup knows the outcome, or when the backup
+  // holds more of its correction and dispute thread.
+  ['transactions', 'creditTransfers', 'agreements'].forEach(name => {
+    const localRecords = new Map((local[name] || []).map(record => [record.id, record]));
+    plan[name] = (content.stores[name] || []).filter(record => {
+      const mine = localRecords.get(record.id);
+      return !mine || (mine.status === 'pending' && record.status !== 'pending') ||
+        (record.thread || []).length > (mine.thread || []).length;
+    });
+  });
+
+  plan.invites = usedInvites(content, local).filter(invite => !(local.invites || []).includes(invite));
+
+  // A chain is only taken whole, for a profile with no chain here yet. Where
+  // both sides have one they may have forked, and entries spliced across
+  // would not link; sealLedger() re-chains the confirmed transactions the
+  // merge brought in the next time that profile is opened.
+  const chained = new Set([...(local.ledger || []), ...(local.ledgerHeads || [])].map(item => item.ownerPhone));
+  plan.ledger = (content.stores.ledger || []).filter(entry => !chained.has(entry.ownerPhone));
+  plan.ledgerHeads = (content.stores.ledgerHeads || []).filter(head => !chained.has(head.ownerPhone));
+
+  // Every other store: add the records whose key is not already here.
+  Object.keys(local).filter(name => !(name in plan) && content.stores[name]).forEach(name => {
+    const localKeys = new Set(local[name].map(record => JSON.stringify(keyOf(keyPaths[name], record))));
+    plan[name] = content.stores[name].filter(record => !localKeys.has(JSON.stringify(keyOf(keyPaths[name], record))));
+  });
+  return { plan, remove: {}, userIds };
+}
+
+function restoreReferralData(referral, mode) {
+  REFERRAL_KEYS.forEach(key => {
+    if (key in referral && (mode === 'replace' || !localStorage.getItem(key))) {
+      localStorage.setItem(key, referral[key]);
+    } else if (mode === 'replace') {
+      localStorage.removeItem(key);
+    }
+  });
+}
+
+// The profile a backup restores: the open one, or one new to this device.
+// Backups made before they were per-profile may hold several; only the open
+// profile's records are taken from those.
+function chooseProfile(content, user, local) {
+  const users = content.stores.users;
+  const backupUser = users.find(other => other.phone === user.phone) || (users.length === 1 ? users[0] : null);
+  if (!backupUser) { throw new Error('This backup holds several profiles and none of them is the one that is open. Open that profile and restore again.'); }
+  if (backupUser.phone !== user.phone && local.users.some(other => other.phone === backupUser.phone)) {
+    throw new Error(`This backup is for ${formatPhone(backupUser.phone)}, which has its own profile on this device. Unlock that profile to restore it.`);
+  }
+  return { ...content, stores: profileStores(content.stores, backupUser) };
+}
+
+async function restoreBackup(user, text, passphrase, mode = 'merge') {
+  if (!RESTORE_MODES.includes(mode)) { throw new Error(`Unknown restore mode "${mode}"`); }
+  const local = await readAllStores();
+  const content = chooseProfile(await openBackup(text, passphrase), user, local);
+  const keyPaths = await getStoreKeyPaths();
+  const { plan, remove, userIds } = mode === 'replace' ? await planReplace(content, local, keyPaths) : await planMerge(content, local, keyPaths);
+
+  await writeStores(plan, { remove });
+  restoreReferralData(content.referral, mode);
+
+  // After a replace the profile's PIN is the one from the backup, so the
+  // session is locked and the restored profile has to be unlocked with it.
+  if (mode === 'replace') {
+    lockNow('restore');
+    setCurrentUser(plan.users[0].id);
+  }
+
+  const summary = Object.fromEntries(Object.entries(plan).map(([name, records]) => [name, records.length]));
+  log('INFO', 'backup.js', 'BACKUP_RESTORED', { mode, dbVersion: content.dbVersion, exportedAt: content.exportedAt, ...summary });
+  return { mode, exportedAt: content.exportedAt, counts: summary, users: userIds.size };
+}
+
+// --- EXPORTS ---
+export {
+  MIN_PASSPHRASE_LENGTH, profileStores, sealBackup, createBackup, downloadBackup, openBackup,
+  planReplace, planMerge, chooseProfile, restoreBackup
+};
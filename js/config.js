@@ -1,10 +1,7 @@
 const APP_CONFIG = {
-    DB_NAME: 'TransparentTransactionsDB',
-    DB_VERSION: 3, // Incremented for new user fields
     RAZORPAY_KEY_ID: 'rzp_test_YOUR_KEY_ID_HERE', 
     REPORT_COST: 10,
     PUBLISH_COST: 10,
     REFERRAL_COMMISSION: { LEVEL_1: 1.60, LEVEL_2: 0.80, LEVEL_3: 0.40, LEVEL_4: 0.20, ADMIN_CUT: 7.00 },
-    PAYOUT_THRESHOLD: 10,
-    SEED_REFERRAL_CODE: 'SEEDTT001'
+    PAYOUT_THRESHOLD: 10
 };
\ No newline at end of file
@@ -1,92 +1,680 @@
+// js/confirm-logic.js
+
+// --- IMPORTS ---
+import { log } from './logger.js';
+import { getUrlParams, escapeHtml, setCurrentUser, generateReferralCode } from './app.js';
+import { addUser, findUserByPhone } from './db.js';
+import { getCurrentUser } from './auth.js';
+import { acceptShakehand, createReceipt, cancelShakehand, acceptReceipt } from './digital-shakehand.js';
+import { STATES, canTransition, effectiveStatus, describeStatus } from './lifecycle.js';
+import { createIdentity, getFingerprint } from './identity.js';
+import { validateSecret, createPinRecord, markUnlocked } from './lock.js';
+import { normalizePhone, samePhone, formatPhone } from './phone.js';
+import { localToday, parseAmount, generateTransactionLink, generateReceiptLink, shareOrCopy } from './transactions.js';
+import { proposeCorrection, answerCorrection, pendingCorrection, raiseDispute, withdrawDispute, activeDispute, generateThreadLink, acceptThread, lastEntry } from './amendments.js';
+import { acceptCreditTransfer, answerCreditTransfer, cancelCreditTransfer, generateCreditTransferLink, awaitingAnswerFrom, approvalBy } from './credit-transfer.js';
+import { sealLedger } from './ledger.js';
+import { FREQUENCIES, buildSchedule, acceptAgreementLink, answerAgreement, cancelAgreement, generateAgreementLink, agreementProgress } from './agreements.js';
+import { showLinkQR } from './qr-link.js';
+import { formatMoney, formatRupees, toRupees } from './money.js';
+
 document.addEventListener('DOMContentLoaded', async () => {
-    await initDB();
-    const urlParams = new URLSearchParams(window.location.search);
-    const txnId = urlParams.get('txn');
-    const refCode = urlParams.get('ref');
-
-    let user = checkLoginStatus();
-    if (!user) {
-        showMiniOnboarding(txnId, refCode);
+  const params = getUrlParams();
+  const token = params.get('tx');
+  const receiptToken = params.get('rc');
+  const transferToken = params.get('ct');
+  const agreementToken = params.get('ag');
+  const threadToken = params.get('am');
+  const refCode = params.get('ref');
+  log('INFO', 'confirm-logic.js', 'PAGE_LOAD', { hasToken: !!token, hasReceipt: !!receiptToken, hasTransfer: !!transferToken, hasAgreement: !!agreementToken, hasThread: !!threadToken, refCode });
+
+  if (!token && !receiptToken && !transferToken && !agreementToken && !threadToken) {
+    showMessage('Transaction Not Found', 'This link does not contain a transaction.');
+    return;
+  }
+
+  const user = await getCurrentUser();
+  if (receiptToken) {
+    if (user) {
+      showReceiptResult(user, receiptToken);
     } else {
-        showConfirmationInterface(txnId);
+      showMessage('Please Log In', 'Open this receipt on the device where you recorded the transaction.');
     }
+  } else if (!user) {
+    showMiniOnboarding(refCode);
+  } else if (transferToken) {
+    showCreditTransfer(user, transferToken);
+  } else if (agreementToken) {
+    showAgreement(user, agreementToken);
+  } else if (threadToken) {
+    showThread(user, threadToken);
+  } else {
+    showConfirmationInterface(user, token);
+  }
 });
 
-function showMiniOnboarding(txnId, refCode) {
-    const container = document.getElementById('main-container');
-    container.innerHTML = `
-        <h2>Join to Confirm Transaction</h2>
-        <p>You need to be a member of Transparent Transactions to view this request.</p>
-        <form id="mini-onboarding-form">
-            <label for="phone-number">Your Phone Number</label>
-            <input type="tel" id="phone-number" required>
-            <label for="user-name">Your Name</label>
-            <input type="text" id="user-name" required>
-            <button type="submit">Join & Confirm</button>
-        </form>
-    `;
-    document.getElementById('mini-onboarding-form').addEventListener('submit', (e) => handleMiniSignup(e, txnId, refCode));
-}
-
-async function handleMiniSignup(event, txnId, refCode) {
-    event.preventDefault();
-    const phoneNumber = document.getElementById('phone-number').value;
-    const name = document.getElementById('user-name').value;
+function showMessage(title, text) {
+  document.getElementById('main-container').innerHTML = `<h2>${escapeHtml(title)}</h2><p>${escapeHtml(text)}</p>`;
+}
+
+function showMiniOnboarding(refCode) {
+  const container = document.getElementById('main-container');
+  container.innerHTML = `
+    <h2>Join to Confirm Transaction</h2>
+    <p>You need to be a member of Transparent Transactions to view this request.</p>
+    <form id="mini-onboarding-form">
+      <label for="phone-number">Your Phone Number</label>
+      <input type="tel" id="phone-number" required>
+      <label for="user-name">Your Name</label>
+      <input type="text" id="user-name" required>
+      <label for="user-pin">Choose a PIN or Passphrase</label>
+      <input type="password" id="user-pin" autocomplete="new-password" required>
+      <button type="submit">Join & Confirm</button>
+    </form>
+  `;
+  document.getElementById('mini-onboarding-form').addEventListener('submit', (e) => handleMiniSignup(e, refCode));
+}
+
+async function handleMiniSignup(event, refCode) {
+  event.preventDefault();
+  const name = document.getElementById('user-name').value;
+  const pin = document.getElementById('user-pin').value;
+  let phone;
+  try {
+    phone = normalizePhone(document.getElementById('phone-number').value);
+  } catch (error) {
+    alert(error.message);
+    return;
+  }
+  const pinProblem = validateSecret(pin);
+  if (pinProblem) {
+    alert(pinProblem);
+    return;
+  }
+
+  try {
+    const newUser = {
+      name, phone, email: null, referralCode: generateReferralCode(), upline: [refCode || null, null, null, null],
+      keys: await createIdentity(), pin: await createPinRecord(pin), lockout: { failures: 0, lockedUntil: null }
+    };
+    const userId = await addUser(newUser);
+    setCurrentUser(userId);
+    markUnlocked({ id: userId });
+    log('INFO', 'confirm-logic.js', 'MINI_SIGNUP_SUCCESS', { userId, phone });
+    // Reload the page logic to show confirmation
+    location.reload();
+  } catch (error) {
+    log('ERROR', 'confirm-logic.js', 'MINI_SIGNUP_FAILED', { error: error.message, phone });
+    alert(error.name === 'ConstraintError' ? 'This phone number is already registered on this device.' : 'Signup failed. Please try again.');
+  }
+}
+
+async function showConfirmationInterface(user, token, trustKey = null) {
+  let transaction;
+  try {
+    transaction = await acceptShakehand(token, user, { trustKey });
+  } catch (error) {
+    if (error.name === 'UnknownKeyError') {
+      await showKeyCheck(error, key => showConfirmationInterface(user, token, key));
+      return;
+    }
+    log('WARN', 'confirm-logic.js', 'SHAKEHAND_REJECTED', { error: error.message });
+    showMessage('Invalid Transaction Link', error.message);
+    return;
+  }
+  await renderTransaction(user, transaction);
+}
+
+// A correction or dispute sent over by the other side.
+async function showThread(user, threadToken) {
+  let transaction;
+  try {
+    transaction = await acceptThread(threadToken);
+  } catch (error) {
+    log('WARN', 'confirm-logic.js', 'THREAD_REJECTED', { error: error.message });
+    showMessage('Invalid Correction Link', error.message);
+    return;
+  }
+  await renderTransaction(user, transaction);
+}
+
+// Both sides see the same page; which buttons appear depends on who is
+// looking and where the transaction is in its life.
+async function renderTransaction(user, transaction) {
+  const isInitiator = samePhone(transaction.fromPhone, user.phone);
+  if (!isInitiator && !samePhone(transaction.toPhone, user.phone)) {
+    showMessage('Transaction Not Found', 'This transaction could not be found or is not for you.');
+    return;
+  }
+
+  const otherName = isInitiator ? transaction.toName || formatPhone(transaction.toPhone) : transaction.fromName;
+  let claim;
+  if (isInitiator) {
+    claim = transaction.type === 'gave' ? `You say you gave ${otherName}` : `You say ${otherName} gave you`;
+  } else {
+    claim = transaction.type === 'gave'
+      ? `${transaction.fromName} says they gave you`
+      : `${transaction.fromName} says you gave them`;
+  }
+
+  const status = effectiveStatus(transaction);
+  let title = `Transaction ${describeStatus(status)}`;
+  if (status === STATES.PENDING) { title = isInitiator ? 'Waiting for Confirmation' : 'Confirm Transaction'; }
+  const container = document.getElementById('main-container');
+  container.innerHTML = `
+    <h2>${escapeHtml(title)}</h2>
+    <div class="transaction-details">
+      <p>${escapeHtml(claim)} <strong>${escapeHtml(formatMoney(transaction.amountPaise))}</strong></p>
+      <p><strong>From:</strong> ${escapeHtml(transaction.fromName)} (${escapeHtml(formatPhone(transaction.fromPhone))})</p>
+      ${isInitiator ? '' : `<p><strong>Their key:</strong> <code>${escapeHtml(await getFingerprint(transaction.request.payload.from.key))}</code></p>`}
+      <p><strong>To:</strong> ${escapeHtml(formatPhone(transaction.toPhone))}</p>
+      <p><strong>Date:</strong> ${escapeHtml(formatDay(transaction.occurredOn) || new Date(transaction.date).toLocaleString())}</p>
+      ${transaction.dueDate ? `<p><strong>Due:</strong> ${escapeHtml(formatDay(transaction.dueDate))}</p>` : ''}
+      ${transaction.note ? `<p><strong>Note:</strong> ${escapeHtml(transaction.note)}</p>` : ''}
+      <p><strong>Status:</strong> ${escapeHtml(describeStatus(status))}</p>
+      ${renderThread(user, transaction)}
+      ${renderHistory(transaction)}
+    </div>
+  `;
+  // Two profiles on one phone can confirm each other, but it proves nothing:
+  // red-flags.js counts it as self-dealing, so say so before they do.
+  if (!isInitiator && status === STATES.PENDING && await findUserByPhone(transaction.fromPhone)) {
+    container.insertAdjacentHTML('beforeend', `<p class="warning">${escapeHtml(transaction.fromName)} also has a profile on this phone. Confirmations between profiles on the same phone are flagged as self-dealing and lower both trust scores.</p>`);
+  }
+  if (isInitiator && status === STATES.PENDING && !lastEntry(transaction)) {
+    container.insertAdjacentHTML('beforeend', `<p>This is your own request. ${escapeHtml(otherName)} needs to open it.</p>`);
+    appendQRButton(container, await generateTransactionLink(transaction));
+  }
 
+  const button = (label, className, onClick) => {
+    const btn = document.createElement('button');
+    if (className) { btn.className = className; }
+    btn.textContent = label;
+    btn.addEventListener('click', onClick);
+    container.append(btn);
+  };
+  // Runs a thread action and redraws the page with the result.
+  const act = (event, action) => async () => {
     try {
-        const newUser = { phoneNumber, name, referredBy: refCode, referralCode: generateReferralCode(), createdAt: new Date().toISOString(), profileComplete: true };
-        await addData('users', newUser);
-        localStorage.setItem('loggedInUser', JSON.stringify(newUser));
-        // Reload the page logic to show confirmation
-        location.reload();
+      const updated = await action();
+      if (updated) { await renderTransaction(user, updated); }
     } catch (error) {
-        console.error('Mini-signup failed:', error);
-        alert('Signup failed. Please try again.');
+      log('ERROR', 'confirm-logic.js', event, { txnId: transaction.id, error: error.message });
+      alert(error.message);
+    }
+  };
+
+  if (!isInitiator && status === STATES.PENDING) {
+    button('Confirm', 'confirm-btn', () => decideTxn(user, transaction.id, 'confirmed'));
+    button('Deny', 'deny-btn', () => decideTxn(user, transaction.id, 'denied'));
+    button('Propose Correction', null, () => showCorrectionForm(user, transaction));
+  }
+
+  if (isInitiator && pendingCorrection(transaction)) {
+    button('Accept Correction', 'confirm-btn', act('CORRECTION_ANSWER_FAILED', () => answerCorrection(user, transaction.id, true)));
+    button('Reject Correction', 'deny-btn', act('CORRECTION_ANSWER_FAILED', () => {
+      const reason = prompt('Why are you rejecting this correction? (optional)');
+      return reason === null ? null : answerCorrection(user, transaction.id, false, reason);
+    }));
+  }
+
+  if (isInitiator && canTransition(status, STATES.CANCELLED)) {
+    button('Cancel Request', 'deny-btn', act('CANCEL_FAILED', () => {
+      if (!confirm('Cancel this request? If they answer later, the answer will be rejected.')) { return null; }
+      return cancelShakehand(user, transaction.id);
+    }));
+  }
+
+  if (status === STATES.CONFIRMED) {
+    button('Raise Dispute', 'deny-btn', act('DISPUTE_FAILED', () => {
+      const reason = prompt(`What is wrong with this transaction? ${otherName} will see your reason.`);
+      return reason === null ? null : raiseDispute(user, transaction.id, reason);
+    }));
+  }
+
+  const dispute = activeDispute(transaction);
+  if (dispute && samePhone(dispute.payload.by.phone, user.phone)) {
+    button('Withdraw Dispute', 'confirm-btn', act('DISPUTE_WITHDRAW_FAILED', () => {
+      if (!confirm('Withdraw your dispute? The transaction will count as confirmed again.')) { return null; }
+      return withdrawDispute(user, transaction.id);
+    }));
+  }
+
+  // The last word in the thread is ours: the other side needs to see it.
+  const last = lastEntry(transaction);
+  if (last && samePhone(last.payload.by.phone, user.phone)) {
+    const link = await generateThreadLink(transaction);
+    button(`Send to ${otherName}`, 'confirm-btn', async () => {
+      try {
+        const outcome = await shareOrCopy('Transaction Update', `I have updated our transaction of ${formatMoney(transaction.amountPaise)} (${describeStatus(status)}). Open this link to see it: ${link}`, link);
+        if (outcome === 'copied') { alert('Link copied to clipboard!'); }
+      } catch (error) {
+        log('ERROR', 'confirm-logic.js', 'CLIPBOARD_COPY_FAILED', { error: error.message });
+      }
+    });
+    appendQRButton(container, link);
+  }
+
+  button('Go to Dashboard', null, () => { window.location.href = 'index.html'; });
+}
+
+// The counterparty's counter-proposal: only the fields they change are sent.
+function showCorrectionForm(user, transaction) {
+  const container = document.getElementById('main-container');
+  container.innerHTML = `
+    <h2>Propose Correction</h2>
+    <p>Change what is wrong and say why. ${escapeHtml(transaction.fromName)} can accept or reject it.</p>
+    <form id="correction-form" novalidate>
+      <label for="correction-amount">Amount (₹)</label>
+      <input type="text" id="correction-amount" inputmode="decimal" value="${escapeHtml(toRupees(transaction.amountPaise))}">
+      <label for="correction-date">Date</label>
+      <input type="date" id="correction-date" max="${escapeHtml(localToday())}" value="${escapeHtml(transaction.occurredOn || '')}">
+      <label for="correction-note">Note</label>
+      <input type="text" id="correction-note" maxlength="200" value="${escapeHtml(transaction.note || '')}">
+      <label for="correction-reason">Reason</label>
+      <input type="text" id="correction-reason" maxlength="200" required>
+      <button type="submit" class="confirm-btn">Send Correction</button>
+      <button type="button" id="correction-back">Back</button>
+    </form>
+  `;
+  document.getElementById('correction-back').addEventListener('click', () => renderTransaction(user, transaction));
+  document.getElementById('correction-form').addEventListener('submit', async (event) => {
+    event.preventDefault();
+    try {
+      const date = document.getElementById('correction-date').value;
+      if (date && date > localToday()) { throw new Error('The transaction date cannot be in the future.'); }
+      const changes = {
+        amount: parseAmount(document.getElementById('correction-amount').value),
+        occurredOn: date || null,
+        note: document.getElementById('correction-note').value.trim()
+      };
+      const updated = await proposeCorrection(user, transaction.id, changes, document.getElementById('correction-reason').value);
+      log('INFO', 'confirm-logic.js', 'CORRECTION_PROPOSED', { txnId: transaction.id });
+      await renderTransaction(user, updated);
+    } catch (error) {
+      log('WARN', 'confirm-logic.js', 'CORRECTION_FAILED', { txnId: transaction.id, error: error.message });
+      alert(error.message);
+    }
+  });
+}
+
+async function decideTxn(user, txnId, decision) {
+  try {
+    const transaction = await createReceipt(user, txnId, decision);
+    log('INFO', 'confirm-logic.js', decision === 'confirmed' ? 'TRANSACTION_CONFIRMED' : 'TRANSACTION_DENIED', { txnId });
+    await showReceiptShare(transaction);
+  } catch (error) {
+    log('ERROR', 'confirm-logic.js', 'DECISION_FAILED', { txnId, decision, error: error.message });
+    if (error.name === 'IllegalTransitionError') {
+      showMessage('Cannot Update Transaction', error.message);
+    } else {
+      alert(decision === 'confirmed' ? 'Failed to confirm.' : 'Failed to deny.');
+    }
+  }
+}
+
+// A "Show QR" toggle for when the other person is standing right here. The
+// animation stops by itself once the page is redrawn without the canvas.
+function appendQRButton(container, link) {
+  const canvas = document.createElement('canvas');
+  canvas.style.cssText = 'display: none; margin: 10px auto;';
+  let stop = null;
+  const btn = document.createElement('button');
+  btn.textContent = 'Show QR';
+  btn.addEventListener('click', () => {
+    if (stop) {
+      stop();
+      stop = null;
+      canvas.style.display = 'none';
+      btn.textContent = 'Show QR';
+      return;
     }
+    stop = showLinkQR(canvas, link, { onFrame: () => { if (!canvas.isConnected && stop) { stop(); } } });
+    canvas.style.display = 'block';
+    btn.textContent = 'Hide QR';
+  });
+  container.append(btn, canvas);
+}
+
+// "2024-03-05" is a calendar day, so it is read as local midnight, not UTC.
+function formatDay(day) {
+  return day ? new Date(`${day}T00:00:00`).toLocaleDateString() : null;
+}
+
+// Who did what, and when, oldest first.
+function renderHistory(transaction) {
+  if (!transaction.history || transaction.history.length === 0) { return ''; }
+  const items = transaction.history.map(step => {
+    const actor = step.by === 'system' ? 'automatically' : `by ${formatPhone(step.by)}`;
+    return `<li>${escapeHtml(describeStatus(step.to))} ${escapeHtml(actor)} on ${escapeHtml(new Date(step.at).toLocaleString())}</li>`;
+  }).join('');
+  return `<ul class="transaction-history">${items}</ul>`;
 }
 
-async function showConfirmationInterface(txnId) {
-    const user = JSON.parse(localStorage.getItem('loggedInUser'));
-    const transaction = await getDataByKey('transactions', txnId);
-    if (!transaction || transaction.withPhoneNumber !== user.phoneNumber) {
-        document.getElementById('main-container').innerHTML = `<h2>Transaction Not Found</h2><p>This transaction could not be found or is not for you.</p>`;
-        return;
+// Corrections and disputes, oldest first, in plain words.
+function renderThread(user, transaction) {
+  const entries = transaction.thread || [];
+  if (entries.length === 0) { return ''; }
+  const who = (by) => samePhone(by.phone, user.phone) ? 'You' : by.name || formatPhone(by.phone);
+  const items = entries.map(({ payload }) => {
+    const because = payload.reason ? ` Reason: ${payload.reason}` : '';
+    let text;
+    if (payload.kind === 'correction') {
+      const { amount, occurredOn, note } = payload.changes;
+      const changes = [
+        amount !== undefined ? `amount ${formatRupees(amount)}` : null,
+        occurredOn !== undefined ? `date ${formatDay(occurredOn)}` : null,
+        note !== undefined ? `note "${note}"` : null
+      ].filter(Boolean).join(', ');
+      text = `${who(payload.by)} proposed a correction: ${changes}.${because}`;
+    } else if (payload.kind === 'reply') {
+      text = `${who(payload.by)} ${payload.decision} the correction.${because}`;
+    } else if (payload.kind === 'dispute') {
+      text = `${who(payload.by)} raised a dispute.${because}`;
+    } else {
+      text = `${who(payload.by)} withdrew the dispute.${because}`;
     }
+    return `<li>${escapeHtml(text)} <small>${escapeHtml(new Date(payload.ts).toLocaleString())}</small></li>`;
+  }).join('');
+  return `<ul class="transaction-thread">${items}</ul>`;
+}
+
+// The initiator only learns the outcome once this receipt reaches them.
+async function showReceiptShare(transaction) {
+  const link = await generateReceiptLink(transaction);
+  const verb = transaction.status === 'confirmed' ? 'confirmed' : 'denied';
+  const container = document.getElementById('main-container');
+  container.innerHTML = `
+    <h2>Transaction ${escapeHtml(verb)}</h2>
+    <p>Send this receipt back to ${escapeHtml(transaction.fromName)} so their ledger is updated too.</p>
+  `;
 
-    const container = document.getElementById('main-container');
-    container.innerHTML = `
-        <h2>Confirm Transaction</h2>
-        <div class="transaction-details">
-            <p><strong>From:</strong> ${transaction.userPhoneNumber}</p>
-            <p><strong>To:</strong> ${transaction.withPhoneNumber}</p>
-            <p><strong>Amount:</strong> ₹${transaction.amount}</p>
-            <p><strong>Type:</strong> ${transaction.type}</p>
-        </div>
-        <button class="confirm-btn" onclick="confirmTxn('${txnId}')">Confirm</button>
-        <button class="deny-btn" onclick="denyTxn('${txnId}')">Deny</button>
-    `;
-}
-
-async function confirmTxn(txnId) {
+  const shareBtn = document.createElement('button');
+  shareBtn.className = 'confirm-btn';
+  shareBtn.textContent = 'Send Receipt';
+  shareBtn.addEventListener('click', async () => {
     try {
-        const transaction = await getDataByKey('transactions', txnId);
-        transaction.status = 'confirmed';
-        await updateData('transactions', txnId, transaction);
-        alert('Transaction confirmed!');
-        window.location.href = 'index.html';
-    } catch (error) { console.error('Confirmation failed:', error); alert('Failed to confirm.'); }
+      const outcome = await shareOrCopy('Transaction Receipt', `I have ${verb} our transaction of ${formatMoney(transaction.amountPaise)}. Open this receipt to update your ledger: ${link}`, link);
+      if (outcome === 'copied') { alert('Receipt link copied to clipboard!'); }
+    } catch (error) {
+      log('ERROR', 'confirm-logic.js', 'CLIPBOARD_COPY_FAILED', { error: error.message });
+    }
+  });
+
+  const doneBtn = document.createElement('button');
+  doneBtn.textContent = 'Go to Dashboard';
+  doneBtn.addEventListener('click', () => { window.location.href = 'index.html'; });
+
+  container.append(shareBtn);
+  appendQRButton(container, link);
+  container.append(doneBtn);
+}
+
+async function showReceiptResult(user, receiptToken, trustKey = null) {
+  try {
+    const transaction = await acceptReceipt(receiptToken, user, { trustKey });
+    const counterparty = transaction.toName || formatPhone(transaction.toPhone);
+    showMessage(
+      transaction.status === 'confirmed' ? 'Transaction Confirmed' : 'Transaction Denied',
+      `${counterparty} ${transaction.status} your transaction of ${formatMoney(transaction.amountPaise)}. Your ledger has been updated. ` +
+      `Their key fingerprint: ${await getFingerprint(transaction.receipt.payload.by.key)}`
+    );
+  } catch (error) {
+    if (error.name === 'UnknownKeyError') {
+      await showKeyCheck(error, key => showReceiptResult(user, receiptToken, key));
+      return;
+    }
+    log('WARN', 'confirm-logic.js', 'RECEIPT_REJECTED', { error: error.message });
+    showMessage('Invalid Receipt', error.message);
+  }
+}
+
+// No key is pinned for this number, or a different one is, so whoever made
+// the link could be anyone. The user compares fingerprints with the person
+// (in person or over a call); `retry` accepts the link again trusting the key.
+async function showKeyCheck(error, retry) {
+  const container = document.getElementById('main-container');
+  container.innerHTML = `
+    <h2>Check Their Key</h2>
+    <p>${escapeHtml(error.message)}</p>
+    <p>Ask ${escapeHtml(formatPhone(error.phone))} to read out the key fingerprint shown on their dashboard. It must be exactly:</p>
+    <p><code>${escapeHtml(await getFingerprint(error.key))}</code></p>
+  `;
+
+  const matchBtn = document.createElement('button');
+  matchBtn.className = 'confirm-btn';
+  matchBtn.textContent = 'It Matches';
+  matchBtn.addEventListener('click', () => {
+    log('INFO', 'confirm-logic.js', 'COUNTERPARTY_KEY_TRUSTED', { phone: error.phone, replaced: !!error.previousKey });
+    retry(error.key);
+  });
+
+  const rejectBtn = document.createElement('button');
+  rejectBtn.className = 'deny-btn';
+  rejectBtn.textContent = 'It Does Not Match';
+  rejectBtn.addEventListener('click', () => {
+    log('WARN', 'confirm-logic.js', 'COUNTERPARTY_KEY_REJECTED', { phone: error.phone });
+    showMessage('Link Not Accepted', 'The link was not applied. Your ledger has not changed.');
+  });
+
+  container.append(matchBtn, rejectBtn);
 }
 
-async function denyTxn(txnId) {
+// --- CREDIT TRANSFERS ---
+// The same link is passed between all three people; each device adds what it
+// knows, and the transfer settles on whichever device sees both approvals.
+
+async function showCreditTransfer(user, transferToken) {
+  let transfer;
+  try {
+    transfer = await acceptCreditTransfer(transferToken);
+  } catch (error) {
+    log('WARN', 'confirm-logic.js', 'CREDIT_TRANSFER_REJECTED', { error: error.message });
+    showMessage('Invalid Credit Transfer Link', error.message);
+    return;
+  }
+  if (!transfer.parties.some(phone => samePhone(phone, user.phone))) {
+    showMessage('Credit Transfer Not Found', 'This credit transfer is not for you.');
+    return;
+  }
+  await renderCreditTransfer(user, transfer);
+}
+
+async function renderCreditTransfer(user, transfer) {
+  if (transfer.status === STATES.CONFIRMED) {
+    try { await sealLedger(user); } catch (error) { log('ERROR', 'confirm-logic.js', 'LEDGER_SEAL_FAILED', { error: error.message }); }
+  }
+
+  const { initiator, from, to, amount, note } = transfer.request.payload;
+  const name = (party) => party.name || formatPhone(party.phone);
+  const answerOf = (party) => {
+    const approval = approvalBy(transfer, party.phone);
+    return approval ? describeStatus(approval.payload.decision) : 'waiting';
+  };
+  const status = effectiveStatus(transfer);
+  const container = document.getElementById('main-container');
+  container.innerHTML = `
+    <h2>Credit Transfer</h2>
+    <div class="transaction-details">
+      <p>${escapeHtml(name(initiator))} is moving <strong>${escapeHtml(formatRupees(amount))}</strong> that ${escapeHtml(name(from))} owes them over to ${escapeHtml(name(to))}.</p>
+      <p>Afterwards ${escapeHtml(name(from))} owes ${escapeHtml(name(to))}, and ${escapeHtml(name(to))} owes ${escapeHtml(name(initiator))}. Nobody's total changes.</p>
+      <p><strong>Initiator's key:</strong> <code>${escapeHtml(await getFingerprint(initiator.key))}</code></p>
+      ${note ? `<p><strong>Note:</strong> ${escapeHtml(note)}</p>` : ''}
+      <p><strong>${escapeHtml(name(from))}:</strong> ${escapeHtml(answerOf(from))}</p>
+      <p><strong>${escapeHtml(name(to))}:</strong> ${escapeHtml(answerOf(to))}</p>
+      <p><strong>Status:</strong> ${escapeHtml(describeStatus(status))}</p>
+      ${renderHistory(transfer)}
+    </div>
+  `;
+
+  const isCounterparty = samePhone(user.phone, from.phone) || samePhone(user.phone, to.phone);
+  if (isCounterparty && !approvalBy(transfer, user.phone) && canTransition(status, STATES.CONFIRMED)) {
+    const answer = (decision) => async () => {
+      try {
+        await renderCreditTransfer(user, await answerCreditTransfer(user, transfer.id, decision));
+      } catch (error) {
+        log('ERROR', 'confirm-logic.js', 'CREDIT_TRANSFER_ANSWER_FAILED', { id: transfer.id, decision, error: error.message });
+        showMessage('Cannot Update Credit Transfer', error.message);
+      }
+    };
+    const approveBtn = document.createElement('button');
+    approveBtn.className = 'confirm-btn';
+    approveBtn.textContent = 'Approve';
+    approveBtn.addEventListener('click', answer('confirmed'));
+    const declineBtn = document.createElement('button');
+    declineBtn.className = 'deny-btn';
+    declineBtn.textContent = 'Decline';
+    declineBtn.addEventListener('click', answer('denied'));
+    container.append(approveBtn, declineBtn);
+    return;
+  }
+
+  if (samePhone(user.phone, initiator.phone) && canTransition(status, STATES.CANCELLED)) {
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'deny-btn';
+    cancelBtn.textContent = 'Cancel Transfer';
+    cancelBtn.addEventListener('click', async () => {
+      if (!confirm('Cancel this credit transfer? Approvals that arrive later will be rejected.')) { return; }
+      try {
+        await renderCreditTransfer(user, await cancelCreditTransfer(user, transfer.id));
+      } catch (error) {
+        log('ERROR', 'confirm-logic.js', 'CREDIT_TRANSFER_CANCEL_FAILED', { id: transfer.id, error: error.message });
+        alert(error.message);
+      }
+    });
+    container.append(cancelBtn);
+  }
+
+  // Whatever this device knows, the others need too: pass the link on.
+  const waiting = awaitingAnswerFrom(transfer).filter(party => !samePhone(party.phone, user.phone)).map(name);
+  const link = await generateCreditTransferLink(transfer);
+  const shareBtn = document.createElement('button');
+  shareBtn.className = 'confirm-btn';
+  shareBtn.textContent = status === STATES.PENDING && waiting.length > 0 ? `Send to ${waiting.join(' and ')}` : 'Send Update to the Others';
+  shareBtn.addEventListener('click', async () => {
     try {
-        const transaction = await getDataByKey('transactions', txnId);
-        transaction.status = 'denied';
-        await updateData('transactions', txnId, transaction);
-        alert('Transaction denied.');
-        window.location.href = 'index.html';
-    } catch (error) { console.error('Denial failed:', error); alert('Failed to deny.'); }
+      const outcome = await shareOrCopy('Credit Transfer', `Credit transfer of ${formatRupees(amount)} (${describeStatus(status)}). Open this link to see it and update your ledger: ${link}`, link);
+      if (outcome === 'copied') { alert('Credit transfer link copied to clipboard!'); }
+    } catch (error) {
+      log('ERROR', 'confirm-logic.js', 'CLIPBOARD_COPY_FAILED', { error: error.message });
+    }
+  });
+
+  const doneBtn = document.createElement('button');
+  doneBtn.textContent = 'Go to Dashboard';
+  doneBtn.addEventListener('click', () => { window.location.href = 'index.html'; });
+  container.append(shareBtn);
+  appendQRButton(container, link);
+  container.append(doneBtn);
 }
 
-function generateReferralCode() {
-    return 'TT' + Math.random().toString(36).substr(2, 9).toUpperCase();
-}
\ No newline at end of file
+// --- AGREEMENTS ---
+// One link goes out with the proposal and comes back carrying the answer.
+
+async function showAgreement(user, agreementToken) {
+  let agreement;
+  try {
+    agreement = await acceptAgreementLink(agreementToken);
+  } catch (error) {
+    log('WARN', 'confirm-logic.js', 'AGREEMENT_REJECTED', { error: error.message });
+    showMessage('Invalid Agreement Link', error.message);
+    return;
+  }
+  if (!agreement.parties.some(phone => samePhone(phone, user.phone))) {
+    showMessage('Agreement Not Found', 'This agreement is not for you.');
+    return;
+  }
+  await renderAgreement(user, agreement);
+}
+
+async function renderAgreement(user, agreement) {
+  const { proposer } = agreement.request.payload;
+  const { payer, payee, principal, startDate, frequency, installments, interestRate, text } = agreement.terms;
+  const name = (party) => party.name || formatPhone(party.phone);
+  const progress = agreementProgress(agreement);
+  const status = effectiveStatus(agreement);
+  // Before acceptance there is nothing to track yet, only the plan both sides sign.
+  const schedule = agreement.obligations.length > 0
+    ? agreement.obligations
+    : buildSchedule(agreement.terms).map(item => ({ ...item, paidPaise: 0, status: 'planned' }));
+  const container = document.getElementById('main-container');
+  container.innerHTML = `
+    <h2>Digital Agreement</h2>
+    <div class="transaction-details">
+      <p>${escapeHtml(name(payer))} pays ${escapeHtml(name(payee))} <strong>${escapeHtml(formatRupees(principal))}</strong>${interestRate ? ` plus ${escapeHtml(interestRate)}% a year` : ''}
+        in ${escapeHtml(installments)} ${escapeHtml(FREQUENCIES[frequency].label.toLowerCase())} installment${installments === 1 ? '' : 's'}, starting ${escapeHtml(formatDay(startDate))}.</p>
+      <p><strong>Proposed by:</strong> ${escapeHtml(name(proposer))} <code>${escapeHtml(await getFingerprint(proposer.key))}</code></p>
+      ${text ? `<p><strong>Terms:</strong> ${escapeHtml(text)}</p>` : ''}
+      <p><strong>Status:</strong> ${escapeHtml(describeStatus(status))}${status === STATES.CONFIRMED ? ` (${progress.fulfilled} of ${progress.total} installments paid)` : ''}</p>
+      <ul class="transaction-history">
+        ${schedule.map(item => `<li>#${item.n} ${escapeHtml(formatMoney(item.amountPaise))} due ${escapeHtml(formatDay(item.dueDate))}: ${escapeHtml(item.status)}${item.paidPaise > 0 && item.status !== 'fulfilled' ? ` (${escapeHtml(formatMoney(item.paidPaise))} paid)` : ''}</li>`).join('')}
+      </ul>
+      ${renderHistory(agreement)}
+    </div>
+  `;
+
+  const doneBtn = document.createElement('button');
+  doneBtn.textContent = 'Go to Dashboard';
+  doneBtn.addEventListener('click', () => { window.location.href = 'index.html'; });
+
+  const isProposer = samePhone(user.phone, agreement.proposerPhone);
+  if (!isProposer && canTransition(status, STATES.CONFIRMED)) {
+    const answer = (decision) => async () => {
+      try {
+        const answered = await answerAgreement(user, agreement.id, decision);
+        await renderAgreement(user, answered);
+      } catch (error) {
+        log('ERROR', 'confirm-logic.js', 'AGREEMENT_ANSWER_FAILED', { id: agreement.id, decision, error: error.message });
+        showMessage('Cannot Update Agreement', error.message);
+      }
+    };
+    const acceptBtn = document.createElement('button');
+    acceptBtn.className = 'confirm-btn';
+    acceptBtn.textContent = 'Accept & Sign';
+    acceptBtn.addEventListener('click', answer('confirmed'));
+    const declineBtn = document.createElement('button');
+    declineBtn.className = 'deny-btn';
+    declineBtn.textContent = 'Decline';
+    declineBtn.addEventListener('click', answer('denied'));
+    container.append(acceptBtn, declineBtn);
+    return;
+  }
+
+  if (isProposer && canTransition(status, STATES.CANCELLED)) {
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'deny-btn';
+    cancelBtn.textContent = 'Withdraw Agreement';
+    cancelBtn.addEventListener('click', async () => {
+      if (!confirm('Withdraw this agreement? If they accept later, the answer will be rejected.')) { return; }
+      try {
+        await renderAgreement(user, await cancelAgreement(user, agreement.id));
+      } catch (error) {
+        log('ERROR', 'confirm-logic.js', 'AGREEMENT_CANCEL_FAILED', { id: agreement.id, error: error.message });
+        alert(error.message);
+      }
+    });
+    container.append(cancelBtn);
+  }
+
+  // The proposer shares the proposal; the other side shares their answer back.
+  if (status === STATES.PENDING ? isProposer : !!agreement.acceptance && !isProposer) {
+    const link = await generateAgreementLink(agreement);
+    const other = isProposer ? (samePhone(payer.phone, user.phone) ? payee : payer) : proposer;
+    const shareBtn = document.createElement('button');
+    shareBtn.className = 'confirm-btn';
+    shareBtn.textContent = `Send to ${name(other)}`;
+    shareBtn.addEventListener('click', async () => {
+      const message = status === STATES.PENDING
+        ? `Please review and accept our agreement: ${link}`
+        : `I have ${describeStatus(status)} our agreement. Open this link to update yours: ${link}`;
+      try {
+        if (await shareOrCopy('Digital Agreement', message, link) === 'copied') { alert('Agreement link copied to clipboard!'); }
+      } catch (error) {
+        log('ERROR', 'confirm-logic.js', 'CLIPBOARD_COPY_FAILED', { error: error.message });
+      }
+    });
+    container.append(shareBtn);
+    appendQRButton(container, link);
+  }
+  container.append(doneBtn);
+}
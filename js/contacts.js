@@ -1,2 +1,362 @@
-// This file is already set up to add contacts.
-// No changes needed for now.
\ No newline at end of file
+// js/contacts.js
+
+// Bringing people in from the phone book. Where the browser has the Contact
+// Picker we ask for exactly the contacts the user chooses; everywhere else
+// they export a .vcf file from their contacts app and we read that. Either
+// way nothing is saved until the user has seen the list: numbers are
+// normalized, cards with several numbers become one contact per number, and
+// anyone already in this profile's contacts is shown but not added twice.
+
+//
+// The contact book itself lives here too. A contact is only a name for a
+// number; transactions are signed with phone numbers and never change, so
+// merging two contacts does not rewrite anything. The surviving contact keeps
+// the other one's numbers in `otherPhones`, and everything that shows a
+// contact's account (khata, balances) reads all of them.
+
+// --- IMPORTS ---
+import { log } from './logger.js';
+import {
+  addContact, addContacts, getContactsByOwner, getContactById, updateContact, deleteContact,
+  mergeContactRecords, findUserByPhone, getTransactionsBetween
+} from './db.js';
+import { normalizePhone, normalizePhoneOrNull, samePhone, formatPhone } from './phone.js';
+
+const MAX_NAME_LENGTH = 100;
+const MAX_NICKNAME_LENGTH = 50;
+const MAX_TAGS = 10;
+// Offered in the editor; any other short tag works too.
+const CONTACT_TAGS = Object.freeze(['family', 'shop', 'work']);
+const TAG_PATTERN = /^[a-z0-9][a-z0-9 -]{0,19}$/;
+
+// --- CONTACT PICKER ---
+
+function supportsContactPicker() {
+  return 'contacts' in navigator && 'ContactsManager' in window && typeof navigator.contacts.select === 'function';
+}
+
+// The contacts the user ticks in the system picker, as { name, phones }.
+// Closing the picker without choosing anyone returns an empty list.
+async function pickPhoneContacts() {
+  if (!supportsContactPicker()) { throw new Error('This browser cannot open your phone book. Import a .vcf file instead.'); }
+  const picked = await navigator.contacts.select(['name', 'tel'], { multiple: true });
+  log('INFO', 'contacts.js', 'CONTACTS_PICKED', { count: picked.length });
+  return picked.map(contact => ({ name: (contact.name || [])[0] || '', phones: contact.tel || [] }));
+}
+
+// --- VCARD ---
+// vCard 2.1, 3.0 and 4.0 differ mostly in line folding and escaping:
+// 2.1 may carry QUOTED-PRINTABLE values with "=" soft line breaks and bare
+// parameters (TEL;CELL:...), 3.0 and 4.0 fold long lines with a leading space
+// and escape "," ";" and newlines with a backslash.
+
+function isQuotedPrintable(params) {
+  return params.some(param => /^(encoding=)?quoted-printable$/i.test(param));
+}
+
+function charsetOf(params) {
+  const param = params.find(p => /^charset=/i.test(p));
+  return param ? param.slice('charset='.length).replace(/"/g, '') : 'utf-8';
+}
+
+function decodeQuotedPrintable(text, charset) {
+  const bytes = [];
+  for (let i = 0; i < text.length; i++) {
+    const hex = text.slice(i + 1, i + 3);
+    if (text[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(hex)) {
+      bytes.push(parseInt(hex, 16));
+      i += 2;
+    } else {
+      bytes.push(...new TextEncoder().encode(text[i]));
+    }
+  }
+  try {
+    return new TextDecoder(charset).decode(new Uint8Array(bytes));
+  } catch (error) {
+    return new TextDecoder('utf-8').decode(new Uint8Array(bytes));
+  }
+}
+
+function unescapeValue(text) {
+  return text.replace(/\\([nN,;:\\])/g, (match, ch) => (ch === 'n' || ch === 'N' ? ' ' : ch));
+}
+
+// Splits on ";" that is not escaped with a backslash (N is family;given;...).
+function splitComponents(text) {
+  return text.split(/(?<!\\);/).map(unescapeValue);
+}
+
+// "item1.TEL;TYPE=CELL:+91 98450 12345" -> { name: 'TEL', params: ['TYPE=CELL'], value: '+91 98450 12345' }
+function parseProperty(line) {
+  let colon = -1;
+  let quoted = false;
+  for (let i = 0; i < line.length && colon < 0; i++) {
+    if (line[i] === '"') { quoted = !quoted; }
+    if (line[i] === ':' && !quoted) { colon = i; }
+  }
+  if (colon < 0) { return null; }
+  const [name, ...params] = line.slice(0, colon).split(';');
+  return { name: name.replace(/^.*\./, '').toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+// Unfolded logical lines: 3.0/4.0 continuations start with a space or tab,
+// 2.1 quoted-printable values continue after a trailing "=".
+function logicalLines(text) {
+  const lines = [];
+  for (const raw of text.replace(/\r\n?/g, '\n').split('\n')) {
+    const last = lines.length - 1;
+    if (last >= 0 && /^[ \t]/.test(raw)) {
+      lines[last] += raw.slice(1);
+    } else if (last >= 0 && lines[last].endsWith('=') && /quoted-printable/i.test(lines[last].split(':')[0])) {
+      lines[last] = lines[last].slice(0, -1) + raw;
+    } else {
+      lines.push(raw);
+    }
+  }
+  return lines;
+}
+
+function readValue(property) {
+  if (isQuotedPrintable(property.params)) { return decodeQuotedPrintable(property.value, charsetOf(property.params)); }
+  return property.value;
+}
+
+// Every card in the file as { name, phones }, in file order.
+function parseVCard(text) {
+  const cards = [];
+  let card = null;
+  for (const line of logicalLines(String(text ?? ''))) {
+    const property = parseProperty(line.trim());
+    if (!property) { continue; }
+    if (property.name === 'BEGIN' && /^vcard$/i.test(property.value)) {
+      card = { fn: '', n: '', phones: [] };
+    } else if (property.name === 'END' && /^vcard$/i.test(property.value)) {
+      if (card) { cards.push({ name: card.fn || card.n, phones: card.phones }); }
+      card = null;
+    } else if (card && property.name === 'FN') {
+      card.fn = unescapeValue(readValue(property)).trim();
+    } else if (card && property.name === 'N') {
+      const [family = '', given = '', middle = '', prefix = '', suffix = ''] = splitComponents(readValue(property));
+      card.n = [prefix, given, middle, family, suffix].map(part => part.trim()).filter(Boolean).join(' ');
+    } else if (card && property.name === 'TEL') {
+      // 4.0 writes numbers as URIs: tel:+91-98450-12345;ext=2
+      const number = readValue(property).trim().replace(/^tel:/i, '').split(';')[0];
+      if (number) { card.phones.push(number); }
+    }
+  }
+  log('INFO', 'contacts.js', 'VCARD_PARSED', { cards: cards.length });
+  return cards;
+}
+
+async function readVCardFile(file) {
+  const text = await file.text();
+  if (!/BEGIN:VCARD/i.test(text)) { throw new Error('This file has no contacts in it. Export your contacts as a .vcf file and try again.'); }
+  return parseVCard(text);
+}
+
+// --- PREVIEW AND SAVE ---
+
+// Sorts picked or parsed cards into what would be added (`fresh`), who is
+// already a contact (`known`) and numbers we could not read (`invalid`).
+// The same number twice keeps the first name that came with it.
+async function prepareImport(user, cards) {
+  const existing = new Set((await getContactsByOwner(user.id)).flatMap(contactPhones));
+  const seen = new Set();
+  const preview = { fresh: [], known: [], invalid: [] };
+
+  for (const card of cards) {
+    const name = String(card.name || '').replace(/\s+/g, ' ').trim().slice(0, MAX_NAME_LENGTH);
+    for (const value of card.phones) {
+      const phone = normalizePhoneOrNull(value);
+      if (!phone) { preview.invalid.push({ name, value }); continue; }
+      if (seen.has(phone) || samePhone(phone, user.phone)) { continue; }
+      seen.add(phone);
+      const contact = { name: name || formatPhone(phone), phone };
+      (existing.has(phone) ? preview.known : preview.fresh).push(contact);
+    }
+  }
+  log('INFO', 'contacts.js', 'IMPORT_PREPARED', { fresh: preview.fresh.length, known: preview.known.length, invalid: preview.invalid.length });
+  return preview;
+}
+
+// Saves the contacts the user kept from the preview. Returns how many were new.
+async function saveImportedContacts(user, contacts) {
+  const added = await addContacts(user.id, contacts.map(({ name, phone }) => ({ name, phone, source: 'import' })));
+  log('INFO', 'contacts.js', 'CONTACTS_IMPORTED', { ownerId: user.id, added });
+  return added;
+}
+
+// --- CONTACT BOOK ---
+
+function contactPhones(contact) {
+  return [contact.phone, ...(contact.otherPhones || [])];
+}
+
+function displayName(contact) {
+  return contact.nickname || contact.name || formatPhone(contact.phone);
+}
+
+// The contact one of this profile's numbers belongs to, merged ones included.
+async function findContactByPhone(user, phone) {
+  const contacts = await getContactsByOwner(user.id);
+  return contacts.find(contact => contactPhones(contact).some(number => samePhone(number, phone))) || null;
+}
+
+// Every number a counterparty is known by, for reading their whole account.
+async function phonesFor(user, phone) {
+  const contact = await findContactByPhone(user, phone);
+  return contact ? contactPhones(contact) : [normalizePhone(phone)];
+}
+
+// Sorted by the name shown; `tag` narrows to one group, `search` matches
+// names, nicknames and numbers.
+async function listContacts(user, { tag = '', search = '' } = {}) {
+  const query = search.trim().toLowerCase();
+  const digits = query.replace(/\D/g, '');
+  return (await getContactsByOwner(user.id))
+    .filter(contact => !tag || (contact.tags || []).includes(tag))
+    .filter(contact => !query ||
+      `${contact.name} ${contact.nickname || ''}`.toLowerCase().includes(query) ||
+      (digits.length > 0 && contactPhones(contact).some(number => number.includes(digits))))
+    .sort((a, b) => displayName(a).localeCompare(displayName(b)));
+}
+
+// A member is someone already using the app: a profile on this device, or
+// someone who has signed a request or receipt with us.
+async function looksLikeMember(user, phone) {
+  if (await findUserByPhone(phone)) { return true; }
+  const records = await getTransactionsBetween(user.phone, phone);
+  return records.some(record => (samePhone(record.fromPhone, phone) && record.request) ||
+    (samePhone(record.toPhone, phone) && record.receipt));
+}
+
+function cleanTags(tags) {
+  const cleaned = [...new Set((tags || []).map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+  const bad = cleaned.find(tag => !TAG_PATTERN.test(tag));
+  if (bad) { throw new Error(`"${bad}" cannot be used as a tag. Use up to 20 letters, digits or dashes.`); }
+  if (cleaned.length > MAX_TAGS) { throw new Error(`A contact can have at most ${MAX_TAGS} tags.`); }
+  return cleaned;
+}
+
+function validateContactFields(fields) {
+  const name = String(fields.name || '').replace(/\s+/g, ' ').trim();
+  if (!name) { throw new Error('Please enter a name.'); }
+  if (name.length > MAX_NAME_LENGTH) { throw new Error(`Names can be at most ${MAX_NAME_LENGTH} characters.`); }
+  const nickname = String(fields.nickname || '').replace(/\s+/g, ' ').trim();
+  if (nickname.length > MAX_NICKNAME_LENGTH) { throw new Error(`Nicknames can be at most ${MAX_NICKNAME_LENGTH} characters.`); }
+  return { name, nickname, phone: normalizePhone(fields.phone), tags: cleanTags(fields.tags) };
+}
+
+async function ownContact(user, id) {
+  const contact = await getContactById(id);
+  if (!contact || contact.ownerId !== user.id) { throw new Error('Contact not found.'); }
+  return contact;
+}
+
+// Creates a contact, or edits contact `id`. `fields` is { name, phone,
+// nickname, tags, member }; `member` left out is worked out from what we know.
+async function saveContact(user, fields, id = null) {
+  const clean = validateContactFields(fields);
+  if (samePhone(clean.phone, user.phone)) { throw new Error('That is your own number.'); }
+  const holder = await findContactByPhone(user, clean.phone);
+  if (holder && holder.id !== id) { throw new Error(`${formatPhone(clean.phone)} is already saved as ${displayName(holder)}.`); }
+  const member = typeof fields.member === 'boolean' ? fields.member : await looksLikeMember(user, clean.phone);
+
+  if (id === null) {
+    const newId = await addContact({ ownerId: user.id, ...clean, member, source: 'manual' });
+    log('INFO', 'contacts.js', 'CONTACT_CREATED', { id: newId });
+    return getContactById(newId);
+  }
+  const existing = await ownContact(user, id);
+  // Picking one of the merged numbers as the main one swaps the two; any
+  // other new number simply replaces the old one.
+  const merged = existing.otherPhones || [];
+  const otherPhones = merged.includes(clean.phone)
+    ? contactPhones(existing).filter(number => number !== clean.phone)
+    : merged;
+  const updated = await updateContact({ ...existing, ...clean, member, otherPhones });
+  log('INFO', 'contacts.js', 'CONTACT_EDITED', { id });
+  return updated;
+}
+
+async function removeContact(user, id) {
+  await ownContact(user, id);
+  await deleteContact(id);
+}
+
+// Contacts that are probably the same person: the same name or nickname,
+// ignoring case and spacing. Each group is sorted oldest first.
+async function findDuplicates(user) {
+  const key = text => String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+  const groups = new Map();
+  for (const contact of await getContactsByOwner(user.id)) {
+    const names = new Set([key(contact.name), key(contact.nickname)].filter(Boolean));
+    const existing = [...groups.values()].find(group => group.names.some(name => names.has(name)));
+    if (existing) {
+      existing.contacts.push(contact);
+      existing.names.push(...names);
+    } else {
+      groups.set(contact.id, { names: [...names], contacts: [contact] });
+    }
+  }
+  return [...groups.values()]
+    .map(group => group.contacts.sort((a, b) => a.id - b.id))
+    .filter(contacts => contacts.length > 1);
+}
+
+// Folds contact `mergeId` into `keepId`: its numbers, tags and nickname move
+// over and it is deleted. Its transactions then show in the kept contact's
+// khata, since that reads every number in `otherPhones`.
+async function mergeContacts(user, keepId, mergeId) {
+  if (keepId === mergeId) { throw new Error('Choose two different contacts to merge.'); }
+  const keep = await ownContact(user, keepId);
+  const merge = await ownContact(user, mergeId);
+  const phones = [...new Set([...contactPhones(keep), ...contactPhones(merge)])];
+  const kept = {
+    ...keep,
+    otherPhones: phones.filter(number => number !== keep.phone),
+    nickname: keep.nickname || merge.nickname || '',
+    tags: [...new Set([...(keep.tags || []), ...(merge.tags || [])])].slice(0, MAX_TAGS),
+    member: !!(keep.member || merge.member),
+    keys: { ...(merge.keys || {}), ...(keep.keys || {}) }
+  };
+  await mergeContactRecords(kept, merge.id);
+  log('INFO', 'contacts.js', 'CONTACTS_MERGED', { keepId, mergeId, phones: phones.length });
+  return kept;
+}
+
+// --- SIGNING KEYS ---
+// A counterparty's key is trusted only after the user has checked its
+// fingerprint with them, or after it signed a receipt for a request of ours
+// under a key trusted that way. It is then pinned on their contact (one is
+// added if there is none), and every request or receipt from that number
+// must be signed with it until the user checks and trusts a new one, e.g.
+// after the counterparty moves to a new phone. Keys carried inside stored
+// transactions are never trusted on their own: anyone can sign a link that
+// claims a number.
+
+async function knownKeyFor(user, phone) {
+  const number = normalizePhone(phone);
+  const contact = await findContactByPhone(user, number);
+  return (contact && contact.keys && contact.keys[number]) || null;
+}
+
+async function pinContactKey(user, phone, key, name = null) {
+  const number = normalizePhone(phone);
+  const contact = await findContactByPhone(user, number);
+  if (!contact) {
+    const id = await addContact({ ownerId: user.id, name: name || number, phone: number, member: true, source: 'key', keys: { [number]: key } });
+    log('INFO', 'contacts.js', 'CONTACT_KEY_PINNED', { id, replaced: false });
+    return;
+  }
+  if (contact.keys && contact.keys[number] === key) { return; }
+  await updateContact({ ...contact, member: true, keys: { ...(contact.keys || {}), [number]: key } });
+  log('INFO', 'contacts.js', 'CONTACT_KEY_PINNED', { id: contact.id, replaced: !!(contact.keys && contact.keys[number]) });
+}
+
+// --- EXPORTS ---
+export {
+  supportsContactPicker, pickPhoneContacts, parseVCard, readVCardFile, prepareImport, saveImportedContacts,
+  CONTACT_TAGS, contactPhones, displayName, findContactByPhone, phonesFor, listContacts,
+  saveContact, removeContact, findDuplicates, mergeContacts, knownKeyFor, pinContactKey
+};
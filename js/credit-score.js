@@ -1 +1,320 @@
+// js/credit-score.js
 
+// The trust score: 0 to 1000, worked out only from this profile's own
+// confirmed transactions with the people it deals with. Nothing is sent
+// anywhere and nothing is guessed; every point comes from one of the factors
+// below, and each result lists what every factor contributed.
+//
+// The engine is deterministic: the same records, agreements and day always
+// give the same score. Results carry SCORE_VERSION, so when the model changes
+// old scores can still be told apart from new ones. Version 2 subtracts the
+// penalties of red flags (see red-flags.js); version 3 leaves credit transfer
+// legs out, as the red flag checks always have.
+
+// --- IMPORTS ---
+import { log } from './logger.js';
+import { getTransactionsByPhone, getAgreementsByPhone, putScoreSnapshot, getScoreSnapshots } from './db.js';
+import { STATES, hasBeenConfirmed } from './lifecycle.js';
+import { balanceEffect } from './profiles.js';
+import { refreshAgreement } from './agreements.js';
+import { localToday } from './transactions.js';
+import { FLAG_TYPES, countsTowardTrust, detectRedFlags } from './red-flags.js';
+import { normalizePhone, samePhone } from './phone.js';
+import { sumPaise, formatMoney, PAISE_PER_RUPEE } from './money.js';
+
+const SCORE_VERSION = 3;
+const MAX_SCORE = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The factor weights add up to MAX_SCORE; overdue money and red flags are
+// taken off the total.
+const MODEL = Object.freeze({
+  volume: { weight: 200, fullAtPaise: 500000 * PAISE_PER_RUPEE },
+  repayment: { weight: 250 },
+  counterparties: { weight: 200, fullAt: 20 },
+  relationshipAge: { weight: 150, fullAtDays: 365 },
+  conduct: { weight: 200, zeroAtRate: 0.2 },
+  overdue: { maxPenalty: 300 },
+  redFlags: { maxPenalty: 500 },
+  // Repayment and conduct only count in full once there are this many
+  // confirmed transactions; an empty ledger has no record to be clean about.
+  confidenceAt: 10
+});
+
+const FACTOR_LABELS = Object.freeze({
+  volume: 'Confirmed volume',
+  repayment: 'On-time repayment',
+  counterparties: 'Different people',
+  relationshipAge: 'Relationship age',
+  conduct: 'Disputes and denials',
+  overdue: 'Overdue balance',
+  redFlags: 'Red flags'
+});
+
+function dayOf(record) {
+  return record.occurredOn || String(record.date).slice(0, 10);
+}
+
+function daysBetween(from, to) {
+  return Math.max(0, Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS));
+}
+
+function otherParty(record, phone) {
+  return samePhone(record.fromPhone, phone) ? normalizePhone(record.toPhone) : normalizePhone(record.fromPhone);
+}
+
+// --- REPAYMENT ---
+// Everything `phone` had to pay back by a date: installments of agreements
+// where they are the payer, and money they received with a due date. Each
+// item says how much was due, how much is still open as of `asOf`, and
+// whether it was paid in full by its due date.
+
+function installmentsDue(phone, agreements, recordsById, asOf) {
+  const items = [];
+  for (const agreement of agreements) {
+    if (agreement.status !== STATES.CONFIRMED || !samePhone(agreement.terms.payer.phone, phone)) { continue; }
+    for (const obligation of agreement.obligations || []) {
+      if (obligation.dueDate > asOf) { continue; }
+      const days = (obligation.txnIds || []).map(id => recordsById.get(id)).filter(Boolean).map(dayOf);
+      const paidOn = obligation.paidPaise >= obligation.amountPaise && days.length > 0 ? days.sort().pop() : null;
+      const paid = paidOn !== null && paidOn <= asOf;
+      items.push({
+        kind: 'installment',
+        id: `${agreement.id}#${obligation.n}`,
+        dueDate: obligation.dueDate,
+        duePaise: obligation.amountPaise,
+        openPaise: paid ? 0 : obligation.amountPaise - (paidOn === null ? obligation.paidPaise : 0),
+        onTime: paid && paidOn <= obligation.dueDate
+      });
+    }
+  }
+  return items;
+}
+
+// Repayments go to the oldest open loan from the same person first.
+function loansDue(phone, confirmed, asOf) {
+  const byCounterparty = new Map();
+  for (const record of confirmed) {
+    const other = otherParty(record, phone);
+    if (!byCounterparty.has(other)) { byCounterparty.set(other, []); }
+    byCounterparty.get(other).push(record);
+  }
+
+  const items = [];
+  for (const records of byCounterparty.values()) {
+    const loans = [];
+    for (const record of records) {
+      const effect = balanceEffect(record, phone);
+      if (effect < 0 && record.dueDate) {
+        loans.push({ record, openPaise: -effect, paidOn: null });
+        continue;
+      }
+      let left = effect;
+      for (const loan of loans) {
+        if (left <= 0) { break; }
+        const used = Math.min(loan.openPaise, left);
+        loan.openPaise -= used;
+        left -= used;
+        if (loan.openPaise === 0 && loan.paidOn === null) { loan.paidOn = dayOf(record); }
+      }
+    }
+    loans
+      .filter(loan => loan.record.dueDate <= asOf)
+      .forEach(loan => items.push({
+        kind: 'loan',
+        id: loan.record.id,
+        dueDate: loan.record.dueDate,
+        duePaise: loan.record.amountPaise,
+        openPaise: loan.openPaise,
+        onTime: loan.paidOn !== null && loan.paidOn <= loan.record.dueDate
+      }));
+  }
+  return items;
+}
+
+// --- SCORING ---
+
+function factor(key, weight, score, measure) {
+  const rounded = Math.round(Math.min(1, Math.max(0, score)) * 1000) / 1000;
+  return { key, label: FACTOR_LABELS[key], measure, score: rounded, max: weight, points: Math.round(weight * rounded) };
+}
+
+// The score of `phone` from `records` (every transaction it is part of) and
+// `agreements` (with obligations already allocated), as of the day `asOf`,
+// less the penalties of `flags`. Records dated after `asOf`, and credit
+// transfer legs, are left out.
+function scoreLedger(rawPhone, records, agreements, asOf, flags = []) {
+  const phone = normalizePhone(rawPhone);
+  const known = records.filter(record => countsTowardTrust(record) && dayOf(record) <= asOf);
+  const confirmed = known
+    .filter(hasBeenConfirmed)
+    .sort((a, b) => dayOf(a).localeCompare(dayOf(b)) || a.id.localeCompare(b.id));
+  const confidence = Math.min(1, confirmed.length / MODEL.confidenceAt);
+
+  const volumePaise = sumPaise(confirmed.map(record => record.amountPaise));
+  const volumeScore = Math.log1p(volumePaise / PAISE_PER_RUPEE) / Math.log1p(MODEL.volume.fullAtPaise / PAISE_PER_RUPEE);
+
+  const recordsById = new Map(confirmed.map(record => [record.id, record]));
+  const due = [...installmentsDue(phone, agreements, recordsById, asOf), ...loansDue(phone, confirmed, asOf)];
+  const onTime = due.filter(item => item.onTime).length;
+  // With nothing due yet there is no repayment record either way: half marks.
+  const repaymentScore = (due.length > 0 ? onTime / due.length : 0.5) * confidence;
+
+  const firstSeen = new Map();
+  confirmed.forEach(record => {
+    const other = otherParty(record, phone);
+    if (!firstSeen.has(other)) { firstSeen.set(other, dayOf(record)); }
+  });
+  const counterparties = firstSeen.size;
+  const ages = [...firstSeen.values()].map(day => daysBetween(day, asOf));
+  const averageAge = ages.length > 0 ? ages.reduce((sum, age) => sum + age, 0) / ages.length : 0;
+
+  const disputes = confirmed.filter(record => record.status === STATES.DISPUTED).length;
+  const denials = known.filter(record => record.status === STATES.DENIED && samePhone(record.fromPhone, phone)).length;
+  const incidentRate = (disputes + denials) / Math.max(1, confirmed.length + denials);
+  const conductScore = (1 - incidentRate / MODEL.conduct.zeroAtRate) * confidence;
+
+  const duePaise = sumPaise(due.map(item => item.duePaise));
+  const overduePaise = sumPaise(due.map(item => item.openPaise));
+  const overdueShare = duePaise > 0 ? overduePaise / duePaise : 0;
+  const overduePenalty = Math.round(MODEL.overdue.maxPenalty * Math.min(1, overdueShare));
+  const flagPenalty = Math.min(MODEL.redFlags.maxPenalty, flags.reduce((sum, flag) => sum + flag.penalty, 0));
+
+  const factors = [
+    factor('volume', MODEL.volume.weight, volumeScore, { paise: volumePaise, transactions: confirmed.length }),
+    factor('repayment', MODEL.repayment.weight, repaymentScore, { due: due.length, onTime }),
+    factor('counterparties', MODEL.counterparties.weight, Math.log1p(counterparties) / Math.log1p(MODEL.counterparties.fullAt), { count: counterparties }),
+    factor('relationshipAge', MODEL.relationshipAge.weight, averageAge / MODEL.relationshipAge.fullAtDays, { averageDays: Math.round(averageAge) }),
+    factor('conduct', MODEL.conduct.weight, conductScore, { disputes, denials }),
+    { key: 'overdue', label: FACTOR_LABELS.overdue, measure: { paise: overduePaise, items: due.filter(item => item.openPaise > 0).length }, score: Math.round(overdueShare * 1000) / 1000, max: 0, points: -overduePenalty },
+    { key: 'redFlags', label: FACTOR_LABELS.redFlags, measure: { count: flags.length }, score: 0, max: 0, points: -flagPenalty }
+  ];
+  const total = factors.reduce((sum, item) => sum + item.points, 0);
+
+  return {
+    version: SCORE_VERSION,
+    phone,
+    asOf,
+    score: Math.min(MAX_SCORE, Math.max(0, total)),
+    // Before clamping to 0..MAX_SCORE, so changes below zero still show.
+    total,
+    factors,
+    flags
+  };
+}
+
+async function loadInputs(user, asOf) {
+  const records = await getTransactionsByPhone(user.phone);
+  const agreements = [];
+  for (const agreement of await getAgreementsByPhone(user.phone)) {
+    agreements.push(agreement.status === STATES.CONFIRMED ? await refreshAgreement(agreement) : agreement);
+  }
+  const flags = await detectRedFlags(user, { asOf });
+  return { records, agreements, flags };
+}
+
+// The current profile's score from what is on this device.
+async function calculateTrustScore(user, { asOf = localToday() } = {}) {
+  const { records, agreements, flags } = await loadInputs(user, asOf);
+  const result = scoreLedger(user.phone, records, agreements, asOf, flags);
+  log('INFO', 'credit-score.js', 'TRUST_SCORE_CALCULATED', { userId: user.id, version: result.version, score: result.score, asOf });
+  return result;
+}
+
+// --- EXPLANATION ---
+
+// How much each confirmed transaction moves the score: the score with it
+// minus the score without it. Red flags are held as they are; they are
+// explained on their own. Returns the `limit` biggest movers, either way.
+function transactionImpacts(phone, records, agreements, asOf, flags, limit = 5) {
+  const { total } = scoreLedger(phone, records, agreements, asOf, flags);
+  return records
+    .filter(record => hasBeenConfirmed(record) && dayOf(record) <= asOf)
+    .map(record => {
+      const without = scoreLedger(phone, records.filter(other => other.id !== record.id), agreements, asOf, flags);
+      return {
+        id: record.id,
+        day: dayOf(record),
+        counterparty: otherParty(record, phone),
+        effect: balanceEffect(record, phone),
+        impact: total - without.total
+      };
+    })
+    .filter(item => item.impact !== 0)
+    .sort((a, b) => Math.abs(b.impact) - Math.abs(a.impact) || a.id.localeCompare(b.id))
+    .slice(0, limit);
+}
+
+const FLAG_TIPS = Object.freeze({
+  [FLAG_TYPES.SELF_DEALING]: 'Transactions with other profiles on this phone do not build trust. Deal with people on their own phones.',
+  [FLAG_TYPES.CIRCULAR_FLOW]: 'Money passed round in a circle is flagged. Record only real lending and repayment.',
+  [FLAG_TYPES.BURST]: 'Many confirmations at once look arranged. Record transactions when they happen.',
+  [FLAG_TYPES.ROUND_TRIP]: 'Amounts sent and sent straight back are flagged. If it was a loan, record it with a due date.',
+  [FLAG_TYPES.SINGLE_COUNTERPARTY]: 'A ledger with only one person in it proves little. Record transactions with others you deal with.'
+});
+
+// Concrete steps, the ones worth the most points first.
+function improvementTips(result) {
+  const byKey = Object.fromEntries(result.factors.map(item => [item.key, item]));
+  const missing = key => byKey[key].max - byKey[key].points;
+  const tips = [];
+  const add = (key, gain, text) => { if (gain > 0) { tips.push({ factor: key, gain, text }); } };
+
+  const { overdue, repayment, volume, counterparties, conduct, relationshipAge, redFlags } = byKey;
+  add('overdue', -overdue.points, `Pay the ${formatMoney(overdue.measure.paise)} that is overdue.`);
+  [...new Set(result.flags.map(flag => flag.type))].forEach(type => {
+    const penalty = result.flags.filter(flag => flag.type === type).reduce((sum, flag) => sum + flag.penalty, 0);
+    add('redFlags', Math.min(penalty, -redFlags.points), FLAG_TIPS[type]);
+  });
+  if (volume.measure.transactions < MODEL.confidenceAt) {
+    const more = MODEL.confidenceAt - volume.measure.transactions;
+    add('repayment', missing('repayment') + missing('conduct'), `Get ${more} more transaction${more === 1 ? '' : 's'} confirmed so your repayment and conduct count in full.`);
+  } else if (repayment.measure.onTime < repayment.measure.due) {
+    add('repayment', missing('repayment'), 'Pay installments and loans on or before their due date.');
+  }
+  if (conduct.measure.disputes + conduct.measure.denials > 0) {
+    add('conduct', missing('conduct'), 'Settle open disputes, and only record what the other person will confirm.');
+  }
+  add('counterparties', missing('counterparties'), `Record transactions with more of the people you deal with (${counterparties.measure.count} so far).`);
+  add('relationshipAge', missing('relationshipAge'), 'Keep dealing with the same people; older relationships count for more.');
+  add('volume', missing('volume'), 'Record your everyday lending and borrowing; every confirmed rupee adds up.');
+  return tips.sort((a, b) => b.gain - a.gain);
+}
+
+// Everything the "why is my score this?" screen shows.
+async function explainTrustScore(user, { asOf = localToday() } = {}) {
+  const { records, agreements, flags } = await loadInputs(user, asOf);
+  const result = scoreLedger(user.phone, records, agreements, asOf, flags);
+  return {
+    result,
+    movers: transactionImpacts(user.phone, records, agreements, asOf, flags),
+    tips: improvementTips(result)
+  };
+}
+
+// --- HISTORY ---
+
+// Today's score, stored as the day's snapshot (a later run the same day
+// replaces it). Returns the result it stored.
+async function recordScoreSnapshot(user) {
+  const result = await calculateTrustScore(user);
+  await putScoreSnapshot({
+    phone: user.phone,
+    day: result.asOf,
+    score: result.score,
+    version: result.version,
+    factors: Object.fromEntries(result.factors.map(item => [item.key, item.points])),
+    flags: result.flags.length
+  });
+  return result;
+}
+
+async function getScoreHistory(user) {
+  return getScoreSnapshots(user.phone);
+}
+
+// --- EXPORTS ---
+export {
+  SCORE_VERSION, MAX_SCORE, MODEL, scoreLedger, calculateTrustScore,
+  transactionImpacts, improvementTips, explainTrustScore, recordScoreSnapshot, getScoreHistory
+};
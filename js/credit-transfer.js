@@ -1 +1,358 @@
+// js/credit-transfer.js
 
+// Credit transfer: A moves the credit A has with B (B owes A) over to C, so
+// that B owes C instead and C owes A. A signs the request; B and C each sign
+// an approval. Only when all three signatures are present does the transfer
+// take effect, and then as three balancing legs written in one transaction:
+//
+//   B gave A   (B's debt to A is settled)
+//   C gave B   (B now owes C)
+//   A gave C   (C now owes A)
+//
+// Every person's net position is unchanged and the legs sum to zero: System Net = 0.
+// Approvals travel the same way shakehands do, inside a link that gathers
+// signatures as it is passed from one party to the next.
+
+// --- IMPORTS ---
+import { log } from './logger.js';
+import { getCreditTransferById, putCreditTransfer, commitCreditTransfer, getTransactionById } from './db.js';
+import { ensureSigningKeys, signObject, verifyObject } from './identity.js';
+import { getBalanceWith } from './profiles.js';
+import { knownKeyFor } from './contacts.js';
+import { STATES, transition, assertTransition, expireIfStale } from './lifecycle.js';
+import { normalizePhone, normalizePhoneOrNull, samePhone } from './phone.js';
+import { MAX_PAISE, isPaise, isRecordableRupees, toPaise, formatMoney } from './money.js';
+import { randomId, packJSON, unpackJSON, canonicalJSON, utf8Encode, sha256, toBase64Url } from './encoding.js';
+
+const TRANSFER_VERSION = 1;
+const TRANSFER_KIND = 'credit-transfer';
+const APPROVAL_DECISIONS = ['confirmed', 'denied'];
+
+async function hashRequest(request) {
+  return toBase64Url(await sha256(utf8Encode(canonicalJSON(request))));
+}
+
+// Built the same way on every device: the history is fixed by the signed payload.
+function buildTransfer(request) {
+  const { payload } = request;
+  const transfer = {
+    id: payload.id,
+    parties: [payload.initiator.phone, payload.from.phone, payload.to.phone].map(normalizePhone),
+    amountPaise: toPaise(payload.amount),
+    note: payload.note,
+    date: payload.ts,
+    status: STATES.DRAFT,
+    history: [],
+    request,
+    approvals: []
+  };
+  return transition(transfer, STATES.PENDING, { by: normalizePhone(payload.initiator.phone), at: payload.ts });
+}
+
+// --- LEGS ---
+
+function transferLegs(transfer) {
+  const { payload } = transfer.request;
+  const party = ({ name, phone }) => ({ name: name || null, phone: normalizePhone(phone) });
+  const a = party(payload.initiator);
+  const b = party(payload.from);
+  const c = party(payload.to);
+  const lastApproval = [...transfer.approvals].sort((x, y) => x.payload.ts.localeCompare(y.payload.ts)).pop();
+  const settledAt = lastApproval.payload.ts;
+  const settledBy = normalizePhone(lastApproval.payload.by.phone);
+
+  return [[b, a], [c, b], [a, c]].map(([giver, taker], i) => {
+    const leg = {
+      id: `${transfer.id}-${i + 1}`,
+      transferId: transfer.id,
+      leg: i + 1,
+      fromPhone: giver.phone,
+      fromName: giver.name,
+      toPhone: taker.phone,
+      toName: taker.name,
+      type: 'gave',
+      amountPaise: toPaise(payload.amount),
+      note: payload.note ? `Credit transfer: ${payload.note}` : 'Credit transfer',
+      date: payload.ts,
+      status: STATES.DRAFT,
+      history: [],
+      request: transfer.request,
+      approvals: transfer.approvals
+    };
+    transition(leg, STATES.PENDING, { by: a.phone, at: payload.ts });
+    transition(leg, STATES.CONFIRMED, { by: settledBy, at: settledAt });
+    leg.decidedAt = settledAt;
+    return leg;
+  });
+}
+
+// Checks legs as they were received or stored, not as transferLegs() would
+// build them: each leg must carry the request the counterparties approved,
+// move the amount that request signed for between two of its parties, and
+// together the legs must leave each party where it was. Counted in paise, so
+// rounding can never hide or invent an imbalance. Throws instead of letting
+// an unbalanced transfer reach the ledger.
+async function assertNetZero(transfer, legs) {
+  const { payload, signature } = transfer.request;
+  const signedPaise = toPaise(payload.amount);
+  const parties = [payload.initiator.phone, payload.from.phone, payload.to.phone].map(normalizePhone);
+  const net = new Map(parties.map(phone => [phone, 0]));
+  const req = await hashRequest(transfer.request);
+  if (legs.length !== 3) { throw new Error(`Credit transfer ${transfer.id} has ${legs.length} legs instead of 3`); }
+  for (const leg of legs) {
+    const approved = leg.request && leg.request.signature === signature && leg.transferId === transfer.id &&
+      (leg.approvals || []).every(approval => approval.payload.req === req);
+    if (!approved) { throw new Error(`Credit transfer leg ${leg.id} does not carry the signed request`); }
+    if (!isPaise(leg.amountPaise) || leg.amountPaise !== signedPaise || !net.has(leg.fromPhone) || !net.has(leg.toPhone) || leg.fromPhone === leg.toPhone) {
+      throw new Error(`Credit transfer leg ${leg.id} is invalid`);
+    }
+    net.set(leg.fromPhone, net.get(leg.fromPhone) + leg.amountPaise);
+    net.set(leg.toPhone, net.get(leg.toPhone) - leg.amountPaise);
+  }
+  const systemNet = [...net.values()].reduce((total, value) => total + value, 0);
+  const moved = [...net.entries()].filter(([, value]) => value !== 0);
+  if (systemNet !== 0 || moved.length > 0) {
+    log('ERROR', 'credit-transfer.js', 'NET_ZERO_VIOLATED', { id: transfer.id, systemNet, moved });
+    throw new Error('Credit transfer does not balance: System Net must be 0');
+  }
+}
+
+// --- SIGNATURES ---
+
+async function verifyTransferRequest(request) {
+  const { payload, signature } = request;
+  if (!payload || payload.v !== TRANSFER_VERSION || payload.kind !== TRANSFER_KIND) { throw new Error('Unsupported credit transfer link'); }
+  if (!payload.id || !payload.initiator || !payload.initiator.key || !payload.from || !payload.from.key || !payload.to || !payload.to.key) {
+    throw new Error('Credit transfer link is missing details');
+  }
+  if (!isRecordableRupees(payload.amount)) { throw new Error('Credit transfer link has an invalid amount'); }
+  const phones = [payload.initiator.phone, payload.from.phone, payload.to.phone].map(normalizePhoneOrNull);
+  if (phones.includes(null)) { throw new Error('Credit transfer link has an invalid phone number'); }
+  if (new Set(phones).size !== 3) { throw new Error('A credit transfer needs three different people'); }
+  if (!await verifyObject(payload.initiator.key, payload, signature)) { throw new Error('Credit transfer signature is invalid'); }
+}
+
+// An approval must come from B or C, answer exactly this request and carry a
+// valid signature made with the key the request names for them.
+async function verifyApproval(request, approval) {
+  const { payload, signature } = approval;
+  if (!payload || payload.v !== TRANSFER_VERSION || payload.id !== request.payload.id || !payload.by || !payload.by.key) {
+    throw new Error('Credit transfer approval is malformed');
+  }
+  if (!APPROVAL_DECISIONS.includes(payload.decision)) { throw new Error('Credit transfer approval has an invalid decision'); }
+  if (!samePhone(payload.by.phone, request.payload.from.phone) && !samePhone(payload.by.phone, request.payload.to.phone)) {
+    throw new Error('Credit transfer approval was not signed by one of the counterparties');
+  }
+  if (payload.req !== await hashRequest(request)) { throw new Error('Credit transfer approval does not match the request'); }
+  const party = samePhone(payload.by.phone, request.payload.from.phone) ? request.payload.from : request.payload.to;
+  if (party.key !== payload.by.key) { throw new Error('Credit transfer approval was signed with a different key than the request names'); }
+  if (!await verifyObject(payload.by.key, payload, signature)) { throw new Error('Credit transfer approval signature is invalid'); }
+}
+
+// For ledger.js: returns a reason string if a stored leg no longer matches the
+// transfer all three parties signed, or null when it does.
+async function checkTransferLeg(record) {
+  try {
+    await verifyTransferRequest(record.request);
+    for (const approval of record.approvals || []) { await verifyApproval(record.request, approval); }
+  } catch (error) {
+    return error.message;
+  }
+  const transfer = { ...buildTransfer(record.request), approvals: record.approvals || [] };
+  if (transfer.id !== record.transferId) { return 'leg does not belong to the signed transfer'; }
+  if (!isApprovedByBoth(transfer)) { return 'credit transfer is not approved by both counterparties'; }
+  const expected = transferLegs(transfer).find(leg => leg.id === record.id);
+  if (!expected) { return 'leg does not belong to the signed transfer'; }
+  const fields = ['transferId', 'leg', 'fromPhone', 'toPhone', 'type', 'amountPaise', 'note'];
+  if (fields.some(field => expected[field] !== record[field])) { return 'transaction details differ from the signed transfer'; }
+  const stored = await Promise.all([1, 2, 3].map(n => getTransactionById(`${transfer.id}-${n}`)));
+  if (stored.includes(null)) { return 'another leg of the credit transfer is missing'; }
+  try {
+    await assertNetZero(transfer, stored);
+  } catch (error) {
+    return error.message;
+  }
+  return null;
+}
+
+function approvalBy(transfer, phone) {
+  return transfer.approvals.find(approval => samePhone(approval.payload.by.phone, phone)) || null;
+}
+
+function isApprovedByBoth(transfer) {
+  const { from, to } = transfer.request.payload;
+  return [from.phone, to.phone].every(phone => {
+    const approval = approvalBy(transfer, phone);
+    return approval && approval.payload.decision === STATES.CONFIRMED;
+  });
+}
+
+// Moves the transfer on once its approvals allow it: any denial ends it, two
+// confirmations make it take effect. Legs and the confirmed transfer are
+// committed together, after the net-zero check.
+async function settle(transfer) {
+  const denial = transfer.approvals.find(approval => approval.payload.decision === STATES.DENIED);
+  if (denial) {
+    transition(transfer, STATES.DENIED, { by: normalizePhone(denial.payload.by.phone), at: denial.payload.ts });
+    await putCreditTransfer(transfer);
+    return transfer;
+  }
+  if (!isApprovedByBoth(transfer)) {
+    await putCreditTransfer(transfer);
+    return transfer;
+  }
+
+  const legs = transferLegs(transfer);
+  await assertNetZero(transfer, legs);
+  const last = legs[0].history[legs[0].history.length - 1];
+  transition(transfer, STATES.CONFIRMED, { by: last.by, at: last.at });
+  const committed = await commitCreditTransfer(transfer, legs);
+  log('INFO', 'credit-transfer.js', 'CREDIT_TRANSFER_SETTLED', { id: transfer.id, amountPaise: transfer.amountPaise });
+  return committed;
+}
+
+// --- FLOW ---
+
+// `from` owes the initiator and will owe `to` instead. The initiator can only
+// hand on credit they actually have with `from`.
+async function createCreditTransfer(initiator, { fromPhone, fromName, toPhone, toName, amount, note }) {
+  if (!isRecordableRupees(amount)) { throw new Error(`Enter an amount above zero and no more than ${formatMoney(MAX_PAISE, { decimals: false })}.`); }
+  const phones = [initiator.phone, fromPhone, toPhone].map(normalizePhone);
+  if (new Set(phones).size !== 3) { throw new Error('Pick two different people other than yourself.'); }
+
+  const credit = await getBalanceWith(initiator, phones[1]);
+  if (credit < toPaise(amount)) {
+    throw new Error(credit > 0
+      ? `${fromName || phones[1]} only owes you ${formatMoney(credit)}. You cannot transfer more than that.`
+      : `${fromName || phones[1]} does not owe you anything to transfer.`);
+  }
+
+  // The keys pinned for B and C, so that only they can approve.
+  const [fromKey, toKey] = await Promise.all([knownKeyFor(initiator, phones[1]), knownKeyFor(initiator, phones[2])]);
+  const unchecked = [[fromKey, fromName || phones[1]], [toKey, toName || phones[2]]].find(([key]) => !key);
+  if (unchecked) { throw new Error(`You have not checked ${unchecked[1]}'s key yet, so their approval could not be told apart from anyone else's. Complete a transaction with them first.`); }
+
+  const keys = await ensureSigningKeys(initiator);
+  const payload = {
+    v: TRANSFER_VERSION,
+    kind: TRANSFER_KIND,
+    id: randomId('CT'),
+    initiator: { name: initiator.name, phone: phones[0], key: keys.publicKey },
+    from: { name: fromName || null, phone: phones[1], key: fromKey },
+    to: { name: toName || null, phone: phones[2], key: toKey },
+    amount,
+    note: note || '',
+    ts: new Date().toISOString(),
+    nonce: randomId('', 9)
+  };
+  const transfer = buildTransfer({ payload, signature: await signObject(initiator, payload) });
+  await putCreditTransfer(transfer);
+  log('INFO', 'credit-transfer.js', 'CREDIT_TRANSFER_CREATED', { id: payload.id, amount });
+  return transfer;
+}
+
+function encodeCreditTransfer(transfer) {
+  const { payload, signature } = transfer.request;
+  return packJSON([payload, signature, transfer.approvals.map(approval => [approval.payload, approval.signature])]);
+}
+
+async function decodeCreditTransfer(token) {
+  const decoded = await unpackJSON(token);
+  if (!Array.isArray(decoded) || decoded.length !== 3 || !Array.isArray(decoded[2])) { throw new Error('Malformed credit transfer link'); }
+  return {
+    request: { payload: decoded[0], signature: decoded[1] },
+    approvals: decoded[2].map(([payload, signature]) => ({ payload, signature }))
+  };
+}
+
+// Opens a transfer link on any of the three devices. Approvals in the link
+// are added to what this device already knows; once both are in, the
+// transfer settles here too. Opening the same link twice changes nothing.
+async function acceptCreditTransfer(token) {
+  const { request, approvals } = await decodeCreditTransfer(token);
+  await verifyTransferRequest(request);
+  for (const approval of approvals) { await verifyApproval(request, approval); }
+
+  let transfer = await getCreditTransferById(request.payload.id);
+  if (transfer && transfer.request.signature !== request.signature) {
+    log('WARN', 'credit-transfer.js', 'CREDIT_TRANSFER_ID_CONFLICT', { id: request.payload.id });
+    throw new Error('A different credit transfer with this ID already exists');
+  }
+  transfer = transfer || buildTransfer(request);
+  if (expireIfStale(transfer)) { await putCreditTransfer(transfer); }
+
+  let added = 0;
+  for (const approval of approvals) {
+    const known = approvalBy(transfer, approval.payload.by.phone);
+    if (known) {
+      if (known.signature !== approval.signature) { throw new Error('This credit transfer has conflicting answers from the same person'); }
+      continue;
+    }
+    if (transfer.status !== STATES.PENDING) { break; }
+    transfer.approvals = [...transfer.approvals, approval];
+    added++;
+  }
+  log('INFO', 'credit-transfer.js', 'CREDIT_TRANSFER_ACCEPTED', { id: transfer.id, added, approvals: transfer.approvals.length });
+  return transfer.status === STATES.PENDING ? settle(transfer) : transfer;
+}
+
+// B or C answers. Each can answer once; the same answer again is a no-op.
+async function answerCreditTransfer(user, transferId, decision) {
+  if (!APPROVAL_DECISIONS.includes(decision)) { throw new Error(`Unknown decision "${decision}"`); }
+  const transfer = await getCreditTransferById(transferId);
+  if (!transfer) { throw new Error('Credit transfer not found on this device'); }
+  const { from, to } = transfer.request.payload;
+  if (!samePhone(user.phone, from.phone) && !samePhone(user.phone, to.phone)) { throw new Error('Only the two counterparties can answer this credit transfer'); }
+
+  const previous = approvalBy(transfer, user.phone);
+  if (previous) {
+    if (previous.payload.decision === decision) { return transfer; }
+    throw new Error('You have already answered this credit transfer');
+  }
+  if (expireIfStale(transfer)) { await putCreditTransfer(transfer); }
+  assertTransition(transfer, decision);
+
+  const keys = await ensureSigningKeys(user);
+  const payload = {
+    v: TRANSFER_VERSION,
+    id: transfer.id,
+    req: await hashRequest(transfer.request),
+    decision,
+    ts: new Date().toISOString(),
+    by: { name: user.name, phone: normalizePhone(user.phone), key: keys.publicKey }
+  };
+  transfer.approvals = [...transfer.approvals, { payload, signature: await signObject(user, payload) }];
+  log('INFO', 'credit-transfer.js', 'CREDIT_TRANSFER_ANSWERED', { id: transfer.id, decision });
+  return settle(transfer);
+}
+
+// Only the initiator can withdraw a transfer, and only while it is pending.
+async function cancelCreditTransfer(user, transferId) {
+  const transfer = await getCreditTransferById(transferId);
+  if (!transfer) { throw new Error('Credit transfer not found on this device'); }
+  if (!samePhone(transfer.request.payload.initiator.phone, user.phone)) { throw new Error('Only the person who started this credit transfer can cancel it'); }
+  if (!assertTransition(transfer, STATES.CANCELLED)) { return transfer; }
+
+  transition(transfer, STATES.CANCELLED, { by: normalizePhone(user.phone) });
+  await putCreditTransfer(transfer);
+  log('INFO', 'credit-transfer.js', 'CREDIT_TRANSFER_CANCELLED', { id: transfer.id });
+  return transfer;
+}
+
+// Who still has to answer, for showing progress and deciding whom to send the link to.
+function awaitingAnswerFrom(transfer) {
+  const { from, to } = transfer.request.payload;
+  return [from, to].filter(party => !approvalBy(transfer, party.phone));
+}
+
+async function generateCreditTransferLink(transfer) {
+  const baseUrl = `${window.location.origin}/confirm.html`;
+  return `${baseUrl}?${new URLSearchParams({ ct: await encodeCreditTransfer(transfer) }).toString()}`;
+}
+
+// --- EXPORTS ---
+export {
+  createCreditTransfer, acceptCreditTransfer, answerCreditTransfer, cancelCreditTransfer,
+  encodeCreditTransfer, decodeCreditTransfer, generateCreditTransferLink,
+  transferLegs, assertNetZero, checkTransferLeg, awaitingAnswerFrom, approvalBy
+};
@@ -4,6 +4,29 @@
 import { log } from './logger.js';
 import { downloadDebugLog } from './logger.js'; // Also need to import this
 import { getCurrentUser } from './auth.js';
+import { escapeHtml } from './app.js';
+import { listProfiles, switchProfile, getProfileContacts, getBalanceWith } from './profiles.js';
+import { formatPhone, samePhone } from './phone.js';
+import { getPublicKey, getFingerprint } from './identity.js';
+import { sealLedger, verifyLedger } from './ledger.js';
+import { isPasskeySupported, hasPasskey, registerPasskey, removePasskey } from './passkey.js';
+import { MIN_PASSPHRASE_LENGTH, downloadBackup, restoreBackup } from './backup.js';
+import { localToday, parseAmount, recordTransaction, generateTransactionLink, shareOrCopy, shareTransactionLink } from './transactions.js';
+import { createCreditTransfer, generateCreditTransferLink } from './credit-transfer.js';
+import { FREQUENCIES, buildSchedule, createAgreement, generateAgreementLink, agreementProgress, listAgreements } from './agreements.js';
+import { STATES, describeStatus } from './lifecycle.js';
+import { buildStatement } from './reports.js';
+import { buildKhata, settlementFor, reminderMessage } from './khata.js';
+import {
+  supportsContactPicker, pickPhoneContacts, readVCardFile, prepareImport, saveImportedContacts,
+  CONTACT_TAGS, contactPhones, displayName, listContacts, saveContact, removeContact, findDuplicates, mergeContacts
+} from './contacts.js';
+import { formatMoney, formatRupees, sumPaise } from './money.js';
+import { getTransactionById } from './db.js';
+import { showLinkQR, startLinkScanner } from './qr-link.js';
+import { MAX_SCORE, explainTrustScore, recordScoreSnapshot, getScoreHistory } from './credit-score.js';
+import { drawScoreTrend } from './score-chart.js';
+import { IDLE_OPTIONS, hasPin, setPin, validateSecret, getIdleMinutes, setIdleTimeout, lockNow, showLockScreen, onUnlock } from './lock.js';
 
 document.addEventListener('DOMContentLoaded', async () => {
   log('INFO', 'dashboard.js', 'PAGE_LOAD');
@@ -16,7 +39,23 @@ document.addEventListener('DOMContentLoaded', async () => {
   }
 
   populateDashboard(currentUser);
-  attachEventListeners();
+  showKeyFingerprint(currentUser);
+  checkLedger(currentUser);
+  setupAppLock(currentUser);
+  setupPasskey(currentUser);
+  renderProfileSwitcher(currentUser);
+  setupBackup(currentUser);
+  const openRecordTransaction = setupRecordTransaction(currentUser);
+  setupCreditTransfer(currentUser);
+  setupAgreements(currentUser);
+  renderAgreements(currentUser);
+  setupKhata(currentUser, openRecordTransaction);
+  setupContactImport(currentUser);
+  setupContacts(currentUser);
+  renderContacts(currentUser);
+  setupQR();
+  setupTrustScore(currentUser);
+  attachEventListeners(currentUser);
 });
 
 function populateDashboard(user) {
@@ -29,7 +68,1068 @@ function populateDashboard(user) {
   log('INFO', 'dashboard.js', 'DASHBOARD_POPULATED', { name: user.name, referralCode: user.referralCode });
 }
 
-function attachEventListeners() {
+async function showKeyFingerprint(user) {
+  try {
+    const fingerprint = await getFingerprint(await getPublicKey(user));
+    document.getElementById('key-fingerprint').textContent = fingerprint;
+  } catch (error) {
+    log('ERROR', 'dashboard.js', 'FINGERPRINT_FAILED', { error: error.message });
+  }
+}
+
+// Chains anything confirmed since the last visit, then re-checks the whole chain.
+async function checkLedger(user) {
+  const status = document.getElementById('ledger-status');
+  try {
+    await sealLedger(user);
+    const result = await verifyLedger(user);
+    if (result.ok) {
+      status.textContent = `Ledger verified: ${result.length} confirmed transaction${result.length === 1 ? '' : 's'}.`;
+      status.className = 'ledger-ok';
+    } else {
+      const { seq, txnId, reason } = result.brokenAt;
+      status.textContent = seq === null
+        ? `Ledger check failed for transaction ${txnId}: ${reason}.`
+        : `Ledger check failed at entry ${seq}: ${reason}.`;
+      status.className = 'ledger-broken';
+    }
+  } catch (error) {
+    log('ERROR', 'dashboard.js', 'LEDGER_CHECK_FAILED', { error: error.message });
+  }
+}
+
+function setupAppLock(user) {
+  const select = document.getElementById('idle-timeout-select');
+  const setPinBtn = document.getElementById('set-pin-btn');
+  const lockNowBtn = document.getElementById('lock-now-btn');
+
+  select.innerHTML = IDLE_OPTIONS.map(minutes => `<option value="${minutes}">${minutes} minute${minutes === 1 ? '' : 's'}</option>`).join('');
+  select.value = String(getIdleMinutes(user));
+  select.addEventListener('change', () => {
+    setIdleTimeout(user, parseInt(select.value, 10))
+      .catch(err => log('ERROR', 'dashboard.js', 'IDLE_TIMEOUT_SAVE_FAILED', { error: err.message }));
+  });
+
+  setPinBtn.textContent = hasPin(user) ? 'Change PIN' : 'Set PIN';
+  lockNowBtn.style.display = hasPin(user) ? '' : 'none';
+
+  setPinBtn.addEventListener('click', async () => {
+    const pin = prompt('Enter a new 4-6 digit PIN, or a passphrase of at least 8 characters:');
+    if (pin === null) { return; }
+    const problem = validateSecret(pin) || (pin !== prompt('Enter it again to confirm:') ? 'The two entries do not match.' : null);
+    if (problem) { alert(problem); return; }
+    try {
+      await setPin(user, pin);
+      setPinBtn.textContent = 'Change PIN';
+      lockNowBtn.style.display = '';
+      alert('App lock PIN saved.');
+    } catch (error) {
+      log('ERROR', 'dashboard.js', 'SET_PIN_FAILED', { error: error.message });
+      alert('Could not save the PIN. Please try again.');
+    }
+  });
+
+  lockNowBtn.addEventListener('click', () => {
+    lockNow('manual');
+    showLockScreen(user);
+  });
+}
+
+async function renderProfileSwitcher(user) {
+  const list = document.getElementById('profiles-list');
+  document.getElementById('add-profile-link').href = `onboarding.html?ref=${encodeURIComponent(user.referralCode)}`;
+
+  try {
+    const profiles = await listProfiles();
+    list.innerHTML = profiles.map(profile => `
+      <li class="profile-item${profile.active ? ' active' : ''}">
+        <span>${escapeHtml(profile.name)} <small>${escapeHtml(formatPhone(profile.phone))}</small></span>
+        ${profile.active ? '<strong>Active</strong>' : `<button class="switch-profile-btn" data-user-id="${profile.id}">Switch</button>`}
+      </li>
+    `).join('');
+  } catch (error) {
+    log('ERROR', 'dashboard.js', 'PROFILE_LIST_FAILED', { error: error.message });
+    return;
+  }
+
+  list.querySelectorAll('.switch-profile-btn').forEach(button => {
+    button.addEventListener('click', async () => {
+      try {
+        const switched = await switchProfile(parseInt(button.dataset.userId, 10));
+        // Reload so every view is rebuilt from the new profile's own data.
+        if (switched) { window.location.reload(); }
+      } catch (error) {
+        log('ERROR', 'dashboard.js', 'PROFILE_SWITCH_FAILED', { error: error.message });
+        alert('Could not switch profile. Please try again.');
+      }
+    });
+  });
+}
+
+async function setupPasskey(user) {
+  const passkeyBtn = document.getElementById('passkey-btn');
+  if (!await isPasskeySupported()) { return; }
+
+  const refresh = () => { passkeyBtn.textContent = hasPasskey(user) ? 'Remove Passkey Unlock' : 'Enable Passkey Unlock'; };
+  refresh();
+  passkeyBtn.style.display = '';
+  passkeyBtn.addEventListener('click', async () => {
+    try {
+      if (hasPasskey(user)) {
+        await removePasskey(user);
+      } else {
+        await registerPasskey(user);
+        alert('Passkey unlock enabled.');
+      }
+      refresh();
+    } catch (error) {
+      log('WARN', 'dashboard.js', 'PASSKEY_TOGGLE_FAILED', { error: error.message });
+      alert('Passkey setup did not complete. Your PIN still works.');
+    }
+  });
+}
+
+function setupBackup(user) {
+  const restoreInput = document.getElementById('restore-file-input');
+
+  document.getElementById('backup-btn').addEventListener('click', async () => {
+    const passphrase = prompt(`Choose a passphrase for this backup (at least ${MIN_PASSPHRASE_LENGTH} characters). You will need it to restore.`);
+    if (passphrase === null) { return; }
+    if (passphrase !== prompt('Enter the passphrase again to confirm:')) { alert('The two entries do not match.'); return; }
+    try {
+      await downloadBackup(user, passphrase);
+    } catch (error) {
+      log('ERROR', 'dashboard.js', 'BACKUP_FAILED', { error: error.message });
+      alert(error.message);
+    }
+  });
+
+  document.getElementById('restore-btn').addEventListener('click', () => restoreInput.click());
+  restoreInput.addEventListener('change', async () => {
+    const file = restoreInput.files[0];
+    restoreInput.value = '';
+    if (!file) { return; }
+    const mode = document.getElementById('restore-mode-select').value;
+    if (mode === 'replace' && !confirm('Everything in this profile will be replaced by the backup. Other profiles on this device are not touched. Continue?')) { return; }
+    const passphrase = prompt('Enter the passphrase for this backup:');
+    if (passphrase === null) { return; }
+    try {
+      const result = await restoreBackup(user, await file.text(), passphrase, mode);
+      alert(`Backup from ${new Date(result.exportedAt).toLocaleString()} restored.`);
+      window.location.reload();
+    } catch (error) {
+      log('ERROR', 'dashboard.js', 'RESTORE_FAILED', { error: error.message, mode });
+      alert(error.message);
+    }
+  });
+}
+
+function setupRecordTransaction(user) {
+  const modal = document.getElementById('transaction-modal');
+  const form = document.getElementById('transaction-form');
+  const contactSelect = document.getElementById('txn-contact-select');
+  const newContact = document.getElementById('txn-new-contact');
+  const errorText = document.getElementById('txn-error');
+  const sharePanel = document.getElementById('txn-share');
+  const submitBtn = document.getElementById('txn-submit-btn');
+  let contacts = [];
+  let recorded = null;
+
+  const showNewContactFields = () => { newContact.style.display = contactSelect.value === '' ? '' : 'none'; };
+  contactSelect.addEventListener('change', showNewContactFields);
+
+  // `prefill` picks the contact and may fill in { type, amount, note }.
+  const open = async (prefill = {}) => {
+    try {
+      contacts = await getProfileContacts(user);
+    } catch (error) {
+      log('ERROR', 'dashboard.js', 'CONTACTS_LOAD_FAILED', { error: error.message });
+      contacts = [];
+    }
+    contacts.sort((a, b) => String(a.name).localeCompare(String(b.name)));
+    contactSelect.innerHTML = contacts.map((contact, i) => `<option value="${i}">${escapeHtml(contact.name)} (${escapeHtml(formatPhone(contact.phone))})</option>`).join('') +
+      '<option value="">Someone new…</option>';
+
+    form.reset();
+    const picked = prefill.phone ? contacts.findIndex(contact => samePhone(contact.phone, prefill.phone)) : 0;
+    contactSelect.value = contacts.length > 0 && picked >= 0 ? String(picked) : '';
+    showNewContactFields();
+    if (prefill.phone && picked < 0) { document.getElementById('txn-phone').value = prefill.phone; }
+    if (prefill.type) { form.querySelector(`input[name="txn-type"][value="${prefill.type}"]`).checked = true; }
+    if (prefill.amount) { document.getElementById('txn-amount').value = prefill.amount; }
+    if (prefill.note) { document.getElementById('txn-note').value = prefill.note; }
+    const dateInput = document.getElementById('txn-date');
+    dateInput.value = dateInput.max = localToday();
+    errorText.textContent = '';
+    form.style.display = '';
+    sharePanel.style.display = 'none';
+    recorded = null;
+    modal.style.display = 'block';
+  };
+  document.getElementById('record-transaction-btn').addEventListener('click', () => open());
+
+  const shareRecorded = async () => {
+    try {
+      if (await shareTransactionLink(recorded, user.referralCode) === 'copied') { alert('Confirmation link copied to clipboard!'); }
+    } catch (error) {
+      // No share sheet or clipboard here: the link stays on screen to copy by hand.
+      log('WARN', 'dashboard.js', 'TRANSACTION_SHARE_FAILED', { error: error.message });
+    }
+  };
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const picked = contactSelect.value === '' ? null : contacts[parseInt(contactSelect.value, 10)];
+    const input = {
+      toPhone: picked ? picked.phone : document.getElementById('txn-phone').value,
+      toName: picked ? picked.name : document.getElementById('txn-name').value,
+      type: form.querySelector('input[name="txn-type"]:checked').value,
+      amount: document.getElementById('txn-amount').value,
+      note: document.getElementById('txn-note').value,
+      date: document.getElementById('txn-date').value,
+      dueDate: document.getElementById('txn-due-date').value
+    };
+
+    submitBtn.disabled = true;
+    errorText.textContent = '';
+    try {
+      recorded = await recordTransaction(user, input);
+    } catch (error) {
+      log('WARN', 'dashboard.js', 'RECORD_TRANSACTION_FAILED', { error: error.message });
+      errorText.textContent = error.message;
+      return;
+    } finally {
+      submitBtn.disabled = false;
+    }
+
+    document.getElementById('txn-link').value = await generateTransactionLink(recorded, user.referralCode);
+    form.style.display = 'none';
+    sharePanel.style.display = '';
+    shareRecorded();
+    renderContacts(user);
+  });
+
+  document.getElementById('txn-share-btn').addEventListener('click', shareRecorded);
+
+  const close = () => { modal.style.display = 'none'; };
+  document.getElementById('txn-done-btn').addEventListener('click', close);
+  document.getElementById('transaction-close-button').addEventListener('click', close);
+  return open;
+}
+
+function setupCreditTransfer(user) {
+  const modal = document.getElementById('credit-transfer-modal');
+  const form = document.getElementById('credit-transfer-form');
+  const fromSelect = document.getElementById('ct-from-select');
+  const toSelect = document.getElementById('ct-to-select');
+  const errorText = document.getElementById('ct-error');
+  const sharePanel = document.getElementById('ct-share');
+  const submitBtn = document.getElementById('ct-submit-btn');
+  let contacts = [];
+  let link = null;
+
+  document.getElementById('credit-transfer-btn').addEventListener('click', async () => {
+    try {
+      contacts = await getProfileContacts(user);
+      // Only people who owe this profile something can be transferred from.
+      for (const contact of contacts) { contact.balance = await getBalanceWith(user, contact.phone); }
+    } catch (error) {
+      log('ERROR', 'dashboard.js', 'CONTACTS_LOAD_FAILED', { error: error.message });
+      contacts = [];
+    }
+    contacts.sort((a, b) => String(a.name).localeCompare(String(b.name)));
+    const option = (contact, i, extra = '') => `<option value="${i}">${escapeHtml(contact.name)} (${escapeHtml(formatPhone(contact.phone))})${extra}</option>`;
+    const debtors = contacts.map((contact, i) => contact.balance > 0 ? option(contact, i, ` owes ${formatMoney(contact.balance)}`) : '').join('');
+    fromSelect.innerHTML = debtors || '<option value="" disabled selected>Nobody owes you anything yet</option>';
+    toSelect.innerHTML = contacts.map((contact, i) => option(contact, i)).join('');
+
+    form.reset();
+    errorText.textContent = '';
+    submitBtn.disabled = !debtors;
+    form.style.display = '';
+    sharePanel.style.display = 'none';
+    modal.style.display = 'block';
+  });
+
+  const shareTransfer = async () => {
+    try {
+      const outcome = await shareOrCopy('Approve Credit Transfer', `Please approve this credit transfer: ${link}`, link);
+      if (outcome === 'copied') { alert('Approval link copied to clipboard!'); }
+    } catch (error) {
+      log('WARN', 'dashboard.js', 'CREDIT_TRANSFER_SHARE_FAILED', { error: error.message });
+    }
+  };
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const from = contacts[parseInt(fromSelect.value, 10)];
+    const to = contacts[parseInt(toSelect.value, 10)];
+    errorText.textContent = '';
+    if (!from || !to) { errorText.textContent = 'Pick who owes you and who should owe instead.'; return; }
+
+    submitBtn.disabled = true;
+    try {
+      const transfer = await createCreditTransfer(user, {
+        fromPhone: from.phone,
+        fromName: from.name,
+        toPhone: to.phone,
+        toName: to.name,
+        amount: parseAmount(document.getElementById('ct-amount').value),
+        note: document.getElementById('ct-note').value.trim()
+      });
+      link = await generateCreditTransferLink(transfer);
+    } catch (error) {
+      log('WARN', 'dashboard.js', 'CREDIT_TRANSFER_FAILED', { error: error.message });
+      errorText.textContent = error.message;
+      return;
+    } finally {
+      submitBtn.disabled = false;
+    }
+
+    document.getElementById('ct-link').value = link;
+    form.style.display = 'none';
+    sharePanel.style.display = '';
+    shareTransfer();
+  });
+
+  document.getElementById('ct-share-btn').addEventListener('click', shareTransfer);
+  const close = () => { modal.style.display = 'none'; };
+  document.getElementById('ct-done-btn').addEventListener('click', close);
+  document.getElementById('credit-transfer-close-button').addEventListener('click', close);
+}
+
+function setupAgreements(user) {
+  const modal = document.getElementById('agreement-modal');
+  const form = document.getElementById('agreement-form');
+  const contactSelect = document.getElementById('ag-contact-select');
+  const newContact = document.getElementById('ag-new-contact');
+  const preview = document.getElementById('ag-preview');
+  const errorText = document.getElementById('ag-error');
+  const sharePanel = document.getElementById('ag-share');
+  const submitBtn = document.getElementById('ag-submit-btn');
+  let contacts = [];
+  let link = null;
+
+  document.getElementById('ag-frequency').innerHTML = Object.entries(FREQUENCIES)
+    .map(([value, { label }]) => `<option value="${value}"${value === 'monthly' ? ' selected' : ''}>${escapeHtml(label)}</option>`).join('');
+
+  const showNewContactFields = () => { newContact.style.display = contactSelect.value === '' ? '' : 'none'; };
+  contactSelect.addEventListener('change', showNewContactFields);
+
+  const readTerms = () => {
+    const picked = contactSelect.value === '' ? null : contacts[parseInt(contactSelect.value, 10)];
+    return {
+      counterpartyPhone: picked ? picked.phone : document.getElementById('ag-phone').value,
+      counterpartyName: picked ? picked.name : document.getElementById('ag-name').value.trim(),
+      role: form.querySelector('input[name="ag-role"]:checked').value,
+      principal: parseAmount(document.getElementById('ag-principal').value),
+      startDate: document.getElementById('ag-start-date').value,
+      frequency: document.getElementById('ag-frequency').value,
+      installments: Number(document.getElementById('ag-installments').value),
+      interestRate: Number(document.getElementById('ag-interest').value || 0),
+      text: document.getElementById('ag-terms').value
+    };
+  };
+
+  // Shows the schedule both sides will sign, as soon as the numbers make sense.
+  form.addEventListener('input', () => {
+    try {
+      const terms = readTerms();
+      const schedule = buildSchedule(terms);
+      const total = sumPaise(schedule.map(item => item.amountPaise));
+      const last = schedule[schedule.length - 1];
+      preview.textContent = `${schedule.length} installment${schedule.length === 1 ? '' : 's'} of ${formatMoney(schedule[0].amountPaise)}` +
+        `${last.amountPaise !== schedule[0].amountPaise ? ` (last ${formatMoney(last.amountPaise)})` : ''}, ending ${last.dueDate}. Total ${formatMoney(total)}.`;
+    } catch (error) {
+      preview.textContent = '';
+    }
+  });
+
+  document.getElementById('agreement-btn').addEventListener('click', async () => {
+    try {
+      contacts = await getProfileContacts(user);
+    } catch (error) {
+      log('ERROR', 'dashboard.js', 'CONTACTS_LOAD_FAILED', { error: error.message });
+      contacts = [];
+    }
+    contacts.sort((a, b) => String(a.name).localeCompare(String(b.name)));
+    contactSelect.innerHTML = contacts.map((contact, i) => `<option value="${i}">${escapeHtml(contact.name)} (${escapeHtml(formatPhone(contact.phone))})</option>`).join('') +
+      '<option value="">Someone new…</option>';
+    contactSelect.value = contacts.length > 0 ? '0' : '';
+    showNewContactFields();
+
+    form.reset();
+    document.getElementById('ag-start-date').value = localToday();
+    preview.textContent = '';
+    errorText.textContent = '';
+    form.style.display = '';
+    sharePanel.style.display = 'none';
+    modal.style.display = 'block';
+  });
+
+  const shareAgreement = async () => {
+    try {
+      const outcome = await shareOrCopy('Accept Agreement', `Please review and accept our agreement: ${link}`, link);
+      if (outcome === 'copied') { alert('Agreement link copied to clipboard!'); }
+    } catch (error) {
+      log('WARN', 'dashboard.js', 'AGREEMENT_SHARE_FAILED', { error: error.message });
+    }
+  };
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    submitBtn.disabled = true;
+    errorText.textContent = '';
+    try {
+      link = await generateAgreementLink(await createAgreement(user, readTerms()));
+    } catch (error) {
+      log('WARN', 'dashboard.js', 'AGREEMENT_CREATE_FAILED', { error: error.message });
+      errorText.textContent = error.message;
+      return;
+    } finally {
+      submitBtn.disabled = false;
+    }
+
+    document.getElementById('ag-link').value = link;
+    form.style.display = 'none';
+    sharePanel.style.display = '';
+    shareAgreement();
+    renderAgreements(user);
+  });
+
+  document.getElementById('ag-share-btn').addEventListener('click', shareAgreement);
+  const close = () => { modal.style.display = 'none'; };
+  document.getElementById('ag-done-btn').addEventListener('click', close);
+  document.getElementById('agreement-close-button').addEventListener('click', close);
+}
+
+async function renderAgreements(user) {
+  const list = document.getElementById('agreements-list');
+  let agreements;
+  try {
+    agreements = await listAgreements(user);
+  } catch (error) {
+    log('ERROR', 'dashboard.js', 'AGREEMENTS_LOAD_FAILED', { error: error.message });
+    return;
+  }
+  if (agreements.length === 0) {
+    list.innerHTML = '<li class="agreement-item"><small>No agreements yet.</small></li>';
+    return;
+  }
+
+  list.innerHTML = agreements.map(agreement => {
+    const { payer, payee, frequency } = agreement.terms;
+    const iPay = samePhone(payer.phone, user.phone);
+    const other = iPay ? payee : payer;
+    const otherName = escapeHtml(other.name || formatPhone(other.phone));
+    const progress = agreementProgress(agreement);
+    const headline = `${iPay ? `You pay ${otherName}` : `${otherName} pays you`} ${escapeHtml(FREQUENCIES[frequency].label.toLowerCase())}, ${escapeHtml(formatRupees(agreement.terms.principal))} in total`;
+
+    let detail;
+    if (agreement.status === STATES.CONFIRMED) {
+      detail = agreement.completedAt
+        ? `All ${progress.total} installments paid.`
+        : `${progress.fulfilled} of ${progress.total} paid. Next: ${formatMoney(progress.next.amountPaise - progress.next.paidPaise)} due ${progress.next.dueDate}` +
+          `${progress.overdue > 0 ? ` (${progress.overdue} overdue)` : ''}.`;
+    } else if (agreement.status === STATES.PENDING) {
+      detail = samePhone(agreement.proposerPhone, user.phone) ? `Waiting for ${other.name || formatPhone(other.phone)} to accept.` : 'Waiting for your answer.';
+    } else {
+      detail = `This agreement was ${describeStatus(agreement.status)}.`;
+    }
+    const shareButton = agreement.status === STATES.PENDING ? `<button class="agreement-share-btn" data-id="${escapeHtml(agreement.id)}">Open / Share</button>` : '';
+    return `
+      <li class="agreement-item${progress.overdue > 0 && agreement.status === STATES.CONFIRMED ? ' overdue' : ''}">
+        <span>${headline}</span>
+        <small>${escapeHtml(detail)}</small>
+        ${shareButton}
+      </li>
+    `;
+  }).join('');
+
+  list.querySelectorAll('.agreement-share-btn').forEach(button => {
+    button.addEventListener('click', async () => {
+      const agreement = agreements.find(item => item.id === button.dataset.id);
+      window.location.href = await generateAgreementLink(agreement);
+    });
+  });
+}
+
+// --- CONTACTS ---
+
+async function renderContacts(user) {
+  const list = document.getElementById('contacts-list');
+  const filter = document.getElementById('contacts-tag-filter');
+  let contacts;
+  let everyone;
+  try {
+    everyone = await listContacts(user);
+    contacts = filter.value ? everyone.filter(contact => (contact.tags || []).includes(filter.value)) : everyone;
+    // A merged contact's balance covers all of its numbers.
+    for (const contact of contacts) {
+      contact.balance = 0;
+      for (const phone of contactPhones(contact)) { contact.balance += await getBalanceWith(user, phone); }
+    }
+  } catch (error) {
+    log('ERROR', 'dashboard.js', 'CONTACTS_LOAD_FAILED', { error: error.message });
+    return;
+  }
+
+  const tags = [...new Set([...CONTACT_TAGS, ...everyone.flatMap(contact => contact.tags || [])])].sort();
+  const selected = filter.value;
+  filter.innerHTML = '<option value="">All contacts</option>' +
+    tags.map(tag => `<option value="${escapeHtml(tag)}"${tag === selected ? ' selected' : ''}>${escapeHtml(tag)}</option>`).join('');
+
+  if (contacts.length === 0) {
+    list.innerHTML = selected
+      ? '<li class="contact-item"><small>Nobody is tagged with this yet.</small></li>'
+      : '<li class="contact-item"><small>No contacts yet. Add one or record a transaction.</small></li>';
+    return;
+  }
+
+  list.innerHTML = contacts.map(contact => {
+    let standing = 'All settled';
+    if (contact.balance > 0) { standing = `Owes you ${formatMoney(contact.balance)}`; }
+    if (contact.balance < 0) { standing = `You owe ${formatMoney(-contact.balance)}`; }
+    const more = (contact.otherPhones || []).length;
+    return `
+      <li class="contact-item">
+        <span>${escapeHtml(displayName(contact))}</span>
+        ${contact.nickname ? `<small>${escapeHtml(contact.name)}</small>` : ''}
+        <small>${escapeHtml(formatPhone(contact.phone))}${more > 0 ? ` +${more} more` : ''} · ${escapeHtml(standing)}${contact.member ? ' · Member' : ' · Not yet a member'}</small>
+        ${(contact.tags || []).map(tag => `<span class="contact-tag">${escapeHtml(tag)}</span>`).join('')}
+        <button class="contact-open-btn" data-id="${contact.id}">Open Khata</button>
+        <button class="contact-edit-btn" data-id="${contact.id}">Edit</button>
+      </li>
+    `;
+  }).join('');
+
+  const byId = id => contacts.find(contact => contact.id === Number(id));
+  list.querySelectorAll('.contact-open-btn').forEach(button => {
+    button.addEventListener('click', () => {
+      const contact = byId(button.dataset.id);
+      openKhata(user, { phone: contact.phone, name: displayName(contact) });
+    });
+  });
+  list.querySelectorAll('.contact-edit-btn').forEach(button => {
+    button.addEventListener('click', () => openContactEditor(byId(button.dataset.id), everyone));
+  });
+}
+
+// --- CONTACT EDITOR ---
+// Add and edit share one form; editing also offers delete and merge.
+
+let editingContact = null;
+
+function openContactEditor(contact = null, everyone = []) {
+  editingContact = contact;
+  const form = document.getElementById('contact-form');
+  form.reset();
+  document.getElementById('contact-error').textContent = '';
+  document.getElementById('contact-modal-title').textContent = contact ? 'Edit Contact' : 'Add Contact';
+
+  const tags = contact ? contact.tags || [] : [];
+  document.getElementById('contact-tags').innerHTML = CONTACT_TAGS.map(tag =>
+    `<label><input type="checkbox" class="contact-tag-box" value="${tag}"${tags.includes(tag) ? ' checked' : ''}> ${tag}</label>`
+  ).join('');
+  document.getElementById('contact-other-tags').value = tags.filter(tag => !CONTACT_TAGS.includes(tag)).join(', ');
+
+  const others = contact ? contact.otherPhones || [] : [];
+  document.getElementById('contact-other-phones').textContent = others.length > 0
+    ? `Also known by: ${others.map(formatPhone).join(', ')}`
+    : '';
+  if (contact) {
+    document.getElementById('contact-name').value = contact.name;
+    document.getElementById('contact-phone').value = formatPhone(contact.phone);
+    document.getElementById('contact-nickname').value = contact.nickname || '';
+    document.getElementById('contact-member').checked = !!contact.member;
+  }
+
+  const mergeSelect = document.getElementById('contact-merge-select');
+  const candidates = contact ? everyone.filter(other => other.id !== contact.id) : [];
+  mergeSelect.innerHTML = '<option value="">Choose a contact to merge in</option>' + candidates.map(other =>
+    `<option value="${other.id}">${escapeHtml(displayName(other))} (${escapeHtml(formatPhone(other.phone))})</option>`
+  ).join('');
+  document.getElementById('contact-merge-btn').disabled = candidates.length === 0;
+  document.getElementById('contact-edit-actions').style.display = contact ? '' : 'none';
+  document.getElementById('contact-modal').style.display = 'block';
+}
+
+function setupContacts(user) {
+  const modal = document.getElementById('contact-modal');
+  const errorText = document.getElementById('contact-error');
+  const close = () => { modal.style.display = 'none'; editingContact = null; };
+
+  document.getElementById('add-contact-btn').addEventListener('click', () => openContactEditor());
+  document.getElementById('contact-close-button').addEventListener('click', close);
+  document.getElementById('contacts-tag-filter').addEventListener('change', () => renderContacts(user));
+
+  document.getElementById('contact-form').addEventListener('submit', async (event) => {
+    event.preventDefault();
+    errorText.textContent = '';
+    const tags = [
+      ...[...document.querySelectorAll('.contact-tag-box:checked')].map(box => box.value),
+      ...document.getElementById('contact-other-tags').value.split(',')
+    ];
+    const fields = {
+      name: document.getElementById('contact-name').value,
+      phone: document.getElementById('contact-phone').value,
+      nickname: document.getElementById('contact-nickname').value,
+      tags,
+      // Left for contacts.js to work out when adding someone new and unticked.
+      member: editingContact || document.getElementById('contact-member').checked
+        ? document.getElementById('contact-member').checked
+        : undefined
+    };
+    try {
+      await saveContact(user, fields, editingContact ? editingContact.id : null);
+      close();
+      renderContacts(user);
+    } catch (error) {
+      log('WARN', 'dashboard.js', 'CONTACT_SAVE_REJECTED', { error: error.message });
+      errorText.textContent = error.message;
+    }
+  });
+
+  document.getElementById('contact-delete-btn').addEventListener('click', async () => {
+    if (!editingContact) { return; }
+    if (!confirm(`Delete ${displayName(editingContact)} from your contacts? Your transactions with them are kept.`)) { return; }
+    try {
+      await removeContact(user, editingContact.id);
+      close();
+      renderContacts(user);
+    } catch (error) {
+      log('ERROR', 'dashboard.js', 'CONTACT_DELETE_FAILED', { error: error.message });
+      alert(error.message);
+    }
+  });
+
+  document.getElementById('contact-merge-btn').addEventListener('click', async () => {
+    const select = document.getElementById('contact-merge-select');
+    if (!editingContact || !select.value) { alert('Choose the contact to merge in.'); return; }
+    const other = select.options[select.selectedIndex].textContent;
+    if (!confirm(`Merge ${other} into ${displayName(editingContact)}? Their transactions will show in this contact's khata.`)) { return; }
+    try {
+      await mergeContacts(user, editingContact.id, Number(select.value));
+      close();
+      renderContacts(user);
+    } catch (error) {
+      log('ERROR', 'dashboard.js', 'CONTACT_MERGE_FAILED', { error: error.message });
+      alert(error.message);
+    }
+  });
+
+  // Suggests likely duplicates one group at a time; the oldest contact stays.
+  document.getElementById('find-duplicates-btn').addEventListener('click', async () => {
+    let groups;
+    try {
+      groups = await findDuplicates(user);
+    } catch (error) {
+      log('ERROR', 'dashboard.js', 'DUPLICATES_LOAD_FAILED', { error: error.message });
+      alert(error.message);
+      return;
+    }
+    if (groups.length === 0) { alert('No duplicate contacts found.'); return; }
+    let merged = 0;
+    for (const [keep, ...rest] of groups) {
+      const numbers = [keep, ...rest].map(contact => formatPhone(contact.phone)).join(', ');
+      if (!confirm(`${displayName(keep)} is saved ${rest.length + 1} times (${numbers}). Merge them into one contact?`)) { continue; }
+      try {
+        for (const contact of rest) { await mergeContacts(user, keep.id, contact.id); }
+        merged++;
+      } catch (error) {
+        log('ERROR', 'dashboard.js', 'CONTACT_MERGE_FAILED', { error: error.message });
+        alert(error.message);
+      }
+    }
+    if (merged > 0) { renderContacts(user); }
+  });
+}
+
+// Phone book import: the Contact Picker where there is one, a .vcf file
+// otherwise, and always a preview before anything is saved.
+function setupContactImport(user) {
+  const modal = document.getElementById('import-modal');
+  const fileInput = document.getElementById('import-contacts-file');
+  const list = document.getElementById('import-list');
+  const selectAll = document.getElementById('import-select-all');
+  let preview = null;
+
+  const showPreview = async (cards) => {
+    preview = await prepareImport(user, cards);
+    const { fresh, known, invalid } = preview;
+    if (fresh.length === 0 && known.length === 0) {
+      alert(invalid.length > 0 ? 'None of those numbers look like phone numbers we can use.' : 'No contacts were chosen.');
+      return;
+    }
+    document.getElementById('import-summary').textContent = `${fresh.length} new` +
+      (known.length > 0 ? `, ${known.length} already in your contacts` : '') +
+      (invalid.length > 0 ? `, ${invalid.length} number${invalid.length === 1 ? '' : 's'} skipped` : '') + '.';
+    list.innerHTML = fresh.map((contact, i) => `
+      <li class="contact-item">
+        <label><input type="checkbox" class="import-pick" data-index="${i}" checked> ${escapeHtml(contact.name)}</label>
+        <small>${escapeHtml(formatPhone(contact.phone))}</small>
+      </li>
+    `).join('') + known.map(contact => `
+      <li class="contact-item known">
+        <span>${escapeHtml(contact.name)}</span>
+        <small>${escapeHtml(formatPhone(contact.phone))} · Already a contact</small>
+      </li>
+    `).join('');
+    selectAll.checked = true;
+    document.getElementById('import-save-btn').disabled = fresh.length === 0;
+    modal.style.display = 'block';
+  };
+
+  document.getElementById('import-contacts-btn').addEventListener('click', async () => {
+    if (!supportsContactPicker()) {
+      alert('Export your contacts from your phone\'s Contacts app as a .vcf file, then choose that file.');
+      fileInput.click();
+      return;
+    }
+    try {
+      await showPreview(await pickPhoneContacts());
+    } catch (error) {
+      log('ERROR', 'dashboard.js', 'CONTACT_PICK_FAILED', { error: error.message });
+      alert(error.message);
+    }
+  });
+
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files[0];
+    fileInput.value = '';
+    if (!file) { return; }
+    try {
+      await showPreview(await readVCardFile(file));
+    } catch (error) {
+      log('ERROR', 'dashboard.js', 'VCARD_IMPORT_FAILED', { error: error.message });
+      alert(error.message);
+    }
+  });
+
+  selectAll.addEventListener('change', () => {
+    list.querySelectorAll('.import-pick').forEach(box => { box.checked = selectAll.checked; });
+  });
+
+  document.getElementById('import-close-button').addEventListener('click', () => { modal.style.display = 'none'; });
+
+  document.getElementById('import-save-btn').addEventListener('click', async () => {
+    const chosen = [...list.querySelectorAll('.import-pick:checked')].map(box => preview.fresh[Number(box.dataset.index)]);
+    if (chosen.length === 0) { alert('Select at least one contact.'); return; }
+    try {
+      const added = await saveImportedContacts(user, chosen);
+      modal.style.display = 'none';
+      alert(`${added} contact${added === 1 ? '' : 's'} added.`);
+      renderContacts(user);
+    } catch (error) {
+      log('ERROR', 'dashboard.js', 'CONTACT_IMPORT_SAVE_FAILED', { error: error.message });
+      alert(error.message);
+    }
+  });
+}
+
+// --- KHATA ---
+// One contact's account: running balance, open requests, late installments.
+
+let khataContact = null;
+let khataShown = null;
+
+async function openKhata(user, contact) {
+  const modal = document.getElementById('khata-modal');
+  const totals = document.getElementById('khata-totals');
+  khataContact = contact;
+  document.getElementById('khata-title').textContent = contact.name || formatPhone(contact.phone);
+  totals.textContent = 'Loading…';
+  modal.style.display = 'block';
+
+  let khata;
+  try {
+    khata = await buildKhata(user, contact.phone);
+  } catch (error) {
+    log('ERROR', 'dashboard.js', 'KHATA_LOAD_FAILED', { error: error.message });
+    totals.textContent = 'Could not load this account.';
+    return;
+  }
+  khataShown = khata;
+  const { given, received, balance } = khata.totals;
+  let standing = 'All settled.';
+  if (balance > 0) { standing = `They owe you ${formatMoney(balance)}.`; }
+  if (balance < 0) { standing = `You owe them ${formatMoney(-balance)}.`; }
+  totals.textContent = `Given ${formatMoney(given)}, received ${formatMoney(received)}. ${standing}`;
+  document.getElementById('khata-settle-btn').disabled = balance === 0;
+
+  const name = escapeHtml(contact.name || formatPhone(contact.phone));
+  document.getElementById('khata-pending').innerHTML = khata.pending.map(item => `
+    <li class="statement-item">
+      <span>${item.direction === 'gave' ? `You gave ${name}` : `${name} gave you`} ${escapeHtml(formatMoney(item.amount))}</span>
+      <small>${escapeHtml(item.day)} · ${item.waitingOn === 'you' ? 'Waiting for you' : `Waiting for ${name}`}${item.note ? ` · ${escapeHtml(item.note)}` : ''}</small>
+      <button class="khata-open-btn" data-id="${escapeHtml(item.id)}">Open</button>
+    </li>
+  `).join('') + khata.overdue.map(item => `
+    <li class="statement-item disputed">
+      <span>Installment ${item.n} of ${item.of}: ${escapeHtml(formatMoney(item.owed))}</span>
+      <small class="dispute-flag">Overdue since ${escapeHtml(item.dueDate)} · ${item.direction === 'you-owe' ? 'you pay' : `${name} pays`}</small>
+    </li>
+  `).join('');
+
+  document.getElementById('khata-entries').innerHTML = khata.entries.length === 0
+    ? '<tr><td colspan="3">No confirmed entries yet.</td></tr>'
+    : khata.entries.map(entry => `
+      <tr${entry.disputed ? ' class="disputed"' : ''}>
+        <td>${escapeHtml(entry.day)}<small>${escapeHtml(entry.note)}${entry.disputed ? ' ⚑ Disputed' : ''}${entry.transfer ? ' ⇄ Transfer' : ''}</small></td>
+        <td class="${entry.direction === 'gave' ? 'gave' : 'got'}">${entry.direction === 'gave' ? '+' : '-'}${escapeHtml(formatMoney(entry.amount))}</td>
+        <td>${escapeHtml(formatMoney(entry.balance))}</td>
+      </tr>
+    `).join('');
+
+  document.querySelectorAll('#khata-pending .khata-open-btn').forEach(button => {
+    button.addEventListener('click', async () => {
+      const item = khata.pending.find(pending => pending.id === button.dataset.id);
+      window.location.href = await generateTransactionLink(item.record, user.referralCode);
+    });
+  });
+}
+
+function setupKhata(user, openRecordTransaction) {
+  const modal = document.getElementById('khata-modal');
+  const close = () => { modal.style.display = 'none'; };
+  document.getElementById('khata-close-button').addEventListener('click', close);
+
+  document.getElementById('khata-record-btn').addEventListener('click', () => {
+    close();
+    openRecordTransaction({ phone: khataContact.phone });
+  });
+
+  document.getElementById('khata-settle-btn').addEventListener('click', () => {
+    const settlement = khataShown && settlementFor(khataShown);
+    if (!settlement) { return; }
+    close();
+    openRecordTransaction({ phone: khataContact.phone, ...settlement });
+  });
+
+  document.getElementById('khata-remind-btn').addEventListener('click', async () => {
+    if (!khataShown) { return; }
+    const message = reminderMessage(khataShown, khataContact.name || formatPhone(khataContact.phone));
+    if (!message) { alert('There is nothing to remind them about.'); return; }
+    // A request still waiting for them travels with the reminder.
+    const waiting = khataShown.pending.find(item => item.waitingOn === 'them' && item.status === STATES.PENDING);
+    const link = waiting ? await generateTransactionLink(waiting.record, user.referralCode) : undefined;
+    try {
+      const outcome = await shareOrCopy('Reminder', link ? `${message} ${link}` : message, link);
+      if (outcome === 'copied') { alert('Reminder copied to clipboard!'); }
+    } catch (error) {
+      log('WARN', 'dashboard.js', 'REMINDER_SHARE_FAILED', { error: error.message });
+    }
+  });
+}
+
+// --- TRUST SCORE ---
+// Worked out when the app starts and again each time it is unlocked, and
+// every run is saved as the day's snapshot (the last one of a day wins).
+// The Reports chart only reads those snapshots, so the history fills in from
+// ordinary use whether or not Reports is ever opened.
+
+async function showTrustScore(user) {
+  const value = document.getElementById('trust-score-value');
+  try {
+    value.textContent = String((await recordScoreSnapshot(user)).score);
+  } catch (error) {
+    log('ERROR', 'dashboard.js', 'TRUST_SCORE_FAILED', { error: error.message });
+    value.textContent = '—';
+  }
+}
+
+function setupTrustScore(user) {
+  const modal = document.getElementById('score-modal');
+  showTrustScore(user);
+  onUnlock((unlocked) => { if (unlocked.id === user.id) { showTrustScore(user); } });
+  document.getElementById('score-explain-btn').addEventListener('click', () => openScoreExplanation(user));
+  document.getElementById('score-close-button').addEventListener('click', () => { modal.style.display = 'none'; });
+}
+
+async function openScoreExplanation(user) {
+  const modal = document.getElementById('score-modal');
+  const summary = document.getElementById('score-summary');
+  summary.textContent = 'Working it out…';
+  modal.style.display = 'block';
+
+  let explanation;
+  let names;
+  try {
+    explanation = await explainTrustScore(user);
+    names = new Map((await listContacts(user)).flatMap(contact => contactPhones(contact).map(phone => [phone, displayName(contact)])));
+  } catch (error) {
+    log('ERROR', 'dashboard.js', 'SCORE_EXPLANATION_FAILED', { error: error.message });
+    summary.textContent = 'Could not work out your score.';
+    return;
+  }
+  const { result, movers, tips } = explanation;
+  const nameOf = phone => names.get(phone) || formatPhone(phone);
+  const signed = points => (points > 0 ? `+${points}` : String(points));
+
+  document.getElementById('score-modal-title').textContent = `Your Trust Score: ${result.score}`;
+  summary.textContent = `Out of ${MAX_SCORE}, from your confirmed transactions as of ${result.asOf}. Model version ${result.version}.`;
+  document.getElementById('score-factor-rows').innerHTML = result.factors.map(item => `
+    <tr>
+      <td>${escapeHtml(item.label)}</td>
+      <td class="${item.points < 0 ? 'score-down' : ''}">${escapeHtml(signed(item.points))}</td>
+      <td>${item.max > 0 ? item.max : ''}</td>
+    </tr>
+  `).join('');
+
+  document.getElementById('score-movers').innerHTML = movers.length === 0
+    ? '<li>No confirmed transactions yet.</li>'
+    : movers.map(item => `
+      <li>
+        <span class="${item.impact > 0 ? 'score-up' : 'score-down'}">${escapeHtml(signed(item.impact))}</span>
+        ${escapeHtml(item.effect > 0 ? `You gave ${nameOf(item.counterparty)}` : `${nameOf(item.counterparty)} gave you`)}
+        ${escapeHtml(formatMoney(Math.abs(item.effect)))} on ${escapeHtml(item.day)}
+      </li>
+    `).join('');
+
+  document.getElementById('score-flags').innerHTML = result.flags.length === 0
+    ? '<li>None.</li>'
+    : result.flags.map(flag => `
+      <li>
+        <span class="score-down">-${flag.penalty}</span> ${escapeHtml(flag.summary)}
+        ${(flag.evidence.phones || []).length > 0 ? `<small>(${escapeHtml(flag.evidence.phones.filter(phone => !samePhone(phone, user.phone)).map(nameOf).join(', '))})</small>` : ''}
+      </li>
+    `).join('');
+
+  document.getElementById('score-tips').innerHTML = tips.length === 0
+    ? '<li>Keep doing what you are doing.</li>'
+    : tips.map(tip => `<li>${escapeHtml(tip.text)} <small>(up to ${tip.gain} points)</small></li>`).join('');
+}
+
+// --- REPORTS ---
+
+// The daily snapshots as a line, with the change over the period shown.
+async function renderScoreTrend(user) {
+  const caption = document.getElementById('score-trend-caption');
+  let history;
+  try {
+    history = await getScoreHistory(user);
+  } catch (error) {
+    log('ERROR', 'dashboard.js', 'SCORE_HISTORY_LOAD_FAILED', { error: error.message });
+    caption.textContent = 'Could not load your score history.';
+    return;
+  }
+  drawScoreTrend(document.getElementById('score-trend'), history);
+  if (history.length < 2) {
+    caption.textContent = 'Your score is saved once a day. Come back tomorrow to see the trend.';
+    return;
+  }
+  const first = history[0];
+  const last = history[history.length - 1];
+  const change = last.score - first.score;
+  caption.textContent = `${first.score} on ${first.day} to ${last.score} on ${last.day} (${change >= 0 ? '+' : ''}${change}).`;
+}
+
+// The statement of confirmed transactions; disputed ones are flagged with the reason.
+async function renderReports(user) {
+  const totals = document.getElementById('reports-totals');
+  const list = document.getElementById('statement-list');
+  let statement;
+  try {
+    statement = await buildStatement(user);
+  } catch (error) {
+    log('ERROR', 'dashboard.js', 'REPORTS_LOAD_FAILED', { error: error.message });
+    totals.textContent = 'Could not load your reports.';
+    return;
+  }
+  if (statement.rows.length === 0) {
+    totals.textContent = 'No confirmed transactions yet.';
+    list.innerHTML = '';
+    return;
+  }
+
+  const { given, received, net, disputed } = statement.totals;
+  totals.textContent = `Given ${formatMoney(given)}, received ${formatMoney(received)}, net ${formatMoney(net)}.` +
+    (statement.disputed.length > 0 ? ` ${statement.disputed.length} disputed (${formatMoney(disputed)}).` : '');
+  list.innerHTML = statement.rows.slice().reverse().map(row => {
+    const other = escapeHtml(row.counterparty.name || formatPhone(row.counterparty.phone));
+    const headline = row.direction === 'gave' ? `You gave ${other}` : `${other} gave you`;
+    const flag = row.disputed
+      ? `<small class="dispute-flag">⚑ Disputed by ${escapeHtml(samePhone(row.dispute.by, user.phone) ? 'you' : other)}: ${escapeHtml(row.dispute.reason)}</small>`
+      : '';
+    return `
+      <li class="statement-item${row.disputed ? ' disputed' : ''}">
+        <span>${headline} ${escapeHtml(formatMoney(row.amount))}</span>
+        <small>${escapeHtml(row.day)}${row.note ? ` · ${escapeHtml(row.note)}` : ''}</small>
+        ${flag}
+        <button class="statement-open-btn" data-id="${escapeHtml(row.id)}">Open</button>
+      </li>
+    `;
+  }).join('');
+
+  // Disputes are raised and withdrawn from the transaction's own page.
+  list.querySelectorAll('.statement-open-btn').forEach(button => {
+    button.addEventListener('click', async () => {
+      const record = await getTransactionById(button.dataset.id);
+      if (record) { window.location.href = await generateTransactionLink(record); }
+    });
+  });
+}
+
+// Whatever the QR modals have running (an animation, the camera) stops with them.
+let stopQR = () => {};
+
+function closeQR() {
+  stopQR();
+  stopQR = () => {};
+  document.getElementById('qr-modal').style.display = 'none';
+  document.getElementById('scan-modal').style.display = 'none';
+}
+
+function showQR(link, caption) {
+  closeQR();
+  const captionText = document.getElementById('qr-caption');
+  stopQR = showLinkQR(document.getElementById('qr-canvas'), link, {
+    onFrame: (frame, total) => {
+      captionText.textContent = total > 1 ? `${caption} Hold the camera on the code until all ${total} parts are read (showing ${frame}).` : caption;
+    }
+  });
+  document.getElementById('qr-modal').style.display = 'block';
+}
+
+function setupQR() {
+  const linkQR = (buttonId, inputId, caption) => {
+    document.getElementById(buttonId).addEventListener('click', () => showQR(document.getElementById(inputId).value, caption));
+  };
+  linkQR('txn-qr-btn', 'txn-link', 'Let them scan this to confirm the transaction.');
+  linkQR('ct-qr-btn', 'ct-link', 'Let each of them scan this to approve the transfer.');
+  linkQR('ag-qr-btn', 'ag-link', 'Let them scan this to review the agreement.');
+
+  document.getElementById('referral-qr-btn').addEventListener('click', () => {
+    const referralCode = document.getElementById('referral-code').textContent;
+    showQR(`${window.location.origin}/onboarding.html?ref=${referralCode}`, 'Scan to join with your referral link.');
+  });
+
+  const status = document.getElementById('scan-status');
+  document.getElementById('scan-qr-btn').addEventListener('click', async () => {
+    closeQR();
+    status.textContent = 'Starting the camera…';
+    document.getElementById('scan-modal').style.display = 'block';
+    try {
+      const stop = await startLinkScanner(document.getElementById('scan-video'), {
+        onLink: (link) => { window.location.href = link; },
+        onProgress: (received, total) => { status.textContent = `Read ${received} of ${total} parts…`; },
+        onError: (error) => { status.textContent = error.message; }
+      });
+      // Closed while the camera was still starting.
+      if (document.getElementById('scan-modal').style.display === 'none') { stop(); return; }
+      stopQR = stop;
+      status.textContent = 'Point the camera at a Transparent Transactions QR code.';
+    } catch (error) {
+      log('WARN', 'dashboard.js', 'QR_SCANNER_FAILED', { error: error.message });
+      status.textContent = error.name === 'NotAllowedError' ? 'Camera access was refused.' : error.message;
+    }
+  });
+
+  document.getElementById('qr-close-button').addEventListener('click', closeQR);
+  document.getElementById('scan-close-button').addEventListener('click', closeQR);
+}
+
+function attachEventListeners(user) {
   document.getElementById('share-button').addEventListener('click', () => {
     const referralCode = document.getElementById('referral-code').textContent;
     const referralUrl = `${window.location.origin}/onboarding.html?ref=${referralCode}`;
@@ -47,6 +1147,8 @@ function attachEventListeners() {
 
   document.getElementById('reports-btn').addEventListener('click', () => {
     document.getElementById('reports-modal').style.display = 'block';
+    renderScoreTrend(user);
+    renderReports(user);
   });
 
   document.querySelector('.close-button').addEventListener('click', () => {
@@ -54,9 +1156,9 @@ function attachEventListeners() {
   });
 
   window.addEventListener('click', (event) => {
-    const modal = document.getElementById('reports-modal');
-    if (event.target === modal) {
-      modal.style.display = 'none';
+    if (event.target.classList.contains('modal')) {
+      event.target.style.display = 'none';
+      if (event.target.id === 'qr-modal' || event.target.id === 'scan-modal') { closeQR(); }
     }
   });
 
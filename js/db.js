@@ -2,32 +2,467 @@
 
 // --- IMPORTS ---
 import { log } from './logger.js';
+import { normalizePhone, normalizePhoneOrNull } from './phone.js';
+import { getCurrentUserId, setCurrentUser, generateReferralCode } from './app.js';
+import { PAISE_PER_RUPEE } from './money.js';
 
 const DB_NAME = 'TTDatabase';
-const DB_VERSION = 1;
+// The old database.js layer kept its users here, keyed by phoneNumber.
+const LEGACY_DB_NAME = 'TransparentTransactionsDB';
 const STORE_NAME = 'users';
-let dbInstance = null;
+const TX_STORE_NAME = 'transactions';
+const CONTACT_STORE_NAME = 'contacts';
+const INVITE_STORE_NAME = 'invites';
+const REPORT_STORE_NAME = 'reports';
+const REFERRAL_STORE_NAME = 'referrals';
+const COMMISSION_STORE_NAME = 'commissions';
+const PAYOUT_STORE_NAME = 'payouts';
+const LEDGER_STORE_NAME = 'ledger';
+const LEDGER_HEAD_STORE_NAME = 'ledgerHeads';
+const TRANSFER_STORE_NAME = 'creditTransfers';
+const AGREEMENT_STORE_NAME = 'agreements';
+const SCORE_STORE_NAME = 'scoreSnapshots';
+// Where ReferralManager used to keep its state, as JSON blobs.
+const LEGACY_REFERRAL_KEYS = ['referralChain', 'pendingCommissions', 'paidCommissions'];
+// Device bookkeeping (e.g. whether the legacy import has run). Never backed up.
+const META_STORE_NAME = 'meta';
+let dbPromise = null;
+
+// The whole schema history, oldest first. An upgrade runs every entry newer
+// than the version on disk, in order, inside the single upgrade transaction.
+// Entries that have shipped are never edited; a schema change is a new entry.
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'users store',
+    run(db) {
+      const store = db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+      store.createIndex('phone', 'phone', { unique: true });
+      store.createIndex('referralCode', 'referralCode', { unique: true });
+    }
+  },
+  {
+    version: 2,
+    description: 'transactions store',
+    run(db) {
+      const store = db.createObjectStore(TX_STORE_NAME, { keyPath: 'id' });
+      store.createIndex('fromPhone', 'fromPhone', { unique: false });
+      store.createIndex('toPhone', 'toPhone', { unique: false });
+      store.createIndex('status', 'status', { unique: false });
+    }
+  },
+  {
+    // Contacts always belong to one local profile (ownerId), never to the device.
+    version: 3,
+    description: 'per-profile contacts store',
+    run(db) {
+      const store = db.createObjectStore(CONTACT_STORE_NAME, { keyPath: 'id', autoIncrement: true });
+      store.createIndex('ownerId', 'ownerId', { unique: false });
+      store.createIndex('ownerPhone', ['ownerId', 'phone'], { unique: true });
+    }
+  },
+  {
+    version: 4,
+    description: 'normalize phone numbers to E.164',
+    run(db, transaction) { migratePhoneNumbers(transaction); }
+  },
+  {
+    // Root invites burned on this device, so a signed invite only works once.
+    version: 5,
+    description: 'used root invites store',
+    run(db) { db.createObjectStore(INVITE_STORE_NAME, { keyPath: 'id' }); }
+  },
+  {
+    version: 6,
+    description: 'reports and device metadata stores',
+    run(db) {
+      const store = db.createObjectStore(REPORT_STORE_NAME, { keyPath: 'id', autoIncrement: true });
+      store.createIndex('ownerId', 'ownerId', { unique: false });
+      db.createObjectStore(META_STORE_NAME, { keyPath: 'key' });
+    }
+  },
+  {
+    // One referral per referred user; pending and paid commissions share a
+    // store and differ only by status, so a payout is a single status change.
+    version: 7,
+    description: 'referral, commission and payout stores',
+    run(db, transaction) {
+      const referrals = db.createObjectStore(REFERRAL_STORE_NAME, { keyPath: 'referredUser' });
+      referrals.createIndex('referrerCode', 'referrerCode', { unique: false });
+      const commissions = db.createObjectStore(COMMISSION_STORE_NAME, { keyPath: 'id' });
+      commissions.createIndex('recipient', 'recipient', { unique: false });
+      commissions.createIndex('status', 'status', { unique: false });
+      commissions.createIndex('paymentId', 'paymentId', { unique: false });
+      commissions.createIndex('recipientStatus', ['recipient', 'status'], { unique: false });
+      const payouts = db.createObjectStore(PAYOUT_STORE_NAME, { keyPath: 'id' });
+      payouts.createIndex('recipient', 'recipient', { unique: false });
+      migrateReferralStorage(transaction);
+    }
+  },
+  {
+    // Hash-chained ledger entries, one chain per profile phone (see ledger.js).
+    version: 8,
+    description: 'hash-chained ledger store',
+    run(db) {
+      const store = db.createObjectStore(LEDGER_STORE_NAME, { keyPath: ['ownerPhone', 'seq'] });
+      store.createIndex('ownerTxn', ['ownerPhone', 'txnId'], { unique: true });
+    }
+  },
+  {
+    // Three-party credit transfers (see credit-transfer.js), found by any of
+    // the three phones through the multi-entry parties index.
+    version: 9,
+    description: 'credit transfers store',
+    run(db) {
+      const store = db.createObjectStore(TRANSFER_STORE_NAME, { keyPath: 'id' });
+      store.createIndex('parties', 'parties', { unique: false, multiEntry: true });
+    }
+  },
+  {
+    // Digital agreements and their installment schedules (see agreements.js).
+    version: 10,
+    description: 'agreements store',
+    run(db) {
+      const store = db.createObjectStore(AGREEMENT_STORE_NAME, { keyPath: 'id' });
+      store.createIndex('parties', 'parties', { unique: false, multiEntry: true });
+    }
+  },
+  {
+    // Commissions, payouts and installments kept rupee floats; see money.js.
+    version: 11,
+    description: 'stored amounts in integer paise',
+    run(db, transaction) { migrateAmountsToPaise(transaction); }
+  },
+  {
+    // Everything between two people in two index lookups (see khata.js).
+    version: 12,
+    description: 'transactions by counterparty pair index',
+    run(db, transaction) {
+      transaction.objectStore(TX_STORE_NAME).createIndex('fromTo', ['fromPhone', 'toPhone'], { unique: false });
+    }
+  },
+  {
+    // One trust score per profile per day, for the trend in reports (see credit-score.js).
+    version: 13,
+    description: 'trust score snapshots store',
+    run(db) { db.createObjectStore(SCORE_STORE_NAME, { keyPath: ['phone', 'day'] }); }
+  },
+  {
+    // The signed tip of each chain, so a chain cut short fails to verify (see ledger.js).
+    version: 14,
+    description: 'ledger heads store',
+    run(db, transaction) {
+      db.createObjectStore(LEDGER_HEAD_STORE_NAME, { keyPath: 'ownerPhone' });
+      migrateLedgerHeads(transaction);
+    }
+  },
+  {
+    // Transactions and credit transfers kept the rupee figure of their signed payload.
+    version: 15,
+    description: 'transaction amounts in integer paise',
+    run(db, transaction) { migrateTransactionAmountsToPaise(transaction); }
+  },
+  {
+    // Carried over from the old database.js layer; nothing ever read or wrote
+    // it, and profile merges never re-pointed its ownerId.
+    version: 16,
+    description: 'drop the unused reports store',
+    run(db) {
+      if (db.objectStoreNames.contains(REPORT_STORE_NAME)) { db.deleteObjectStore(REPORT_STORE_NAME); }
+    }
+  }
+];
+const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
 
 async function openDB() {
-  if (dbInstance) { return dbInstance; }
+  if (!dbPromise) {
+    dbPromise = openAndMigrate().then(async (db) => {
+      await importLegacyUsers(db);
+      return db;
+    });
+    // A failed open is not cached, so the next call tries again.
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+function openAndMigrate() {
   return new Promise((resolve, reject) => {
     const request = indexedDB.open(DB_NAME, DB_VERSION);
     request.onerror = () => { log('ERROR', 'db.js', 'DB_OPEN_FAILED', { error: request.error }); reject(request.error); };
-    request.onsuccess = () => { dbInstance = request.result; log('INFO', 'db.js', 'DB_OPEN_SUCCESS'); resolve(dbInstance); };
+    request.onsuccess = () => { log('INFO', 'db.js', 'DB_OPEN_SUCCESS', { version: request.result.version }); resolve(request.result); };
     request.onupgradeneeded = (event) => {
-      log('INFO', 'db.js', 'DB_UPGRADE_NEEDED', { oldVersion: event.oldVersion, newVersion: event.newVersion });
       const db = event.target.result;
-      if (!db.objectStoreNames.contains(STORE_NAME)) {
-        const store = db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
-        store.createIndex('phone', 'phone', { unique: true });
-        store.createIndex('referralCode', 'referralCode', { unique: true });
-        log('INFO', 'db.js', 'DB_OBJECT_STORE_CREATED', { storeName: STORE_NAME });
+      const transaction = event.target.transaction;
+      const pending = MIGRATIONS.filter(migration => migration.version > event.oldVersion);
+      log('INFO', 'db.js', 'DB_UPGRADE_NEEDED', { oldVersion: event.oldVersion, newVersion: event.newVersion, migrations: pending.map(m => m.version) });
+
+      // Also covers failures inside a migration's own request callbacks.
+      transaction.onabort = () => {
+        log('ERROR', 'db.js', 'DB_MIGRATION_ABORTED', { oldVersion: event.oldVersion, newVersion: event.newVersion, error: transaction.error && transaction.error.message });
+      };
+      for (const migration of pending) {
+        try {
+          migration.run(db, transaction);
+          log('INFO', 'db.js', 'DB_MIGRATION_APPLIED', { version: migration.version, description: migration.description });
+        } catch (error) {
+          log('ERROR', 'db.js', 'DB_MIGRATION_FAILED', { version: migration.version, description: migration.description, error: error.message });
+          transaction.abort();
+          return;
+        }
       }
     };
   });
 }
 
+function getMeta(db, key) {
+  return new Promise((resolve, reject) => {
+    const request = db.transaction([META_STORE_NAME], 'readonly').objectStore(META_STORE_NAME).get(key);
+    request.onsuccess = () => resolve(request.result || null);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Opens the legacy database only if it already exists: opening a missing one
+// would create it, so that upgrade is aborted and treated as "nothing to copy".
+function readLegacyUsers() {
+  return new Promise((resolve, reject) => {
+    let missing = false;
+    const request = indexedDB.open(LEGACY_DB_NAME);
+    request.onupgradeneeded = () => { missing = true; request.transaction.abort(); };
+    request.onerror = (event) => {
+      if (missing) { event.preventDefault(); resolve([]); } else { reject(request.error); }
+    };
+    request.onsuccess = () => {
+      const legacy = request.result;
+      if (!legacy.objectStoreNames.contains(STORE_NAME)) { legacy.close(); resolve([]); return; }
+      const getAll = legacy.transaction([STORE_NAME], 'readonly').objectStore(STORE_NAME).getAll();
+      getAll.onsuccess = () => { legacy.close(); resolve(getAll.result); };
+      getAll.onerror = () => { legacy.close(); reject(getAll.error); };
+    };
+  });
+}
+
+// Users created by the old database.js layer are copied across once. The
+// legacy database is left as it is, so a failed copy is simply retried on the
+// next open. Numbers already registered here are skipped.
+async function importLegacyUsers(db) {
+  try {
+    if (await getMeta(db, 'legacyUsersImported')) { return; }
+    const legacyUsers = await readLegacyUsers();
+
+    const imported = await new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_NAME, META_STORE_NAME], 'readwrite');
+      const userStore = transaction.objectStore(STORE_NAME);
+      let count = 0;
+      userStore.getAll().onsuccess = (event) => {
+        const phones = new Set(event.target.result.map(user => user.phone));
+        const codes = new Set(event.target.result.map(user => user.referralCode));
+        legacyUsers.forEach(legacy => {
+          const phone = normalizePhoneOrNull(legacy.phoneNumber || legacy.phone);
+          if (!phone || phones.has(phone)) { return; }
+          let referralCode = legacy.referralCode;
+          while (!referralCode || codes.has(referralCode)) { referralCode = generateReferralCode(); }
+          phones.add(phone);
+          codes.add(referralCode);
+          userStore.add({
+            name: legacy.name || legacy.fullName || phone,
+            phone,
+            email: legacy.email || null,
+            referralCode,
+            upline: Array.isArray(legacy.upline) ? legacy.upline.slice(0, 4) : [legacy.referredBy || null, null, null, null],
+            legacyImport: { from: LEGACY_DB_NAME, phoneNumber: legacy.phoneNumber || null, importedAt: new Date().toISOString() }
+          });
+          count++;
+        });
+        transaction.objectStore(META_STORE_NAME).put({ key: 'legacyUsersImported', at: new Date().toISOString(), found: legacyUsers.length, imported: count });
+      };
+      transaction.oncomplete = () => resolve(count);
+      transaction.onabort = () => reject(transaction.error);
+    });
+    log('INFO', 'db.js', 'LEGACY_USERS_IMPORTED', { found: legacyUsers.length, imported });
+  } catch (error) {
+    log('ERROR', 'db.js', 'LEGACY_IMPORT_FAILED', { error: error && error.message });
+  }
+}
+
+// One-time clean-up for records written before phone numbers were normalized.
+// Users (and contacts) that turn out to share a number are merged into the
+// oldest record. Duplicates are deleted before anything is re-written so the
+// unique indexes never see two records with the same number.
+function migratePhoneNumbers(transaction) {
+  const canonical = (phone) => normalizePhoneOrNull(phone) || phone;
+  const mergeInto = (primary, duplicate) => {
+    Object.entries(duplicate).forEach(([key, value]) => {
+      if (primary[key] === undefined || primary[key] === null) { primary[key] = value; }
+    });
+  };
+  const groupBy = (records, keyOf) => {
+    const groups = new Map();
+    records.forEach(record => {
+      const key = keyOf(record);
+      if (!groups.has(key)) { groups.set(key, []); }
+      groups.get(key).push(record);
+    });
+    return [...groups.values()].map(group => group.sort((a, b) => a.id - b.id));
+  };
+
+  const userStore = transaction.objectStore(STORE_NAME);
+  const contactStore = transaction.objectStore(CONTACT_STORE_NAME);
+  const txStore = transaction.objectStore(TX_STORE_NAME);
+  const mergedUserIds = new Map();
+
+  userStore.getAll().onsuccess = (event) => {
+    const groups = groupBy(event.target.result, user => canonical(user.phone));
+    groups.forEach(([primary, ...duplicates]) => {
+      duplicates.forEach(duplicate => {
+        mergeInto(primary, duplicate);
+        mergedUserIds.set(duplicate.id, primary.id);
+        userStore.delete(duplicate.id);
+      });
+      primary.phone = canonical(primary.phone);
+    });
+    groups.forEach(([primary]) => userStore.put(primary));
+
+    const currentUserId = getCurrentUserId();
+    if (mergedUserIds.has(currentUserId)) { setCurrentUser(mergedUserIds.get(currentUserId)); }
+
+    contactStore.getAll().onsuccess = (contactEvent) => {
+      const contacts = contactEvent.target.result.map(contact => ({
+        ...contact,
+        ownerId: mergedUserIds.get(contact.ownerId) || contact.ownerId,
+        phone: canonical(contact.phone)
+      }));
+      const contactGroups = groupBy(contacts, contact => `${contact.ownerId}|${contact.phone}`);
+      contactGroups.forEach(([primary, ...duplicates]) => {
+        duplicates.forEach(duplicate => { mergeInto(primary, duplicate); contactStore.delete(duplicate.id); });
+      });
+      contactGroups.forEach(([primary]) => contactStore.put(primary));
+      log('INFO', 'db.js', 'PHONE_MIGRATION_CONTACTS_DONE', { contacts: contacts.length, merged: contacts.length - contactGroups.length });
+    };
+
+    log('INFO', 'db.js', 'PHONE_MIGRATION_USERS_DONE', { users: event.target.result.length, merged: mergedUserIds.size });
+  };
+
+  txStore.getAll().onsuccess = (event) => {
+    event.target.result.forEach(record => {
+      txStore.put({ ...record, fromPhone: canonical(record.fromPhone), toPhone: canonical(record.toPhone) });
+    });
+    log('INFO', 'db.js', 'PHONE_MIGRATION_TRANSACTIONS_DONE', { transactions: event.target.result.length });
+  };
+}
+
+// Rewrites a rupee `from` field as an integer paise `to` field. Records that
+// already have `to` are left alone, so this is safe to run more than once.
+function rupeesToPaise(record, from, to) {
+  if (!record || record[to] !== undefined || record[from] === undefined) { return record; }
+  const { [from]: rupees, ...rest } = record;
+  return { ...rest, [to]: Math.round(Number(rupees) * PAISE_PER_RUPEE) || 0 };
+}
+
+// Brings records written before version 11 to paise. Used by the migration
+// and for backups made before it.
+function amountsInPaise(storeName, records) {
+  if (storeName === COMMISSION_STORE_NAME || storeName === PAYOUT_STORE_NAME) {
+    return records.map(record => rupeesToPaise(record, 'amount', 'amountPaise'));
+  }
+  if (storeName === AGREEMENT_STORE_NAME) {
+    return records.map(record => (Array.isArray(record.obligations)
+      ? { ...record, obligations: record.obligations.map(item => rupeesToPaise(rupeesToPaise(item, 'amount', 'amountPaise'), 'paid', 'paidPaise')) }
+      : record));
+  }
+  return records;
+}
+
+function migrateAmountsToPaise(transaction) {
+  [COMMISSION_STORE_NAME, PAYOUT_STORE_NAME, AGREEMENT_STORE_NAME].forEach(name => {
+    const store = transaction.objectStore(name);
+    store.getAll().onsuccess = (event) => {
+      amountsInPaise(name, event.target.result).forEach(record => store.put(record));
+      log('INFO', 'db.js', 'PAISE_MIGRATION_DONE', { store: name, records: event.target.result.length });
+    };
+  });
+}
+
+// Brings transactions and credit transfers written before version 15 to
+// paise. The signed payload inside each record keeps its rupees. Used by the
+// migration and for backups made before it.
+function transactionAmountsInPaise(storeName, records) {
+  if (storeName !== TX_STORE_NAME && storeName !== TRANSFER_STORE_NAME) { return records; }
+  return records.map(record => ('amount' in record ? rupeesToPaise(record, 'amount', 'amountPaise') : record));
+}
+
+function migrateTransactionAmountsToPaise(transaction) {
+  [TX_STORE_NAME, TRANSFER_STORE_NAME].forEach(name => {
+    const store = transaction.objectStore(name);
+    store.getAll().onsuccess = (event) => {
+      transactionAmountsInPaise(name, event.target.result).forEach(record => store.put(record));
+      log('INFO', 'db.js', 'PAISE_MIGRATION_DONE', { store: name, records: event.target.result.length });
+    };
+  });
+}
+
+// Heads for chains written before version 14: each chain's tip as it stands,
+// unsigned until sealLedger() next runs for that profile. Used by the
+// migration and for backups made before it.
+function unsignedLedgerHeads(entries) {
+  const tips = new Map();
+  entries.forEach(entry => {
+    const tip = tips.get(entry.ownerPhone);
+    if (!tip || entry.seq > tip.seq) { tips.set(entry.ownerPhone, entry); }
+  });
+  return [...tips.values()].map(entry => ({ ownerPhone: entry.ownerPhone, seq: entry.seq, hash: entry.hash, signature: null }));
+}
+
+function migrateLedgerHeads(transaction) {
+  transaction.objectStore(LEDGER_STORE_NAME).getAll().onsuccess = (event) => {
+    const heads = unsignedLedgerHeads(event.target.result);
+    heads.forEach(head => transaction.objectStore(LEDGER_HEAD_STORE_NAME).put(head));
+    log('INFO', 'db.js', 'LEDGER_HEADS_MIGRATED', { heads: heads.length });
+  };
+}
+
+// Moves ReferralManager's localStorage blobs into the new stores. The blobs
+// are only removed once the upgrade has committed, so an aborted upgrade
+// leaves them in place for the next attempt.
+function migrateReferralStorage(transaction) {
+  const parse = (key, fallback) => {
+    try { return JSON.parse(localStorage.getItem(key)) || fallback; } catch (e) { return fallback; }
+  };
+  const records = referralRecordsFromLegacy({
+    referralChain: parse('referralChain', {}),
+    pendingCommissions: parse('pendingCommissions', []),
+    paidCommissions: parse('paidCommissions', [])
+  });
+  records.referrals.forEach(record => transaction.objectStore(REFERRAL_STORE_NAME).put(record));
+  records.commissions.forEach(record => transaction.objectStore(COMMISSION_STORE_NAME).put(record));
+  transaction.addEventListener('complete', () => {
+    LEGACY_REFERRAL_KEYS.forEach(key => localStorage.removeItem(key));
+    log('INFO', 'db.js', 'REFERRAL_STORAGE_MIGRATED', { referrals: records.referrals.length, commissions: records.commissions.length });
+  });
+}
+
+// Turns the old { referralChain, pendingCommissions, paidCommissions } shape
+// into store records. Also used when restoring backups made before the move.
+function referralRecordsFromLegacy({ referralChain = {}, pendingCommissions = [], paidCommissions = [] }) {
+  const referrals = new Map();
+  Object.entries(referralChain).forEach(([referrerCode, entries]) => {
+    (entries || []).forEach(entry => {
+      // The old chain allowed a user under two referrers; the first one wins.
+      if (entry && entry.referredUser && !referrals.has(entry.referredUser)) {
+        referrals.set(entry.referredUser, { ...entry, referrerCode: entry.referrerCode || referrerCode });
+      }
+    });
+  });
+  const commissions = new Map();
+  [...pendingCommissions, ...paidCommissions].forEach(commission => {
+    if (commission && commission.id) { commissions.set(commission.id, commission); }
+  });
+  return { referrals: [...referrals.values()], commissions: amountsInPaise(COMMISSION_STORE_NAME, [...commissions.values()]) };
+}
+
 async function addUser(user) {
+  user = { ...user, phone: normalizePhone(user.phone) };
   const db = await openDB();
   return new Promise((resolve, reject) => {
     const transaction = db.transaction([STORE_NAME], 'readwrite');
@@ -38,7 +473,34 @@ async function addUser(user) {
   });
 }
 
-async function findUserByPhone(phone) {
+// Creates a root user and burns its invite in one transaction: if the invite was
+// already used, the add fails with ConstraintError and no user is written.
+async function addUserWithInvite(user, invite) {
+  user = { ...user, phone: normalizePhone(user.phone), rootInvite: invite };
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORE_NAME, INVITE_STORE_NAME], 'readwrite');
+    let userId = null;
+    transaction.objectStore(INVITE_STORE_NAME).add(invite);
+    transaction.objectStore(STORE_NAME).add(user).onsuccess = (event) => { userId = event.target.result; };
+    transaction.oncomplete = () => { log('INFO', 'db.js', 'ROOT_USER_ADDED', { userId, inviteId: invite.id }); resolve(userId); };
+    transaction.onabort = () => { log('ERROR', 'db.js', 'ROOT_USER_ADD_FAILED', { error: transaction.error, inviteId: invite.id }); reject(transaction.error); };
+  });
+}
+
+async function getUsedInvite(id) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([INVITE_STORE_NAME], 'readonly');
+    const request = transaction.objectStore(INVITE_STORE_NAME).get(id);
+    request.onsuccess = () => resolve(request.result || null);
+    request.onerror = () => { log('ERROR', 'db.js', 'INVITE_LOOKUP_FAILED', { error: request.error, id }); reject(request.error); };
+  });
+}
+
+async function findUserByPhone(rawPhone) {
+  const phone = normalizePhoneOrNull(rawPhone);
+  if (!phone) { log('WARN', 'db.js', 'USER_SEARCH_BY_PHONE_INVALID', { phone: rawPhone }); return null; }
   const db = await openDB();
   return new Promise((resolve, reject) => {
     const transaction = db.transaction([STORE_NAME], 'readonly');
@@ -61,5 +523,477 @@ async function getUserById(id) {
   });
 }
 
+async function getAllUsers() {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORE_NAME], 'readonly');
+    const store = transaction.objectStore(STORE_NAME);
+    const request = store.getAll();
+    request.onsuccess = () => { log('INFO', 'db.js', 'USERS_RETRIEVED', { count: request.result.length }); resolve(request.result); };
+    request.onerror = () => { log('ERROR', 'db.js', 'USERS_RETRIEVE_FAILED', { error: request.error }); reject(request.error); };
+  });
+}
+
+async function updateUser(user) {
+  if (user.phone) { user.phone = normalizePhone(user.phone); }
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    const request = store.put(user);
+    request.onsuccess = () => { log('INFO', 'db.js', 'USER_UPDATED', { userId: user.id }); resolve(request.result); };
+    request.onerror = () => { log('ERROR', 'db.js', 'USER_UPDATE_FAILED', { error: request.error, userId: user.id }); reject(request.error); };
+  });
+}
+
+async function getTransactionById(id) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([TX_STORE_NAME], 'readonly');
+    const store = transaction.objectStore(TX_STORE_NAME);
+    const request = store.get(id);
+    request.onsuccess = () => { log('INFO', 'db.js', 'TRANSACTION_RETRIEVED_BY_ID', { id, found: !!request.result }); resolve(request.result || null); };
+    request.onerror = () => { log('ERROR', 'db.js', 'TRANSACTION_RETRIEVE_BY_ID_FAILED', { error: request.error, id }); reject(request.error); };
+  });
+}
+
+async function putTransaction(record) {
+  record.fromPhone = normalizePhone(record.fromPhone);
+  record.toPhone = normalizePhone(record.toPhone);
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([TX_STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(TX_STORE_NAME);
+    const request = store.put(record);
+    request.onsuccess = () => { log('INFO', 'db.js', 'TRANSACTION_SAVED', { id: record.id, status: record.status }); resolve(request.result); };
+    request.onerror = () => { log('ERROR', 'db.js', 'TRANSACTION_SAVE_FAILED', { error: request.error, id: record.id }); reject(request.error); };
+  });
+}
+
+// Ledger entries for one profile: everything it initiated or was asked to confirm.
+async function getTransactionsByPhone(rawPhone) {
+  const phone = normalizePhoneOrNull(rawPhone);
+  if (!phone) { return []; }
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([TX_STORE_NAME], 'readonly');
+    const store = transaction.objectStore(TX_STORE_NAME);
+    const byId = new Map();
+    ['fromPhone', 'toPhone'].forEach(indexName => {
+      const request = store.index(indexName).getAll(phone);
+      request.onsuccess = () => { request.result.forEach(record => byId.set(record.id, record)); };
+    });
+    transaction.oncomplete = () => { log('INFO', 'db.js', 'TRANSACTIONS_RETRIEVED_BY_PHONE', { phone, count: byId.size }); resolve([...byId.values()]); };
+    transaction.onerror = () => { log('ERROR', 'db.js', 'TRANSACTIONS_RETRIEVE_BY_PHONE_FAILED', { error: transaction.error, phone }); reject(transaction.error); };
+  });
+}
+
+// Every transaction stored on this device, whichever profile it belongs to.
+async function getAllTransactions() {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const request = db.transaction([TX_STORE_NAME], 'readonly').objectStore(TX_STORE_NAME).getAll();
+    request.onsuccess = () => { log('INFO', 'db.js', 'TRANSACTIONS_RETRIEVED_ALL', { count: request.result.length }); resolve(request.result); };
+    request.onerror = () => { log('ERROR', 'db.js', 'TRANSACTIONS_RETRIEVE_ALL_FAILED', { error: request.error }); reject(request.error); };
+  });
+}
+
+// Both directions between two phones, through the fromTo index.
+async function getTransactionsBetween(rawPhone, rawOtherPhone) {
+  const phone = normalizePhoneOrNull(rawPhone);
+  const otherPhone = normalizePhoneOrNull(rawOtherPhone);
+  if (!phone || !otherPhone) { return []; }
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([TX_STORE_NAME], 'readonly');
+    const index = transaction.objectStore(TX_STORE_NAME).index('fromTo');
+    const records = [];
+    [[phone, otherPhone], [otherPhone, phone]].forEach(key => {
+      const request = index.getAll(key);
+      request.onsuccess = () => { records.push(...request.result); };
+    });
+    transaction.oncomplete = () => { log('INFO', 'db.js', 'TRANSACTIONS_RETRIEVED_BETWEEN', { phone, otherPhone, count: records.length }); resolve(records); };
+    transaction.onerror = () => { log('ERROR', 'db.js', 'TRANSACTIONS_RETRIEVE_BETWEEN_FAILED', { error: transaction.error, phone, otherPhone }); reject(transaction.error); };
+  });
+}
+
+async function addContact(contact) {
+  if (!contact.ownerId) { throw new Error('A contact must belong to a profile'); }
+  contact = { ...contact, phone: normalizePhone(contact.phone) };
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([CONTACT_STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(CONTACT_STORE_NAME);
+    const request = store.add(contact);
+    request.onsuccess = () => { log('INFO', 'db.js', 'CONTACT_ADDED', { id: request.result, ownerId: contact.ownerId }); resolve(request.result); };
+    request.onerror = () => { log('ERROR', 'db.js', 'CONTACT_ADD_FAILED', { error: request.error, ownerId: contact.ownerId }); reject(request.error); };
+  });
+}
+
+// Adds many contacts in one transaction; a number the profile already has is
+// skipped, not overwritten. Resolves with how many were added.
+async function addContacts(ownerId, contacts) {
+  if (!ownerId) { throw new Error('A contact must belong to a profile'); }
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([CONTACT_STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(CONTACT_STORE_NAME);
+    let added = 0;
+    contacts.forEach(contact => {
+      const request = store.add({ ...contact, ownerId, phone: normalizePhone(contact.phone) });
+      request.onsuccess = () => { added++; };
+      // ConstraintError: already a contact. Keep going with the rest.
+      request.onerror = (event) => { if (request.error.name === 'ConstraintError') { event.preventDefault(); event.stopPropagation(); } };
+    });
+    transaction.oncomplete = () => { log('INFO', 'db.js', 'CONTACTS_ADDED', { ownerId, added, skipped: contacts.length - added }); resolve(added); };
+    transaction.onerror = () => { log('ERROR', 'db.js', 'CONTACTS_ADD_FAILED', { error: transaction.error, ownerId }); reject(transaction.error); };
+  });
+}
+
+async function getContactsByOwner(ownerId) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([CONTACT_STORE_NAME], 'readonly');
+    const store = transaction.objectStore(CONTACT_STORE_NAME);
+    const request = store.index('ownerId').getAll(ownerId);
+    request.onsuccess = () => { log('INFO', 'db.js', 'CONTACTS_RETRIEVED_BY_OWNER', { ownerId, count: request.result.length }); resolve(request.result); };
+    request.onerror = () => { log('ERROR', 'db.js', 'CONTACTS_RETRIEVE_BY_OWNER_FAILED', { error: request.error, ownerId }); reject(request.error); };
+  });
+}
+
+async function getContactById(id) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const request = db.transaction([CONTACT_STORE_NAME], 'readonly').objectStore(CONTACT_STORE_NAME).get(id);
+    request.onsuccess = () => { log('INFO', 'db.js', 'CONTACT_RETRIEVED', { id, found: !!request.result }); resolve(request.result || null); };
+    request.onerror = () => { log('ERROR', 'db.js', 'CONTACT_RETRIEVE_FAILED', { error: request.error, id }); reject(request.error); };
+  });
+}
+
+async function updateContact(contact) {
+  contact = { ...contact, phone: normalizePhone(contact.phone) };
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const request = db.transaction([CONTACT_STORE_NAME], 'readwrite').objectStore(CONTACT_STORE_NAME).put(contact);
+    request.onsuccess = () => { log('INFO', 'db.js', 'CONTACT_UPDATED', { id: contact.id, ownerId: contact.ownerId }); resolve(contact); };
+    request.onerror = () => { log('ERROR', 'db.js', 'CONTACT_UPDATE_FAILED', { error: request.error, id: contact.id }); reject(request.error); };
+  });
+}
+
+async function deleteContact(id) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const request = db.transaction([CONTACT_STORE_NAME], 'readwrite').objectStore(CONTACT_STORE_NAME).delete(id);
+    request.onsuccess = () => { log('INFO', 'db.js', 'CONTACT_DELETED', { id }); resolve(); };
+    request.onerror = () => { log('ERROR', 'db.js', 'CONTACT_DELETE_FAILED', { error: request.error, id }); reject(request.error); };
+  });
+}
+
+// Replaces two contacts with one: `kept` is written and `removedId` deleted
+// in the same transaction, so a failed merge leaves both as they were.
+async function mergeContactRecords(kept, removedId) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([CONTACT_STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(CONTACT_STORE_NAME);
+    store.delete(removedId);
+    store.put(kept);
+    transaction.oncomplete = () => { log('INFO', 'db.js', 'CONTACTS_MERGED', { keptId: kept.id, removedId }); resolve(kept); };
+    transaction.onerror = () => { log('ERROR', 'db.js', 'CONTACTS_MERGE_FAILED', { error: transaction.error, keptId: kept.id, removedId }); reject(transaction.error); };
+  });
+}
+
+// --- LEDGER ---
+
+// A profile's chain in order. The key is [ownerPhone, seq], so a key range
+// over one phone returns exactly that chain, already sorted.
+async function getLedgerEntries(rawPhone) {
+  const phone = normalizePhone(rawPhone);
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const range = IDBKeyRange.bound([phone, -Infinity], [phone, Infinity]);
+    const request = db.transaction([LEDGER_STORE_NAME], 'readonly').objectStore(LEDGER_STORE_NAME).getAll(range);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => { log('ERROR', 'db.js', 'LEDGER_RETRIEVE_FAILED', { error: request.error, phone }); reject(request.error); };
+  });
+}
+
+// add(), not put(): an entry can never overwrite an existing link. Two writers
+// racing for the same seq, or the same transaction twice, fail with ConstraintError.
+// The entry and the chain's new head are written together or not at all.
+async function addLedgerEntry(entry, head) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([LEDGER_STORE_NAME, LEDGER_HEAD_STORE_NAME], 'readwrite');
+    transaction.objectStore(LEDGER_STORE_NAME).add(entry);
+    transaction.objectStore(LEDGER_HEAD_STORE_NAME).put(head);
+    transaction.oncomplete = () => { log('INFO', 'db.js', 'LEDGER_ENTRY_ADDED', { ownerPhone: entry.ownerPhone, seq: entry.seq, txnId: entry.txnId }); resolve(entry); };
+    transaction.onabort = () => { log('WARN', 'db.js', 'LEDGER_ENTRY_ADD_FAILED', { error: transaction.error, seq: entry.seq, txnId: entry.txnId }); reject(transaction.error); };
+  });
+}
+
+async function getLedgerHead(rawPhone) {
+  const phone = normalizePhone(rawPhone);
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const request = db.transaction([LEDGER_HEAD_STORE_NAME], 'readonly').objectStore(LEDGER_HEAD_STORE_NAME).get(phone);
+    request.onsuccess = () => resolve(request.result || null);
+    request.onerror = () => { log('ERROR', 'db.js', 'LEDGER_HEAD_RETRIEVE_FAILED', { error: request.error, phone }); reject(request.error); };
+  });
+}
+
+async function putLedgerHead(head) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const request = db.transaction([LEDGER_HEAD_STORE_NAME], 'readwrite').objectStore(LEDGER_HEAD_STORE_NAME).put(head);
+    request.onsuccess = () => { log('INFO', 'db.js', 'LEDGER_HEAD_SAVED', { ownerPhone: head.ownerPhone, seq: head.seq }); resolve(head); };
+    request.onerror = () => { log('ERROR', 'db.js', 'LEDGER_HEAD_SAVE_FAILED', { error: request.error, ownerPhone: head.ownerPhone }); reject(request.error); };
+  });
+}
+
+// --- TRUST SCORE SNAPSHOTS ---
+
+// put(): the day's snapshot is replaced each time the score is worked out again.
+async function putScoreSnapshot(snapshot) {
+  snapshot = { ...snapshot, phone: normalizePhone(snapshot.phone) };
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const request = db.transaction([SCORE_STORE_NAME], 'readwrite').objectStore(SCORE_STORE_NAME).put(snapshot);
+    request.onsuccess = () => { log('INFO', 'db.js', 'SCORE_SNAPSHOT_SAVED', { phone: snapshot.phone, day: snapshot.day, score: snapshot.score }); resolve(snapshot); };
+    request.onerror = () => { log('ERROR', 'db.js', 'SCORE_SNAPSHOT_SAVE_FAILED', { error: request.error, day: snapshot.day }); reject(request.error); };
+  });
+}
+
+// Oldest day first; the key is [phone, day], so the range is already sorted.
+async function getScoreSnapshots(rawPhone) {
+  const phone = normalizePhone(rawPhone);
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const range = IDBKeyRange.bound([phone, ''], [phone, '\uffff']);
+    const request = db.transaction([SCORE_STORE_NAME], 'readonly').objectStore(SCORE_STORE_NAME).getAll(range);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => { log('ERROR', 'db.js', 'SCORE_SNAPSHOTS_RETRIEVE_FAILED', { error: request.error, phone }); reject(request.error); };
+  });
+}
+
+// --- CREDIT TRANSFERS ---
+
+async function getCreditTransferById(id) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const request = db.transaction([TRANSFER_STORE_NAME], 'readonly').objectStore(TRANSFER_STORE_NAME).get(id);
+    request.onsuccess = () => resolve(request.result || null);
+    request.onerror = () => { log('ERROR', 'db.js', 'CREDIT_TRANSFER_RETRIEVE_FAILED', { error: request.error, id }); reject(request.error); };
+  });
+}
+
+async function putCreditTransfer(transfer) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const request = db.transaction([TRANSFER_STORE_NAME], 'readwrite').objectStore(TRANSFER_STORE_NAME).put(transfer);
+    request.onsuccess = () => { log('INFO', 'db.js', 'CREDIT_TRANSFER_SAVED', { id: transfer.id, status: transfer.status }); resolve(transfer); };
+    request.onerror = () => { log('ERROR', 'db.js', 'CREDIT_TRANSFER_SAVE_FAILED', { error: request.error, id: transfer.id }); reject(request.error); };
+  });
+}
+
+async function getCreditTransfersByPhone(rawPhone) {
+  const phone = normalizePhoneOrNull(rawPhone);
+  if (!phone) { return []; }
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const request = db.transaction([TRANSFER_STORE_NAME], 'readonly').objectStore(TRANSFER_STORE_NAME).index('parties').getAll(phone);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => { log('ERROR', 'db.js', 'CREDIT_TRANSFERS_RETRIEVE_FAILED', { error: request.error, phone }); reject(request.error); };
+  });
+}
+
+// The confirmed transfer and all of its balancing legs land in one
+// transaction, or nothing does. A transfer that is already confirmed is left
+// alone, so finalizing the same transfer twice writes nothing the second time.
+async function commitCreditTransfer(transfer, legs) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([TRANSFER_STORE_NAME, TX_STORE_NAME], 'readwrite');
+    const transfers = transaction.objectStore(TRANSFER_STORE_NAME);
+    let result = transfer;
+    transfers.get(transfer.id).onsuccess = (event) => {
+      const existing = event.target.result;
+      if (existing && existing.status === transfer.status) { result = existing; return; }
+      transfers.put(transfer);
+      const store = transaction.objectStore(TX_STORE_NAME);
+      legs.forEach(leg => store.add({ ...leg, fromPhone: normalizePhone(leg.fromPhone), toPhone: normalizePhone(leg.toPhone) }));
+    };
+    transaction.oncomplete = () => { log('INFO', 'db.js', 'CREDIT_TRANSFER_COMMITTED', { id: transfer.id, legs: legs.length }); resolve(result); };
+    transaction.onabort = () => { log('ERROR', 'db.js', 'CREDIT_TRANSFER_COMMIT_FAILED', { error: transaction.error, id: transfer.id }); reject(transaction.error); };
+  });
+}
+
+// --- AGREEMENTS ---
+
+async function getAgreementById(id) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const request = db.transaction([AGREEMENT_STORE_NAME], 'readonly').objectStore(AGREEMENT_STORE_NAME).get(id);
+    request.onsuccess = () => resolve(request.result || null);
+    request.onerror = () => { log('ERROR', 'db.js', 'AGREEMENT_RETRIEVE_FAILED', { error: request.error, id }); reject(request.error); };
+  });
+}
+
+async function putAgreement(agreement) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const request = db.transaction([AGREEMENT_STORE_NAME], 'readwrite').objectStore(AGREEMENT_STORE_NAME).put(agreement);
+    request.onsuccess = () => { log('INFO', 'db.js', 'AGREEMENT_SAVED', { id: agreement.id, status: agreement.status }); resolve(agreement); };
+    request.onerror = () => { log('ERROR', 'db.js', 'AGREEMENT_SAVE_FAILED', { error: request.error, id: agreement.id }); reject(request.error); };
+  });
+}
+
+async function getAgreementsByPhone(rawPhone) {
+  const phone = normalizePhoneOrNull(rawPhone);
+  if (!phone) { return []; }
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const request = db.transaction([AGREEMENT_STORE_NAME], 'readonly').objectStore(AGREEMENT_STORE_NAME).index('parties').getAll(phone);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => { log('ERROR', 'db.js', 'AGREEMENTS_RETRIEVE_FAILED', { error: request.error, phone }); reject(request.error); };
+  });
+}
+
+// --- REFERRALS & COMMISSIONS ---
+
+async function addReferral(referral) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([REFERRAL_STORE_NAME], 'readwrite');
+    const request = transaction.objectStore(REFERRAL_STORE_NAME).add(referral);
+    request.onsuccess = () => { log('INFO', 'db.js', 'REFERRAL_ADDED', { referrerCode: referral.referrerCode }); resolve(referral); };
+    request.onerror = () => { log('ERROR', 'db.js', 'REFERRAL_ADD_FAILED', { error: request.error, referrerCode: referral.referrerCode }); reject(request.error); };
+  });
+}
+
+async function getReferralByUser(referredUser) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const request = db.transaction([REFERRAL_STORE_NAME], 'readonly').objectStore(REFERRAL_STORE_NAME).get(referredUser);
+    request.onsuccess = () => resolve(request.result || null);
+    request.onerror = () => { log('ERROR', 'db.js', 'REFERRAL_LOOKUP_FAILED', { error: request.error }); reject(request.error); };
+  });
+}
+
+async function getReferralsByReferrer(referrerCode) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const request = db.transaction([REFERRAL_STORE_NAME], 'readonly').objectStore(REFERRAL_STORE_NAME).index('referrerCode').getAll(referrerCode);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => { log('ERROR', 'db.js', 'REFERRALS_RETRIEVE_FAILED', { error: request.error, referrerCode }); reject(request.error); };
+  });
+}
+
+// All commissions for one payment are written together, or none are. A
+// payment that already has commissions is left alone, so replaying the same
+// payment event cannot pay the upline twice.
+async function addCommissionsForPayment(paymentId, commissions) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([COMMISSION_STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(COMMISSION_STORE_NAME);
+    let written = [];
+    store.index('paymentId').count(paymentId).onsuccess = (event) => {
+      if (event.target.result > 0) { return; }
+      commissions.forEach(commission => store.add(commission));
+      written = commissions;
+    };
+    transaction.oncomplete = () => { log('INFO', 'db.js', 'COMMISSIONS_ADDED', { paymentId, count: written.length }); resolve(written); };
+    transaction.onabort = () => { log('ERROR', 'db.js', 'COMMISSIONS_ADD_FAILED', { error: transaction.error, paymentId }); reject(transaction.error); };
+  });
+}
+
+// With a status, uses the compound index; without one, every commission for the recipient.
+async function getCommissions(recipient, status = null) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const store = db.transaction([COMMISSION_STORE_NAME], 'readonly').objectStore(COMMISSION_STORE_NAME);
+    const request = status ? store.index('recipientStatus').getAll([recipient, status]) : store.index('recipient').getAll(recipient);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => { log('ERROR', 'db.js', 'COMMISSIONS_RETRIEVE_FAILED', { error: request.error, recipient, status }); reject(request.error); };
+  });
+}
+
+// Reads the pending commissions, checks the threshold, marks them paid and
+// writes the payout record in one transaction, so a payout can never be half
+// applied or run twice over the same commissions.
+async function payOutCommissions(recipient, thresholdPaise) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([COMMISSION_STORE_NAME, PAYOUT_STORE_NAME], 'readwrite');
+    const commissions = transaction.objectStore(COMMISSION_STORE_NAME);
+    let payout = null;
+    let shortfall = null;
+    commissions.index('recipientStatus').getAll([recipient, 'pending']).onsuccess = (event) => {
+      const pending = event.target.result;
+      const amountPaise = pending.reduce((total, commission) => total + commission.amountPaise, 0);
+      if (amountPaise < thresholdPaise) { shortfall = amountPaise; return; }
+
+      const paidAt = new Date().toISOString();
+      payout = { id: 'payout_' + Date.now(), recipient, amountPaise, commissionIds: pending.map(c => c.id), createdAt: paidAt };
+      pending.forEach(commission => commissions.put({ ...commission, status: 'paid', paidAt, payoutId: payout.id }));
+      transaction.objectStore(PAYOUT_STORE_NAME).add(payout);
+    };
+    transaction.oncomplete = () => {
+      if (!payout) { resolve({ payout: null, pendingPaise: shortfall }); return; }
+      log('INFO', 'db.js', 'PAYOUT_RECORDED', { payoutId: payout.id, recipient, amountPaise: payout.amountPaise });
+      resolve({ payout, pendingPaise: 0 });
+    };
+    transaction.onabort = () => { log('ERROR', 'db.js', 'PAYOUT_FAILED', { error: transaction.error, recipient }); reject(transaction.error); };
+  });
+}
+
+// Every record in every data store, keyed by store name (used by the backup code).
+async function readAllStores() {
+  const db = await openDB();
+  const names = [...db.objectStoreNames].filter(name => name !== META_STORE_NAME);
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(names, 'readonly');
+    const result = {};
+    names.forEach(name => {
+      transaction.objectStore(name).getAll().onsuccess = (event) => { result[name] = event.target.result; };
+    });
+    transaction.oncomplete = () => { log('INFO', 'db.js', 'ALL_STORES_READ', { stores: names }); resolve(result); };
+    transaction.onerror = () => { log('ERROR', 'db.js', 'ALL_STORES_READ_FAILED', { error: transaction.error }); reject(transaction.error); };
+  });
+}
+
+// keyPath of every data store, so callers can match records without knowing the schema.
+async function getStoreKeyPaths() {
+  const db = await openDB();
+  const names = [...db.objectStoreNames].filter(name => name !== META_STORE_NAME);
+  const transaction = db.transaction(names, 'readonly');
+  return Object.fromEntries(names.map(name => [name, transaction.objectStore(name).keyPath]));
+}
+
+// Writes { storeName: records } in one transaction, so a restore either lands
+// completely or not at all. `remove` is { storeName: keys } deleted first.
+async function writeStores(records, { remove = {} } = {}) {
+  const db = await openDB();
+  const names = [...new Set([...Object.keys(records), ...Object.keys(remove)])].filter(name => db.objectStoreNames.contains(name));
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(names, 'readwrite');
+    names.forEach(name => {
+      const store = transaction.objectStore(name);
+      (remove[name] || []).forEach(key => store.delete(key));
+      (records[name] || []).forEach(record => store.put(record));
+    });
+    transaction.oncomplete = () => { log('INFO', 'db.js', 'STORES_WRITTEN', { stores: names, removed: Object.values(remove).reduce((total, keys) => total + keys.length, 0) }); resolve(); };
+    transaction.onabort = () => { log('ERROR', 'db.js', 'STORES_WRITE_FAILED', { error: transaction.error, stores: names }); reject(transaction.error); };
+  });
+}
+
 // --- EXPORTS ---
-export { openDB, addUser, findUserByPhone, getUserById };
\ No newline at end of file
+export {
+  DB_VERSION, openDB, addUser, addUserWithInvite, getUsedInvite, findUserByPhone, getUserById, getAllUsers, updateUser, getTransactionById, putTransaction, getTransactionsByPhone, getAllTransactions, getTransactionsBetween, addContact, addContacts, getContactsByOwner, getContactById, updateContact, deleteContact, mergeContactRecords,
+  getLedgerEntries, addLedgerEntry, getLedgerHead, putLedgerHead, unsignedLedgerHeads, putScoreSnapshot, getScoreSnapshots,
+  getCreditTransferById, putCreditTransfer, getCreditTransfersByPhone, commitCreditTransfer,
+  getAgreementById, putAgreement, getAgreementsByPhone,
+  addReferral, getReferralByUser, getReferralsByReferrer, addCommissionsForPayment, getCommissions, payOutCommissions, referralRecordsFromLegacy, amountsInPaise, transactionAmountsInPaise,
+  readAllStores, getStoreKeyPaths, writeStores
+};
\ No newline at end of file
@@ -1 +1,277 @@
+// js/digital-shakehand.js
 
+// The "Digital Shakehand": a transaction request that travels inside a link.
+// The initiator signs the full payload, so the counterparty can rebuild and
+// check the transaction on their own device without any server.
+
+// --- IMPORTS ---
+import { log } from './logger.js';
+import { getTransactionById, putTransaction } from './db.js';
+import { ensureSigningKeys, signObject, verifyObject } from './identity.js';
+import { appendToLedger } from './ledger.js';
+import { applyPaymentToAgreements } from './agreements.js';
+import { knownKeyFor, pinContactKey } from './contacts.js';
+import { STATES, transition, assertTransition, expireIfStale } from './lifecycle.js';
+import { normalizePhone, normalizePhoneOrNull, samePhone } from './phone.js';
+import { MAX_PAISE, isPaise, isRecordableRupees, toPaise, toRupees } from './money.js';
+import { randomId, packJSON, unpackJSON, canonicalJSON, utf8Encode, sha256, toBase64Url } from './encoding.js';
+
+const SHAKEHAND_VERSION = 1;
+const TRANSACTION_TYPES = ['gave', 'got'];
+const RECEIPT_DECISIONS = ['confirmed', 'denied'];
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Built the same way on both devices: the history is fixed by the signed payload.
+function buildRecord(request) {
+  const { payload, signature } = request;
+  const record = {
+    id: payload.id,
+    fromPhone: normalizePhoneOrNull(payload.from.phone),
+    fromName: payload.from.name,
+    toPhone: normalizePhoneOrNull(payload.to.phone),
+    toName: payload.to.name,
+    type: payload.type,
+    amountPaise: toPaise(payload.amount),
+    note: payload.note,
+    date: payload.ts,
+    occurredOn: payload.occurredOn || null,
+    dueDate: payload.dueDate || null,
+    status: STATES.DRAFT,
+    history: [],
+    request: { payload, signature }
+  };
+  return transition(record, STATES.PENDING, { by: record.fromPhone, at: payload.ts });
+}
+
+async function createShakehandRequest(initiator, { toPhone, toName, type, amountPaise, note, occurredOn, dueDate }) {
+  if (!TRANSACTION_TYPES.includes(type)) { throw new Error(`Unknown transaction type "${type}"`); }
+  if (!isPaise(amountPaise) || !(amountPaise > 0)) { throw new Error('Amount must be greater than zero'); }
+  if (amountPaise > MAX_PAISE) { throw new Error('Amount is too large to record'); }
+
+  const keys = await ensureSigningKeys(initiator);
+  const payload = {
+    v: SHAKEHAND_VERSION,
+    id: randomId('TX'),
+    from: { name: initiator.name, phone: initiator.phone, key: keys.publicKey },
+    to: { name: toName || null, phone: normalizePhone(toPhone) },
+    type,
+    amount: toRupees(amountPaise),
+    note: note || '',
+    ts: new Date().toISOString(),
+    nonce: randomId('', 9)
+  };
+  // Optional, so links recorded before these fields existed still verify.
+  if (occurredOn) { payload.occurredOn = occurredOn; }
+  if (dueDate) { payload.dueDate = dueDate; }
+  const signature = await signObject(initiator, payload);
+  const record = buildRecord({ payload, signature });
+
+  await putTransaction(record);
+  log('INFO', 'digital-shakehand.js', 'SHAKEHAND_CREATED', { id: payload.id, toPhone, amountPaise });
+  return record;
+}
+
+function encodeShakehand(request) {
+  return packJSON([request.payload, request.signature]);
+}
+
+async function decodeShakehand(token) {
+  const decoded = await unpackJSON(token);
+  if (!Array.isArray(decoded) || decoded.length !== 2) { throw new Error('Malformed transaction link'); }
+  return { payload: decoded[0], signature: decoded[1] };
+}
+
+async function verifyShakehand(request) {
+  const { payload, signature } = request;
+  if (!payload || payload.v !== SHAKEHAND_VERSION) { throw new Error('Unsupported transaction link version'); }
+  if (!payload.id || !payload.from || !payload.to || !payload.from.key || !payload.to.phone) { throw new Error('Transaction link is missing details'); }
+  if (!TRANSACTION_TYPES.includes(payload.type) || !isRecordableRupees(payload.amount)) { throw new Error('Transaction link has invalid details'); }
+  if ([payload.occurredOn, payload.dueDate].some(day => day !== undefined && !ISO_DATE.test(day))) { throw new Error('Transaction link has an invalid date'); }
+  if (!normalizePhoneOrNull(payload.from.phone) || !normalizePhoneOrNull(payload.to.phone)) { throw new Error('Transaction link has an invalid phone number'); }
+
+  const valid = await verifyObject(payload.from.key, payload, signature);
+  if (!valid) { throw new Error('Transaction link signature is invalid'); }
+  return true;
+}
+
+// Rebuilds the transaction from a link and stores it on this device as pending.
+// Opening the same link twice returns the stored copy instead of resetting it.
+// A new request must be signed with the key pinned for its sender, or with
+// `trustKey` once the user has checked its fingerprint; it is then pinned.
+async function acceptShakehand(token, user, { trustKey = null } = {}) {
+  const request = await decodeShakehand(token);
+  await verifyShakehand(request);
+  const { from, to } = request.payload;
+
+  const existing = await getTransactionById(request.payload.id);
+  if (existing) {
+    // An earlier version of a request that has since been corrected.
+    const revised = (existing.thread || []).some(entry => entry.request) && existing.request.payload.from.key === request.payload.from.key;
+    if (existing.request.signature !== request.signature && !revised) {
+      log('WARN', 'digital-shakehand.js', 'SHAKEHAND_ID_CONFLICT', { id: request.payload.id });
+      throw new Error('A different transaction with this ID already exists');
+    }
+    return existing;
+  }
+
+  if (samePhone(from.phone, user.phone)) {
+    const keys = user.keys || {};
+    const ownKeys = [keys.publicKey, ...(keys.previous || []).map(old => old.publicKey)];
+    if (!ownKeys.includes(from.key)) { throw new Error('This link claims to come from you but was not signed with your key'); }
+  } else if (samePhone(to.phone, user.phone)) {
+    await checkCounterpartyKey(user, from.phone, from.key, trustKey);
+  } else {
+    throw new Error('This transaction is not for you');
+  }
+
+  const record = buildRecord(request);
+  await putTransaction(record);
+  if (!samePhone(from.phone, user.phone)) { await pinContactKey(user, from.phone, from.key, from.name); }
+  log('INFO', 'digital-shakehand.js', 'SHAKEHAND_ACCEPTED', { id: record.id, fromPhone: record.fromPhone });
+  return record;
+}
+
+// Installments are derived from confirmed payments, so a failure here is
+// logged and picked up on the next refresh instead of failing the confirmation.
+async function updateAgreements(record) {
+  try {
+    await applyPaymentToAgreements(record);
+  } catch (error) {
+    log('WARN', 'digital-shakehand.js', 'AGREEMENT_UPDATE_FAILED', { id: record.id, error: error.message });
+  }
+}
+
+// --- RECEIPTS ---
+// The counterparty answers a request with a receipt: their decision, signed with
+// their own key, bound to the exact request through its hash. Applying the same
+// receipt on both devices leaves both holding identical, doubly signed records.
+
+async function hashRequest(request) {
+  return toBase64Url(await sha256(utf8Encode(canonicalJSON(request))));
+}
+
+function applyReceipt(record, receipt) {
+  transition(record, receipt.payload.decision, { by: normalizePhoneOrNull(receipt.payload.by.phone), at: receipt.payload.ts });
+  record.decidedAt = receipt.payload.ts;
+  record.receipt = { payload: receipt.payload, signature: receipt.signature };
+  return record;
+}
+
+async function createReceipt(user, txnId, decision) {
+  if (!RECEIPT_DECISIONS.includes(decision)) { throw new Error(`Unknown decision "${decision}"`); }
+  const record = await getTransactionById(txnId);
+  if (!record) { throw new Error('Transaction not found on this device'); }
+  if (!samePhone(record.toPhone, user.phone)) { throw new Error('Only the counterparty can answer this transaction'); }
+  if (expireIfStale(record)) { await putTransaction(record); }
+  // Answering the same way twice returns the stored receipt; anything else must be a legal move.
+  if (record.receipt && record.status === decision) { return record; }
+  assertTransition(record, decision);
+
+  const keys = await ensureSigningKeys(user);
+  const payload = {
+    v: SHAKEHAND_VERSION,
+    id: record.id,
+    req: await hashRequest(record.request),
+    decision,
+    ts: new Date().toISOString(),
+    by: { name: user.name, phone: user.phone, key: keys.publicKey }
+  };
+  const signature = await signObject(user, payload);
+
+  applyReceipt(record, { payload, signature });
+  await putTransaction(record);
+  if (decision === STATES.CONFIRMED) {
+    await appendToLedger(user, record);
+    await updateAgreements(record);
+  }
+  log('INFO', 'digital-shakehand.js', 'RECEIPT_CREATED', { id: record.id, decision });
+  return record;
+}
+
+// Only the initiator can withdraw a request, and only while nobody has answered it.
+async function cancelShakehand(user, txnId) {
+  const record = await getTransactionById(txnId);
+  if (!record) { throw new Error('Transaction not found on this device'); }
+  if (!samePhone(record.fromPhone, user.phone)) { throw new Error('Only the person who recorded this transaction can cancel it'); }
+  if (!assertTransition(record, STATES.CANCELLED)) { return record; }
+
+  transition(record, STATES.CANCELLED, { by: normalizePhone(user.phone) });
+  await putTransaction(record);
+  log('INFO', 'digital-shakehand.js', 'SHAKEHAND_CANCELLED', { id: record.id });
+  return record;
+}
+
+// Thrown for a request or receipt signed with a key not pinned for its
+// sender: either none is pinned yet, or `previousKey` is (they may have moved
+// to a new phone). The caller shows the fingerprint of `key` and, once the
+// user has checked it with the counterparty, accepts again with { trustKey: key }.
+class UnknownKeyError extends Error {
+  constructor(phone, key, previousKey = null) {
+    super(previousKey
+      ? 'This person is signing with a different key than before, e.g. after moving to a new phone. Check their new key fingerprint before accepting.'
+      : 'You have not checked this person\'s key yet. Check their key fingerprint before accepting.');
+    this.name = 'UnknownKeyError';
+    this.phone = phone;
+    this.key = key;
+    this.previousKey = previousKey;
+  }
+}
+
+// `key` must be the one pinned for `phone`, or the one the user has just
+// checked and passed on as `trustKey`.
+async function checkCounterpartyKey(user, phone, key, trustKey) {
+  const knownKey = await knownKeyFor(user, phone);
+  if (key === knownKey || key === trustKey) { return; }
+  if (knownKey) { log('WARN', 'digital-shakehand.js', 'COUNTERPARTY_KEY_CHANGED', { phone: normalizePhone(phone) }); }
+  throw new UnknownKeyError(normalizePhone(phone), key, knownKey);
+}
+
+function encodeReceipt(receipt) {
+  return packJSON([receipt.payload, receipt.signature]);
+}
+
+async function decodeReceipt(token) {
+  const decoded = await unpackJSON(token);
+  if (!Array.isArray(decoded) || decoded.length !== 2) { throw new Error('Malformed receipt link'); }
+  return { payload: decoded[0], signature: decoded[1] };
+}
+
+// Applies a receipt on the initiator's device after checking that it answers
+// the request we actually sent and was signed by the counterparty we sent it
+// to. The phone number inside a receipt proves nothing on its own, so the
+// signing key must be the one pinned for that number.
+async function acceptReceipt(token, user, { trustKey = null } = {}) {
+  const receipt = await decodeReceipt(token);
+  const { payload, signature } = receipt;
+  if (!payload || payload.v !== SHAKEHAND_VERSION || !payload.by || !payload.by.key) { throw new Error('Unsupported receipt link'); }
+  if (!RECEIPT_DECISIONS.includes(payload.decision)) { throw new Error('Receipt has an invalid decision'); }
+
+  const record = await getTransactionById(payload.id);
+  if (!record) { throw new Error('This receipt is for a transaction that is not on this device'); }
+  if (!samePhone(record.fromPhone, user.phone)) { throw new Error('This receipt is not for you'); }
+  if (!samePhone(payload.by.phone, record.toPhone)) { throw new Error('Receipt was not issued by the counterparty'); }
+  if (payload.req !== await hashRequest(record.request)) { throw new Error('Receipt does not match the original request'); }
+  if (!await verifyObject(payload.by.key, payload, signature)) { throw new Error('Receipt signature is invalid'); }
+  await checkCounterpartyKey(user, record.toPhone, payload.by.key, trustKey);
+
+  if (record.receipt) {
+    if (record.receipt.signature === signature) { return record; }
+    log('WARN', 'digital-shakehand.js', 'RECEIPT_CONFLICT', { id: record.id });
+    throw new Error('This transaction has already been answered');
+  }
+  // e.g. the initiator cancelled the request before the answer arrived.
+  assertTransition(record, payload.decision);
+
+  applyReceipt(record, receipt);
+  await putTransaction(record);
+  await pinContactKey(user, record.toPhone, payload.by.key, record.toName);
+  if (record.status === STATES.CONFIRMED) {
+    await appendToLedger(user, record);
+    await updateAgreements(record);
+  }
+  log('INFO', 'digital-shakehand.js', 'RECEIPT_ACCEPTED', { id: record.id, decision: payload.decision });
+  return record;
+}
+
+// --- EXPORTS ---
+export { createShakehandRequest, encodeShakehand, decodeShakehand, verifyShakehand, acceptShakehand, hashRequest, createReceipt, cancelShakehand, UnknownKeyError, encodeReceipt, acceptReceipt };
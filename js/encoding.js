@@ -0,0 +1,88 @@
+// js/encoding.js
+
+// Small byte/text helpers shared by the link, signing and backup code.
+// Everything here is pure so it can run on any page without touching the DB.
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+function utf8Encode(text) { return textEncoder.encode(text); }
+
+function utf8Decode(bytes) { return textDecoder.decode(bytes); }
+
+function toBase64Url(bytes) {
+  let binary = '';
+  const view = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  for (let i = 0; i < view.length; i++) { binary += String.fromCharCode(view[i]); }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  if (typeof text !== 'string' || !/^[A-Za-z0-9_-]*$/.test(text)) {
+    throw new Error('Invalid base64url string');
+  }
+  const padded = text.replace(/-/g, '+').replace(/_/g, '/') + '==='.slice((text.length + 3) % 4);
+  const binary = atob(padded);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) { bytes[i] = binary.charCodeAt(i); }
+  return bytes;
+}
+
+// JSON with object keys sorted, so the same data always produces the same bytes
+// no matter which device (or which code path) built the object.
+function canonicalJSON(value) {
+  if (value === null || typeof value !== 'object') { return JSON.stringify(value); }
+  if (Array.isArray(value)) { return `[${value.map(item => canonicalJSON(item === undefined ? null : item)).join(',')}]`; }
+  const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+  return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`).join(',')}}`;
+}
+
+function randomBytes(length) {
+  const bytes = new Uint8Array(length);
+  crypto.getRandomValues(bytes);
+  return bytes;
+}
+
+function randomId(prefix = '', length = 12) { return prefix + toBase64Url(randomBytes(length)); }
+
+async function sha256(bytes) {
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return new Uint8Array(digest);
+}
+
+async function pipeThrough(bytes, stream) {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+// Links are prefixed with a single format character so older devices that lack
+// CompressionStream can still produce (and read) uncompressed payloads.
+const FORMAT_PLAIN = 'A';
+const FORMAT_DEFLATE = 'B';
+
+async function packJSON(value) {
+  const bytes = utf8Encode(JSON.stringify(value));
+  if (typeof CompressionStream !== 'undefined') {
+    try {
+      const compressed = await pipeThrough(bytes, new CompressionStream('deflate-raw'));
+      if (compressed.length < bytes.length) { return FORMAT_DEFLATE + toBase64Url(compressed); }
+    } catch (e) { /* fall back to the plain format */ }
+  }
+  return FORMAT_PLAIN + toBase64Url(bytes);
+}
+
+async function unpackJSON(text) {
+  if (typeof text !== 'string' || text.length < 2) { throw new Error('Empty payload'); }
+  const format = text[0];
+  let bytes = fromBase64Url(text.slice(1));
+  if (format === FORMAT_DEFLATE) {
+    if (typeof DecompressionStream === 'undefined') { throw new Error('This browser cannot read compressed links'); }
+    bytes = await pipeThrough(bytes, new DecompressionStream('deflate-raw'));
+  } else if (format !== FORMAT_PLAIN) {
+    throw new Error(`Unknown payload format "${format}"`);
+  }
+  return JSON.parse(utf8Decode(bytes));
+}
+
+// --- EXPORTS ---
+export { utf8Encode, utf8Decode, toBase64Url, fromBase64Url, canonicalJSON, randomBytes, randomId, sha256, packJSON, unpackJSON };
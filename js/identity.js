@@ -0,0 +1,61 @@
+// js/identity.js
+
+// --- IMPORTS ---
+import { log } from './logger.js';
+import { updateUser } from './db.js';
+import { utf8Encode, canonicalJSON, toBase64Url, fromBase64Url, sha256 } from './encoding.js';
+
+const KEY_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const SIGN_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+
+// Creates the device-bound identity stored on a new user record at signup.
+// The private key is non-extractable: it can sign on this device but can never
+// be read out, so copying the database elsewhere does not copy the identity.
+async function createIdentity() {
+  const pair = await crypto.subtle.generateKey(KEY_ALGORITHM, false, ['sign', 'verify']);
+  const publicKey = toBase64Url(await crypto.subtle.exportKey('raw', pair.publicKey));
+  log('INFO', 'identity.js', 'IDENTITY_CREATED');
+  return { privateKey: pair.privateKey, publicKey, createdAt: new Date().toISOString() };
+}
+
+// Accounts created before identities existed get one the first time they sign.
+async function ensureSigningKeys(user) {
+  if (user.keys && user.keys.privateKey) { return user.keys; }
+
+  user.keys = await createIdentity();
+  await updateUser(user);
+  log('INFO', 'identity.js', 'SIGNING_KEYS_BACKFILLED', { userId: user.id });
+  return user.keys;
+}
+
+async function getPublicKey(user) {
+  const { publicKey } = await ensureSigningKeys(user);
+  return publicKey;
+}
+
+// A short, human-comparable digest of a public key, e.g. "3F2A 91C0 7D4E 0B88 C215".
+// Two people comparing fingerprints in person can be sure links came from each other.
+async function getFingerprint(publicKey) {
+  const digest = await sha256(fromBase64Url(publicKey));
+  const hex = Array.from(digest.slice(0, 10), byte => byte.toString(16).padStart(2, '0')).join('').toUpperCase();
+  return hex.match(/.{4}/g).join(' ');
+}
+
+async function signObject(user, value) {
+  const { privateKey } = await ensureSigningKeys(user);
+  const signature = await crypto.subtle.sign(SIGN_ALGORITHM, privateKey, utf8Encode(canonicalJSON(value)));
+  return toBase64Url(signature);
+}
+
+async function verifyObject(publicKey, value, signature) {
+  try {
+    const key = await crypto.subtle.importKey('raw', fromBase64Url(publicKey), KEY_ALGORITHM, false, ['verify']);
+    return await crypto.subtle.verify(SIGN_ALGORITHM, key, fromBase64Url(signature), utf8Encode(canonicalJSON(value)));
+  } catch (error) {
+    log('WARN', 'identity.js', 'SIGNATURE_CHECK_FAILED', { error: error.message });
+    return false;
+  }
+}
+
+// --- EXPORTS ---
+export { createIdentity, ensureSigningKeys, getPublicKey, getFingerprint, signObject, verifyObject };
@@ -0,0 +1,75 @@
+// js/invite.js
+
+// Root (upline-less) accounts can only be created with a bootstrap invite: a
+// short payload signed offline by the admin key (see scripts/root-invite.mjs).
+// The app only ever holds the admin's public key, so reading the source no
+// longer lets anyone mint a root account. An invite expires, is tied to one
+// phone number, and is burned on this device the moment it is used. Burning
+// only reaches this device, so an invite without a phone is refused: it could
+// otherwise open a root account on every device it is sent to.
+
+// --- IMPORTS ---
+import { log } from './logger.js';
+import { getUsedInvite } from './db.js';
+import { verifyObject } from './identity.js';
+import { unpackJSON } from './encoding.js';
+import { normalizePhoneOrNull, samePhone } from './phone.js';
+
+const INVITE_VERSION = 1;
+const INVITE_KIND = 'root';
+// Raw P-256 public key (base64url) of the offline admin key. Generate the pair
+// with `node scripts/root-invite.mjs keygen` and paste the public half here;
+// while it is empty, root onboarding is switched off.
+const BOOTSTRAP_PUBLIC_KEY = '';
+
+function isRootOnboardingEnabled() { return BOOTSTRAP_PUBLIC_KEY !== ''; }
+
+// Checks everything that can be checked before signup; returns the invite payload.
+async function verifyRootInvite(token) {
+  if (!isRootOnboardingEnabled()) { throw new Error('Root onboarding is not enabled in this build.'); }
+
+  let decoded;
+  try {
+    decoded = await unpackJSON(token);
+  } catch (error) {
+    throw new Error('This invite link is damaged or incomplete.');
+  }
+  if (!Array.isArray(decoded) || decoded.length !== 2) { throw new Error('This invite link is damaged or incomplete.'); }
+
+  const [payload, signature] = decoded;
+  if (!payload || payload.v !== INVITE_VERSION || payload.kind !== INVITE_KIND || !payload.id || !payload.exp) {
+    throw new Error('This is not a valid root invite.');
+  }
+  if (!await verifyObject(BOOTSTRAP_PUBLIC_KEY, payload, signature)) {
+    log('WARN', 'invite.js', 'INVITE_SIGNATURE_INVALID', { inviteId: payload.id });
+    throw new Error('This invite was not signed by the administrator.');
+  }
+  if (!normalizePhoneOrNull(payload.phone)) { throw new Error('This invite is not tied to a phone number. Ask the administrator for a new one.'); }
+  if (Date.parse(payload.exp) <= Date.now()) { throw new Error('This invite has expired. Ask the administrator for a new one.'); }
+  if (await getUsedInvite(payload.id)) { throw new Error('This invite has already been used.'); }
+
+  log('INFO', 'invite.js', 'INVITE_VERIFIED', { inviteId: payload.id, exp: payload.exp });
+  return payload;
+}
+
+// The phone binding can only be checked once the user has typed their number.
+function checkInvitePhone(invite, phone) {
+  if (!samePhone(invite.phone, phone)) {
+    throw new Error('This invite was issued for a different phone number.');
+  }
+}
+
+// Stored both in the used-invite store and on the root user, so the account
+// keeps a record of which invite created it.
+function inviteRecord(invite, phone) {
+  return {
+    id: invite.id,
+    phone: normalizePhoneOrNull(phone),
+    exp: invite.exp,
+    note: invite.note || null,
+    usedAt: new Date().toISOString()
+  };
+}
+
+// --- EXPORTS ---
+export { isRootOnboardingEnabled, verifyRootInvite, checkInvitePhone, inviteRecord };
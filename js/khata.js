@@ -0,0 +1,138 @@
+// js/khata.js
+
+// The khata: everything between this profile and one contact, the way a
+// shop's account book shows it. Confirmed entries in date order with a running
+// balance, what is still waiting for an answer, and installments that are
+// late. It reads through the fromTo index, so opening one contact never walks
+// the whole transactions store. A contact merged from several numbers has one
+// khata covering all of them.
+
+// --- IMPORTS ---
+import { getTransactionsBetween, getAgreementsByPhone } from './db.js';
+import { STATES, effectiveStatus, hasBeenConfirmed } from './lifecycle.js';
+import { balanceEffect } from './profiles.js';
+import { refreshAgreement } from './agreements.js';
+import { pendingCorrection } from './amendments.js';
+import { samePhone } from './phone.js';
+import { phonesFor } from './contacts.js';
+import { sumPaise, toRupees, formatMoney } from './money.js';
+
+function entryDay(record) {
+  return record.occurredOn || String(record.date).slice(0, 10);
+}
+
+function byDay(a, b) {
+  return entryDay(a).localeCompare(entryDay(b)) || String(a.date).localeCompare(String(b.date)) || a.id.localeCompare(b.id);
+}
+
+// Who has to act next on an open request: the counterparty confirms, the
+// initiator answers a correction.
+function waitingOn(user, record) {
+  const initiator = samePhone(record.fromPhone, user.phone);
+  if (record.status === STATES.AMENDING && pendingCorrection(record)) { return initiator ? 'you' : 'them'; }
+  return initiator ? 'them' : 'you';
+}
+
+// Installments past their due date in accepted agreements between the two.
+async function overdueObligations(user, phones) {
+  const agreements = (await getAgreementsByPhone(user.phone))
+    .filter(agreement => agreement.status === STATES.CONFIRMED && agreement.parties.some(party => phones.includes(party)));
+  const overdue = [];
+  for (const agreement of agreements) {
+    const current = await refreshAgreement(agreement);
+    const iPay = samePhone(current.terms.payer.phone, user.phone);
+    current.obligations
+      .filter(obligation => obligation.status === 'overdue')
+      .forEach(obligation => overdue.push({
+        agreementId: current.id,
+        n: obligation.n,
+        of: current.obligations.length,
+        dueDate: obligation.dueDate,
+        owed: obligation.amountPaise - obligation.paidPaise,
+        direction: iPay ? 'you-owe' : 'they-owe'
+      }));
+  }
+  return overdue.sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+}
+
+// All amounts in paise. `balance` is positive when the contact owes `user`.
+async function buildKhata(user, contactPhone) {
+  const phones = await phonesFor(user, contactPhone);
+  const records = [];
+  for (const phone of phones) { records.push(...await getTransactionsBetween(user.phone, phone)); }
+  records.sort(byDay);
+
+  let running = 0;
+  const entries = records.filter(hasBeenConfirmed).map(record => {
+    const effect = balanceEffect(record, user.phone);
+    running += effect;
+    return {
+      id: record.id,
+      day: entryDay(record),
+      direction: effect > 0 ? 'gave' : 'got',
+      amount: Math.abs(effect),
+      balance: running,
+      note: record.note || '',
+      disputed: record.status === STATES.DISPUTED,
+      transfer: !!record.transferId
+    };
+  });
+
+  const pending = records
+    .filter(record => [STATES.PENDING, STATES.AMENDING].includes(effectiveStatus(record)))
+    .map(record => {
+      const effect = balanceEffect(record, user.phone);
+      return {
+        id: record.id,
+        day: entryDay(record),
+        direction: effect > 0 ? 'gave' : 'got',
+        amount: Math.abs(effect),
+        note: record.note || '',
+        status: record.status,
+        waitingOn: waitingOn(user, record),
+        record
+      };
+    });
+
+  const given = sumPaise(entries.filter(entry => entry.direction === 'gave').map(entry => entry.amount));
+  const received = sumPaise(entries.filter(entry => entry.direction === 'got').map(entry => entry.amount));
+  return {
+    phone: phones[0],
+    phones,
+    entries,
+    totals: { given, received, balance: given - received },
+    pending,
+    overdue: await overdueObligations(user, phones)
+  };
+}
+
+// --- QUICK ACTIONS ---
+
+// The transaction that brings the balance back to zero, from `user`'s side:
+// if they owe you, you record that they paid you back, and the other way round.
+function settlementFor(khata) {
+  const { balance } = khata.totals;
+  if (balance === 0) { return null; }
+  return { type: balance > 0 ? 'got' : 'gave', amount: toRupees(Math.abs(balance)), note: 'Settling up' };
+}
+
+// A friendly nudge covering what the contact owes or still has to confirm;
+// null when there is nothing to remind them about.
+function reminderMessage(khata, name) {
+  const parts = [];
+  if (khata.totals.balance > 0) { parts.push(`our balance shows you owe me ${formatMoney(khata.totals.balance)}`); }
+  const late = khata.overdue.filter(item => item.direction === 'they-owe');
+  if (late.length > 0) {
+    const owed = sumPaise(late.map(item => item.owed));
+    parts.push(`${late.length} installment${late.length === 1 ? ' is' : 's are'} overdue (${formatMoney(owed)})`);
+  }
+  const waiting = khata.pending.filter(item => item.waitingOn === 'them');
+  if (waiting.length > 0) {
+    parts.push(`${waiting.length} transaction${waiting.length === 1 ? ' is' : 's are'} waiting for your confirmation`);
+  }
+  if (parts.length === 0) { return null; }
+  return `Hi ${name}, a quick reminder: ${parts.join(', and ')}.`;
+}
+
+// --- EXPORTS ---
+export { buildKhata, settlementFor, reminderMessage };
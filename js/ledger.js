@@ -0,0 +1,220 @@
+// js/ledger.js
+
+// Tamper-evident ledger. Every confirmed transaction a profile takes part in
+// becomes one entry in that profile's chain: the entry carries the hash of the
+// previous entry and of the doubly signed transaction, and is itself signed
+// with the profile's key. verifyLedger() walks the chain and reports the first
+// link that does not hold, so editing, inserting or deleting history in the
+// database (e.g. from devtools) shows up instead of silently changing reports.
+//
+// The chain alone cannot show that its last entries were removed, so each
+// profile also keeps a signed head (the seq and hash of the newest entry),
+// written together with every entry. verifyLedger() checks the chain ends
+// exactly there, and that every confirmed transaction has made it into it.
+
+// --- IMPORTS ---
+import { log } from './logger.js';
+import { getLedgerEntries, addLedgerEntry, getLedgerHead, putLedgerHead, getTransactionById, getTransactionsByPhone } from './db.js';
+import { ensureSigningKeys, signObject, verifyObject } from './identity.js';
+import { normalizePhone, samePhone } from './phone.js';
+import { hasBeenConfirmed } from './lifecycle.js';
+import { checkTransferLeg } from './credit-transfer.js';
+import { toPaise } from './money.js';
+import { canonicalJSON, utf8Encode, sha256, toBase64Url } from './encoding.js';
+
+const LEDGER_VERSION = 1;
+const GENESIS_HASH = 'GENESIS';
+const MAX_APPEND_ATTEMPTS = 3;
+
+async function hashOf(value) {
+  return toBase64Url(await sha256(utf8Encode(canonicalJSON(value))));
+}
+
+// Only the signed parts of a transaction are hashed: the request and the
+// receipt (or, for a credit transfer leg, the approvals). Everything else on
+// the record is derived from them.
+function transactionHash(record) {
+  return hashOf({ request: record.request, receipt: record.receipt, approvals: record.approvals });
+}
+
+// The part of an entry that is hashed and signed.
+function entryBody(entry) {
+  const { v, ownerPhone, seq, txnId, txnHash, prevHash, at, signerKey } = entry;
+  return { v, ownerPhone, seq, txnId, txnHash, prevHash, at, signerKey };
+}
+
+// The part of a head that is signed.
+function headBody(head) {
+  const { v, ownerPhone, seq, hash, signerKey } = head;
+  return { v, ownerPhone, seq, hash, signerKey };
+}
+
+async function signHead(user, entry) {
+  const { publicKey } = await ensureSigningKeys(user);
+  const body = { v: LEDGER_VERSION, ownerPhone: entry.ownerPhone, seq: entry.seq, hash: entry.hash, signerKey: publicKey };
+  return { ...body, signature: await signObject(user, body) };
+}
+
+// Returns a reason string if the stored record no longer matches what both
+// parties signed, or null when it does.
+async function checkTransaction(record) {
+  if (record.transferId) { return checkTransferLeg(record); }
+  const { request, receipt } = record;
+  if (!request || !receipt) { return 'transaction is missing its signatures'; }
+  const payload = request.payload;
+  if (record.id !== payload.id || record.type !== payload.type || record.amountPaise !== toPaise(payload.amount) ||
+      (record.note || '') !== (payload.note || '') || (record.occurredOn || null) !== (payload.occurredOn || null) ||
+      (record.dueDate || null) !== (payload.dueDate || null) || !samePhone(record.fromPhone, payload.from.phone) ||
+      !samePhone(record.toPhone, payload.to.phone)) {
+    return 'transaction details differ from the signed request';
+  }
+  if (!hasBeenConfirmed(record)) { return 'transaction is not confirmed'; }
+  if (receipt.payload.req !== await hashOf(request)) { return 'receipt does not match the request'; }
+  if (!samePhone(receipt.payload.by.phone, record.toPhone)) { return 'receipt was not signed by the counterparty'; }
+  if (!await verifyObject(payload.from.key, payload, request.signature)) { return 'request signature is invalid'; }
+  if (!await verifyObject(receipt.payload.by.key, receipt.payload, receipt.signature)) { return 'receipt signature is invalid'; }
+  return null;
+}
+
+// The next entry after `tip` (null for an empty chain) and the head that
+// points at it, both signed with the profile's key.
+async function chainEntry(user, tip, record) {
+  const { publicKey } = await ensureSigningKeys(user);
+  const body = {
+    v: LEDGER_VERSION,
+    ownerPhone: normalizePhone(user.phone),
+    seq: tip ? tip.seq + 1 : 1,
+    txnId: record.id,
+    txnHash: await transactionHash(record),
+    prevHash: tip ? tip.hash : GENESIS_HASH,
+    at: new Date().toISOString(),
+    signerKey: publicKey
+  };
+  const entry = { ...body, hash: await hashOf(body), signature: await signObject(user, body) };
+  return { entry, head: await signHead(user, entry) };
+}
+
+// Appends a confirmed transaction to the profile's chain. Safe to call more
+// than once for the same transaction; the second call is a no-op.
+async function appendToLedger(user, record) {
+  const ownerPhone = normalizePhone(user.phone);
+  const problem = await checkTransaction(record);
+  if (problem) { throw new Error(`Cannot add ${record.id} to the ledger: ${problem}`); }
+
+  for (let attempt = 1; ; attempt++) {
+    const chain = await getLedgerEntries(ownerPhone);
+    const existing = chain.find(entry => entry.txnId === record.id);
+    if (existing) { return existing; }
+
+    const { entry, head } = await chainEntry(user, chain[chain.length - 1], record);
+    try {
+      return await addLedgerEntry(entry, head);
+    } catch (error) {
+      // Someone else took this seq (another tab); re-read the head and retry.
+      if (error.name !== 'ConstraintError' || attempt >= MAX_APPEND_ATTEMPTS) { throw error; }
+    }
+  }
+}
+
+// Heads carried over from before they existed are unsigned; they are signed
+// here as long as they still point at the chain's last entry.
+async function signLegacyHead(user, chain) {
+  const head = await getLedgerHead(user.phone);
+  const tip = chain[chain.length - 1];
+  if (!head || head.signature !== null || !tip || head.seq !== tip.seq || head.hash !== tip.hash) { return; }
+  await putLedgerHead(await signHead(user, tip));
+  log('INFO', 'ledger.js', 'LEDGER_HEAD_SIGNED', { ownerPhone: tip.ownerPhone, seq: tip.seq });
+}
+
+// Chains any confirmed transaction of this profile that is not in the ledger
+// yet: history from before the ledger existed, or a transaction confirmed by
+// another profile on this device. Only records whose signatures check out are
+// ever added, so a forged row cannot be laundered into the chain.
+async function sealLedger(user) {
+  const chain = await getLedgerEntries(user.phone);
+  await signLegacyHead(user, chain);
+  const chained = new Set(chain.map(entry => entry.txnId));
+  const pending = (await getTransactionsByPhone(user.phone))
+    .filter(record => hasBeenConfirmed(record) && !chained.has(record.id))
+    .sort((a, b) => String(a.decidedAt).localeCompare(String(b.decidedAt)));
+
+  let sealed = 0;
+  for (const record of pending) {
+    try {
+      await appendToLedger(user, record);
+      sealed++;
+    } catch (error) {
+      log('WARN', 'ledger.js', 'LEDGER_SEAL_SKIPPED', { txnId: record.id, error: error.message });
+    }
+  }
+  if (sealed > 0) { log('INFO', 'ledger.js', 'LEDGER_SEALED', { ownerPhone: user.phone, sealed }); }
+  return sealed;
+}
+
+// Walks the chain from the start, then checks it against the head and the
+// confirmed transactions. `records` holds the stored transaction for each
+// entry, in chain order (undefined if it is gone); `transactions` is every
+// transaction of the profile. Returns null when everything holds, otherwise
+// { seq, txnId, reason } for the first problem found; seq is null for a
+// confirmed transaction that is missing from the chain.
+async function checkChain({ chain, head, ownKeys, records, transactions }) {
+  const broken = (entry, seq, reason) => ({ seq, txnId: entry ? entry.txnId : null, reason });
+
+  let prevHash = GENESIS_HASH;
+  for (let i = 0; i < chain.length; i++) {
+    const entry = chain[i];
+    const seq = i + 1;
+    if (entry.seq !== seq) {
+      return broken(entry, seq, entry.seq > seq ? `entry ${seq} is missing` : `unexpected entry before ${seq}`);
+    }
+    if (entry.prevHash !== prevHash) { return broken(entry, seq, 'does not link to the previous entry'); }
+    if (entry.hash !== await hashOf(entryBody(entry))) { return broken(entry, seq, 'entry has been modified'); }
+    if (!ownKeys.has(entry.signerKey) || !await verifyObject(entry.signerKey, entryBody(entry), entry.signature)) {
+      return broken(entry, seq, 'entry signature is invalid');
+    }
+
+    const record = records[i];
+    if (!record) { return broken(entry, seq, 'transaction has been deleted'); }
+    if (entry.txnHash !== await transactionHash(record)) { return broken(entry, seq, 'transaction signatures have been replaced'); }
+    const problem = await checkTransaction(record);
+    if (problem) { return broken(entry, seq, problem); }
+
+    prevHash = entry.hash;
+  }
+
+  if (head || chain.length > 0) {
+    const tip = chain[chain.length - 1];
+    if (!head) { return broken(tip, chain.length, 'ledger head is missing'); }
+    if (!ownKeys.has(head.signerKey) || !await verifyObject(head.signerKey, headBody(head), head.signature)) {
+      return broken(tip, chain.length, 'ledger head signature is invalid');
+    }
+    if (head.seq > chain.length) { return broken(null, chain.length + 1, `entry ${chain.length + 1} is missing`); }
+    if (head.seq !== chain.length || head.hash !== tip.hash) { return broken(tip, chain.length, 'chain does not end at the signed head'); }
+  }
+
+  const chained = new Set(chain.map(entry => entry.txnId));
+  const unchained = transactions.find(record => hasBeenConfirmed(record) && !chained.has(record.id));
+  if (unchained) { return broken({ txnId: unchained.id }, null, 'confirmed transaction is not in the ledger'); }
+  return null;
+}
+
+// Returns { ok, length, brokenAt } where brokenAt is what checkChain() found.
+async function verifyLedger(user) {
+  const [chain, head, transactions] = await Promise.all([
+    getLedgerEntries(user.phone), getLedgerHead(user.phone), getTransactionsByPhone(user.phone)
+  ]);
+  const records = await Promise.all(chain.map(entry => getTransactionById(entry.txnId)));
+  const keys = await ensureSigningKeys(user);
+  const ownKeys = new Set([keys.publicKey, ...(keys.previous || []).map(old => old.publicKey)]);
+
+  const brokenAt = await checkChain({ chain, head, ownKeys, records, transactions });
+  if (brokenAt) {
+    log('WARN', 'ledger.js', 'LEDGER_BROKEN', { ownerPhone: user.phone, ...brokenAt });
+    return { ok: false, length: chain.length, brokenAt };
+  }
+  log('INFO', 'ledger.js', 'LEDGER_VERIFIED', { ownerPhone: user.phone, length: chain.length });
+  return { ok: true, length: chain.length, brokenAt: null };
+}
+
+// --- EXPORTS ---
+export { chainEntry, appendToLedger, sealLedger, checkChain, verifyLedger };
@@ -0,0 +1,127 @@
+// js/lifecycle.js
+
+// The life of a transaction, in one place:
+//
+//   draft -> pending -> confirmed -> disputed -> confirmed
+//                    -> denied | expired | cancelled
+//                    -> amending -> pending (correction answered)
+//                                -> expired | cancelled
+//
+// Every status change goes through transition(), which refuses anything not
+// in TRANSITIONS and records when it happened and who did it. Asking for the
+// state a transaction is already in is a no-op, so confirming twice is safe.
+
+const STATES = Object.freeze({
+  DRAFT: 'draft',
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  DENIED: 'denied',
+  EXPIRED: 'expired',
+  CANCELLED: 'cancelled',
+  DISPUTED: 'disputed',
+  AMENDING: 'amending'
+});
+
+const TRANSITIONS = Object.freeze({
+  draft: ['pending', 'cancelled'],
+  pending: ['confirmed', 'denied', 'expired', 'cancelled', 'amending'],
+  amending: ['pending', 'expired', 'cancelled'],
+  confirmed: ['disputed'],
+  disputed: ['confirmed'],
+  denied: [],
+  expired: [],
+  cancelled: []
+});
+
+// How each state reads in a sentence: "This transaction has already been ...".
+const STATE_LABELS = Object.freeze({
+  draft: 'drafted',
+  pending: 'sent for confirmation',
+  confirmed: 'confirmed',
+  denied: 'denied',
+  expired: 'expired',
+  cancelled: 'cancelled',
+  disputed: 'disputed',
+  amending: 'held for a correction'
+});
+
+// A request nobody answers within this window can no longer be confirmed.
+const PENDING_TTL_DAYS = 30;
+
+class IllegalTransitionError extends Error {
+  constructor(from, to) {
+    const ended = from === 'expired' ? 'has expired' : `has already been ${STATE_LABELS[from]}`;
+    super(TRANSITIONS[from] && TRANSITIONS[from].length === 0
+      ? `This transaction ${ended} and can no longer be ${STATE_LABELS[to] || to}.`
+      : `A transaction that is ${STATE_LABELS[from] || from} cannot be ${STATE_LABELS[to] || to}.`);
+    this.name = 'IllegalTransitionError';
+    this.from = from;
+    this.to = to;
+  }
+}
+
+function canTransition(from, to) {
+  return !!TRANSITIONS[from] && TRANSITIONS[from].includes(to);
+}
+
+// True if the move is allowed, false if the record is already there (no-op);
+// throws IllegalTransitionError otherwise.
+function assertTransition(record, to) {
+  if (!TRANSITIONS[to]) { throw new Error(`Unknown transaction state "${to}"`); }
+  if (record.status === to) { return false; }
+  if (!canTransition(record.status, to)) { throw new IllegalTransitionError(record.status, to); }
+  return true;
+}
+
+// `by` is the phone of whoever caused the change, or 'system'. Pass `at`
+// when the moment is fixed by a signed payload, so both devices record the
+// exact same history.
+function transition(record, to, { by, at = new Date().toISOString(), reason = null }) {
+  if (!by) { throw new Error('Every transition needs an actor'); }
+  if (!assertTransition(record, to)) { return record; }
+  const step = { from: record.status, to, at, by };
+  if (reason) { step.reason = reason; }
+  record.history = [...(record.history || []), step];
+  record.status = to;
+  return record;
+}
+
+function expiresAt(record) {
+  const started = Date.parse(record.date);
+  return Number.isNaN(started) ? null : new Date(started + PENDING_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+function isPastDeadline(record, now = Date.now()) {
+  const deadline = expiresAt(record);
+  const open = record.status === STATES.PENDING || record.status === STATES.AMENDING;
+  return open && deadline !== null && Date.parse(deadline) <= now;
+}
+
+// Marks a stale request expired; returns true if the record changed and needs saving.
+function expireIfStale(record, now = Date.now()) {
+  if (!isPastDeadline(record, now)) { return false; }
+  transition(record, STATES.EXPIRED, { by: 'system', at: new Date(now).toISOString(), reason: `No answer within ${PENDING_TTL_DAYS} days` });
+  return true;
+}
+
+// What a view should show. A request may have run out on the other device
+// even though nobody has told this one yet, so stale pending reads as expired.
+function effectiveStatus(record, now = Date.now()) {
+  return isPastDeadline(record, now) ? STATES.EXPIRED : record.status;
+}
+
+// Confirmed at some point, whatever has happened since (e.g. a dispute).
+// Credit transfer legs carry the transfer's approvals instead of a receipt.
+function hasBeenConfirmed(record) {
+  if (record.status !== STATES.CONFIRMED && record.status !== STATES.DISPUTED) { return false; }
+  if (record.transferId) { return Array.isArray(record.approvals) && record.approvals.length > 0; }
+  return !!record.receipt && record.receipt.payload.decision === STATES.CONFIRMED;
+}
+
+function describeStatus(status) { return STATE_LABELS[status] || status; }
+
+// --- EXPORTS ---
+export {
+  STATES, IllegalTransitionError, canTransition, assertTransition, transition,
+  expiresAt, expireIfStale, effectiveStatus, hasBeenConfirmed, describeStatus
+};
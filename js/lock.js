@@ -0,0 +1,320 @@
+// js/lock.js
+
+// Local app lock. A PIN or passphrase is stretched with PBKDF2 and only the
+// derived hash is stored on the user record. The unlocked state lives in
+// sessionStorage, so closing the tab, going idle or leaving the app for a
+// while all bring the lock screen back.
+
+// --- IMPORTS ---
+import { log } from './logger.js';
+import { updateUser } from './db.js';
+import { utf8Encode, toBase64Url, fromBase64Url, randomBytes } from './encoding.js';
+import { isPasskeySupported, hasPasskey, assertPasskey } from './passkey.js';
+
+const PBKDF2_ITERATIONS = 210000;
+const SESSION_KEY = 'tt_unlock';
+const DEFAULT_IDLE_MINUTES = 5;
+const IDLE_OPTIONS = [1, 5, 15, 30];
+const BACKGROUND_GRACE_MS = 15 * 1000;
+const FREE_ATTEMPTS = 3;
+const BASE_LOCKOUT_MS = 30 * 1000;
+const MAX_LOCKOUT_MS = 60 * 60 * 1000;
+
+let autoLockTimer = null;
+let hiddenAt = null;
+let lockScreenPromise = null;
+const unlockListeners = [];
+
+// A PIN is 4-6 digits; anything else must be a passphrase of at least 8 characters.
+function validateSecret(secret) {
+  if (typeof secret !== 'string' || secret.length === 0) { return 'Please enter a PIN or passphrase.'; }
+  if (/^\d+$/.test(secret)) { return /^\d{4,6}$/.test(secret) ? null : 'A PIN must be 4 to 6 digits.'; }
+  return secret.length >= 8 ? null : 'A passphrase must be at least 8 characters.';
+}
+
+async function deriveHash(secret, salt, iterations) {
+  const baseKey = await crypto.subtle.importKey('raw', utf8Encode(secret), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', salt, iterations, hash: 'SHA-256' }, baseKey, 256);
+  return toBase64Url(bits);
+}
+
+function constantTimeEqual(a, b) {
+  if (a.length !== b.length) { return false; }
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) { diff |= a.charCodeAt(i) ^ b.charCodeAt(i); }
+  return diff === 0;
+}
+
+async function createPinRecord(secret) {
+  const problem = validateSecret(secret);
+  if (problem) { throw new Error(problem); }
+  const salt = randomBytes(16);
+  return {
+    salt: toBase64Url(salt),
+    hash: await deriveHash(secret, salt, PBKDF2_ITERATIONS),
+    iterations: PBKDF2_ITERATIONS,
+    kind: /^\d+$/.test(secret) ? 'pin' : 'passphrase',
+    createdAt: new Date().toISOString()
+  };
+}
+
+function hasPin(user) { return !!(user && user.pin && user.pin.hash); }
+
+async function setPin(user, secret) {
+  user.pin = await createPinRecord(secret);
+  user.lockout = { failures: 0, lockedUntil: null };
+  await updateUser(user);
+  markUnlocked(user);
+  log('INFO', 'lock.js', 'PIN_SET', { userId: user.id, kind: user.pin.kind });
+}
+
+function getIdleMinutes(user) {
+  return (user.lockSettings && user.lockSettings.idleMinutes) || DEFAULT_IDLE_MINUTES;
+}
+
+async function setIdleTimeout(user, minutes) {
+  if (!IDLE_OPTIONS.includes(minutes)) { throw new Error(`Unsupported idle timeout: ${minutes}`); }
+  user.lockSettings = { ...(user.lockSettings || {}), idleMinutes: minutes };
+  await updateUser(user);
+  log('INFO', 'lock.js', 'IDLE_TIMEOUT_SET', { userId: user.id, minutes });
+}
+
+function getLockoutRemaining(user) {
+  const lockedUntil = user.lockout && user.lockout.lockedUntil;
+  return lockedUntil ? Math.max(0, new Date(lockedUntil).getTime() - Date.now()) : 0;
+}
+
+// Wrong attempts are counted on the user record, so reloading the page does not
+// reset the backoff. After FREE_ATTEMPTS the wait doubles with every mistake.
+async function verifyPin(user, secret) {
+  const remainingMs = getLockoutRemaining(user);
+  if (remainingMs > 0) {
+    log('WARN', 'lock.js', 'UNLOCK_BLOCKED_LOCKOUT', { userId: user.id, remainingMs });
+    return { ok: false, remainingMs };
+  }
+
+  const hash = await deriveHash(secret, fromBase64Url(user.pin.salt), user.pin.iterations);
+  const lockout = user.lockout || { failures: 0, lockedUntil: null };
+
+  if (constantTimeEqual(hash, user.pin.hash)) {
+    user.lockout = { failures: 0, lockedUntil: null };
+    if (lockout.failures > 0) { await updateUser(user); }
+    markUnlocked(user);
+    log('INFO', 'lock.js', 'UNLOCK_SUCCESS', { userId: user.id });
+    return { ok: true, remainingMs: 0 };
+  }
+
+  const failures = lockout.failures + 1;
+  let lockedUntil = null;
+  if (failures >= FREE_ATTEMPTS) {
+    const waitMs = Math.min(BASE_LOCKOUT_MS * 2 ** (failures - FREE_ATTEMPTS), MAX_LOCKOUT_MS);
+    lockedUntil = new Date(Date.now() + waitMs).toISOString();
+  }
+  user.lockout = { failures, lockedUntil };
+  await updateUser(user);
+  log('WARN', 'lock.js', 'UNLOCK_FAILED', { userId: user.id, failures, lockedUntil });
+  return { ok: false, remainingMs: getLockoutRemaining(user), failures };
+}
+
+// --- SESSION STATE ---
+
+function readSession() {
+  try { return JSON.parse(sessionStorage.getItem(SESSION_KEY) || 'null'); } catch (e) { return null; }
+}
+
+function markUnlocked(user) {
+  sessionStorage.setItem(SESSION_KEY, JSON.stringify({ userId: user.id, lastActivity: Date.now() }));
+}
+
+function touchSession() {
+  const session = readSession();
+  if (session) {
+    session.lastActivity = Date.now();
+    sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  }
+}
+
+function isUnlocked(user) {
+  if (!hasPin(user)) { return true; }
+  const session = readSession();
+  if (!session || session.userId !== user.id) { return false; }
+  return Date.now() - session.lastActivity < getIdleMinutes(user) * 60 * 1000;
+}
+
+function lockNow(reason = 'manual') {
+  sessionStorage.removeItem(SESSION_KEY);
+  log('INFO', 'lock.js', 'SESSION_LOCKED', { reason });
+}
+
+// --- LOCK SCREEN ---
+
+function ensureLockStyles() {
+  if (document.getElementById('lock-screen-styles')) { return; }
+  const style = document.createElement('style');
+  style.id = 'lock-screen-styles';
+  style.textContent = `
+    .lock-screen { position: fixed; inset: 0; z-index: 2000; background: #f4f7f6; display: flex; align-items: center; justify-content: center; }
+    .lock-screen form { width: 90%; max-width: 320px; background: #fff; padding: 24px; border-radius: 8px; box-shadow: 0 4px 15px rgba(0,0,0,0.1); text-align: center; }
+    .lock-screen input { width: 100%; padding: 12px; margin: 12px 0; font-size: 16px; border: 1px solid #ccc; border-radius: 4px; box-sizing: border-box; }
+    .lock-screen .lock-error { color: #dc3545; min-height: 1.5em; font-size: 14px; }
+  `;
+  document.head.appendChild(style);
+}
+
+function formatWait(ms) {
+  const seconds = Math.ceil(ms / 1000);
+  return seconds >= 60 ? `${Math.ceil(seconds / 60)} min` : `${seconds} s`;
+}
+
+// Resolves once the user has entered the right PIN. Only one lock screen is
+// ever shown; concurrent callers wait on the same promise. With allowCancel
+// (used when switching profiles) a Cancel button resolves with null instead.
+function showLockScreen(user, { allowCancel = false } = {}) {
+  if (lockScreenPromise) { return lockScreenPromise; }
+  ensureLockStyles();
+
+  lockScreenPromise = new Promise((resolve) => {
+    const overlay = document.createElement('div');
+    overlay.className = 'lock-screen';
+    overlay.innerHTML = `
+      <form>
+        <h2>Locked</h2>
+        <p></p>
+        <input type="password" autocomplete="current-password" required>
+        <div class="lock-error"></div>
+        <button type="submit">Unlock</button>
+        <button type="button" class="lock-passkey" style="display: none; margin-top: 10px;">Use Passkey</button>
+        <button type="button" class="lock-cancel" style="display: none; margin-top: 10px;">Cancel</button>
+      </form>
+    `;
+    overlay.querySelector('p').textContent = `Enter the ${user.pin.kind === 'passphrase' ? 'passphrase' : 'PIN'} for ${user.name}`;
+    if (user.pin.kind !== 'passphrase') { overlay.querySelector('input').setAttribute('inputmode', 'numeric'); }
+
+    const form = overlay.querySelector('form');
+    const input = overlay.querySelector('input');
+    const errorBox = overlay.querySelector('.lock-error');
+    const submitBtn = overlay.querySelector('button[type="submit"]');
+    const passkeyBtn = overlay.querySelector('.lock-passkey');
+    let countdown = null;
+
+    const finish = (result = user) => {
+      clearInterval(countdown);
+      overlay.remove();
+      lockScreenPromise = null;
+      resolve(result);
+      if (result) { unlockListeners.forEach(listener => listener(result)); }
+    };
+
+    if (allowCancel) {
+      const cancelBtn = overlay.querySelector('.lock-cancel');
+      cancelBtn.style.display = '';
+      cancelBtn.addEventListener('click', () => finish(null));
+    }
+
+    const showLockout = (remainingMs) => {
+      submitBtn.disabled = true;
+      clearInterval(countdown);
+      const until = Date.now() + remainingMs;
+      const tick = () => {
+        const left = until - Date.now();
+        if (left <= 0) { clearInterval(countdown); submitBtn.disabled = false; errorBox.textContent = ''; return; }
+        errorBox.textContent = `Too many wrong attempts. Try again in ${formatWait(left)}.`;
+      };
+      tick();
+      countdown = setInterval(tick, 1000);
+    };
+
+    form.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      submitBtn.disabled = true;
+      const result = await verifyPin(user, input.value);
+      input.value = '';
+      if (result.ok) {
+        finish();
+      } else if (result.remainingMs > 0) {
+        showLockout(result.remainingMs);
+      } else {
+        submitBtn.disabled = false;
+        errorBox.textContent = 'That did not match. Please try again.';
+      }
+    });
+
+    // Passkey is offered next to the PIN, never instead of it, so a failed or
+    // cancelled biometric prompt simply leaves the PIN form in place.
+    if (hasPasskey(user)) {
+      isPasskeySupported().then((supported) => {
+        if (!supported) { return; }
+        passkeyBtn.style.display = '';
+        passkeyBtn.addEventListener('click', async () => {
+          try {
+            await assertPasskey(user);
+            user.lockout = { failures: 0, lockedUntil: null };
+            await updateUser(user);
+            markUnlocked(user);
+            log('INFO', 'lock.js', 'UNLOCK_SUCCESS_PASSKEY', { userId: user.id });
+            finish();
+          } catch (error) {
+            log('WARN', 'lock.js', 'PASSKEY_UNLOCK_FAILED', { userId: user.id, error: error.message });
+            errorBox.textContent = 'Passkey did not work. Please use your PIN.';
+          }
+        });
+      });
+    }
+
+    document.body.appendChild(overlay);
+    const remainingMs = getLockoutRemaining(user);
+    if (remainingMs > 0) { showLockout(remainingMs); }
+    input.focus();
+  });
+  return lockScreenPromise;
+}
+
+// Called with the user each time the lock screen is passed, so a page that
+// stays open across a lock can catch up on whatever it does at start.
+function onUnlock(listener) {
+  unlockListeners.push(listener);
+}
+
+// Watches for inactivity and for the app being sent to the background.
+function startAutoLock(user) {
+  if (autoLockTimer || !hasPin(user)) { return; }
+
+  let lastTouch = 0;
+  const onActivity = () => {
+    if (lockScreenPromise || Date.now() - lastTouch < 5000) { return; }
+    lastTouch = Date.now();
+    touchSession();
+  };
+  ['pointerdown', 'keydown', 'touchstart', 'scroll'].forEach(type => document.addEventListener(type, onActivity, { passive: true }));
+
+  autoLockTimer = setInterval(() => {
+    if (!lockScreenPromise && !isUnlocked(user)) {
+      lockNow('idle');
+      showLockScreen(user);
+    }
+  }, 15 * 1000);
+
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+      hiddenAt = Date.now();
+    } else if (hiddenAt && Date.now() - hiddenAt > BACKGROUND_GRACE_MS) {
+      hiddenAt = null;
+      lockNow('background');
+      showLockScreen(user);
+    }
+  });
+}
+
+// Gate used by getCurrentUser(): waits behind the lock screen when needed.
+async function ensureUnlocked(user) {
+  if (!hasPin(user)) { return user; }
+  if (!isUnlocked(user)) {
+    lockNow('session_expired');
+    await showLockScreen(user);
+  }
+  startAutoLock(user);
+  return user;
+}
+
+// --- EXPORTS ---
+export { IDLE_OPTIONS, validateSecret, createPinRecord, hasPin, setPin, getIdleMinutes, setIdleTimeout, verifyPin, markUnlocked, isUnlocked, lockNow, showLockScreen, onUnlock, ensureUnlocked };
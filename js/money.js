@@ -0,0 +1,131 @@
+// js/money.js
+
+// Money as integer paise. Adding rupee floats drifts (1.60 + 0.80 is not
+// 2.40), so every sum, split and comparison happens here in whole paise, and
+// rupees only appear again when a value is formatted for people.
+//
+// Signed payloads are the one exception: transaction, transfer and agreement
+// payloads have always carried `amount` in rupees, and changing what that
+// number means would break links already sent and signatures already made.
+// Those values are written with toRupees() and read once, with toPaise(),
+// when the stored record is built; the record keeps `amountPaise` and
+// nothing reads the rupee figure back out of storage.
+
+const PAISE_PER_RUPEE = 100;
+// ₹1 crore; anything larger is almost certainly a typo.
+const MAX_PAISE = 1000000000;
+
+// Plain digits, Indian grouping (1,23,456) or international grouping (123,456),
+// then at most two decimals. No signs, no exponents, no stray characters.
+const AMOUNT_PATTERN = /^(\d+|\d{1,2}(?:,\d{2})*,\d{3}|\d{1,3}(?:,\d{3})+)(?:\.(\d{1,2}))?$/;
+const CURRENCY_PREFIX = /^(?:₹|rs\.?|inr)\s*/i;
+
+// --- CONVERSION ---
+
+function isPaise(value) {
+  return Number.isSafeInteger(value);
+}
+
+// True for a rupee number with at most two decimals, e.g. from a signed payload.
+function isRupeeAmount(value) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) { return false; }
+  return Math.abs(Math.round(value * PAISE_PER_RUPEE) - value * PAISE_PER_RUPEE) < 1e-6;
+}
+
+// A rupee amount that can be recorded: above zero and at most MAX_PAISE.
+// Amounts in signed payloads are checked with this before a record is built,
+// so nothing stored is too large to count or format.
+function isRecordableRupees(value) {
+  return isRupeeAmount(value) && value > 0 && value * PAISE_PER_RUPEE <= MAX_PAISE;
+}
+
+function toPaise(rupees) {
+  if (!isRupeeAmount(rupees)) { throw new Error(`${rupees} is not an amount in rupees and paise`); }
+  return Math.round(rupees * PAISE_PER_RUPEE);
+}
+
+function toRupees(paise) {
+  if (!isPaise(paise)) { throw new Error(`${paise} is not a whole number of paise`); }
+  return paise / PAISE_PER_RUPEE;
+}
+
+// --- INPUT ---
+
+// What someone typed, as paise. Accepts "₹1,23,456.50", "Rs 500" or "499.5";
+// refuses anything that is not clearly one positive amount.
+function parseMoney(text) {
+  const cleaned = String(text ?? '').trim().replace(CURRENCY_PREFIX, '');
+  const match = AMOUNT_PATTERN.exec(cleaned);
+  if (!match) { throw new Error('Enter the amount in rupees, e.g. 500 or 499.50.'); }
+  const whole = match[1].replace(/,/g, '');
+  if (whole.replace(/^0+/, '').length > String(MAX_PAISE / PAISE_PER_RUPEE).length) {
+    throw new Error(`Amounts above ${formatMoney(MAX_PAISE, { decimals: false })} cannot be recorded.`);
+  }
+  const paise = Number(whole) * PAISE_PER_RUPEE + Number((match[2] || '').padEnd(2, '0'));
+  if (paise <= 0) { throw new Error('Amount must be greater than zero.'); }
+  if (paise > MAX_PAISE) { throw new Error(`Amounts above ${formatMoney(MAX_PAISE, { decimals: false })} cannot be recorded.`); }
+  return paise;
+}
+
+// --- OUTPUT ---
+
+// 123456 -> "1,23,456": the last three digits, then pairs.
+function groupIndian(digits) {
+  if (digits.length <= 3) { return digits; }
+  const head = digits.slice(0, -3);
+  return `${head.replace(/\B(?=(\d{2})+$)/g, ',')},${digits.slice(-3)}`;
+}
+
+// 12345600 -> "₹1,23,456.00". `sign` adds "+" to positive amounts; `decimals`
+// set to false drops the paise (only when there are none).
+function formatMoney(paise, { sign = false, decimals = true } = {}) {
+  if (!isPaise(paise)) { throw new Error(`${paise} is not a whole number of paise`); }
+  const magnitude = Math.abs(paise);
+  const rupees = groupIndian(String(Math.floor(magnitude / PAISE_PER_RUPEE)));
+  const fraction = String(magnitude % PAISE_PER_RUPEE).padStart(2, '0');
+  const text = decimals || fraction !== '00' ? `₹${rupees}.${fraction}` : `₹${rupees}`;
+  if (paise < 0) { return `-${text}`; }
+  return sign && paise > 0 ? `+${text}` : text;
+}
+
+// The same, for the rupee numbers signed payloads carry.
+function formatRupees(rupees, options) {
+  return formatMoney(toPaise(rupees), options);
+}
+
+// --- ARITHMETIC ---
+
+function sumPaise(values) {
+  return values.reduce((total, value) => {
+    if (!isPaise(value)) { throw new Error(`${value} is not a whole number of paise`); }
+    return total + value;
+  }, 0);
+}
+
+// Splits `total` paise into parts that add up to it exactly. `shares` is a
+// count for an even split, or a list of non-negative weights. Leftover paise
+// go one each to the parts that lost the most to rounding, earliest first.
+function allocate(total, shares) {
+  if (!isPaise(total) || total < 0) { throw new Error(`${total} is not an amount of paise that can be split`); }
+  const weights = typeof shares === 'number' ? new Array(shares).fill(1) : shares;
+  if (!Array.isArray(weights) || weights.length === 0 || weights.some(weight => !(weight >= 0))) {
+    throw new Error('Split needs at least one part and no negative shares');
+  }
+  const weightTotal = weights.reduce((sum, weight) => sum + weight, 0);
+  if (!(weightTotal > 0)) { throw new Error('Split needs at least one share above zero'); }
+
+  const exact = weights.map(weight => (total * weight) / weightTotal);
+  const parts = exact.map(Math.floor);
+  let left = total - sumPaise(parts);
+  const byRemainder = exact
+    .map((value, i) => ({ i, remainder: value - parts[i] }))
+    .sort((a, b) => b.remainder - a.remainder || a.i - b.i);
+  for (let k = 0; left > 0; k = (k + 1) % byRemainder.length, left--) { parts[byRemainder[k].i]++; }
+  return parts;
+}
+
+// --- EXPORTS ---
+export {
+  PAISE_PER_RUPEE, MAX_PAISE, isPaise, isRupeeAmount, isRecordableRupees, toPaise, toRupees,
+  parseMoney, formatMoney, formatRupees, sumPaise, allocate
+};
@@ -2,9 +2,14 @@
 
 // --- IMPORTS ---
 import { log } from './logger.js';
-import { getUrlParams, setCurrentUser, getCurrentUserId, clearCurrentUser, generateReferralCode } from './app.js';
-import { addUser, getUserById } from './db.js';
-import { loginWithPhone } from './auth.js';
+import { getUrlParams, escapeHtml, setCurrentUser, getCurrentUserId, generateReferralCode } from './app.js';
+import { addUser, addUserWithInvite, getUserById, getAllUsers } from './db.js';
+import { loginWithPhone, loginWithPasskey } from './auth.js';
+import { isPasskeySupported, hasPasskey, registerPasskey } from './passkey.js';
+import { createIdentity } from './identity.js';
+import { validateSecret, createPinRecord, markUnlocked } from './lock.js';
+import { normalizePhone } from './phone.js';
+import { verifyRootInvite, checkInvitePhone, inviteRecord } from './invite.js';
 
 document.addEventListener('DOMContentLoaded', async () => {
   log('INFO', 'onboarding.js', 'PAGE_LOAD');
@@ -12,9 +17,9 @@ document.addEventListener('DOMContentLoaded', async () => {
   const params = getUrlParams();
   const currentUserId = getCurrentUserId();
   const referrerCode = params.get('ref');
-  const seedKey = params.get('seed');
+  const inviteToken = params.get('invite');
 
-  log('INFO', 'onboarding.js', 'URL_PARAMS_PARSED', { seedKey, referrerCode, currentUserId });
+  log('INFO', 'onboarding.js', 'URL_PARAMS_PARSED', { hasInvite: !!inviteToken, referrerCode, currentUserId });
 
   // --- Edge Case: Logged-in user clicks a referral link ---
   if (currentUserId && referrerCode) {
@@ -34,9 +39,16 @@ document.addEventListener('DOMContentLoaded', async () => {
   log('INFO', 'onboarding.js', 'PROCEEDING_TO_NORMAL_FLOW');
   
   // --- Normal Flow: New user or direct access ---
-  if (seedKey === 'MASTER_KEY_2024') {
-    log('INFO', 'onboarding.js', 'SHOWING_SIGNUP_FORM_SEED');
-    showSignupForm('seed');
+  if (inviteToken) {
+    try {
+      const invite = await verifyRootInvite(inviteToken);
+      log('INFO', 'onboarding.js', 'SHOWING_SIGNUP_FORM_ROOT', { inviteId: invite.id });
+      showSignupForm('root', invite);
+    } catch (error) {
+      log('WARN', 'onboarding.js', 'ROOT_INVITE_REJECTED', { error: error.message });
+      alert(error.message);
+      showLoginForm();
+    }
   } else if (referrerCode) {
     log('INFO', 'onboarding.js', 'SHOWING_SIGNUP_FORM_REFERRAL');
     showSignupForm('referral', referrerCode);
@@ -50,11 +62,12 @@ function showLoggedInPrompt(currentUser, referrerCode) {
   document.getElementById('signup-form').style.display = 'none';
   const promptDiv = document.getElementById('logged-in-prompt');
   promptDiv.style.display = 'block';
-  promptDiv.querySelector('p').innerHTML = `You are currently logged in as <strong>${currentUser.name}</strong>. Would you like to sign up as a new user under referral code <strong>${referrerCode}</strong>?`;
+  promptDiv.querySelector('p').innerHTML = `You are currently logged in as <strong>${escapeHtml(currentUser.name)}</strong>. Would you like to add a new profile on this device under referral code <strong>${escapeHtml(referrerCode)}</strong>? ${escapeHtml(currentUser.name)}'s profile will stay available from the profile switcher.`;
   
   document.getElementById('btn-signup-new').onclick = () => {
-    log('INFO', 'onboarding.js', 'USER_CHOOSES_TO_SIGNUP_NEW');
-    clearCurrentUser();
+    // The current profile stays signed in until the new one is created, and
+    // remains reachable from the profile switcher afterwards.
+    log('INFO', 'onboarding.js', 'USER_CHOOSES_TO_SIGNUP_NEW', { currentUserId: currentUser.id });
     promptDiv.style.display = 'none';
     showSignupForm('referral', referrerCode);
   };
@@ -69,6 +82,43 @@ function showLoginForm() {
   document.getElementById('signup-form').style.display = 'none';
   document.getElementById('login-form').style.display = 'block';
   document.getElementById('login-form').addEventListener('submit', handleLogin);
+  setupPasskeyLogin();
+}
+
+// The passkey button only appears when this device supports passkeys and some
+// profile on it has registered one; otherwise the phone + PIN flow is all there is.
+async function setupPasskeyLogin() {
+  const passkeyBtn = document.getElementById('passkey-login-btn');
+  try {
+    const users = await getAllUsers();
+    if (!users.some(hasPasskey) || !await isPasskeySupported()) { return; }
+  } catch (error) {
+    log('ERROR', 'onboarding.js', 'PASSKEY_LOGIN_SETUP_FAILED', { error: error.message });
+    return;
+  }
+
+  passkeyBtn.style.display = 'block';
+  passkeyBtn.addEventListener('click', async () => {
+    passkeyBtn.disabled = true;
+    const user = await loginWithPasskey();
+    if (user) {
+      window.location.href = 'index.html';
+    } else {
+      alert('Passkey unlock did not work. Please log in with your phone number and PIN.');
+      passkeyBtn.disabled = false;
+    }
+  });
+}
+
+// Offered right after signup; declining or failing leaves the account on PIN unlock.
+async function offerPasskeyRegistration(userId) {
+  try {
+    if (!await isPasskeySupported()) { return; }
+    if (!confirm('Would you like to unlock the app with your fingerprint or face (passkey)? You can still use your PIN.')) { return; }
+    await registerPasskey(await getUserById(userId));
+  } catch (error) {
+    log('WARN', 'onboarding.js', 'PASSKEY_REGISTRATION_SKIPPED', { error: error.message });
+  }
 }
 
 async function handleLogin(event) {
@@ -114,10 +164,27 @@ async function handleSignup(event, type, data) {
   submitBtn.textContent = 'Creating Account...';
 
   const name = form.name.value;
-  const phone = form.phone.value;
+  let phone;
+  try {
+    phone = normalizePhone(form.phone.value);
+  } catch (error) {
+    alert(error.message);
+    submitBtn.disabled = false;
+    submitBtn.textContent = 'Continue';
+    return;
+  }
   const email = form.email.value || null;
+  const pin = form.pin.value;
   const referralCode = generateReferralCode();
 
+  const pinProblem = validateSecret(pin) || (pin !== form.pinConfirm.value ? 'The two PIN entries do not match.' : null);
+  if (pinProblem) {
+    alert(pinProblem);
+    submitBtn.disabled = false;
+    submitBtn.textContent = 'Continue';
+    return;
+  }
+
   let upline = [null, null, null, null];
   if (type === 'referral') {
     const chain = data.split(':');
@@ -128,20 +195,33 @@ async function handleSignup(event, type, data) {
     }
   }
 
-  const newUser = { name, phone, email, referralCode, upline };
+  let newUser = { name, phone, email, referralCode, upline };
 
   try {
-    const userId = await addUser(newUser);
+    newUser = { ...newUser, keys: await createIdentity(), pin: await createPinRecord(pin), lockout: { failures: 0, lockedUntil: null } };
+    let userId;
+    if (type === 'root') {
+      checkInvitePhone(data, phone);
+      userId = await addUserWithInvite(newUser, inviteRecord(data, phone));
+    } else {
+      userId = await addUser(newUser);
+    }
     setCurrentUser(userId);
+    markUnlocked({ id: userId });
     log('INFO', 'onboarding.js', 'SIGNUP_SUCCESS', { userId, name, phone, referralCode });
+    await offerPasskeyRegistration(userId);
     window.location.href = 'index.html';
   } catch (error) {
     if (error.name === 'ConstraintError') {
-      alert('This phone number is already registered. Please try logging in.');
+      alert(type === 'root'
+        ? 'This phone number is already registered, or this invite has already been used.'
+        : 'This phone number is already registered. Please try logging in.');
+    } else if (type === 'root' && error.message.startsWith('This invite')) {
+      alert(error.message);
     } else {
       alert('An error occurred during sign up. Please try again.');
     }
-    log('ERROR', 'onboarding.js', 'SIGNUP_FAILED', { error: error.message, user: newUser });
+    log('ERROR', 'onboarding.js', 'SIGNUP_FAILED', { error: error.message, user: { name, phone, email, referralCode } });
     submitBtn.disabled = false;
     submitBtn.textContent = 'Continue';
   }
@@ -0,0 +1,171 @@
+// js/passkey.js
+
+// Passkey (WebAuthn platform authenticator) support. There is no server, so the
+// credential's public key is kept on the user record and every assertion is
+// verified right here: challenge, origin, RP ID hash, user-verification flag,
+// signature counter and signature.
+
+// --- IMPORTS ---
+import { log } from './logger.js';
+import { updateUser } from './db.js';
+import { utf8Encode, utf8Decode, toBase64Url, fromBase64Url, randomBytes, sha256 } from './encoding.js';
+
+const RP_NAME = 'Transparent Transactions';
+const TIMEOUT_MS = 60 * 1000;
+const ALG_ES256 = -7;
+const ALG_RS256 = -257;
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+
+async function isPasskeySupported() {
+  try {
+    return !!(window.PublicKeyCredential && navigator.credentials &&
+      await PublicKeyCredential.isUserVerifyingPlatformAuthenticatorAvailable());
+  } catch (e) {
+    return false;
+  }
+}
+
+function hasPasskey(user) { return !!(user && user.passkey && user.passkey.credentialId); }
+
+async function registerPasskey(user) {
+  if (!await isPasskeySupported()) { throw new Error('Passkeys are not supported on this device'); }
+
+  const credential = await navigator.credentials.create({
+    publicKey: {
+      rp: { name: RP_NAME, id: window.location.hostname },
+      user: { id: randomBytes(16), name: user.phone, displayName: user.name },
+      challenge: randomBytes(32),
+      pubKeyCredParams: [{ type: 'public-key', alg: ALG_ES256 }, { type: 'public-key', alg: ALG_RS256 }],
+      authenticatorSelection: { authenticatorAttachment: 'platform', userVerification: 'required', residentKey: 'preferred' },
+      attestation: 'none',
+      timeout: TIMEOUT_MS
+    }
+  });
+
+  // Older browsers cannot hand us the public key, and without it we cannot verify
+  // anything locally, so they stay on PIN unlock.
+  const response = credential.response;
+  if (typeof response.getPublicKey !== 'function' || !response.getPublicKey()) {
+    throw new Error('This browser cannot expose the passkey public key');
+  }
+
+  user.passkey = {
+    credentialId: toBase64Url(credential.rawId),
+    publicKey: toBase64Url(response.getPublicKey()),
+    algorithm: response.getPublicKeyAlgorithm(),
+    signCount: 0,
+    createdAt: new Date().toISOString()
+  };
+  await updateUser(user);
+  log('INFO', 'passkey.js', 'PASSKEY_REGISTERED', { userId: user.id, algorithm: user.passkey.algorithm });
+  return user.passkey;
+}
+
+async function removePasskey(user) {
+  delete user.passkey;
+  await updateUser(user);
+  log('INFO', 'passkey.js', 'PASSKEY_REMOVED', { userId: user.id });
+}
+
+// WebAuthn ES256 signatures are DER encoded; WebCrypto wants raw r||s.
+function derToRawSignature(der) {
+  let offset = 2;
+  if (der[1] & 0x80) { offset += der[1] & 0x7f; }
+  const readInteger = () => {
+    if (der[offset++] !== 0x02) { throw new Error('Bad DER signature'); }
+    const length = der[offset++];
+    let value = der.slice(offset, offset + length);
+    offset += length;
+    while (value.length > 32 && value[0] === 0) { value = value.slice(1); }
+    const padded = new Uint8Array(32);
+    padded.set(value, 32 - value.length);
+    return padded;
+  };
+  const raw = new Uint8Array(64);
+  raw.set(readInteger(), 0);
+  raw.set(readInteger(), 32);
+  return raw;
+}
+
+async function verifyAssertionSignature(passkey, signedData, signature) {
+  if (passkey.algorithm === ALG_ES256) {
+    const key = await crypto.subtle.importKey('spki', fromBase64Url(passkey.publicKey), { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify']);
+    return crypto.subtle.verify({ name: 'ECDSA', hash: 'SHA-256' }, key, derToRawSignature(signature), signedData);
+  }
+  if (passkey.algorithm === ALG_RS256) {
+    const key = await crypto.subtle.importKey('spki', fromBase64Url(passkey.publicKey), { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }, false, ['verify']);
+    return crypto.subtle.verify('RSASSA-PKCS1-v1_5', key, signature, signedData);
+  }
+  throw new Error(`Unsupported passkey algorithm ${passkey.algorithm}`);
+}
+
+async function checkAssertion(passkey, credential, challenge) {
+  const response = credential.response;
+  const clientData = JSON.parse(utf8Decode(new Uint8Array(response.clientDataJSON)));
+  if (clientData.type !== 'webauthn.get') { throw new Error('Unexpected passkey response type'); }
+  if (clientData.challenge !== toBase64Url(challenge)) { throw new Error('Passkey challenge mismatch'); }
+  if (clientData.origin !== window.location.origin) { throw new Error('Passkey origin mismatch'); }
+
+  const authData = new Uint8Array(response.authenticatorData);
+  const expectedRpHash = await sha256(utf8Encode(window.location.hostname));
+  if (toBase64Url(authData.slice(0, 32)) !== toBase64Url(expectedRpHash)) { throw new Error('Passkey RP ID mismatch'); }
+  const flags = authData[32];
+  if (!(flags & FLAG_USER_PRESENT) || !(flags & FLAG_USER_VERIFIED)) { throw new Error('Passkey did not verify the user'); }
+
+  const signCount = new DataView(authData.buffer, authData.byteOffset + 33, 4).getUint32(0);
+  if (signCount !== 0 && signCount <= passkey.signCount) { throw new Error('Passkey signature counter went backwards'); }
+
+  const clientDataHash = await sha256(new Uint8Array(response.clientDataJSON));
+  const signedData = new Uint8Array(authData.length + clientDataHash.length);
+  signedData.set(authData, 0);
+  signedData.set(clientDataHash, authData.length);
+  if (!await verifyAssertionSignature(passkey, signedData, new Uint8Array(response.signature))) {
+    throw new Error('Passkey signature is invalid');
+  }
+  return signCount;
+}
+
+async function requestAssertion(allowCredentials) {
+  const challenge = randomBytes(32);
+  const credential = await navigator.credentials.get({
+    publicKey: {
+      challenge,
+      rpId: window.location.hostname,
+      allowCredentials,
+      userVerification: 'required',
+      timeout: TIMEOUT_MS
+    }
+  });
+  return { credential, challenge };
+}
+
+// Verifies a passkey assertion for one known user (used by the lock screen).
+async function assertPasskey(user) {
+  if (!hasPasskey(user)) { throw new Error('No passkey registered for this profile'); }
+  const { credential, challenge } = await requestAssertion([
+    { type: 'public-key', id: fromBase64Url(user.passkey.credentialId), transports: ['internal'] }
+  ]);
+  user.passkey.signCount = await checkAssertion(user.passkey, credential, challenge);
+  await updateUser(user);
+  log('INFO', 'passkey.js', 'PASSKEY_ASSERTION_OK', { userId: user.id });
+  return user;
+}
+
+// Lets the authenticator pick the credential, then finds which local user owns it.
+async function assertAnyPasskey(users) {
+  const candidates = users.filter(hasPasskey);
+  if (candidates.length === 0) { throw new Error('No passkeys are registered on this device'); }
+  const { credential, challenge } = await requestAssertion(candidates.map(user => (
+    { type: 'public-key', id: fromBase64Url(user.passkey.credentialId), transports: ['internal'] }
+  )));
+  const user = candidates.find(candidate => candidate.passkey.credentialId === toBase64Url(credential.rawId));
+  if (!user) { throw new Error('This passkey does not belong to any profile on this device'); }
+  user.passkey.signCount = await checkAssertion(user.passkey, credential, challenge);
+  await updateUser(user);
+  log('INFO', 'passkey.js', 'PASSKEY_ASSERTION_OK', { userId: user.id });
+  return user;
+}
+
+// --- EXPORTS ---
+export { isPasskeySupported, hasPasskey, registerPasskey, removePasskey, assertPasskey, assertAnyPasskey };
@@ -0,0 +1,64 @@
+// js/phone.js
+
+// Canonical phone numbers. Everything stored or looked up goes through
+// normalizePhone(), so "+91 98450 12345", "09845012345" and "9845012345" are
+// all the same person: +919845012345 (E.164).
+
+const DEFAULT_COUNTRY_CODE = '91';
+// Indian mobile numbers are 10 digits and start with 6, 7, 8 or 9.
+const INDIAN_MOBILE = /^[6-9]\d{9}$/;
+// Any other country: E.164 allows at most 15 digits including the country code.
+const E164_DIGITS = /^[1-9]\d{7,14}$/;
+
+// Returns the E.164 form, or throws an Error whose message can be shown to the user.
+function normalizePhone(input) {
+  if (input === null || input === undefined) { throw new Error('Please enter a phone number.'); }
+  let text = String(input).trim().replace(/[\s\-().]/g, '');
+  if (text.startsWith('00')) { text = '+' + text.slice(2); }
+
+  if (!/^\+?\d+$/.test(text)) { throw new Error('A phone number can only contain digits.'); }
+
+  let digits;
+  if (text.startsWith('+')) {
+    digits = text.slice(1);
+  } else if (text.length === 11 && text.startsWith('0')) {
+    digits = DEFAULT_COUNTRY_CODE + text.slice(1);
+  } else if (text.length === 12 && text.startsWith(DEFAULT_COUNTRY_CODE)) {
+    digits = text;
+  } else if (text.length === 10) {
+    digits = DEFAULT_COUNTRY_CODE + text;
+  } else {
+    throw new Error('Please enter a 10-digit mobile number.');
+  }
+
+  if (digits.startsWith(DEFAULT_COUNTRY_CODE) && digits.length === 12) {
+    if (!INDIAN_MOBILE.test(digits.slice(2))) { throw new Error('Indian mobile numbers start with 6, 7, 8 or 9.'); }
+  } else if (digits.startsWith(DEFAULT_COUNTRY_CODE) || !E164_DIGITS.test(digits)) {
+    throw new Error('This does not look like a valid phone number.');
+  }
+  return '+' + digits;
+}
+
+function normalizePhoneOrNull(input) {
+  try { return normalizePhone(input); } catch (e) { return null; }
+}
+
+function isValidPhone(input) { return normalizePhoneOrNull(input) !== null; }
+
+function samePhone(a, b) {
+  const left = normalizePhoneOrNull(a);
+  return left !== null && left === normalizePhoneOrNull(b);
+}
+
+// "+919845012345" -> "+91 98450 12345"; other numbers are shown as stored.
+function formatPhone(phone) {
+  const normalized = normalizePhoneOrNull(phone);
+  if (!normalized) { return String(phone ?? ''); }
+  if (normalized.startsWith('+' + DEFAULT_COUNTRY_CODE) && normalized.length === 13) {
+    return `+${DEFAULT_COUNTRY_CODE} ${normalized.slice(3, 8)} ${normalized.slice(8)}`;
+  }
+  return normalized;
+}
+
+// --- EXPORTS ---
+export { normalizePhone, normalizePhoneOrNull, isValidPhone, samePhone, formatPhone };
@@ -0,0 +1,82 @@
+// js/profiles.js
+
+// Several people can keep a profile on one phone (field agents signing up
+// family members). Every profile has its own PIN, contacts and ledger; nothing
+// here ever returns another profile's data.
+
+// --- IMPORTS ---
+import { log } from './logger.js';
+import { getAllUsers, getUserById, getTransactionsByPhone, getTransactionsBetween, getContactsByOwner } from './db.js';
+import { setCurrentUser, getCurrentUserId } from './app.js';
+import { hasPin, showLockScreen, markUnlocked } from './lock.js';
+import { effectiveStatus, hasBeenConfirmed } from './lifecycle.js';
+import { samePhone } from './phone.js';
+
+// Only what the switcher needs to display; keys and PIN hashes stay in the DB.
+async function listProfiles() {
+  const activeId = getCurrentUserId();
+  const users = await getAllUsers();
+  return users.map(user => ({
+    id: user.id,
+    name: user.name,
+    phone: user.phone,
+    referralCode: user.referralCode,
+    hasPin: hasPin(user),
+    active: user.id === activeId
+  }));
+}
+
+// Switching always asks for the target profile's own PIN. Cancelling keeps
+// the current profile active. Returns the new profile, or null if cancelled.
+async function switchProfile(userId) {
+  if (userId === getCurrentUserId()) { return getUserById(userId); }
+
+  const user = await getUserById(userId);
+  if (!user) { throw new Error('Profile not found on this device'); }
+
+  if (hasPin(user)) {
+    const unlocked = await showLockScreen(user, { allowCancel: true });
+    if (!unlocked) {
+      log('INFO', 'profiles.js', 'PROFILE_SWITCH_CANCELLED', { userId });
+      return null;
+    }
+  } else {
+    markUnlocked(user);
+  }
+
+  setCurrentUser(user.id);
+  log('INFO', 'profiles.js', 'PROFILE_SWITCHED', { userId });
+  return user;
+}
+
+// Copies for display: a request that has run out reads as expired here even
+// if the stored record has not been moved to expired yet.
+async function getProfileLedger(user) {
+  const records = await getTransactionsByPhone(user.phone);
+  return records.map(record => ({ ...record, status: effectiveStatus(record) }));
+}
+
+// In paise, seen from `phone`: positive means the other side owes them,
+// negative means they owe the other side.
+function balanceEffect(record, phone) {
+  const paise = record.amountPaise;
+  if (samePhone(record.fromPhone, phone)) { return record.type === 'gave' ? paise : -paise; }
+  if (samePhone(record.toPhone, phone)) { return record.type === 'gave' ? -paise : paise; }
+  return 0;
+}
+
+// What this profile and one counterparty owe each other, in paise, from
+// confirmed transactions only.
+async function getBalanceWith(user, otherPhone) {
+  const records = await getTransactionsBetween(user.phone, otherPhone);
+  return records
+    .filter(hasBeenConfirmed)
+    .reduce((total, record) => total + balanceEffect(record, user.phone), 0);
+}
+
+async function getProfileContacts(user) {
+  return getContactsByOwner(user.id);
+}
+
+// --- EXPORTS ---
+export { listProfiles, switchProfile, getProfileLedger, balanceEffect, getBalanceWith, getProfileContacts };
@@ -0,0 +1,199 @@
+// js/qr-link.js
+
+// Links as QR codes, for two people standing next to each other. A short link
+// fits in one code; a long one (a thread or agreement carries signatures) is
+// cut into numbered frames that play in a loop until the scanner has them all.
+// Whatever is scanned only ever opens one of our own pages on this origin.
+
+// --- IMPORTS ---
+import { log } from './logger.js';
+import { renderQR, decodeQR } from './qr.js';
+import { randomId } from './encoding.js';
+
+// --- FRAMES ---
+// Above this a single code gets too dense for a phone camera to read quickly.
+const SINGLE_QR_LIMIT = 400;
+const FRAME_CHUNK = 300;
+const FRAME_INTERVAL_MS = 500;
+const SCAN_INTERVAL_MS = 250;
+const SCAN_WIDTH = 640;
+
+// TTQR:<set>:<i>/<n>:<chunk>, with i counted from 1.
+const FRAME_PATTERN = /^TTQR:([A-Za-z0-9_-]+):(\d+)\/(\d+):([\s\S]*)$/;
+
+function splitIntoFrames(link) {
+  if (link.length <= SINGLE_QR_LIMIT) { return [link]; }
+  const set = randomId('', 4);
+  const count = Math.ceil(link.length / FRAME_CHUNK);
+  const frames = [];
+  for (let i = 0; i < count; i++) {
+    frames.push(`TTQR:${set}:${i + 1}/${count}:${link.slice(i * FRAME_CHUNK, (i + 1) * FRAME_CHUNK)}`);
+  }
+  return frames;
+}
+
+// Feed it every scanned text; it returns the whole link once it has one, and
+// null until then. Frames can arrive in any order and any number of times.
+function createFrameCollector() {
+  let set = null;
+  let parts = [];
+
+  const collector = {
+    add(text) {
+      const match = FRAME_PATTERN.exec(text);
+      if (!match) { return text; }
+      const [, id, index, total, chunk] = match;
+      const i = Number(index);
+      const n = Number(total);
+      if (n < 1 || i < 1 || i > n) { return null; }
+      // A different set means someone else's code came into view: start over.
+      if (id !== set || parts.length !== n) {
+        set = id;
+        parts = new Array(n).fill(null);
+      }
+      parts[i - 1] = chunk;
+      return parts.every(part => part !== null) ? parts.join('') : null;
+    },
+    progress() {
+      return { received: parts.filter(part => part !== null).length, total: parts.length };
+    }
+  };
+  return collector;
+}
+
+// --- ROUTING ---
+// The pages a scanned link may open, and the parameters each one reads.
+const ROUTES = Object.freeze({
+  'confirm.html': ['tx', 'rc', 'ct', 'ag', 'am', 'ref'],
+  'onboarding.html': ['ref']
+});
+
+// Rebuilds a scanned link on this origin, keeping only parameters the page
+// understands, so a code cannot send anyone somewhere else.
+function routeScannedLink(text) {
+  let url;
+  try {
+    url = new URL(String(text).trim());
+  } catch (error) {
+    url = null;
+  }
+  const page = url ? url.pathname.split('/').pop() : '';
+  const allowed = ROUTES[page];
+  if (!allowed) { throw new Error('This QR code is not a Transparent Transactions link.'); }
+
+  const params = new URLSearchParams();
+  for (const name of allowed) {
+    if (url.searchParams.has(name)) { params.set(name, url.searchParams.get(name)); }
+  }
+  if (page === 'confirm.html' && allowed.every(name => name === 'ref' || !params.has(name))) {
+    throw new Error('This QR code is not a Transparent Transactions link.');
+  }
+  return `${window.location.origin}/${page}?${params.toString()}`;
+}
+
+// --- DISPLAY ---
+// Draws the link, looping through its frames if it needs more than one.
+// Returns a function that stops the animation.
+function showLinkQR(canvas, link, { onFrame } = {}) {
+  const frames = splitIntoFrames(link);
+  let current = 0;
+  const draw = () => {
+    renderQR(canvas, frames[current], { ecl: 'L' });
+    if (onFrame) { onFrame(current + 1, frames.length); }
+    current = (current + 1) % frames.length;
+  };
+  draw();
+  if (frames.length === 1) { return () => {}; }
+  const timer = setInterval(draw, FRAME_INTERVAL_MS);
+  return () => clearInterval(timer);
+}
+
+// --- SCANNER ---
+async function createDetector() {
+  if (!('BarcodeDetector' in window)) { return null; }
+  try {
+    const formats = await window.BarcodeDetector.getSupportedFormats();
+    if (!formats.includes('qr_code')) { return null; }
+    const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+    return async (video) => {
+      const codes = await detector.detect(video);
+      return codes.length > 0 ? codes[0].rawValue : null;
+    };
+  } catch (error) {
+    log('WARN', 'qr-link.js', 'BARCODE_DETECTOR_UNAVAILABLE', { error: error.message });
+    return null;
+  }
+}
+
+// Pure-JS fallback: a downscaled copy of the frame is plenty for a QR code.
+function createCanvasDecoder() {
+  const canvas = document.createElement('canvas');
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  return async (video) => {
+    if (!video.videoWidth) { return null; }
+    const scale = Math.min(1, SCAN_WIDTH / video.videoWidth);
+    canvas.width = Math.round(video.videoWidth * scale);
+    canvas.height = Math.round(video.videoHeight * scale);
+    context.drawImage(video, 0, 0, canvas.width, canvas.height);
+    return decodeQR(context.getImageData(0, 0, canvas.width, canvas.height));
+  };
+}
+
+// Plays the back camera into `video` and scans until a whole link has been
+// read, then calls onLink with it, already routed to one of our pages.
+// onProgress(received, total) reports multi-frame codes. Returns stop().
+async function startLinkScanner(video, { onLink, onProgress, onError } = {}) {
+  if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+    throw new Error('This browser cannot use the camera. Open the link instead.');
+  }
+  const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' }, audio: false });
+  video.srcObject = stream;
+  video.setAttribute('playsinline', '');
+  video.muted = true;
+  await video.play();
+
+  const read = (await createDetector()) || createCanvasDecoder();
+  const collector = createFrameCollector();
+  let stopped = false;
+  let timer = null;
+
+  const stop = () => {
+    stopped = true;
+    clearTimeout(timer);
+    stream.getTracks().forEach(track => track.stop());
+    video.srcObject = null;
+  };
+
+  const tick = async () => {
+    if (stopped) { return; }
+    let text = null;
+    try {
+      text = await read(video);
+    } catch (error) {
+      log('WARN', 'qr-link.js', 'QR_SCAN_FRAME_FAILED', { error: error.message });
+    }
+    if (text && !stopped) {
+      const link = collector.add(text);
+      if (!link) {
+        const { received, total } = collector.progress();
+        if (onProgress) { onProgress(received, total); }
+      } else {
+        try {
+          const routed = routeScannedLink(link);
+          log('INFO', 'qr-link.js', 'QR_LINK_SCANNED', { page: new URL(routed).pathname });
+          stop();
+          onLink(routed);
+          return;
+        } catch (error) {
+          if (onError) { onError(error); }
+        }
+      }
+    }
+    timer = setTimeout(tick, SCAN_INTERVAL_MS);
+  };
+  tick();
+  return stop;
+}
+
+// --- EXPORTS ---
+export { splitIntoFrames, createFrameCollector, routeScannedLink, showLinkQR, startLinkScanner };
@@ -0,0 +1,894 @@
+// js/qr.js
+
+// QR codes without a library, so links can be passed from one phone to the
+// other when both people are in the same room. The encoder writes byte-mode
+// symbols (versions 1-40); the decoder reads them back from camera frames on
+// browsers without BarcodeDetector. Both follow ISO/IEC 18004 and share the
+// tables and layout code below.
+
+// --- TABLES ---
+// Indexed by error correction level, then version (index 0 unused).
+const EC_LEVELS = Object.freeze({
+  L: { index: 0, formatBits: 1 },
+  M: { index: 1, formatBits: 0 },
+  Q: { index: 2, formatBits: 3 },
+  H: { index: 3, formatBits: 2 }
+});
+
+const ECC_CODEWORDS_PER_BLOCK = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+const NUM_ERROR_CORRECTION_BLOCKS = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+const MODE_NUMERIC = 0x1;
+const MODE_ALPHANUMERIC = 0x2;
+const MODE_BYTE = 0x4;
+const MODE_ECI = 0x7;
+const ALPHANUMERIC_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+// --- GALOIS FIELD ---
+// GF(2^8) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1.
+const GF_EXP = new Uint8Array(512);
+const GF_LOG = new Uint8Array(256);
+(() => {
+  let x = 1;
+  for (let i = 0; i < 255; i++) {
+    GF_EXP[i] = x;
+    GF_LOG[x] = i;
+    x = (x << 1) ^ (x & 0x80 ? 0x11d : 0);
+  }
+  for (let i = 255; i < 512; i++) { GF_EXP[i] = GF_EXP[i - 255]; }
+})();
+
+function gfMul(a, b) {
+  return a === 0 || b === 0 ? 0 : GF_EXP[GF_LOG[a] + GF_LOG[b]];
+}
+
+function gfDiv(a, b) {
+  if (b === 0) { throw new Error('Division by zero in GF(256)'); }
+  return a === 0 ? 0 : GF_EXP[(GF_LOG[a] + 255 - GF_LOG[b]) % 255];
+}
+
+// Coefficients highest degree first, without the leading 1.
+function rsGenerator(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = gfMul(result[j], root);
+      if (j + 1 < degree) { result[j] ^= result[j + 1]; }
+    }
+    root = gfMul(root, 0x02);
+  }
+  return result;
+}
+
+function rsRemainder(data, generator) {
+  const result = new Array(generator.length).fill(0);
+  for (const byte of data) {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    generator.forEach((coef, i) => { result[i] ^= gfMul(coef, factor); });
+  }
+  return result;
+}
+
+// Polynomials below are lowest degree first.
+function polyEval(poly, x) {
+  let result = 0;
+  for (let i = poly.length - 1; i >= 0; i--) { result = gfMul(result, x) ^ poly[i]; }
+  return result;
+}
+
+// Corrects `codeword` (data then ECC, highest degree first) in place, or
+// throws when there are more errors than `eccLength` can repair.
+function rsCorrect(codeword, eccLength) {
+  const n = codeword.length;
+  const evalAt = (x) => codeword.reduce((acc, byte) => gfMul(acc, x) ^ byte, 0);
+  const syndromes = Array.from({ length: eccLength }, (_, i) => evalAt(GF_EXP[i]));
+  if (syndromes.every(s => s === 0)) { return 0; }
+
+  // Berlekamp-Massey: the error locator polynomial.
+  let locator = [1];
+  let previous = [1];
+  let errors = 0;
+  let shift = 1;
+  let lastDiscrepancy = 1;
+  for (let k = 0; k < eccLength; k++) {
+    let discrepancy = syndromes[k];
+    for (let i = 1; i <= errors; i++) { discrepancy ^= gfMul(locator[i] || 0, syndromes[k - i]); }
+    if (discrepancy === 0) {
+      shift++;
+      continue;
+    }
+    const coef = gfDiv(discrepancy, lastDiscrepancy);
+    const next = locator.slice();
+    previous.forEach((value, i) => { next[i + shift] = (next[i + shift] || 0) ^ gfMul(coef, value); });
+    if (2 * errors <= k) {
+      previous = locator;
+      errors = k + 1 - errors;
+      lastDiscrepancy = discrepancy;
+      shift = 1;
+    } else {
+      shift++;
+    }
+    locator = next;
+  }
+  if (2 * errors > eccLength) { throw new Error('Too many errors to correct'); }
+
+  // Chien search for the error positions, Forney for the values.
+  const evaluator = new Array(eccLength).fill(0);
+  for (let i = 0; i < eccLength; i++) {
+    for (let j = 0; j <= i && j < locator.length; j++) { evaluator[i] ^= gfMul(syndromes[i - j], locator[j]); }
+  }
+  const derivative = locator.map((coef, i) => (i % 2 === 1 ? coef : 0)).slice(1);
+  let found = 0;
+  for (let degree = 0; degree < n; degree++) {
+    const xInverse = GF_EXP[(255 - degree) % 255];
+    if (polyEval(locator, xInverse) !== 0) { continue; }
+    const denominator = polyEval(derivative, xInverse);
+    if (denominator === 0) { throw new Error('Too many errors to correct'); }
+    codeword[n - 1 - degree] ^= gfMul(GF_EXP[degree], gfDiv(polyEval(evaluator, xInverse), denominator));
+    found++;
+  }
+  if (found !== errors || Array.from({ length: eccLength }, (_, i) => evalAt(GF_EXP[i])).some(s => s !== 0)) {
+    throw new Error('Too many errors to correct');
+  }
+  return found;
+}
+
+// --- LAYOUT ---
+
+function sizeOf(version) {
+  return version * 4 + 17;
+}
+
+function alignmentPositions(version) {
+  if (version === 1) { return []; }
+  const count = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+  const result = [6];
+  for (let pos = sizeOf(version) - 7; result.length < count; pos -= step) { result.splice(1, 0, pos); }
+  return result;
+}
+
+function rawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const count = Math.floor(version / 7) + 2;
+    result -= (25 * count - 10) * count - 55;
+    if (version >= 7) { result -= 36; }
+  }
+  return result;
+}
+
+function dataCodewords(version, ecl) {
+  const { index } = EC_LEVELS[ecl];
+  return Math.floor(rawDataModules(version) / 8) - ECC_CODEWORDS_PER_BLOCK[index][version] * NUM_ERROR_CORRECTION_BLOCKS[index][version];
+}
+
+function blockLayout(version, ecl) {
+  const { index } = EC_LEVELS[ecl];
+  const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[index][version];
+  const eccLength = ECC_CODEWORDS_PER_BLOCK[index][version];
+  const rawCodewords = Math.floor(rawDataModules(version) / 8);
+  return {
+    numBlocks,
+    eccLength,
+    rawCodewords,
+    numShortBlocks: numBlocks - rawCodewords % numBlocks,
+    shortBlockLength: Math.floor(rawCodewords / numBlocks)
+  };
+}
+
+function formatBits(ecl, mask) {
+  const data = (EC_LEVELS[ecl].formatBits << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) { rem = (rem << 1) ^ ((rem >>> 9) * 0x537); }
+  return ((data << 10) | rem) ^ 0x5412;
+}
+
+function versionBits(version) {
+  let rem = version;
+  for (let i = 0; i < 12; i++) { rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25); }
+  return (version << 12) | rem;
+}
+
+// Where the two copies of the 15 format bits live, as [x, y] per bit.
+function formatPositions(size) {
+  const first = [];
+  const second = [];
+  for (let i = 0; i < 15; i++) {
+    if (i < 6) { first.push([8, i]); } else if (i < 8) { first.push([8, i + 1]); } else if (i === 8) { first.push([7, 8]); } else { first.push([14 - i, 8]); }
+    second.push(i < 8 ? [size - 1 - i, 8] : [8, size - 15 + i]);
+  }
+  return [first, second];
+}
+
+// The 18 version bits, twice, as [x, y] per bit (versions 7 and up).
+function versionPositions(size) {
+  const first = [];
+  const second = [];
+  for (let i = 0; i < 18; i++) {
+    const a = size - 11 + (i % 3);
+    const b = Math.floor(i / 3);
+    first.push([a, b]);
+    second.push([b, a]);
+  }
+  return [first, second];
+}
+
+function maskBit(mask, x, y) {
+  switch (mask) {
+    case 0: return (x + y) % 2 === 0;
+    case 1: return y % 2 === 0;
+    case 2: return x % 3 === 0;
+    case 3: return (x + y) % 3 === 0;
+    case 4: return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0;
+    case 5: return (x * y) % 2 + (x * y) % 3 === 0;
+    case 6: return ((x * y) % 2 + (x * y) % 3) % 2 === 0;
+    default: return ((x + y) % 2 + (x * y) % 3) % 2 === 0;
+  }
+}
+
+// A blank symbol with every function pattern drawn; format bits are left
+// light and are written once the mask is chosen.
+function functionPatterns(version) {
+  const size = sizeOf(version);
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  };
+
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) { set(x, y, distance !== 2 && distance !== 4); }
+      }
+    }
+  });
+  const positions = alignmentPositions(version);
+  const last = positions.length - 1;
+  positions.forEach((cx, i) => positions.forEach((cy, j) => {
+    if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) { return; }
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) { set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1); }
+    }
+  }));
+  formatPositions(size).flat().forEach(([x, y]) => set(x, y, false));
+  set(8, size - 8, true);
+  if (version >= 7) {
+    const bits = versionBits(version);
+    versionPositions(size).forEach(copy => copy.forEach(([x, y], i) => set(x, y, ((bits >>> i) & 1) === 1)));
+  }
+  return { size, modules, isFunction };
+}
+
+// Data modules in placement order: two-column strips from the right, zigzagging up and down.
+function dataPositions(size, isFunction) {
+  const positions = [];
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) { right = 5; }
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vert : vert;
+        if (!isFunction[y][x]) { positions.push([x, y]); }
+      }
+    }
+  }
+  return positions;
+}
+
+// --- ENCODER ---
+
+function appendBits(bits, value, length) {
+  for (let i = length - 1; i >= 0; i--) { bits.push((value >>> i) & 1); }
+}
+
+function byteCountBits(version) {
+  return version <= 9 ? 8 : 16;
+}
+
+function addErrorCorrection(data, version, ecl) {
+  const { numBlocks, eccLength, numShortBlocks, shortBlockLength } = blockLayout(version, ecl);
+  const generator = rsGenerator(eccLength);
+  const blocks = [];
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const block = data.slice(k, k + shortBlockLength - eccLength + (i < numShortBlocks ? 0 : 1));
+    k += block.length;
+    const ecc = rsRemainder(block, generator);
+    if (i < numShortBlocks) { block.push(0); }
+    blocks.push(block.concat(ecc));
+  }
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLength - eccLength || j >= numShortBlocks) { result.push(block[i]); }
+    });
+  }
+  return result;
+}
+
+// ISO/IEC 18004 penalty rules, used to pick the mask that scans best.
+function penaltyScore(modules) {
+  const size = modules.length;
+  let penalty = 0;
+  const lines = [];
+  for (let i = 0; i < size; i++) {
+    lines.push(modules[i]);
+    lines.push(modules.map(row => row[i]));
+  }
+  const finderLike = [[1, 0, 1, 1, 1, 0, 1, 0, 0, 0, 0], [0, 0, 0, 0, 1, 0, 1, 1, 1, 0, 1]];
+  lines.forEach(line => {
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) {
+        run++;
+      } else {
+        if (run >= 5) { penalty += run - 2; }
+        run = 1;
+      }
+    }
+    for (let i = 0; i + 11 <= size; i++) {
+      if (finderLike.some(pattern => pattern.every((bit, k) => (line[i + k] ? 1 : 0) === bit))) { penalty += 40; }
+    }
+  });
+  let dark = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) { dark++; }
+      if (x + 1 < size && y + 1 < size) {
+        const color = modules[y][x];
+        if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) { penalty += 3; }
+      }
+    }
+  }
+  const total = size * size;
+  penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return penalty;
+}
+
+// Returns { version, size, modules } where modules[y][x] is true for dark.
+function encodeQR(text, { ecl = 'M' } = {}) {
+  if (!EC_LEVELS[ecl]) { throw new Error(`Unknown error correction level "${ecl}"`); }
+  const bytes = new TextEncoder().encode(String(text));
+  let version = 1;
+  while (version <= 40 && 4 + byteCountBits(version) + bytes.length * 8 > dataCodewords(version, ecl) * 8) { version++; }
+  if (version > 40) { throw new Error('Too much data for one QR code'); }
+
+  const capacity = dataCodewords(version, ecl) * 8;
+  const bits = [];
+  appendBits(bits, MODE_BYTE, 4);
+  appendBits(bits, bytes.length, byteCountBits(version));
+  bytes.forEach(byte => appendBits(bits, byte, 8));
+  appendBits(bits, 0, Math.min(4, capacity - bits.length));
+  appendBits(bits, 0, (8 - bits.length % 8) % 8);
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) { appendBits(bits, pad, 8); }
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) { data.push(bits.slice(i, i + 8).reduce((acc, bit) => (acc << 1) | bit, 0)); }
+  const codewords = addErrorCorrection(data, version, ecl);
+
+  const { size, modules, isFunction } = functionPatterns(version);
+  const positions = dataPositions(size, isFunction);
+  positions.forEach(([x, y], i) => {
+    modules[y][x] = i < codewords.length * 8 && ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+  });
+
+  let best = null;
+  for (let mask = 0; mask < 8; mask++) {
+    const candidate = modules.map(row => row.slice());
+    positions.forEach(([x, y]) => { if (maskBit(mask, x, y)) { candidate[y][x] = !candidate[y][x]; } });
+    const format = formatBits(ecl, mask);
+    formatPositions(size).forEach(copy => copy.forEach(([x, y], i) => { candidate[y][x] = ((format >>> i) & 1) === 1; }));
+    const score = penaltyScore(candidate);
+    if (!best || score < best.score) { best = { score, modules: candidate }; }
+  }
+  return { version, size, modules: best.modules };
+}
+
+// Draws the code onto a canvas with the standard four-module quiet zone.
+function renderQR(canvas, text, { ecl = 'M', pixelSize = 256 } = {}) {
+  const { size, modules } = encodeQR(text, { ecl });
+  const scale = Math.max(1, Math.floor(pixelSize / (size + 8)));
+  const dimension = (size + 8) * scale;
+  canvas.width = dimension;
+  canvas.height = dimension;
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, dimension, dimension);
+  context.fillStyle = '#000000';
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) { context.fillRect((x + 4) * scale, (y + 4) * scale, scale, scale); }
+    }
+  }
+  return canvas;
+}
+
+// --- DECODER ---
+
+// Marks each pixel dark or light against the mean of its neighbourhood, which
+// copes with the uneven light of a phone camera far better than one threshold.
+function binarize({ data, width, height }) {
+  const gray = new Uint8Array(width * height);
+  for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+    gray[i] = (data[p] * 77 + data[p + 1] * 150 + data[p + 2] * 29) >> 8;
+  }
+  const integral = new Float64Array((width + 1) * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    for (let x = 0; x < width; x++) {
+      rowSum += gray[y * width + x];
+      integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + rowSum;
+    }
+  }
+  const boxMean = (x, y, r) => {
+    const x0 = Math.max(0, x - r);
+    const x1 = Math.min(width, x + r + 1);
+    const y0 = Math.max(0, y - r);
+    const y1 = Math.min(height, y + r + 1);
+    const sum = integral[y1 * (width + 1) + x1] - integral[y0 * (width + 1) + x1] - integral[y1 * (width + 1) + x0] + integral[y0 * (width + 1) + x0];
+    return sum / ((x1 - x0) * (y1 - y0));
+  };
+  const radius = Math.max(8, Math.floor(Math.min(width, height) / 8));
+  const dark = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      dark[y * width + x] = gray[y * width + x] < boxMean(x, y, radius) * 0.9 ? 1 : 0;
+    }
+  }
+  return { width, height, isDark: (x, y) => dark[y * width + x] === 1 };
+}
+
+// Run lengths close to `ratios` times one module.
+function matchesRatios(counts, ratios) {
+  const total = counts.reduce((a, b) => a + b, 0);
+  const units = ratios.reduce((a, b) => a + b, 0);
+  if (counts.some(count => count === 0) || total < units) { return false; }
+  const module = total / units;
+  return counts.every((count, i) => Math.abs(count - module * ratios[i]) < module * ratios[i] * 0.5 + module * 0.25);
+}
+
+const FINDER_RATIOS = [1, 1, 3, 1, 1];
+
+// Walks out from (x, y) in direction (dx, dy) through dark-light-dark runs and
+// returns the five run lengths centred on (x, y), or null.
+function crossCheck(image, x, y, dx, dy, maxCount) {
+  const counts = [0, 0, 0, 0, 0];
+  const inside = (px, py) => px >= 0 && py >= 0 && px < image.width && py < image.height;
+  let px = x;
+  let py = y;
+  while (inside(px, py) && image.isDark(px, py)) { counts[2]++; px -= dx; py -= dy; }
+  for (const [index, dark] of [[1, false], [0, true]]) {
+    while (inside(px, py) && image.isDark(px, py) === dark && counts[index] <= maxCount) { counts[index]++; px -= dx; py -= dy; }
+  }
+  px = x + dx;
+  py = y + dy;
+  while (inside(px, py) && image.isDark(px, py)) { counts[2]++; px += dx; py += dy; }
+  for (const [index, dark] of [[3, false], [4, true]]) {
+    while (inside(px, py) && image.isDark(px, py) === dark && counts[index] <= maxCount) { counts[index]++; px += dx; py += dy; }
+  }
+  const end = dx !== 0 ? px : py;
+  if (!matchesRatios(counts, FINDER_RATIOS)) { return null; }
+  return { counts, center: end - counts[4] - counts[3] - counts[2] / 2 };
+}
+
+// Candidate finder pattern centres, each with the module size seen there and
+// how many scan lines found it.
+function findFinderPatterns(image) {
+  const candidates = [];
+  const addCandidate = (x, y, moduleSize) => {
+    const near = candidates.find(c => Math.abs(c.x - x) <= c.moduleSize && Math.abs(c.y - y) <= c.moduleSize && Math.abs(c.moduleSize - moduleSize) <= Math.max(1, c.moduleSize * 0.5));
+    if (near) {
+      near.x = (near.x * near.count + x) / (near.count + 1);
+      near.y = (near.y * near.count + y) / (near.count + 1);
+      near.moduleSize = (near.moduleSize * near.count + moduleSize) / (near.count + 1);
+      near.count++;
+    } else {
+      candidates.push({ x, y, moduleSize, count: 1 });
+    }
+  };
+
+  for (let y = 0; y < image.height; y += 2) {
+    const counts = [0, 0, 0, 0, 0];
+    let state = 0;
+    for (let x = 0; x <= image.width; x++) {
+      const dark = x < image.width && image.isDark(x, y);
+      if (x < image.width && dark === (state % 2 === 0)) {
+        counts[state]++;
+        continue;
+      }
+      if (state === 0 && counts[0] === 0) { continue; }
+      if (state < 4) {
+        state++;
+        counts[state] = 1;
+        continue;
+      }
+      if (matchesRatios(counts, FINDER_RATIOS)) {
+        const centerX = Math.round(x - counts[4] - counts[3] - counts[2] / 2);
+        const vertical = crossCheck(image, centerX, y, 0, 1, counts[2] * 2);
+        if (vertical) {
+          const centerY = Math.round(vertical.center);
+          const horizontal = crossCheck(image, centerX, centerY, 1, 0, counts[2] * 2);
+          const across = horizontal && horizontal.counts.reduce((a, b) => a + b, 0);
+          const down = vertical.counts.reduce((a, b) => a + b, 0);
+          // A real finder is square: similar width and height, and a ring on the diagonal too.
+          if (horizontal && Math.abs(across - down) < Math.max(across, down) * 0.4 &&
+              crossCheck(image, Math.round(horizontal.center), centerY, 1, 1, counts[2] * 2)) {
+            addCandidate(horizontal.center, vertical.center, (across + down) / 14);
+          }
+        }
+      }
+      // Slide the window by one dark-light pair and keep looking.
+      counts[0] = counts[2];
+      counts[1] = counts[3];
+      counts[2] = counts[4];
+      counts[3] = 1;
+      counts[4] = 0;
+      state = 3;
+    }
+  }
+  return candidates;
+}
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+// Distance from a finder centre, heading towards `to`, to the outer edge of
+// its ring: 3.5 modules whatever the angle, unlike the row and column runs.
+function edgeDistance(image, from, to) {
+  const length = distance(from, to);
+  const stepX = (to.x - from.x) / length;
+  const stepY = (to.y - from.y) / length;
+  let transitions = 0;
+  let wasDark = true;
+  for (let t = 0; t < length; t++) {
+    const x = Math.round(from.x + stepX * t);
+    const y = Math.round(from.y + stepY * t);
+    if (x < 0 || y < 0 || x >= image.width || y >= image.height) { return null; }
+    const dark = image.isDark(x, y);
+    if (dark !== wasDark) {
+      transitions++;
+      wasDark = dark;
+      if (transitions === 3) { return t; }
+    }
+  }
+  return null;
+}
+
+// Module size measured along the sides of the symbol.
+function moduleSizeAlong(image, { topLeft, topRight, bottomLeft }) {
+  const runs = [[topLeft, topRight], [topRight, topLeft], [topLeft, bottomLeft], [bottomLeft, topLeft]]
+    .map(([from, to]) => edgeDistance(image, from, to))
+    .filter(run => run !== null);
+  if (runs.length === 0) { return (topLeft.moduleSize + topRight.moduleSize + bottomLeft.moduleSize) / 3; }
+  return runs.reduce((a, b) => a + b, 0) / runs.length / 3.5;
+}
+
+// Sets of three finder patterns that could be one symbol, best right angle
+// first, each ordered top-left, top-right, bottom-left as the symbol is read.
+function pickFinderTriples(candidates) {
+  const confirmed = candidates.filter(c => c.count >= 2);
+  const pool = (confirmed.length >= 3 ? confirmed : candidates).sort((a, b) => b.count - a.count).slice(0, 8);
+  const triples = [];
+  for (let i = 0; i < pool.length; i++) {
+    for (let j = i + 1; j < pool.length; j++) {
+      for (let k = j + 1; k < pool.length; k++) {
+        const trio = [pool[i], pool[j], pool[k]];
+        const sizes = trio.map(c => c.moduleSize);
+        if (Math.max(...sizes) > Math.min(...sizes) * 2) { continue; }
+        // The corner opposite the longest side is the top-left one.
+        const sides = [[1, 2], [0, 2], [0, 1]].map(([a, b]) => distance(trio[a], trio[b]));
+        const corner = sides.indexOf(Math.max(...sides));
+        const topLeft = trio[corner];
+        let [topRight, bottomLeft] = trio.filter((_, n) => n !== corner);
+        const legA = distance(topLeft, topRight);
+        const legB = distance(topLeft, bottomLeft);
+        const error = Math.abs(legA - legB) / Math.max(legA, legB) + Math.abs(Math.hypot(legA, legB) - sides[corner]) / sides[corner];
+        // Finder centres are 14 (version 1) to 170 (version 40) modules apart.
+        const modulesApart = (legA + legB) / (sizes[0] + sizes[1] + sizes[2]) * 1.5;
+        if (error > 0.4 || modulesApart < 12 || modulesApart > 175) { continue; }
+        const cross = (topRight.x - topLeft.x) * (bottomLeft.y - topLeft.y) - (topRight.y - topLeft.y) * (bottomLeft.x - topLeft.x);
+        if (cross < 0) { [topRight, bottomLeft] = [bottomLeft, topRight]; }
+        triples.push({ error, topLeft, topRight, bottomLeft });
+      }
+    }
+  }
+  return triples.sort((a, b) => a.error - b.error).slice(0, 4);
+}
+
+// Looks for the dark centre of the bottom-right alignment pattern near its
+// expected position, so a tilted code is still sampled in the right place.
+// Perspective can move it several modules, so the search widens until it is
+// found. `across` and `down` are one module along each side of the symbol.
+function findAlignmentPattern(image, expectedX, expectedY, across, down) {
+  const moduleSize = (Math.hypot(across.x, across.y) + Math.hypot(down.x, down.y)) / 2;
+  const inside = (x, y) => x >= 0 && y >= 0 && x < image.width && y < image.height;
+  // Run lengths from (x, y) outwards: the rest of the dark centre, the light ring, the dark ring.
+  const walk = (x, y, dx, dy) => {
+    const counts = [0, 0, 0];
+    let px = x;
+    let py = y;
+    [true, false, true].forEach((dark, i) => {
+      while (inside(px, py) && image.isDark(px, py) === dark && counts[i] <= moduleSize * 2) { counts[i]++; px += dx; py += dy; }
+    });
+    return counts;
+  };
+  const centreAlong = (x, y, dx, dy) => {
+    const back = walk(x, y, -dx, -dy);
+    const ahead = walk(x, y, dx, dy);
+    const centre = back[0] + ahead[0] - 1;
+    const near = (count) => Math.abs(count - moduleSize) < moduleSize * 0.7;
+    if (!near(centre) || !near(back[1]) || !near(ahead[1]) || back[2] < moduleSize / 2 || ahead[2] < moduleSize / 2) { return null; }
+    return (dx !== 0 ? x : y) - (back[0] - 1) + (centre - 1) / 2;
+  };
+  // Data modules often pass the runs above; the whole 5x5 pattern rarely
+  // appears by chance. Modules grow towards the camera, hence the scales.
+  const looksLikeAlignment = (cx, cy) => [1, 1.2, 1.4].some(scale => {
+    let matches = 0;
+    for (let j = -2; j <= 2; j++) {
+      for (let i = -2; i <= 2; i++) {
+        const px = Math.round(cx + (i * across.x + j * down.x) * scale);
+        const py = Math.round(cy + (i * across.y + j * down.y) * scale);
+        if (inside(px, py) && image.isDark(px, py) === (Math.max(Math.abs(i), Math.abs(j)) !== 1)) { matches++; }
+      }
+    }
+    return matches >= 23;
+  });
+
+  for (const factor of [4, 8, 12]) {
+    const reach = Math.ceil(moduleSize * factor);
+    let best = null;
+    for (let y = Math.max(0, Math.round(expectedY - reach)); y <= Math.min(image.height - 1, Math.round(expectedY + reach)); y++) {
+      for (let x = Math.max(0, Math.round(expectedX - reach)); x <= Math.min(image.width - 1, Math.round(expectedX + reach)); x++) {
+        if (!image.isDark(x, y)) { continue; }
+        const cx = centreAlong(x, y, 1, 0);
+        const cy = cx === null ? null : centreAlong(x, y, 0, 1);
+        if (cy === null || !looksLikeAlignment(cx, cy)) { continue; }
+        const offset = Math.hypot(cx - expectedX, cy - expectedY);
+        if (!best || offset < best.offset) { best = { x: cx, y: cy, offset }; }
+      }
+    }
+    if (best) { return best; }
+  }
+  return null;
+}
+
+// 3x3 projective transforms, as row-major arrays.
+function squareToQuad([p0, p1, p2, p3]) {
+  const dx3 = p0.x - p1.x + p2.x - p3.x;
+  const dy3 = p0.y - p1.y + p2.y - p3.y;
+  if (dx3 === 0 && dy3 === 0) {
+    return [p1.x - p0.x, p2.x - p1.x, p0.x, p1.y - p0.y, p2.y - p1.y, p0.y, 0, 0, 1];
+  }
+  const dx1 = p1.x - p2.x;
+  const dx2 = p3.x - p2.x;
+  const dy1 = p1.y - p2.y;
+  const dy2 = p3.y - p2.y;
+  const denominator = dx1 * dy2 - dx2 * dy1;
+  const g = (dx3 * dy2 - dx2 * dy3) / denominator;
+  const h = (dx1 * dy3 - dx3 * dy1) / denominator;
+  return [p1.x - p0.x + g * p1.x, p3.x - p0.x + h * p3.x, p0.x, p1.y - p0.y + g * p1.y, p3.y - p0.y + h * p3.y, p0.y, g, h, 1];
+}
+
+function adjugate([a, b, c, d, e, f, g, h, i]) {
+  return [e * i - f * h, c * h - b * i, b * f - c * e, f * g - d * i, a * i - c * g, c * d - a * f, d * h - e * g, b * g - a * h, a * e - b * d];
+}
+
+function multiply(m, n) {
+  const result = new Array(9).fill(0);
+  for (let r = 0; r < 3; r++) {
+    for (let c = 0; c < 3; c++) {
+      for (let k = 0; k < 3; k++) { result[r * 3 + c] += m[r * 3 + k] * n[k * 3 + c]; }
+    }
+  }
+  return result;
+}
+
+function quadToQuad(from, to) {
+  const matrix = multiply(squareToQuad(to), adjugate(squareToQuad(from)));
+  return (x, y) => {
+    const w = matrix[6] * x + matrix[7] * y + matrix[8];
+    return { x: (matrix[0] * x + matrix[1] * y + matrix[2]) / w, y: (matrix[3] * x + matrix[4] * y + matrix[5]) / w };
+  };
+}
+
+// Reads the module grid of a `size` x `size` symbol located by the finder patterns.
+function sampleGrid(image, finders, size) {
+  const { topLeft, topRight, bottomLeft } = finders;
+  let bottomRight = { x: topRight.x - topLeft.x + bottomLeft.x, y: topRight.y - topLeft.y + bottomLeft.y };
+  let corner = size - 3.5;
+  if (size > 21) {
+    // The alignment pattern sits three modules in from the finder centres' corner.
+    const ratio = 1 - 3 / (size - 7);
+    const across = { x: (topRight.x - topLeft.x) / (size - 7), y: (topRight.y - topLeft.y) / (size - 7) };
+    const down = { x: (bottomLeft.x - topLeft.x) / (size - 7), y: (bottomLeft.y - topLeft.y) / (size - 7) };
+    const alignment = findAlignmentPattern(image, topLeft.x + ratio * (bottomRight.x - topLeft.x), topLeft.y + ratio * (bottomRight.y - topLeft.y), across, down);
+    if (alignment) {
+      bottomRight = alignment;
+      corner = size - 6.5;
+    }
+  }
+  const toImage = quadToQuad(
+    [{ x: 3.5, y: 3.5 }, { x: size - 3.5, y: 3.5 }, { x: corner, y: corner }, { x: 3.5, y: size - 3.5 }],
+    [topLeft, topRight, bottomRight, bottomLeft]
+  );
+  const grid = [];
+  for (let y = 0; y < size; y++) {
+    const row = [];
+    for (let x = 0; x < size; x++) {
+      const point = toImage(x + 0.5, y + 0.5);
+      const px = Math.min(image.width - 1, Math.max(0, Math.round(point.x)));
+      const py = Math.min(image.height - 1, Math.max(0, Math.round(point.y)));
+      row.push(image.isDark(px, py));
+    }
+    grid.push(row);
+  }
+  return grid;
+}
+
+function bitDistance(a, b) {
+  let x = a ^ b;
+  let count = 0;
+  for (; x; x &= x - 1) { count++; }
+  return count;
+}
+
+// The error correction level and mask, from whichever format copy reads closer to a valid code.
+function readFormat(grid) {
+  const copies = formatPositions(grid.length).map(copy => copy.reduce((acc, [x, y], i) => acc | ((grid[y][x] ? 1 : 0) << i), 0));
+  let best = null;
+  for (const ecl of Object.keys(EC_LEVELS)) {
+    for (let mask = 0; mask < 8; mask++) {
+      const bits = formatBits(ecl, mask);
+      const errors = Math.min(...copies.map(copy => bitDistance(copy, bits)));
+      if (!best || errors < best.errors) { best = { ecl, mask, errors }; }
+    }
+  }
+  if (best.errors > 3) { throw new Error('Unreadable format information'); }
+  return best;
+}
+
+// Versions 7 and up spell out their version next to two finders. Those
+// modules lie close to a finder, so they read correctly even from a grid
+// sampled at a slightly wrong size. Returns null when neither copy is clear.
+function readVersion(grid) {
+  const copies = versionPositions(grid.length).map(copy => copy.reduce((acc, [x, y], i) => acc | ((grid[y][x] ? 1 : 0) << i), 0));
+  let best = null;
+  for (let version = 7; version <= 40; version++) {
+    const errors = Math.min(...copies.map(copy => bitDistance(copy, versionBits(version))));
+    if (!best || errors < best.errors) { best = { version, errors }; }
+  }
+  return best.errors <= 3 ? best.version : null;
+}
+
+function readCodewords(grid, version, mask) {
+  const { size, isFunction } = functionPatterns(version);
+  const bytes = [];
+  let current = 0;
+  dataPositions(size, isFunction).forEach(([x, y], i) => {
+    current = (current << 1) | (grid[y][x] !== maskBit(mask, x, y) ? 1 : 0);
+    if (i % 8 === 7) {
+      bytes.push(current);
+      current = 0;
+    }
+  });
+  return bytes;
+}
+
+// Undoes the interleaving and repairs each block; returns the data codewords.
+function correctCodewords(codewords, version, ecl) {
+  const { numBlocks, eccLength, rawCodewords, numShortBlocks, shortBlockLength } = blockLayout(version, ecl);
+  const blocks = Array.from({ length: numBlocks }, () => []);
+  let k = 0;
+  for (let i = 0; i <= shortBlockLength; i++) {
+    for (let j = 0; j < numBlocks; j++) {
+      if (i === shortBlockLength - eccLength && j < numShortBlocks) {
+        blocks[j].push(0);
+      } else if (k < rawCodewords) {
+        blocks[j].push(codewords[k++]);
+      }
+    }
+  }
+  const data = [];
+  blocks.forEach((block, j) => {
+    if (j < numShortBlocks) { block.splice(shortBlockLength - eccLength, 1); }
+    rsCorrect(block, eccLength);
+    data.push(...block.slice(0, block.length - eccLength));
+  });
+  return data;
+}
+
+function parseSegments(data, version) {
+  let position = 0;
+  const read = (length) => {
+    let value = 0;
+    for (let i = 0; i < length; i++, position++) {
+      if (position >= data.length * 8) { throw new Error('QR data ended early'); }
+      value = (value << 1) | ((data[position >>> 3] >>> (7 - (position & 7))) & 1);
+    }
+    return value;
+  };
+  const group = version <= 9 ? 0 : version <= 26 ? 1 : 2;
+  const bytes = [];
+  while (data.length * 8 - position >= 4) {
+    const mode = read(4);
+    if (mode === 0) { break; }
+    if (mode === MODE_ECI) {
+      const first = read(8);
+      if ((first & 0xc0) === 0x80) { read(8); } else if ((first & 0xe0) === 0xc0) { read(16); }
+    } else if (mode === MODE_NUMERIC) {
+      let count = read([10, 12, 14][group]);
+      for (; count >= 3; count -= 3) { bytes.push(...new TextEncoder().encode(String(read(10)).padStart(3, '0'))); }
+      if (count > 0) { bytes.push(...new TextEncoder().encode(String(read(count === 2 ? 7 : 4)).padStart(count, '0'))); }
+    } else if (mode === MODE_ALPHANUMERIC) {
+      let count = read([9, 11, 13][group]);
+      for (; count >= 2; count -= 2) {
+        const pair = read(11);
+        bytes.push(ALPHANUMERIC_CHARSET.charCodeAt(Math.floor(pair / 45)), ALPHANUMERIC_CHARSET.charCodeAt(pair % 45));
+      }
+      if (count === 1) { bytes.push(ALPHANUMERIC_CHARSET.charCodeAt(read(6))); }
+    } else if (mode === MODE_BYTE) {
+      const count = read([8, 16, 16][group]);
+      for (let i = 0; i < count; i++) { bytes.push(read(8)); }
+    } else {
+      throw new Error('Unsupported QR data mode');
+    }
+  }
+  return new TextDecoder().decode(new Uint8Array(bytes));
+}
+
+// Returns the text of the first QR code found in an ImageData, or null.
+function decodeQR(imageData) {
+  const image = binarize(imageData);
+  for (const finders of pickFinderTriples(findFinderPatterns(image))) {
+    const { topLeft, topRight, bottomLeft } = finders;
+    const moduleSize = moduleSizeAlong(image, finders);
+    const modulesAcross = (distance(topLeft, topRight) + distance(topLeft, bottomLeft)) / 2 / moduleSize + 7;
+    const estimate = Math.round((modulesAcross - 17) / 4);
+
+    // The estimate can be a few versions off on a large or skewed symbol.
+    const versions = [estimate, estimate + 1, estimate - 1, estimate + 2, estimate - 2];
+    if (estimate >= 6) {
+      const stated = readVersion(sampleGrid(image, finders, sizeOf(Math.min(40, Math.max(7, estimate)))));
+      if (stated) { versions.unshift(stated); }
+    }
+    for (const version of new Set(versions)) {
+      if (version < 1 || version > 40) { continue; }
+      try {
+        const grid = sampleGrid(image, finders, sizeOf(version));
+        const { ecl, mask } = readFormat(grid);
+        const data = correctCodewords(readCodewords(grid, version, mask), version, ecl);
+        return parseSegments(data, version);
+      } catch (error) {
+        // Not this version or not a symbol; keep trying.
+      }
+    }
+  }
+  return null;
+}
+
+// --- EXPORTS ---
+export { encodeQR, renderQR, decodeQR };
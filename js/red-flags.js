@@ -0,0 +1,242 @@
+// js/red-flags.js
+
+// Red flags: patterns that suggest trust is being manufactured instead of
+// earned. A second profile on the same phone confirming its own requests,
+// money going round A -> B -> C -> A, a pile of confirmations in a few
+// minutes, amounts sent and sent straight back, or a ledger with only one
+// person in it all add volume without anyone real vouching for anything.
+//
+// Each flag carries the evidence it was raised on (transaction ids, phones,
+// times) and a penalty that the trust score subtracts. Like the score, the
+// checks are deterministic: the same records and day give the same flags.
+
+// --- IMPORTS ---
+import { log } from './logger.js';
+import { getTransactionsByPhone, getAllTransactions, getAllUsers } from './db.js';
+import { hasBeenConfirmed } from './lifecycle.js';
+import { localToday } from './transactions.js';
+import { normalizePhone, normalizePhoneOrNull, samePhone } from './phone.js';
+
+const RED_FLAG_VERSION = 1;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+const FLAG_TYPES = Object.freeze({
+  SELF_DEALING: 'self-dealing',
+  CIRCULAR_FLOW: 'circular-flow',
+  BURST: 'burst-confirmations',
+  ROUND_TRIP: 'round-trip',
+  SINGLE_COUNTERPARTY: 'single-counterparty'
+});
+
+const RULES = Object.freeze({
+  selfDealing: { penalty: 100, penaltyPerTransaction: 10, maxPenalty: 300 },
+  // Three legs within this many days whose amounts are within 20% of each other.
+  circularFlow: { windowDays: 30, amountSpread: 0.2, penalty: 100 },
+  burst: { windowMinutes: 10, minConfirmations: 5, penalty: 50 },
+  // Sent back within this many days, within 5% of the amount.
+  roundTrip: { windowDays: 3, amountSpread: 0.05, penalty: 40 },
+  singleCounterparty: { minTransactions: 5, penalty: 100 }
+});
+
+function dayOf(record) {
+  return record.occurredOn || String(record.date).slice(0, 10);
+}
+
+function daysApart(a, b) {
+  return Math.abs(Date.parse(dayOf(a)) - Date.parse(dayOf(b))) / DAY_MS;
+}
+
+function similar(amounts, spread) {
+  const max = Math.max(...amounts);
+  return max > 0 && (max - Math.min(...amounts)) / max <= spread;
+}
+
+// Credit transfer legs are three-way by design and balance to zero, so they
+// say nothing about the people in them. They are left out of every check here
+// and of every factor of the trust score.
+function countsTowardTrust(record) {
+  return !record.transferId;
+}
+
+// Who actually handed the money over.
+function flowOf(record) {
+  const from = normalizePhone(record.fromPhone);
+  const to = normalizePhone(record.toPhone);
+  return record.type === 'gave' ? { payer: from, payee: to } : { payer: to, payee: from };
+}
+
+function byDay(a, b) {
+  return dayOf(a).localeCompare(dayOf(b)) || a.id.localeCompare(b.id);
+}
+
+function counterpartyOf(record, phone) {
+  return samePhone(record.fromPhone, phone) ? normalizePhone(record.toPhone) : normalizePhone(record.fromPhone);
+}
+
+// --- CHECKS ---
+
+// Confirmed transactions with another profile kept on this same device.
+function selfDealing(phone, confirmed, devicePhones) {
+  const rule = RULES.selfDealing;
+  const byPhone = new Map();
+  confirmed.forEach(record => {
+    const other = counterpartyOf(record, phone);
+    if (!devicePhones.has(other)) { return; }
+    if (!byPhone.has(other)) { byPhone.set(other, []); }
+    byPhone.get(other).push(record.id);
+  });
+  return [...byPhone.entries()].map(([other, txnIds]) => ({
+    type: FLAG_TYPES.SELF_DEALING,
+    severity: 'high',
+    penalty: Math.min(rule.maxPenalty, rule.penalty + rule.penaltyPerTransaction * txnIds.length),
+    summary: `${txnIds.length} confirmed transaction${txnIds.length === 1 ? '' : 's'} with another profile on this phone`,
+    evidence: { phones: [other], txnIds }
+  }));
+}
+
+// A -> B -> C -> A through `phone`, using every confirmed transaction on the
+// device (the middle leg is usually between two other people).
+function circularFlows(phone, deviceConfirmed) {
+  const rule = RULES.circularFlow;
+  const legs = deviceConfirmed.map(record => ({ record, ...flowOf(record), paise: record.amountPaise }));
+  const flags = [];
+  const used = new Set();
+  for (const first of legs.filter(leg => leg.payer === phone)) {
+    for (const second of legs.filter(leg => leg.payer === first.payee && leg.payee !== phone)) {
+      const third = legs.find(leg => leg.payer === second.payee && leg.payee === phone &&
+        [first, second, leg].every(a => daysApart(a.record, first.record) <= rule.windowDays) &&
+        similar([first.paise, second.paise, leg.paise], rule.amountSpread));
+      if (!third) { continue; }
+      const ids = [first, second, third].map(leg => leg.record.id);
+      if (ids.some(id => used.has(id))) { continue; }
+      ids.forEach(id => used.add(id));
+      flags.push({
+        type: FLAG_TYPES.CIRCULAR_FLOW,
+        severity: 'high',
+        penalty: rule.penalty,
+        summary: 'Money went round three people and came back',
+        evidence: { phones: [phone, first.payee, second.payee], txnIds: ids }
+      });
+    }
+  }
+  return flags;
+}
+
+// Many confirmations within a few minutes of each other.
+function bursts(confirmed) {
+  const rule = RULES.burst;
+  const times = confirmed
+    .filter(record => record.decidedAt)
+    .map(record => ({ id: record.id, at: Date.parse(record.decidedAt) }))
+    .sort((a, b) => a.at - b.at || a.id.localeCompare(b.id));
+  const flags = [];
+  let start = 0;
+  while (start < times.length) {
+    let end = start;
+    while (end + 1 < times.length && times[end + 1].at - times[start].at <= rule.windowMinutes * MINUTE_MS) { end++; }
+    const cluster = times.slice(start, end + 1);
+    if (cluster.length >= rule.minConfirmations) {
+      flags.push({
+        type: FLAG_TYPES.BURST,
+        severity: 'medium',
+        penalty: rule.penalty,
+        summary: `${cluster.length} confirmations within ${rule.windowMinutes} minutes`,
+        evidence: { txnIds: cluster.map(item => item.id), from: new Date(cluster[0].at).toISOString(), to: new Date(cluster[cluster.length - 1].at).toISOString() }
+      });
+      start = end + 1;
+    } else {
+      start++;
+    }
+  }
+  return flags;
+}
+
+// An amount handed over and handed straight back. A loan with a due date is
+// expected to come back, so it is not counted.
+function roundTrips(phone, confirmed) {
+  const rule = RULES.roundTrip;
+  const flags = [];
+  const used = new Set();
+  for (const out of confirmed) {
+    if (used.has(out.id) || out.dueDate) { continue; }
+    const flow = flowOf(out);
+    const back = confirmed.find(other => !used.has(other.id) && other.id !== out.id && dayOf(other) >= dayOf(out) &&
+      flowOf(other).payer === flow.payee && flowOf(other).payee === flow.payer &&
+      daysApart(out, other) <= rule.windowDays && similar([out.amountPaise, other.amountPaise], rule.amountSpread));
+    if (!back) { continue; }
+    used.add(out.id);
+    used.add(back.id);
+    flags.push({
+      type: FLAG_TYPES.ROUND_TRIP,
+      severity: 'low',
+      penalty: rule.penalty,
+      summary: 'An amount was sent and sent back within days',
+      evidence: { phones: [counterpartyOf(out, phone)], txnIds: [out.id, back.id] }
+    });
+  }
+  return flags;
+}
+
+// A ledger with one person in it, or a profile on this phone whose only
+// counterparty is `phone`: nobody else vouches for either of them.
+function singleCounterparty(phone, confirmed, deviceConfirmed, devicePhones) {
+  const rule = RULES.singleCounterparty;
+  const flags = [];
+  const others = new Set(confirmed.map(record => counterpartyOf(record, phone)));
+  if (confirmed.length >= rule.minTransactions && others.size === 1) {
+    flags.push({
+      type: FLAG_TYPES.SINGLE_COUNTERPARTY,
+      severity: 'medium',
+      penalty: rule.penalty,
+      summary: `All ${confirmed.length} transactions are with the same person`,
+      evidence: { phones: [...others], txnIds: confirmed.map(record => record.id) }
+    });
+  }
+  for (const other of others) {
+    if (!devicePhones.has(other)) { continue; }
+    const theirs = deviceConfirmed.filter(record => samePhone(record.fromPhone, other) || samePhone(record.toPhone, other));
+    if (theirs.length > 0 && theirs.every(record => counterpartyOf(record, other) === phone)) {
+      flags.push({
+        type: FLAG_TYPES.SINGLE_COUNTERPARTY,
+        severity: 'medium',
+        penalty: rule.penalty,
+        summary: 'A profile on this phone only ever deals with you',
+        evidence: { phones: [other], txnIds: theirs.map(record => record.id) }
+      });
+    }
+  }
+  return flags;
+}
+
+// --- DETECTION ---
+
+// Flags for `phone` from its own records, every record on the device and the
+// phones of every profile on the device, as of the day `asOf`.
+function findRedFlags(rawPhone, { records, deviceRecords, devicePhones }, asOf) {
+  const phone = normalizePhone(rawPhone);
+  const usable = list => list
+    .filter(record => hasBeenConfirmed(record) && countsTowardTrust(record) && dayOf(record) <= asOf)
+    .sort(byDay);
+  const confirmed = usable(records);
+  const deviceConfirmed = usable(deviceRecords);
+  const localPhones = new Set([...devicePhones].map(normalizePhoneOrNull).filter(other => other && other !== phone));
+
+  return [
+    ...selfDealing(phone, confirmed, localPhones),
+    ...circularFlows(phone, deviceConfirmed),
+    ...bursts(confirmed),
+    ...roundTrips(phone, confirmed),
+    ...singleCounterparty(phone, confirmed, deviceConfirmed, localPhones)
+  ];
+}
+
+async function detectRedFlags(user, { asOf = localToday() } = {}) {
+  const [records, deviceRecords, users] = await Promise.all([getTransactionsByPhone(user.phone), getAllTransactions(), getAllUsers()]);
+  const flags = findRedFlags(user.phone, { records, deviceRecords, devicePhones: new Set(users.map(other => other.phone)) }, asOf);
+  log('INFO', 'red-flags.js', 'RED_FLAGS_DETECTED', { userId: user.id, version: RED_FLAG_VERSION, count: flags.length, types: [...new Set(flags.map(flag => flag.type))] });
+  return flags;
+}
+
+// --- EXPORTS ---
+export { RED_FLAG_VERSION, FLAG_TYPES, RULES, countsTowardTrust, findRedFlags, detectRedFlags };
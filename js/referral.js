@@ -1,69 +1,55 @@
 ﻿// referral.js - Referral and Commission Management for Transparent Transactions
-// This file handles referral tracking, commission calculations, and payout management
+// This file handles referral tracking, commission calculations, and payout management.
+// State lives in the IndexedDB referral/commission/payout stores (see db.js);
+// anything that must change together is written in a single transaction there.
+
+import {
+    addReferral,
+    getReferralByUser,
+    getReferralsByReferrer,
+    addCommissionsForPayment,
+    getCommissions,
+    payOutCommissions,
+    readAllStores,
+    writeStores,
+    referralRecordsFromLegacy,
+    amountsInPaise
+} from './db.js';
+import { isRupeeAmount, toPaise, formatMoney, sumPaise } from './money.js';
 
 class ReferralManager {
     constructor() {
+        // All amounts in paise (see money.js)
         this.commissionRates = {
-            level1: 1.60,  // ₹1.60
-            level2: 0.80,  // ₹0.80
-            level3: 0.40,  // ₹0.40
-            level4: 0.20   // ₹0.20
+            level1: 160,  // ₹1.60
+            level2: 80,   // ₹0.80
+            level3: 40,   // ₹0.40
+            level4: 20    // ₹0.20
         };
-        this.payoutThreshold = 10.00; // ₹10 minimum for payout
+        this.commissionPaymentPaise = 1000; // Only ₹10 payments earn commissions
+        this.payoutThreshold = 1000; // ₹10 minimum for payout
         this.referralCodeLength = 6;
         this.init();
     }
 
     init() {
         console.log('🤝 Referral Manager initialized');
-        this.loadReferralData();
+        this.userReferralCode = localStorage.getItem('personalReferralCode');
         this.setupEventListeners();
     }
 
-    // Load referral data from localStorage
-    loadReferralData() {
-        try {
-            this.userReferralCode = localStorage.getItem('personalReferralCode');
-            this.referralChain = JSON.parse(localStorage.getItem('referralChain') || '{}');
-            this.pendingCommissions = JSON.parse(localStorage.getItem('pendingCommissions') || '[]');
-            this.paidCommissions = JSON.parse(localStorage.getItem('paidCommissions') || '[]');
-            
-            console.log('📊 Referral data loaded');
-        } catch (error) {
-            console.error('❌ Error loading referral data:', error);
-            this.initializeDefaultData();
-        }
-    }
-
-    // Initialize default data structure
-    initializeDefaultData() {
-        this.referralChain = {};
-        this.pendingCommissions = [];
-        this.paidCommissions = [];
-        this.saveReferralData();
-    }
-
-    // Save referral data to localStorage
-    saveReferralData() {
-        try {
-            localStorage.setItem('referralChain', JSON.stringify(this.referralChain));
-            localStorage.setItem('pendingCommissions', JSON.stringify(this.pendingCommissions));
-            localStorage.setItem('paidCommissions', JSON.stringify(this.paidCommissions));
-        } catch (error) {
-            console.error('❌ Error saving referral data:', error);
-        }
-    }
-
     // Setup event listeners for referral-related events
     setupEventListeners() {
         // Listen for payment events
         document.addEventListener('paymentProcessed', (event) => {
-            this.handlePaymentEvent(event.detail);
+            this.handlePaymentEvent(event.detail)
+                .catch(error => console.error('❌ Error processing payment commissions:', error));
         });
 
         // Listen for user registration events
         document.addEventListener('userRegistered', (event) => {
-            this.handleNewUserRegistration(event.detail);
+            this.handleNewUserRegistration(event.detail)
+                .catch(error => console.error('❌ Error processing referral registration:', error));
         });
     }
 
@@ -71,11 +57,11 @@ class ReferralManager {
     generateReferralCode() {
         const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
         let code = '';
-        
+
         for (let i = 0; i < this.referralCodeLength; i++) {
             code += chars.charAt(Math.floor(Math.random() * chars.length));
         }
-        
+
         // Check if code already exists
         if (this.isReferralCodeUnique(code)) {
             return code;
@@ -110,62 +96,51 @@ class ReferralManager {
             console.error('❌ No referral code available');
             return null;
         }
-        
+
         const baseUrl = window.location.origin + window.location.pathname.replace(/[^/]*$/, 'index.html');
         return `${baseUrl}?ref=${this.userReferralCode}`;
     }
 
     // Process new user registration with referral
-    processReferralRegistration(newUserPhone, enteredReferralCode) {
-        return new Promise((resolve, reject) => {
-            try {
-                // Validate referral code
-                if (!this.validateReferralCode(enteredReferralCode)) {
-                    reject({
-                        success: false,
-                        message: 'Invalid referral code'
-                    });
-                    return;
-                }
-
-                // Build referral chain
-                const referralData = {
-                    referredUser: newUserPhone,
-                    referrerCode: enteredReferralCode,
-                    registrationDate: new Date().toISOString(),
-                    level: 1
-                };
-
-                // Add to referral chain
-                if (!this.referralChain[enteredReferralCode]) {
-                    this.referralChain[enteredReferralCode] = [];
-                }
-                this.referralChain[enteredReferralCode].push(referralData);
-
-                // Save updated data
-                this.saveReferralData();
-
-                console.log('✅ Referral registration processed:', newUserPhone, 'referred by', enteredReferralCode);
-                
-                resolve({
-                    success: true,
-                    message: 'Referral registered successfully',
-                    data: referralData
-                });
-
-            } catch (error) {
-                reject({
-                    success: false,
-                    message: 'Error processing referral',
-                    error: error.message
-                });
-            }
-        });
+    async processReferralRegistration(newUserPhone, enteredReferralCode) {
+        // Validate referral code
+        if (!this.validateReferralCode(enteredReferralCode)) {
+            throw {
+                success: false,
+                message: 'Invalid referral code'
+            };
+        }
+
+        const referralData = {
+            referredUser: newUserPhone,
+            referrerCode: enteredReferralCode,
+            registrationDate: new Date().toISOString(),
+            level: 1
+        };
+
+        try {
+            await addReferral(referralData);
+        } catch (error) {
+            throw {
+                success: false,
+                message: error.name === 'ConstraintError' ? 'This user has already been referred' : 'Error processing referral',
+                error: error.message
+            };
+        }
+
+        console.log('✅ Referral registration processed:', newUserPhone, 'referred by', enteredReferralCode);
+
+        return {
+            success: true,
+            message: 'Referral registered successfully',
+            data: referralData
+        };
     }
 
     // Handle payment events and distribute commissions
-    handlePaymentEvent(paymentDetail) {
-        if (paymentDetail.amount !== 10) {
+    async handlePaymentEvent(paymentDetail) {
+        // The payment event carries rupees, like every other amount that leaves the app
+        if (!isRupeeAmount(paymentDetail.amount) || toPaise(paymentDetail.amount) !== this.commissionPaymentPaise) {
             console.log('⚠️  Non-₹10 payment, skipping commission calculation');
             return;
         }
@@ -177,121 +152,91 @@ class ReferralManager {
         const timestamp = new Date().toISOString();
 
         // Find referral chain for this user
-        const userChain = this.findUserReferralChain(userPhone);
-        
+        const userChain = await this.findUserReferralChain(userPhone);
+
         if (!userChain || userChain.length === 0) {
             console.log('ℹ️  No referral chain found for user:', userPhone);
             return;
         }
 
         // Distribute commissions across 4 levels
-        this.distributeCommissions(userChain, paymentId, timestamp);
+        await this.distributeCommissions(userChain, paymentId, timestamp);
     }
 
-    // Find user's referral chain
-    findUserReferralChain(userPhone) {
+    // Find user's referral chain (level 1 referrer, then their upline up to level 4)
+    async findUserReferralChain(userPhone) {
         const chain = [];
-        
-        // Search through referral chain to find this user and their upline
-        for (const [referrerCode, referrals] of Object.entries(this.referralChain)) {
-            for (const referral of referrals) {
-                if (referral.referredUser === userPhone) {
-                    chain.push({
-                        level: 1,
-                        user: referrerCode,
-                        referralDate: referral.registrationDate
-                    });
-                    
-                    // Find upline for level 2-4
-                    this.findUplineChain(referrerCode, chain, 2);
-                    break;
-                }
-            }
+        let referral = await getReferralByUser(userPhone);
+
+        for (let level = 1; referral && level <= 4; level++) {
+            chain.push({
+                level: level,
+                user: referral.referrerCode,
+                referralDate: referral.registrationDate
+            });
+            referral = await getReferralByUser(referral.referrerCode);
         }
-        
+
         return chain;
     }
 
-    // Recursively find upline chain
-    findUplineChain(userCode, chain, currentLevel) {
-        if (currentLevel > 4) return;
-
-        for (const [referrerCode, referrals] of Object.entries(this.referralChain)) {
-            for (const referral of referrals) {
-                if (referral.referredUser === userCode) {
-                    chain.push({
-                        level: currentLevel,
-                        user: referrerCode,
-                        referralDate: referral.registrationDate
-                    });
-                    
-                    // Continue finding upline
-                    this.findUplineChain(referrerCode, chain, currentLevel + 1);
-                    break;
-                }
-            }
+    // Distribute commissions across referral levels
+    async distributeCommissions(referralChain, paymentId, timestamp) {
+        const commissions = referralChain
+            .filter(chainLink => chainLink.level <= 4)
+            .map(chainLink => ({
+                id: this.generateCommissionId(),
+                paymentId: paymentId,
+                recipient: chainLink.user,
+                amountPaise: this.commissionRates[`level${chainLink.level}`],
+                level: chainLink.level,
+                status: 'pending',
+                created: timestamp,
+                dueDate: this.calculateDueDate(timestamp)
+            }));
+
+        // All levels are written in one transaction; a replayed payment writes nothing.
+        const written = await addCommissionsForPayment(paymentId, commissions);
+        if (written.length === 0) {
+            console.log('ℹ️  Commissions already distributed for payment:', paymentId);
+            return;
         }
-    }
 
-    // Distribute commissions across referral levels
-    distributeCommissions(referralChain, paymentId, timestamp) {
-        let totalCommissions = 0;
-
-        referralChain.forEach(chainLink => {
-            if (chainLink.level <= 4) {
-                const commissionAmount = this.commissionRates[`level${chainLink.level}`];
-                
-                const commission = {
-                    id: this.generateCommissionId(),
-                    paymentId: paymentId,
-                    recipient: chainLink.user,
-                    amount: commissionAmount,
-                    level: chainLink.level,
-                    status: 'pending',
-                    created: timestamp,
-                    dueDate: this.calculateDueDate(timestamp)
-                };
-
-                this.pendingCommissions.push(commission);
-                totalCommissions += commissionAmount;
-
-                console.log(`💰 Level ${chainLink.level} commission: ₹${commissionAmount} for ${chainLink.user}`);
-            }
+        const totalCommissions = sumPaise(written.map(commission => commission.amountPaise));
+        written.forEach(commission => {
+            console.log(`💰 Level ${commission.level} commission: ${formatMoney(commission.amountPaise)} for ${commission.recipient}`);
         });
 
-        // Save updated commissions
-        this.saveReferralData();
-
         // Trigger commission event
         this.triggerCommissionEvent('commissionsDistributed', {
             paymentId: paymentId,
-            totalCommissions: totalCommissions,
+            totalCommissionsPaise: totalCommissions,
             commissions: referralChain.slice(0, 4)
         });
 
-        console.log(`✅ Total commissions distributed: ₹${totalCommissions.toFixed(2)}`);
+        console.log(`✅ Total commissions distributed: ${formatMoney(totalCommissions)}`);
     }
 
     // Handle new user registration
-    handleNewUserRegistration(userDetail) {
+    async handleNewUserRegistration(userDetail) {
         console.log('👤 New user registration:', userDetail.phone);
-        
+
         // If user came through referral, process it
         if (userDetail.referralCode && userDetail.referralCode !== 'admin123') {
-            this.processReferralRegistration(userDetail.phone, userDetail.referralCode);
+            await this.processReferralRegistration(userDetail.phone, userDetail.referralCode);
         }
     }
 
     // Validate referral code format
     validateReferralCode(code) {
         if (!code || typeof code !== 'string') return false;
-        
+
         // Check length
         if (code.length !== this.referralCodeLength) return false;
-        
+
         // Check if all uppercase letters
         if (!/^[A-Z]+$/.test(code)) return false;
-        
+
         return true;
     }
 
@@ -309,105 +254,79 @@ class ReferralManager {
 
     // Get pending commissions for a user
     getUserPendingCommissions(userCode) {
-        return this.pendingCommissions.filter(commission => 
-            commission.recipient === userCode && commission.status === 'pending'
-        );
+        return getCommissions(userCode, 'pending');
     }
 
-    // Get total pending amount for a user
-    getUserPendingAmount(userCode) {
-        const userCommissions = this.getUserPendingCommissions(userCode);
-        return userCommissions.reduce((total, commission) => total + commission.amount, 0);
+    // Get total pending amount for a user, in paise
+    async getUserPendingAmount(userCode) {
+        const userCommissions = await this.getUserPendingCommissions(userCode);
+        return sumPaise(userCommissions.map(commission => commission.amountPaise));
     }
 
     // Check if user has reached payout threshold
-    hasReachedPayoutThreshold(userCode) {
-        const pendingAmount = this.getUserPendingAmount(userCode);
+    async hasReachedPayoutThreshold(userCode) {
+        const pendingAmount = await this.getUserPendingAmount(userCode);
         return pendingAmount >= this.payoutThreshold;
     }
 
-    // Process commission payout
-    processPayout(userCode) {
-        return new Promise((resolve, reject) => {
-            try {
-                const userCommissions = this.getUserPendingCommissions(userCode);
-                const totalAmount = this.getUserPendingAmount(userCode);
-
-                if (totalAmount < this.payoutThreshold) {
-                    reject({
-                        success: false,
-                        message: `Minimum payout is ₹${this.payoutThreshold}. Current balance: ₹${totalAmount.toFixed(2)}`
-                    });
-                    return;
-                }
-
-                // Mark commissions as paid
-                const payoutId = 'payout_' + Date.now();
-                const payoutTimestamp = new Date().toISOString();
-
-                userCommissions.forEach(commission => {
-                    commission.status = 'paid';
-                    commission.paidAt = payoutTimestamp;
-                    commission.payoutId = payoutId;
-                    
-                    // Move to paid commissions
-                    this.paidCommissions.push(commission);
-                });
-
-                // Remove from pending
-                this.pendingCommissions = this.pendingCommissions.filter(
-                    commission => commission.status === 'pending'
-                );
-
-                // Save updated data
-                this.saveReferralData();
-
-                console.log(`✅ Payout processed: ₹${totalAmount.toFixed(2)} to ${userCode}`);
-
-                // Trigger payout event
-                this.triggerCommissionEvent('payoutProcessed', {
-                    payoutId: payoutId,
-                    recipient: userCode,
-                    amount: totalAmount,
-                    commissionCount: userCommissions.length
-                });
-
-                resolve({
-                    success: true,
-                    message: `Payout of ₹${totalAmount.toFixed(2)} processed successfully`,
-                    payoutId: payoutId,
-                    amount: totalAmount
-                });
-
-            } catch (error) {
-                reject({
-                    success: false,
-                    message: 'Error processing payout',
-                    error: error.message
-                });
-            }
+    // Process commission payout. The threshold check and the status change
+    // happen in the same transaction (see payOutCommissions in db.js).
+    async processPayout(userCode) {
+        let result;
+        try {
+            result = await payOutCommissions(userCode, this.payoutThreshold);
+        } catch (error) {
+            throw {
+                success: false,
+                message: 'Error processing payout',
+                error: error.message
+            };
+        }
+
+        if (!result.payout) {
+            throw {
+                success: false,
+                message: `Minimum payout is ${formatMoney(this.payoutThreshold)}. Current balance: ${formatMoney(result.pendingPaise)}`
+            };
+        }
+
+        const { payout } = result;
+        console.log(`✅ Payout processed: ${formatMoney(payout.amountPaise)} to ${userCode}`);
+
+        // Trigger payout event
+        this.triggerCommissionEvent('payoutProcessed', {
+            payoutId: payout.id,
+            recipient: userCode,
+            amountPaise: payout.amountPaise,
+            commissionCount: payout.commissionIds.length
         });
+
+        return {
+            success: true,
+            message: `Payout of ${formatMoney(payout.amountPaise)} processed successfully`,
+            payoutId: payout.id,
+            amountPaise: payout.amountPaise
+        };
     }
 
-    // Get referral statistics
-    getReferralStats(userCode) {
-        const directReferrals = this.referralChain[userCode] || [];
-        const pendingAmount = this.getUserPendingAmount(userCode);
-        const totalEarned = this.paidCommissions
-            .filter(commission => commission.recipient === userCode)
-            .reduce((total, commission) => total + commission.amount, 0);
+    // Get referral statistics (amounts in paise)
+    async getReferralStats(userCode) {
+        const directReferrals = await getReferralsByReferrer(userCode);
+        const pendingPaise = await this.getUserPendingAmount(userCode);
+        const totalEarnedPaise = sumPaise((await getCommissions(userCode, 'paid'))
+            .map(commission => commission.amountPaise));
 
         return {
             directReferrals: directReferrals.length,
-            pendingAmount: pendingAmount,
-            totalEarned: totalEarned,
-            hasReachedThreshold: pendingAmount >= this.payoutThreshold,
-            nextPayoutAmount: pendingAmount
+            pendingPaise: pendingPaise,
+            totalEarnedPaise: totalEarnedPaise,
+            hasReachedThreshold: pendingPaise >= this.payoutThreshold,
+            nextPayoutPaise: pendingPaise
         };
     }
 
     // Get full referral network
-    getUserReferralNetwork(userCode) {
+    async getUserReferralNetwork(userCode) {
         const network = {
             level1: [],
             level2: [],
@@ -415,24 +334,13 @@ class ReferralManager {
             level4: []
         };
 
-        // Direct referrals (Level 1)
-        network.level1 = this.referralChain[userCode] || [];
-
-        // Build level 2-4 network
-        network.level1.forEach(referral => {
-            const level2 = this.referralChain[referral.referredUser] || [];
-            network.level2.push(...level2);
-
-            level2.forEach(l2Referral => {
-                const level3 = this.referralChain[l2Referral.referredUser] || [];
-                network.level3.push(...level3);
-
-                level3.forEach(l3Referral => {
-                    const level4 = this.referralChain[l3Referral.referredUser] || [];
-                    network.level4.push(...level4);
-                });
-            });
-        });
+        // Direct referrals (Level 1), then each level from the one above it
+        network.level1 = await getReferralsByReferrer(userCode);
+        for (const [level, below] of [['level1', 'level2'], ['level2', 'level3'], ['level3', 'level4']]) {
+            for (const referral of network[level]) {
+                network[below].push(...await getReferralsByReferrer(referral.referredUser));
+            }
+        }
 
         return network;
     }
@@ -446,27 +354,32 @@ class ReferralManager {
     }
 
     // Export referral data (for backup)
-    exportReferralData() {
+    async exportReferralData() {
+        const stores = await readAllStores();
         return {
-            referralChain: this.referralChain,
-            pendingCommissions: this.pendingCommissions,
-            paidCommissions: this.paidCommissions,
+            referrals: stores.referrals,
+            commissions: stores.commissions,
+            payouts: stores.payouts,
             userReferralCode: this.userReferralCode,
             exportDate: new Date().toISOString()
         };
     }
 
-    // Import referral data (for restore)
-    importReferralData(data) {
+    // Import referral data (for restore). Accepts both this format and the
+    // older { referralChain, pendingCommissions, paidCommissions } export,
+    // including exports made while amounts were still kept in rupees.
+    async importReferralData(data) {
         try {
-            if (data.referralChain) this.referralChain = data.referralChain;
-            if (data.pendingCommissions) this.pendingCommissions = data.pendingCommissions;
-            if (data.paidCommissions) this.paidCommissions = data.paidCommissions;
-            if (data.userReferralCode) this.userReferralCode = data.userReferralCode;
-            
-            this.saveReferralData();
+            const legacy = referralRecordsFromLegacy(data);
+            await writeStores({
+                referrals: data.referrals || legacy.referrals,
+                commissions: data.commissions ? amountsInPaise('commissions', data.commissions) : legacy.commissions,
+                payouts: amountsInPaise('payouts', data.payouts || [])
+            });
+            if (data.userReferralCode) this.setUserReferralCode(data.userReferralCode);
+
             console.log('✅ Referral data imported successfully');
-            
+
             return { success: true, message: 'Data imported successfully' };
         } catch (error) {
             console.error('❌ Error importing referral data:', error);
@@ -478,7 +391,4 @@ class ReferralManager {
 // Create global referral manager instance
 window.referralManager = new ReferralManager();
 
-// Export for module use (if needed)
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = ReferralManager;
-}
\ No newline at end of file
+export { ReferralManager };
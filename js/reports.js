@@ -1 +1,54 @@
+// js/reports.js
 
+// Reports are built from this profile's own confirmed transactions. A
+// transaction under dispute stays in the statement, where both sides signed
+// it, but is flagged so nobody reads it as settled.
+
+// --- IMPORTS ---
+import { getTransactionsByPhone } from './db.js';
+import { hasBeenConfirmed, STATES } from './lifecycle.js';
+import { balanceEffect } from './profiles.js';
+import { activeDispute } from './amendments.js';
+import { samePhone } from './phone.js';
+import { sumPaise } from './money.js';
+
+// One line per confirmed transaction, oldest first, seen from `user`. Row
+// amounts and totals are in paise.
+async function buildStatement(user) {
+  const records = await getTransactionsByPhone(user.phone);
+  const rows = records
+    .filter(hasBeenConfirmed)
+    .map(record => {
+      const effect = balanceEffect(record, user.phone);
+      const outgoing = samePhone(record.fromPhone, user.phone);
+      const dispute = activeDispute(record);
+      return {
+        id: record.id,
+        day: record.occurredOn || record.date.slice(0, 10),
+        counterparty: outgoing
+          ? { name: record.toName, phone: record.toPhone }
+          : { name: record.fromName, phone: record.fromPhone },
+        direction: effect > 0 ? 'gave' : 'got',
+        amount: record.amountPaise,
+        note: record.note || '',
+        disputed: record.status === STATES.DISPUTED,
+        dispute: dispute
+          ? { by: dispute.payload.by.phone, reason: dispute.payload.reason, at: dispute.payload.ts }
+          : null
+      };
+    })
+    .sort((a, b) => a.day.localeCompare(b.day));
+
+  const sum = (list) => sumPaise(list.map(row => row.amount));
+  const given = sum(rows.filter(row => row.direction === 'gave'));
+  const received = sum(rows.filter(row => row.direction === 'got'));
+  const disputed = rows.filter(row => row.disputed);
+  return {
+    rows,
+    totals: { given, received, net: given - received, disputed: sum(disputed) },
+    disputed
+  };
+}
+
+// --- EXPORTS ---
+export { buildStatement };
@@ -0,0 +1,69 @@
+// js/score-chart.js
+
+// The trust score over time, drawn straight onto a canvas: one point per
+// daily snapshot, on a fixed 0-1000 scale so a small wobble does not look
+// like a cliff. No chart library; this is all the chart there is.
+
+// --- IMPORTS ---
+import { MAX_SCORE } from './credit-score.js';
+
+const PADDING = { top: 10, right: 10, bottom: 22, left: 36 };
+const GRID_STEP = 250;
+
+// `snapshots` oldest first, as returned by getScoreHistory().
+function drawScoreTrend(canvas, snapshots) {
+  const context = canvas.getContext('2d');
+  const { width, height } = canvas;
+  const plotWidth = width - PADDING.left - PADDING.right;
+  const plotHeight = height - PADDING.top - PADDING.bottom;
+  const y = score => PADDING.top + plotHeight * (1 - score / MAX_SCORE);
+
+  context.clearRect(0, 0, width, height);
+  context.font = '10px sans-serif';
+  context.lineWidth = 1;
+
+  context.strokeStyle = '#eee';
+  context.fillStyle = '#999';
+  context.textAlign = 'right';
+  context.textBaseline = 'middle';
+  for (let score = 0; score <= MAX_SCORE; score += GRID_STEP) {
+    context.beginPath();
+    context.moveTo(PADDING.left, y(score));
+    context.lineTo(width - PADDING.right, y(score));
+    context.stroke();
+    context.fillText(String(score), PADDING.left - 4, y(score));
+  }
+  if (snapshots.length === 0) { return; }
+
+  // Spaced by date, not by index, so missing days show as longer segments.
+  const days = snapshots.map(snapshot => Date.parse(snapshot.day));
+  const first = days[0];
+  const span = Math.max(1, days[days.length - 1] - first);
+  const x = day => PADDING.left + (snapshots.length === 1 ? plotWidth / 2 : plotWidth * (day - first) / span);
+
+  context.strokeStyle = '#007bff';
+  context.lineWidth = 2;
+  context.beginPath();
+  snapshots.forEach((snapshot, i) => {
+    if (i === 0) { context.moveTo(x(days[i]), y(snapshot.score)); } else { context.lineTo(x(days[i]), y(snapshot.score)); }
+  });
+  context.stroke();
+  context.fillStyle = '#007bff';
+  snapshots.forEach((snapshot, i) => {
+    context.beginPath();
+    context.arc(x(days[i]), y(snapshot.score), 2.5, 0, 2 * Math.PI);
+    context.fill();
+  });
+
+  context.fillStyle = '#999';
+  context.textBaseline = 'top';
+  context.textAlign = 'left';
+  context.fillText(snapshots[0].day, PADDING.left, height - PADDING.bottom + 6);
+  if (snapshots.length > 1) {
+    context.textAlign = 'right';
+    context.fillText(snapshots[snapshots.length - 1].day, width - PADDING.right, height - PADDING.bottom + 6);
+  }
+}
+
+// --- EXPORTS ---
+export { drawScoreTrend };
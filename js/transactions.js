@@ -1,6 +1,120 @@
-// This is a placeholder for now. The logic to create the transaction form
-// and generate the smart link will be built here in the next phase.
-function generateTransactionLink(txnId, userReferralCode) {
-    const baseUrl = `${window.location.origin}/confirm.html`;
-    return `${baseUrl}?txn=${txnId}&ref=${userReferralCode}`;
-}
\ No newline at end of file
+// js/transactions.js
+
+// Recording a transaction: check what the user typed, sign and store it as a
+// pending request, and hand back the link the counterparty confirms it with.
+
+// --- IMPORTS ---
+import { log } from './logger.js';
+import { addContact, getContactsByOwner } from './db.js';
+import { createShakehandRequest, encodeShakehand, encodeReceipt } from './digital-shakehand.js';
+import { normalizePhone, samePhone } from './phone.js';
+import { contactPhones } from './contacts.js';
+import { parseMoney, formatMoney, toRupees } from './money.js';
+
+const MAX_NOTE_LENGTH = 200;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// "1,500.50" -> 1500.5, the rupee number signed payloads carry (see money.js).
+// Throws an Error whose message can be shown to the user.
+function parseAmount(text) {
+  return toRupees(parseMoney(text));
+}
+
+function parseDate(text, label) {
+  if (!ISO_DATE.test(text) || Number.isNaN(Date.parse(text))) { throw new Error(`Please pick a valid ${label}.`); }
+  return text;
+}
+
+function localToday() {
+  const now = new Date();
+  return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+}
+
+// Turns raw form values into the fields of a request, or throws with the
+// first problem found. Dates are calendar days (YYYY-MM-DD) in local time.
+function validateTransactionInput(user, { toPhone, toName, type, amount, note, date, dueDate }) {
+  if (type !== 'gave' && type !== 'got') { throw new Error('Choose whether you gave or got the money.'); }
+  const phone = normalizePhone(toPhone);
+  if (samePhone(phone, user.phone)) { throw new Error('You cannot record a transaction with yourself.'); }
+
+  const occurredOn = parseDate(date || localToday(), 'date');
+  if (occurredOn > localToday()) { throw new Error('The transaction date cannot be in the future.'); }
+  const due = dueDate ? parseDate(dueDate, 'due date') : null;
+  if (due && due < occurredOn) { throw new Error('The due date cannot be before the transaction date.'); }
+
+  const trimmedNote = String(note || '').trim();
+  if (trimmedNote.length > MAX_NOTE_LENGTH) { throw new Error(`Keep the note under ${MAX_NOTE_LENGTH} characters.`); }
+
+  return {
+    toPhone: phone,
+    toName: String(toName || '').trim() || null,
+    type,
+    amountPaise: parseMoney(amount),
+    note: trimmedNote,
+    occurredOn,
+    dueDate: due
+  };
+}
+
+// Validates, signs and stores the request as pending. Someone new is added to
+// the profile's contacts so they can be picked next time.
+async function recordTransaction(user, input) {
+  const fields = validateTransactionInput(user, input);
+  const record = await createShakehandRequest(user, fields);
+
+  const contacts = await getContactsByOwner(user.id);
+  if (!contacts.some(contact => contactPhones(contact).some(phone => samePhone(phone, fields.toPhone)))) {
+    try {
+      await addContact({ ownerId: user.id, name: fields.toName || fields.toPhone, phone: fields.toPhone });
+    } catch (error) {
+      log('WARN', 'transactions.js', 'CONTACT_AUTO_ADD_FAILED', { error: error.message });
+    }
+  }
+  log('INFO', 'transactions.js', 'TRANSACTION_RECORDED', { id: record.id, type: record.type, amountPaise: record.amountPaise });
+  return record;
+}
+
+// The link carries the whole signed request, so the counterparty's device can
+// rebuild the transaction without ever seeing the initiator's database.
+async function generateTransactionLink(record, userReferralCode) {
+  const baseUrl = `${window.location.origin}/confirm.html`;
+  const token = await encodeShakehand(record.request);
+  const params = new URLSearchParams({ tx: token });
+  if (userReferralCode) { params.set('ref', userReferralCode); }
+  return `${baseUrl}?${params.toString()}`;
+}
+
+// The receipt link goes back from the counterparty to the initiator.
+async function generateReceiptLink(record) {
+  const baseUrl = `${window.location.origin}/confirm.html`;
+  const token = await encodeReceipt(record.receipt);
+  return `${baseUrl}?${new URLSearchParams({ rc: token }).toString()}`;
+}
+
+// Opens the share sheet, or copies the message where there is none.
+// Resolves to 'shared', 'copied' or 'cancelled'.
+async function shareOrCopy(title, message, link) {
+  if (navigator.share) {
+    try {
+      await navigator.share({ title, text: message, url: link });
+      return 'shared';
+    } catch (error) {
+      if (error.name === 'AbortError') { return 'cancelled'; }
+      log('WARN', 'transactions.js', 'WEB_SHARE_API_FAILED', { error: error.message });
+    }
+  }
+  await navigator.clipboard.writeText(message);
+  return 'copied';
+}
+
+async function shareTransactionLink(record, userReferralCode) {
+  const link = await generateTransactionLink(record, userReferralCode);
+  const claim = record.type === 'gave' ? 'I gave you' : 'you gave me';
+  return shareOrCopy('Confirm Transaction', `Please confirm: ${claim} ${formatMoney(record.amountPaise)}${record.note ? ` (${record.note})` : ''}. Open this link to confirm: ${link}`, link);
+}
+
+// --- EXPORTS ---
+export {
+  localToday, parseAmount, validateTransactionInput, recordTransaction,
+  generateTransactionLink, generateReceiptLink, shareOrCopy, shareTransactionLink
+};
@@ -0,0 +1,67 @@
+// scripts/root-invite.mjs
+
+// Offline tool for the administrator who owns the bootstrap key. Run it with
+// Node 20+ (it uses the global Web Crypto API) on a machine you trust; the
+// private key never goes near the app. js/package.json marks the app's files
+// as ES modules so they can be imported from here.
+//
+//   node scripts/root-invite.mjs keygen admin-key.json
+//     Writes the private key to admin-key.json and prints the public key to
+//     paste into BOOTSTRAP_PUBLIC_KEY in js/invite.js.
+//
+//   node scripts/root-invite.mjs sign admin-key.json https://example.org phone [days] [note]
+//     Prints a root invite link for that one phone number, valid for `days`
+//     (default 7). The app burns an invite only on the device it is used on,
+//     so the phone binding is what keeps it to a single account.
+
+// --- IMPORTS ---
+import { readFile, writeFile } from 'node:fs/promises';
+import { utf8Encode, canonicalJSON, toBase64Url, randomId, packJSON } from '../js/encoding.js';
+import { normalizePhone } from '../js/phone.js';
+
+const KEY_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const SIGN_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+const DEFAULT_DAYS = 7;
+
+async function keygen(keyFile) {
+  const pair = await crypto.subtle.generateKey(KEY_ALGORITHM, true, ['sign', 'verify']);
+  const jwk = await crypto.subtle.exportKey('jwk', pair.privateKey);
+  await writeFile(keyFile, JSON.stringify(jwk, null, 2), { mode: 0o600 });
+  const publicKey = toBase64Url(await crypto.subtle.exportKey('raw', pair.publicKey));
+  console.log(`Private key written to ${keyFile}. Keep it offline.`);
+  console.log(`BOOTSTRAP_PUBLIC_KEY = '${publicKey}'`);
+}
+
+async function sign(keyFile, origin, phone, days = DEFAULT_DAYS, note = null) {
+  if (!origin) { throw new Error('Pass the site origin, e.g. https://example.org'); }
+  if (!phone) { throw new Error('Pass the phone number the invite is for.'); }
+  const jwk = JSON.parse(await readFile(keyFile, 'utf8'));
+  const privateKey = await crypto.subtle.importKey('jwk', jwk, KEY_ALGORITHM, false, ['sign']);
+
+  const now = Date.now();
+  const payload = {
+    v: 1,
+    kind: 'root',
+    id: randomId('INV'),
+    iat: new Date(now).toISOString(),
+    exp: new Date(now + Number(days) * 24 * 60 * 60 * 1000).toISOString(),
+    phone: normalizePhone(phone),
+    note: note || undefined
+  };
+  const signature = toBase64Url(await crypto.subtle.sign(SIGN_ALGORITHM, privateKey, utf8Encode(canonicalJSON(payload))));
+  const token = await packJSON([JSON.parse(JSON.stringify(payload)), signature]);
+
+  console.log(`Invite ${payload.id} expires ${payload.exp} and only works for ${payload.phone}.`);
+  console.log(`${origin.replace(/\/$/, '')}/onboarding.html?invite=${encodeURIComponent(token)}`);
+}
+
+const [command, ...args] = process.argv.slice(2);
+const commands = { keygen, sign };
+if (!commands[command] || !args[0]) {
+  console.error('Usage: root-invite.mjs keygen <key-file> | sign <key-file> <origin> <phone> [days] [note]');
+  process.exit(1);
+}
+commands[command](...args).catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -9,7 +9,7 @@ const urlsToCache = [
   '/login.html',
   '/js/app.js',
   '/js/auth.js',
-  '/js/database.js',
+  '/js/db.js',
   '/js/config.js',
   // ... add other files as needed
 ];
@@ -11,7 +11,7 @@ const STATIC_ASSETS = [
   '/Transparent-Transactions/login.html', 
   '/Transparent-Transactions/dashboard.html',
   '/Transparent-Transactions/styles.css',
-  '/Transparent-Transactions/js/database.js',
+  '/Transparent-Transactions/js/db.js',
   '/Transparent-Transactions/js/auth.js',
   '/Transparent-Transactions/js/app.js',
   '/Transparent-Transactions/manifest.json',
@@ -0,0 +1,152 @@
+// tests/backup.test.mjs
+
+// A backup must come back exactly as it went in, refuse anything it cannot
+// authenticate, bring older files up to the current layout, and only ever
+// carry or overwrite the open profile's records. The file format and the
+// restore plans are checked here; reading and writing IndexedDB is not.
+//
+//   node --test tests/
+
+// --- IMPORTS ---
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DB_VERSION } from '../js/db.js';
+import { profileStores, sealBackup, openBackup, planReplace, chooseProfile } from '../js/backup.js';
+import { createIdentity } from '../js/identity.js';
+
+// The logger keeps its entries in localStorage, which plain Node does not have.
+globalThis.localStorage ??= {
+  items: new Map(),
+  getItem(key) { return this.items.has(key) ? this.items.get(key) : null; },
+  setItem(key, value) { this.items.set(key, String(value)); }
+};
+
+const ME = '+919000000111';
+const BEE = '+919000000222';
+const SEA = '+919000000333';
+const PASSPHRASE = 'correct horse battery';
+
+const KEY_PATHS = {
+  users: 'id', contacts: 'id', transactions: 'id', creditTransfers: 'id', agreements: 'id', invites: 'id',
+  ledger: ['ownerPhone', 'seq'], ledgerHeads: 'ownerPhone', scoreSnapshots: ['phone', 'day'],
+  referrals: 'referredUser', commissions: 'id', payouts: 'id'
+};
+
+function txn(id, fromPhone, toPhone, amountPaise) {
+  return { id, fromPhone, toPhone, type: 'gave', amountPaise, status: 'confirmed' };
+}
+
+// Two profiles on one device, each with a contact, a ledger and their own
+// transactions, plus one transaction between them.
+function device() {
+  return {
+    users: [{ id: 1, phone: ME, name: 'Me', pinHash: 'me-pin' }, { id: 2, phone: BEE, name: 'Bee', pinHash: 'bee-pin' }],
+    contacts: [{ id: 1, ownerId: 1, phone: SEA, name: 'Sea' }, { id: 2, ownerId: 2, phone: SEA, name: 'Sea for Bee' }],
+    transactions: [txn('TX-ME-SEA', ME, SEA, 1000), txn('TX-ME-BEE', ME, BEE, 2000), txn('TX-BEE-SEA', BEE, SEA, 3000)],
+    creditTransfers: [],
+    agreements: [],
+    ledger: [{ ownerPhone: ME, seq: 1, txnId: 'TX-ME-SEA' }, { ownerPhone: BEE, seq: 1, txnId: 'TX-BEE-SEA' }],
+    ledgerHeads: [{ ownerPhone: ME, seq: 1 }, { ownerPhone: BEE, seq: 1 }],
+    scoreSnapshots: [{ phone: ME, day: '2024-06-30', score: 700 }, { phone: BEE, day: '2024-06-30', score: 650 }],
+    referrals: [{ referredUser: BEE, referrerCode: 'ME-CODE' }],
+    commissions: [{ id: 'CM-1', recipient: 'ME-CODE', amountPaise: 500 }],
+    payouts: [],
+    invites: [{ id: 'INV-1' }]
+  };
+}
+
+function contentOf(stores, dbVersion = DB_VERSION) {
+  return { dbVersion, exportedAt: '2024-07-01T00:00:00.000Z', stores, referral: { personalReferralCode: 'ME-CODE' } };
+}
+
+test('a sealed backup opens with its passphrase and nothing else', async () => {
+  const content = contentOf(profileStores(device(), { id: 1, phone: ME, referralCode: 'ME-CODE' }));
+  const text = await sealBackup(content, PASSPHRASE);
+  assert.doesNotMatch(text, /me-pin|TX-ME-SEA/);
+  assert.deepEqual(await openBackup(text, PASSPHRASE), content);
+
+  await assert.rejects(openBackup(text, 'wrong horse battery'), /Wrong passphrase, or the backup file has been changed/);
+
+  const file = JSON.parse(text);
+  const flipped = { ...file, data: (file.data[0] === 'A' ? 'B' : 'A') + file.data.slice(1) };
+  await assert.rejects(openBackup(JSON.stringify(flipped), PASSPHRASE), /Wrong passphrase, or the backup file has been changed/);
+  const redated = { ...file, createdAt: '2030-01-01T00:00:00.000Z' };
+  await assert.rejects(openBackup(JSON.stringify(redated), PASSPHRASE), /Wrong passphrase, or the backup file has been changed/);
+
+  await assert.rejects(openBackup('not json', PASSPHRASE), /not a Transparent Transactions backup file/);
+  await assert.rejects(openBackup(JSON.stringify({ ...file, version: 99 }), PASSPHRASE), /newer version of the app/);
+  await assert.rejects(sealBackup(content, 'short'), /at least 8 characters/);
+});
+
+test('a backup from a newer schema or without a profile is refused', async () => {
+  const stores = { users: [{ id: 1, phone: ME }] };
+  await assert.rejects(openBackup(await sealBackup(contentOf(stores, DB_VERSION + 1), PASSPHRASE), PASSPHRASE), /newer version of the app/);
+  await assert.rejects(openBackup(await sealBackup(contentOf({ users: [] }), PASSPHRASE), PASSPHRASE), /damaged/);
+});
+
+test('older backups are brought up to paise, ledger heads and referral stores', async () => {
+  const old = contentOf({
+    users: [{ id: 1, phone: ME }],
+    transactions: [{ id: 'TX-1', fromPhone: ME, toPhone: BEE, amount: 120.5 }],
+    commissions: [{ id: 'CM-1', recipient: 'ME-CODE', amount: 12.5 }],
+    agreements: [{ id: 'AG-1', parties: [ME, BEE], obligations: [{ amount: 100, paid: 40 }] }],
+    ledger: [{ ownerPhone: ME, seq: 1, hash: 'h1' }, { ownerPhone: ME, seq: 2, hash: 'h2' }]
+  }, 10);
+  old.referral.referralChain = JSON.stringify({ 'ME-CODE': [{ referredUser: BEE }] });
+  old.referral.pendingCommissions = JSON.stringify([{ id: 'CM-2', recipient: 'ME-CODE', amount: 3 }]);
+
+  const { stores, referral } = await openBackup(await sealBackup(old, PASSPHRASE), PASSPHRASE);
+  assert.deepEqual(stores.transactions, [{ id: 'TX-1', fromPhone: ME, toPhone: BEE, amountPaise: 12050 }]);
+  assert.deepEqual(stores.agreements[0].obligations, [{ amountPaise: 10000, paidPaise: 4000 }]);
+  assert.deepEqual(stores.ledgerHeads, [{ ownerPhone: ME, seq: 2, hash: 'h2', signature: null }]);
+  assert.deepEqual(stores.referrals, [{ referredUser: BEE, referrerCode: 'ME-CODE' }]);
+  assert.deepEqual(stores.commissions, [{ id: 'CM-2', recipient: 'ME-CODE', amountPaise: 300 }]);
+  assert.deepEqual(referral, { personalReferralCode: 'ME-CODE' });
+});
+
+test('a backup only holds the records of the profile it was made for', () => {
+  const stores = profileStores(device(), { id: 1, phone: ME, referralCode: 'ME-CODE' });
+  assert.deepEqual(stores.users.map(user => user.phone), [ME]);
+  assert.deepEqual(stores.contacts.map(contact => contact.name), ['Sea']);
+  assert.deepEqual(stores.transactions.map(record => record.id), ['TX-ME-SEA', 'TX-ME-BEE']);
+  assert.deepEqual(stores.ledger.map(entry => entry.ownerPhone), [ME]);
+  assert.deepEqual(stores.scoreSnapshots.map(snapshot => snapshot.phone), [ME]);
+  assert.equal(stores.referrals.length, 1);
+  assert.equal(stores.commissions.length, 1);
+  assert.equal('reports' in stores, false);
+});
+
+test('replace swaps only the open profile\'s records and keeps what it shares', async () => {
+  const local = device();
+  local.users[0].keys = await createIdentity();
+  local.users[0].passkey = { id: 'this-device' };
+  const backup = profileStores(device(), { id: 1, phone: ME, referralCode: 'ME-CODE' });
+  backup.users = [{ id: 7, phone: ME, name: 'Me, restored', pinHash: 'old-pin' }];
+  backup.transactions = [txn('TX-ME-BEE', ME, BEE, 9999), txn('TX-OLD', ME, SEA, 4000)];
+  backup.contacts = [{ id: 3, ownerId: 7, phone: SEA, name: 'Sea, restored' }];
+
+  const { plan, remove, userIds } = await planReplace(contentOf(backup), local, KEY_PATHS);
+  assert.deepEqual(plan.users.map(user => [user.id, user.name, user.pinHash]), [[1, 'Me, restored', 'old-pin']]);
+  assert.equal(plan.users[0].keys.publicKey, local.users[0].keys.publicKey);
+  assert.deepEqual(plan.users[0].passkey, { id: 'this-device' });
+  assert.deepEqual(userIds, new Map([[7, 1]]));
+
+  // The transaction with Bee is Bee's too, so this device's copy stays.
+  assert.deepEqual(plan.transactions.map(record => record.id), ['TX-OLD']);
+  assert.deepEqual(remove.transactions, ['TX-ME-SEA']);
+  assert.deepEqual(plan.contacts, [{ id: 3, ownerId: 1, phone: SEA, name: 'Sea, restored' }]);
+  assert.deepEqual(remove.contacts, [1]);
+  assert.deepEqual(remove.ledger, [[ME, 1]]);
+  assert.deepEqual(remove.ledgerHeads, [ME]);
+  assert.deepEqual(remove.scoreSnapshots, [[ME, '2024-06-30']]);
+});
+
+test('a backup of another profile on this device is not restored into the open one', () => {
+  const local = device();
+  const backup = contentOf(profileStores(device(), { id: 2, phone: BEE }));
+  assert.throws(() => chooseProfile(backup, local.users[0], local), /This backup is for \+91 90000 00222, which has its own profile on this device/);
+
+  const chosen = chooseProfile(contentOf(device()), local.users[1], local);
+  assert.deepEqual(chosen.stores.users.map(user => user.phone), [BEE]);
+  assert.deepEqual(chosen.stores.transactions.map(record => record.id), ['TX-ME-BEE', 'TX-BEE-SEA']);
+});
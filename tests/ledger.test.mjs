@@ -0,0 +1,163 @@
+// tests/ledger.test.mjs
+
+// The ledger is what makes edited history show up. These build real signed
+// transactions and chains in memory and hand them to checkChain(), the part
+// of verifyLedger() that does not read IndexedDB.
+//
+//   node --test tests/
+
+// --- IMPORTS ---
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chainEntry, checkChain } from '../js/ledger.js';
+import { createIdentity, signObject } from '../js/identity.js';
+import { hashRequest } from '../js/digital-shakehand.js';
+
+// The logger keeps its entries in localStorage, which plain Node does not have.
+globalThis.localStorage ??= {
+  items: new Map(),
+  getItem(key) { return this.items.has(key) ? this.items.get(key) : null; },
+  setItem(key, value) { this.items.set(key, String(value)); }
+};
+
+const ME = '+919000000111';
+const BEE = '+919000000222';
+
+async function profile(phone, name) {
+  return { id: 1, phone, name, keys: await createIdentity() };
+}
+
+// A request from `from`, confirmed by `to`'s receipt, as both devices store it.
+async function confirmedTransaction(from, to, id, amount) {
+  const payload = {
+    v: 1, id, from: { name: from.name, phone: from.phone, key: from.keys.publicKey },
+    to: { name: to.name, phone: to.phone }, type: 'gave', amount, note: '', ts: '2024-06-01T10:00:00.000Z', nonce: id
+  };
+  const request = { payload, signature: await signObject(from, payload) };
+  const receiptPayload = {
+    v: 1, id, req: await hashRequest(request), decision: 'confirmed', ts: '2024-06-02T10:00:00.000Z',
+    by: { name: to.name, phone: to.phone, key: to.keys.publicKey }
+  };
+  return {
+    id, fromPhone: from.phone, toPhone: to.phone, type: 'gave', amountPaise: Math.round(amount * 100), note: '',
+    date: payload.ts, occurredOn: null, dueDate: null, status: 'confirmed', decidedAt: receiptPayload.ts,
+    request, receipt: { payload: receiptPayload, signature: await signObject(to, receiptPayload) }
+  };
+}
+
+// Chains `transactions` for `user` the way appendToLedger() does, entry by entry.
+async function ledgerOf(user, transactions) {
+  const chain = [];
+  let head = null;
+  for (const record of transactions) {
+    const next = await chainEntry(user, chain[chain.length - 1], record);
+    chain.push(next.entry);
+    head = next.head;
+  }
+  return {
+    chain, head, transactions, records: chain.map(entry => transactions.find(record => record.id === entry.txnId)),
+    ownKeys: new Set([user.keys.publicKey])
+  };
+}
+
+test('an untouched chain checks out, and so does an empty one', async () => {
+  const me = await profile(ME, 'Me');
+  const bee = await profile(BEE, 'Bee');
+  const ledger = await ledgerOf(me, [
+    await confirmedTransaction(me, bee, 'TX-1', 500),
+    await confirmedTransaction(bee, me, 'TX-2', 120.5)
+  ]);
+  assert.equal(ledger.chain[1].prevHash, ledger.chain[0].hash);
+  assert.equal(ledger.head.seq, 2);
+  assert.equal(await checkChain(ledger), null);
+  assert.equal(await checkChain({ chain: [], head: null, ownKeys: ledger.ownKeys, records: [], transactions: [] }), null);
+});
+
+test('editing an entry or the transaction behind it breaks the chain there', async () => {
+  const me = await profile(ME, 'Me');
+  const bee = await profile(BEE, 'Bee');
+  const build = async () => ledgerOf(me, [
+    await confirmedTransaction(me, bee, 'TX-1', 500),
+    await confirmedTransaction(me, bee, 'TX-2', 700)
+  ]);
+
+  const entryEdited = await build();
+  entryEdited.chain[0].at = '2020-01-01T00:00:00.000Z';
+  assert.deepEqual(await checkChain(entryEdited), { seq: 1, txnId: 'TX-1', reason: 'entry has been modified' });
+
+  const amountEdited = await build();
+  amountEdited.records[1].amountPaise = 7;
+  assert.deepEqual(await checkChain(amountEdited), { seq: 2, txnId: 'TX-2', reason: 'transaction details differ from the signed request' });
+
+  const resigned = await build();
+  const forger = await profile(BEE, 'Bee');
+  resigned.records[1].receipt = (await confirmedTransaction(me, forger, 'TX-2', 700)).receipt;
+  assert.equal((await checkChain(resigned)).reason, 'transaction signatures have been replaced');
+
+  const deleted = await build();
+  deleted.records[0] = undefined;
+  assert.equal((await checkChain(deleted)).reason, 'transaction has been deleted');
+});
+
+test('entries must be signed by one of the profile\'s own keys', async () => {
+  const me = await profile(ME, 'Me');
+  const bee = await profile(BEE, 'Bee');
+  const ledger = await ledgerOf(me, [await confirmedTransaction(me, bee, 'TX-1', 500)]);
+  ledger.ownKeys = new Set([bee.keys.publicKey]);
+  assert.equal((await checkChain(ledger)).reason, 'entry signature is invalid');
+});
+
+test('removing entries is caught by the links or by the signed head', async () => {
+  const me = await profile(ME, 'Me');
+  const bee = await profile(BEE, 'Bee');
+  const build = async () => ledgerOf(me, [
+    await confirmedTransaction(me, bee, 'TX-1', 500),
+    await confirmedTransaction(me, bee, 'TX-2', 700),
+    await confirmedTransaction(me, bee, 'TX-3', 900)
+  ]);
+
+  const middle = await build();
+  middle.chain.splice(1, 1);
+  middle.records.splice(1, 1);
+  assert.deepEqual(await checkChain(middle), { seq: 2, txnId: 'TX-3', reason: 'entry 2 is missing' });
+
+  const tail = await build();
+  tail.chain.pop();
+  tail.records.pop();
+  tail.transactions.pop();
+  assert.deepEqual(await checkChain(tail), { seq: 3, txnId: null, reason: 'entry 3 is missing' });
+});
+
+test('a head that is missing or not signed by the profile is refused', async () => {
+  const me = await profile(ME, 'Me');
+  const bee = await profile(BEE, 'Bee');
+  const build = async () => ledgerOf(me, [
+    await confirmedTransaction(me, bee, 'TX-1', 500),
+    await confirmedTransaction(me, bee, 'TX-2', 700)
+  ]);
+
+  const headless = await build();
+  headless.head = null;
+  assert.equal((await checkChain(headless)).reason, 'ledger head is missing');
+
+  // Cutting the tail and rewriting the head to match needs the profile's key.
+  const forged = await build();
+  forged.chain.pop();
+  forged.records.pop();
+  forged.transactions.pop();
+  forged.head = { ...forged.head, seq: 1, hash: forged.chain[0].hash };
+  assert.equal((await checkChain(forged)).reason, 'ledger head signature is invalid');
+
+  const behind = await build();
+  behind.head = (await chainEntry(me, null, behind.records[0])).head;
+  assert.equal((await checkChain(behind)).reason, 'chain does not end at the signed head');
+});
+
+test('a confirmed transaction that never made it into the chain is reported', async () => {
+  const me = await profile(ME, 'Me');
+  const bee = await profile(BEE, 'Bee');
+  const ledger = await ledgerOf(me, [await confirmedTransaction(me, bee, 'TX-1', 500)]);
+  ledger.transactions.push(await confirmedTransaction(bee, me, 'TX-9', 250));
+  ledger.transactions.push({ ...await confirmedTransaction(me, bee, 'TX-10', 50), status: 'pending', receipt: undefined });
+  assert.deepEqual(await checkChain(ledger), { seq: null, txnId: 'TX-9', reason: 'confirmed transaction is not in the ledger' });
+});
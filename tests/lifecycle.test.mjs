@@ -0,0 +1,100 @@
+// tests/lifecycle.test.mjs
+
+// Every status change goes through the lifecycle module, so the allowed moves,
+// the history they leave behind and the 30-day expiry are what keep the two
+// devices' copies of a transaction in step.
+//
+//   node --test tests/
+
+// --- IMPORTS ---
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  STATES, IllegalTransitionError, canTransition, transition, expiresAt,
+  expireIfStale, effectiveStatus, hasBeenConfirmed
+} from '../js/lifecycle.js';
+
+const ME = '+919000000111';
+const SENT = '2024-06-01T10:00:00.000Z';
+const DAY = 24 * 60 * 60 * 1000;
+
+function pending() {
+  return { id: 'tx-1', status: STATES.PENDING, date: SENT };
+}
+
+test('only the documented moves are allowed', () => {
+  assert.equal(canTransition('draft', 'pending'), true);
+  assert.equal(canTransition('pending', 'confirmed'), true);
+  assert.equal(canTransition('pending', 'amending'), true);
+  assert.equal(canTransition('amending', 'pending'), true);
+  assert.equal(canTransition('confirmed', 'disputed'), true);
+  assert.equal(canTransition('disputed', 'confirmed'), true);
+  assert.equal(canTransition('confirmed', 'pending'), false);
+  assert.equal(canTransition('denied', 'confirmed'), false);
+  assert.equal(canTransition('expired', 'confirmed'), false);
+  assert.equal(canTransition('nonsense', 'pending'), false);
+});
+
+test('a transition records who moved it, when and why', () => {
+  const record = transition(pending(), STATES.CONFIRMED, { by: ME, at: '2024-06-02T09:00:00.000Z' });
+  assert.equal(record.status, 'confirmed');
+  assert.deepEqual(record.history, [{ from: 'pending', to: 'confirmed', at: '2024-06-02T09:00:00.000Z', by: ME }]);
+
+  transition(record, STATES.DISPUTED, { by: ME, at: '2024-06-03T09:00:00.000Z', reason: 'Wrong amount' });
+  assert.equal(record.history.length, 2);
+  assert.equal(record.history[1].reason, 'Wrong amount');
+});
+
+test('moving to the state a record is already in changes nothing', () => {
+  const record = transition(pending(), STATES.CONFIRMED, { by: ME });
+  transition(record, STATES.CONFIRMED, { by: ME });
+  assert.equal(record.history.length, 1);
+});
+
+test('illegal moves, unknown states and missing actors are refused', () => {
+  const denied = transition(pending(), STATES.DENIED, { by: ME });
+  assert.throws(() => transition(denied, STATES.CONFIRMED, { by: ME }), error => {
+    assert.ok(error instanceof IllegalTransitionError);
+    assert.equal(error.from, 'denied');
+    assert.equal(error.to, 'confirmed');
+    assert.match(error.message, /has already been denied and can no longer be confirmed/);
+    return true;
+  });
+  assert.throws(() => transition(pending(), 'approved', { by: ME }), /Unknown transaction state/);
+  assert.throws(() => transition(pending(), STATES.CONFIRMED, {}), /needs an actor/);
+  assert.equal(denied.status, 'denied');
+});
+
+test('a request nobody answers expires after 30 days', () => {
+  const record = pending();
+  assert.equal(expiresAt(record), '2024-07-01T10:00:00.000Z');
+
+  const before = Date.parse(SENT) + 29 * DAY;
+  const after = Date.parse(SENT) + 30 * DAY;
+  assert.equal(effectiveStatus(record, before), 'pending');
+  assert.equal(effectiveStatus(record, after), 'expired');
+  assert.equal(record.status, 'pending');
+
+  assert.equal(expireIfStale(record, before), false);
+  assert.equal(expireIfStale(record, after), true);
+  assert.equal(record.status, 'expired');
+  assert.equal(record.history[0].by, 'system');
+  assert.equal(expireIfStale(record, after), false);
+});
+
+test('answered requests never expire', () => {
+  const record = transition(pending(), STATES.CONFIRMED, { by: ME });
+  assert.equal(effectiveStatus(record, Date.parse(SENT) + 90 * DAY), 'confirmed');
+  assert.equal(expireIfStale(record, Date.parse(SENT) + 90 * DAY), false);
+});
+
+test('hasBeenConfirmed needs a confirming receipt or transfer approvals', () => {
+  const receipt = decision => ({ payload: { decision } });
+  assert.equal(hasBeenConfirmed({ status: 'confirmed', receipt: receipt('confirmed') }), true);
+  assert.equal(hasBeenConfirmed({ status: 'disputed', receipt: receipt('confirmed') }), true);
+  assert.equal(hasBeenConfirmed({ status: 'confirmed' }), false);
+  assert.equal(hasBeenConfirmed({ status: 'confirmed', receipt: receipt('denied') }), false);
+  assert.equal(hasBeenConfirmed({ status: 'pending', receipt: receipt('confirmed') }), false);
+  assert.equal(hasBeenConfirmed({ status: 'confirmed', transferId: 'ct-1', approvals: [{}] }), true);
+  assert.equal(hasBeenConfirmed({ status: 'confirmed', transferId: 'ct-1', approvals: [] }), false);
+});
@@ -0,0 +1,85 @@
+// tests/money.test.mjs
+
+// Amounts are integer paise everywhere except signed payloads, which carry
+// rupees. These check that typed input, payload rupees and splits all land on
+// exact paise, and that nothing above the recordable maximum gets through.
+//
+//   node --test tests/
+
+// --- IMPORTS ---
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MAX_PAISE, isRecordableRupees, toPaise, toRupees, parseMoney, formatMoney, sumPaise, allocate
+} from '../js/money.js';
+
+test('parseMoney reads the ways people type an amount', () => {
+  assert.equal(parseMoney('500'), 50000);
+  assert.equal(parseMoney('499.5'), 49950);
+  assert.equal(parseMoney('₹1,23,456.50'), 12345650);
+  assert.equal(parseMoney('Rs. 1,000'), 100000);
+  assert.equal(parseMoney('INR 123,456'), 12345600);
+  assert.equal(parseMoney(' 0.01 '), 1);
+});
+
+test('parseMoney refuses anything that is not one positive amount', () => {
+  ['', '-500', '1e3', '12.345', '5,00', '500 rupees', '1,2,3'].forEach(text => {
+    assert.throws(() => parseMoney(text), /Enter the amount in rupees/, text);
+  });
+  assert.throws(() => parseMoney('0.00'), /greater than zero/);
+  assert.throws(() => parseMoney('10000000.01'), /Amounts above ₹1,00,00,000 cannot be recorded/);
+  assert.throws(() => parseMoney('99999999999999999999'), /cannot be recorded/);
+  assert.equal(parseMoney('1,00,00,000'), MAX_PAISE);
+});
+
+test('rupees and paise convert without float drift', () => {
+  assert.equal(toPaise(1.6) + toPaise(0.8), toPaise(2.4));
+  assert.equal(toPaise(19.99), 1999);
+  assert.equal(toRupees(1999), 19.99);
+  assert.throws(() => toPaise(1.005), /not an amount in rupees and paise/);
+  assert.throws(() => toPaise('10'), /not an amount in rupees and paise/);
+  assert.throws(() => toRupees(10.5), /not a whole number of paise/);
+});
+
+test('only positive amounts up to the maximum are recordable', () => {
+  assert.equal(isRecordableRupees(0.01), true);
+  assert.equal(isRecordableRupees(MAX_PAISE / 100), true);
+  assert.equal(isRecordableRupees(MAX_PAISE / 100 + 1), false);
+  assert.equal(isRecordableRupees(1e21), false);
+  assert.equal(isRecordableRupees(0), false);
+  assert.equal(isRecordableRupees(-5), false);
+  assert.equal(isRecordableRupees(NaN), false);
+  assert.equal(isRecordableRupees('500'), false);
+});
+
+test('formatMoney uses Indian grouping and an optional sign', () => {
+  assert.equal(formatMoney(12345600), '₹1,23,456.00');
+  assert.equal(formatMoney(99), '₹0.99');
+  assert.equal(formatMoney(MAX_PAISE, { decimals: false }), '₹1,00,00,000');
+  assert.equal(formatMoney(12345, { decimals: false }), '₹123.45');
+  assert.equal(formatMoney(50000, { sign: true }), '+₹500.00');
+  assert.equal(formatMoney(-50000, { sign: true }), '-₹500.00');
+  assert.equal(formatMoney(0, { sign: true }), '₹0.00');
+  assert.throws(() => formatMoney(1.5), /not a whole number of paise/);
+});
+
+test('sumPaise adds whole paise and refuses anything else', () => {
+  assert.equal(sumPaise([160, 80, -40]), 200);
+  assert.equal(sumPaise([]), 0);
+  assert.throws(() => sumPaise([100, 0.5]), /not a whole number of paise/);
+});
+
+test('allocate always adds back up to the total', () => {
+  assert.deepEqual(allocate(100, 3), [34, 33, 33]);
+  assert.deepEqual(allocate(1000, [1, 1, 2]), [250, 250, 500]);
+  assert.deepEqual(allocate(1, [0, 1]), [0, 1]);
+  [[9999, 7], [1, 3], [123457, [3, 1, 1]], [MAX_PAISE, 9]].forEach(([total, shares]) => {
+    const parts = allocate(total, shares);
+    assert.equal(sumPaise(parts), total);
+    assert.ok(parts.every(part => part >= 0));
+  });
+  assert.throws(() => allocate(100, []), /at least one part/);
+  assert.throws(() => allocate(100, [1, -1]), /no negative shares/);
+  assert.throws(() => allocate(100, [0, 0]), /at least one share above zero/);
+  assert.throws(() => allocate(-1, 2), /that can be split/);
+});
@@ -0,0 +1,47 @@
+// tests/phone.test.mjs
+
+// Every number is stored and looked up in E.164, so the ways people type the
+// same Indian mobile number must all land on one canonical form, and anything
+// that is not a phone number must be refused with a message the form can show.
+//
+//   node --test tests/
+
+// --- IMPORTS ---
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizePhone, normalizePhoneOrNull, isValidPhone, samePhone, formatPhone } from '../js/phone.js';
+
+test('the usual ways of typing an Indian mobile number are the same number', () => {
+  const typed = ['9845012345', '09845012345', '919845012345', '+919845012345', '+91 98450 12345', '0091-98450-12345', '(+91) 98450.12345'];
+  typed.forEach(input => assert.equal(normalizePhone(input), '+919845012345', input));
+});
+
+test('other countries keep their own code', () => {
+  assert.equal(normalizePhone('+14155550123'), '+14155550123');
+  assert.equal(normalizePhone('0044 20 7946 0958'), '+442079460958');
+});
+
+test('numbers that are not phone numbers are refused', () => {
+  assert.throws(() => normalizePhone(null), /Please enter a phone number/);
+  assert.throws(() => normalizePhone('98450abcde'), /only contain digits/);
+  assert.throws(() => normalizePhone('12345'), /10-digit mobile number/);
+  assert.throws(() => normalizePhone('5845012345'), /start with 6, 7, 8 or 9/);
+  assert.throws(() => normalizePhone('+91984501234'), /does not look like a valid phone number/);
+  assert.throws(() => normalizePhone('+1234567'), /does not look like a valid phone number/);
+  assert.equal(normalizePhoneOrNull('not a number'), null);
+  assert.equal(isValidPhone('9845012345'), true);
+  assert.equal(isValidPhone(''), false);
+});
+
+test('samePhone compares canonical forms and never matches an invalid number', () => {
+  assert.equal(samePhone('09845012345', '+91 98450 12345'), true);
+  assert.equal(samePhone('9845012345', '9845012346'), false);
+  assert.equal(samePhone('junk', 'junk'), false);
+});
+
+test('formatPhone groups Indian numbers and leaves the rest as stored', () => {
+  assert.equal(formatPhone('9845012345'), '+91 98450 12345');
+  assert.equal(formatPhone('+14155550123'), '+14155550123');
+  assert.equal(formatPhone('not a number'), 'not a number');
+  assert.equal(formatPhone(null), '');
+});
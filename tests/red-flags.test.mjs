@@ -0,0 +1,99 @@
+// tests/red-flags.test.mjs
+
+// Each red flag check on a ledger built to trip it, and on the nearest ledger
+// that should not. The checks are pure, so nothing touches IndexedDB.
+//
+//   node --test tests/
+
+// --- IMPORTS ---
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FLAG_TYPES, RULES, findRedFlags } from '../js/red-flags.js';
+
+const ME = '+919000000111';
+const BEE = '+919000000222';
+const SEA = '+919000000333';
+const AS_OF = '2024-06-30';
+
+function confirmed(id, fromPhone, toPhone, amountPaise, occurredOn, extra = {}) {
+  return {
+    id, fromPhone, toPhone, type: 'gave', amountPaise, occurredOn, date: `${occurredOn}T10:00:00.000Z`,
+    status: 'confirmed', receipt: { payload: { decision: 'confirmed' } }, ...extra
+  };
+}
+
+// Flags of one type for ME, with `records` being all there is on the device.
+function flagsOf(type, records, devicePhones = [ME], deviceRecords = records) {
+  const mine = records.filter(record => record.fromPhone === ME || record.toPhone === ME);
+  return findRedFlags(ME, { records: mine, deviceRecords, devicePhones: new Set(devicePhones) }, AS_OF)
+    .filter(flag => flag.type === type);
+}
+
+test('transactions with another profile on this phone are self-dealing', () => {
+  const records = [confirmed('TX1', ME, BEE, 50000, '2024-06-01'), confirmed('TX2', BEE, ME, 20000, '2024-06-10')];
+  const [flag] = flagsOf(FLAG_TYPES.SELF_DEALING, records, [ME, BEE]);
+  assert.deepEqual(flag.evidence, { phones: [BEE], txnIds: ['TX1', 'TX2'] });
+  assert.equal(flag.penalty, RULES.selfDealing.penalty + 2 * RULES.selfDealing.penaltyPerTransaction);
+  assert.deepEqual(flagsOf(FLAG_TYPES.SELF_DEALING, records), []);
+});
+
+test('money that goes round three people and comes back is a circular flow', () => {
+  const records = [
+    confirmed('TX1', ME, BEE, 100000, '2024-06-01'),
+    confirmed('TX2', BEE, SEA, 95000, '2024-06-02'),
+    confirmed('TX3', SEA, ME, 98000, '2024-06-03')
+  ];
+  const [flag] = flagsOf(FLAG_TYPES.CIRCULAR_FLOW, records);
+  assert.deepEqual(flag.evidence, { phones: [ME, BEE, SEA], txnIds: ['TX1', 'TX2', 'TX3'] });
+
+  const spread = [...records.slice(0, 2), confirmed('TX3', SEA, ME, 50000, '2024-06-03')];
+  assert.deepEqual(flagsOf(FLAG_TYPES.CIRCULAR_FLOW, spread), []);
+  const slow = [...records.slice(0, 2), confirmed('TX3', SEA, ME, 98000, '2024-07-15')];
+  assert.deepEqual(flagsOf(FLAG_TYPES.CIRCULAR_FLOW, slow), []);
+});
+
+test('five confirmations within ten minutes are a burst', () => {
+  const at = minute => ({ decidedAt: `2024-06-01T10:${String(minute).padStart(2, '0')}:00.000Z` });
+  const records = [0, 2, 4, 6, 8].map(minute => confirmed(`TX${minute}`, ME, minute % 4 ? BEE : SEA, 10000 + minute, '2024-06-01', at(minute)));
+  const [flag] = flagsOf(FLAG_TYPES.BURST, records);
+  assert.equal(flag.evidence.txnIds.length, 5);
+  assert.equal(flag.evidence.from, '2024-06-01T10:00:00.000Z');
+
+  records[4] = { ...records[4], ...at(11) };
+  assert.deepEqual(flagsOf(FLAG_TYPES.BURST, records), []);
+});
+
+test('an amount sent and sent straight back is a round trip, unless it was a loan', () => {
+  const records = [confirmed('TX1', ME, BEE, 50000, '2024-06-01'), confirmed('TX2', BEE, ME, 49000, '2024-06-02')];
+  const [flag] = flagsOf(FLAG_TYPES.ROUND_TRIP, records);
+  assert.deepEqual(flag.evidence, { phones: [BEE], txnIds: ['TX1', 'TX2'] });
+
+  const loan = [{ ...records[0], dueDate: '2024-06-15' }, records[1]];
+  assert.deepEqual(flagsOf(FLAG_TYPES.ROUND_TRIP, loan), []);
+  const later = [records[0], confirmed('TX2', BEE, ME, 49000, '2024-06-10')];
+  assert.deepEqual(flagsOf(FLAG_TYPES.ROUND_TRIP, later), []);
+});
+
+test('a ledger with only one person in it is flagged from five transactions', () => {
+  const records = [1, 2, 3, 4, 5].map(n => confirmed(`TX${n}`, ME, BEE, 10000 * n, `2024-0${n}-01`));
+  assert.equal(flagsOf(FLAG_TYPES.SINGLE_COUNTERPARTY, records.slice(0, 4)).length, 0);
+  const [flag] = flagsOf(FLAG_TYPES.SINGLE_COUNTERPARTY, records);
+  assert.equal(flag.summary, 'All 5 transactions are with the same person');
+  assert.deepEqual(flagsOf(FLAG_TYPES.SINGLE_COUNTERPARTY, [...records, confirmed('TX6', ME, SEA, 10000, '2024-06-01')]), []);
+});
+
+test('a profile on this phone that only ever deals with you is flagged', () => {
+  const records = [confirmed('TX1', BEE, ME, 10000, '2024-06-01'), confirmed('TX2', ME, SEA, 20000, '2024-06-05')];
+  const [flag] = flagsOf(FLAG_TYPES.SINGLE_COUNTERPARTY, records, [ME, BEE]);
+  assert.deepEqual(flag.evidence, { phones: [BEE], txnIds: ['TX1'] });
+
+  const elsewhere = [...records, confirmed('TX3', BEE, SEA, 30000, '2024-06-07')];
+  assert.deepEqual(flagsOf(FLAG_TYPES.SINGLE_COUNTERPARTY, elsewhere, [ME, BEE]), []);
+});
+
+test('only confirmed records up to the day asked about are checked', () => {
+  const records = [confirmed('TX1', ME, BEE, 50000, '2024-06-29'), confirmed('TX2', BEE, ME, 49000, '2024-06-30')];
+  assert.equal(flagsOf(FLAG_TYPES.ROUND_TRIP, records).length, 1);
+  assert.deepEqual(flagsOf(FLAG_TYPES.ROUND_TRIP, [records[0], { ...records[1], status: 'pending', receipt: undefined }]), []);
+  assert.deepEqual(flagsOf(FLAG_TYPES.ROUND_TRIP, [records[0], { ...records[1], occurredOn: '2024-07-01' }]), []);
+});
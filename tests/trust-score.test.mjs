@@ -0,0 +1,124 @@
+// tests/trust-score.test.mjs
+
+// The trust score and the red flag checks must read the same ledger: credit
+// transfer legs are left out of both. Each score factor is also checked on a
+// ledger built to move it. Both engines are pure, so the records are built
+// here and nothing touches IndexedDB.
+//
+//   node --test tests/
+
+// --- IMPORTS ---
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scoreLedger } from '../js/credit-score.js';
+import { findRedFlags } from '../js/red-flags.js';
+
+const ME = '+919000000111';
+const BEE = '+919000000222';
+const SEA = '+919000000333';
+const AS_OF = '2024-06-30';
+
+function confirmed(id, fromPhone, toPhone, amountPaise, occurredOn) {
+  return {
+    id, fromPhone, toPhone, type: 'gave', amountPaise, occurredOn, date: `${occurredOn}T10:00:00.000Z`,
+    status: 'confirmed', receipt: { payload: { decision: 'confirmed' } }
+  };
+}
+
+// One settled three-way transfer: every leg is confirmed through the approvals.
+function transferLegs(id, occurredOn) {
+  const leg = (n, fromPhone, toPhone) => ({
+    id: `${id}-${n}`, transferId: id, leg: n, fromPhone, toPhone, type: 'gave', amountPaise: 500000, occurredOn,
+    date: `${occurredOn}T10:00:00.000Z`, status: 'confirmed', approvals: [{ by: SEA }]
+  });
+  return [leg(1, ME, BEE), leg(2, BEE, SEA), leg(3, SEA, ME)];
+}
+
+const ledger = [
+  confirmed('TX1', ME, BEE, 50000, '2024-01-10'),
+  confirmed('TX2', BEE, ME, 30000, '2024-02-10'),
+  confirmed('TX3', ME, BEE, 80000, '2024-03-10')
+];
+const legs = [...transferLegs('CT1', '2024-04-01'), ...transferLegs('CT2', '2024-04-02')];
+
+test('credit transfer legs add nothing to the trust score', () => {
+  const without = scoreLedger(ME, ledger, [], AS_OF);
+  const withLegs = scoreLedger(ME, [...ledger, ...legs], [], AS_OF);
+  assert.deepEqual(withLegs, without);
+
+  const measure = key => withLegs.factors.find(item => item.key === key).measure;
+  assert.equal(measure('volume').transactions, 3);
+  assert.equal(measure('volume').paise, 160000);
+  assert.equal(measure('counterparties').count, 1);
+});
+
+test('credit transfer legs raise no red flags', () => {
+  const devicePhones = new Set([ME]);
+  const without = findRedFlags(ME, { records: ledger, deviceRecords: ledger, devicePhones }, AS_OF);
+  const withLegs = findRedFlags(ME, { records: [...ledger, ...legs], deviceRecords: [...ledger, ...legs], devicePhones }, AS_OF);
+  assert.deepEqual(withLegs, without);
+});
+
+const points = (result, key) => result.factors.find(item => item.key === key).points;
+const measure = (result, key) => result.factors.find(item => item.key === key).measure;
+
+test('an empty ledger scores nothing, and later records are not counted', () => {
+  const empty = scoreLedger(ME, [], [], AS_OF);
+  assert.equal(empty.score, 0);
+  assert.ok(empty.factors.every(item => item.points === 0));
+  assert.deepEqual(scoreLedger(ME, [confirmed('TX9', ME, BEE, 50000, '2024-07-01')], [], AS_OF), empty);
+});
+
+test('volume reaches its full weight at five lakh rupees', () => {
+  const result = scoreLedger(ME, [confirmed('TX1', ME, BEE, 50000000, '2024-06-01')], [], AS_OF);
+  assert.equal(points(result, 'volume'), 200);
+  assert.deepEqual(measure(result, 'volume'), { paise: 50000000, transactions: 1 });
+  assert.ok(points(scoreLedger(ME, ledger, [], AS_OF), 'volume') < 200);
+});
+
+test('relationship age counts from the first transaction with each person', () => {
+  const result = scoreLedger(ME, [confirmed('TX1', ME, BEE, 50000, '2023-07-01'), confirmed('TX2', ME, BEE, 50000, '2024-06-01')], [], AS_OF);
+  assert.equal(points(result, 'relationshipAge'), 150);
+  assert.deepEqual(measure(result, 'relationshipAge'), { averageDays: 365 });
+  assert.deepEqual(measure(result, 'counterparties'), { count: 1 });
+});
+
+test('loans repaid late or not at all lower repayment and count as overdue', () => {
+  const loan = (id, from, amountPaise, occurredOn, dueDate) => ({ ...confirmed(id, from, ME, amountPaise, occurredOn), dueDate });
+  const records = [
+    loan('L1', BEE, 100000, '2024-01-01', '2024-02-01'),
+    confirmed('R1', ME, BEE, 100000, '2024-01-20'),
+    loan('L2', SEA, 100000, '2024-02-01', '2024-03-01'),
+    confirmed('R2', ME, SEA, 100000, '2024-03-15'),
+    loan('L3', BEE, 100000, '2024-04-01', '2024-05-01')
+  ];
+  const result = scoreLedger(ME, records, [], AS_OF);
+  assert.deepEqual(measure(result, 'repayment'), { due: 3, onTime: 1 });
+  // One in three on time, at half confidence with five transactions.
+  assert.equal(result.factors.find(item => item.key === 'repayment').score, 0.167);
+  assert.deepEqual(measure(result, 'overdue'), { paise: 100000, items: 1 });
+  assert.equal(points(result, 'overdue'), -100);
+});
+
+test('disputes and denied requests of your own cost conduct points', () => {
+  const clean = Array.from({ length: 10 }, (_, i) => confirmed(`TX${i}`, ME, i % 2 ? BEE : SEA, 10000, `2024-05-${String(i + 10)}`));
+  const denied = (id, fromPhone, toPhone) => ({ ...confirmed(id, fromPhone, toPhone, 10000, '2024-06-01'), status: 'denied', receipt: { payload: { decision: 'denied' } } });
+  const before = scoreLedger(ME, clean, [], AS_OF);
+  assert.equal(points(before, 'conduct'), 200);
+
+  const after = scoreLedger(ME, [
+    ...clean.slice(1), { ...clean[0], status: 'disputed' }, denied('D1', ME, BEE), denied('D2', BEE, ME)
+  ], [], AS_OF);
+  assert.deepEqual(measure(after, 'conduct'), { disputes: 1, denials: 1 });
+  assert.ok(points(after, 'conduct') < points(before, 'conduct'));
+});
+
+test('red flag penalties are capped and the score never goes below zero', () => {
+  const flags = [{ type: 'round-trip', penalty: 300 }, { type: 'burst-confirmations', penalty: 300 }];
+  const result = scoreLedger(ME, [], [], AS_OF, flags);
+  assert.equal(points(result, 'redFlags'), -500);
+  assert.deepEqual(measure(result, 'redFlags'), { count: 2 });
+  assert.equal(result.total, -500);
+  assert.equal(result.score, 0);
+  assert.deepEqual(result.flags, flags);
+});